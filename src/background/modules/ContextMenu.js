@@ -4,10 +4,14 @@ import {createMenu} from "/common/modules/ContextMenu.js";
 
 const CONVERT_TEXT_SELECTION = "qr-convert-text-selection";
 const CONVERT_LINK_TEXT_SELECTION = "qr-convert-link-text-selection";
+const DECODE_IMAGE = "qr-decode-image";
+const SCAN_PAGE = "qr-scan-page";
 const OPEN_OPTIONS = "qr-open-options";
 
 const MESSAGE_RESENT_TIMEOUT = 200; // ms
 
+const READ_IMAGE_SCRIPT = "/content/readImage.js";
+
 /**
  * Log error while creating menu item.
  *
@@ -26,6 +30,24 @@ function onCreated() {
     /* eslint-enable no-console */
 }
 
+/**
+ * Send a message to the popup, until it has been received.
+ *
+ * @private
+ * @param {Object} message
+ * @returns {void}
+ */
+function sendToPopup(message) {
+    browser.runtime.sendMessage(message).then(() => {
+        // the content itself is not logged, as it may contain secrets
+        Logger.logInfo("message sent to popup successfully:", message.type);
+    }).catch(() => {
+        // recusively re-try message sending
+        // This is e.g. needed when the popup has not yet opened and could not get the message.
+        setTimeout(sendToPopup, MESSAGE_RESENT_TIMEOUT, message);
+    });
+}
+
 /**
  * Send new text for the QR code.
  *
@@ -35,15 +57,71 @@ function onCreated() {
  */
 function sendQrCodeText(qrText) {
     Logger.logInfo("send QR code text from background");
-    browser.runtime.sendMessage({
+    sendToPopup({
         type: COMMUNICATION_MESSAGE_TYPE.SET_QR_TEXT,
         qrText: qrText
-    }).then(() => {
-        Logger.logInfo(`QR code text "${qrText}" sent to tab successfully`);
-    }).catch(() => {
-        // recusively re-try message sending
-        // This is e.g. needed when the popup has not yet opened and could not get the message.
-        setTimeout(sendQrCodeText, MESSAGE_RESENT_TIMEOUT, qrText);
+    });
+}
+
+/**
+ * Reads the image the context menu has been opened on from the page.
+ *
+ * The image is not loaded again, as this would send a request to its server.
+ * Images from other origins cannot be read, so the area they cover in the tab
+ * is returned instead, which the popup can capture.
+ *
+ * @private
+ * @param {browser.tabs.Tab} tab
+ * @param {Object} event
+ * @returns {Promise.<Object|null>} with the data: URL as imageUrl or the
+ * ScanArea as area, null if the image cannot be read
+ */
+async function readImage(tab, event) {
+    try {
+        // activeTab allows this, as the context menu has been used
+        await browser.tabs.executeScript(tab.id, {
+            file: READ_IMAGE_SCRIPT,
+            frameId: event.frameId
+        });
+        const image = await browser.tabs.sendMessage(tab.id, {
+            type: COMMUNICATION_MESSAGE_TYPE.READ_IMAGE,
+            imageUrl: event.srcUrl
+        }, {
+            frameId: event.frameId
+        });
+
+        return image || null;
+    } catch (error) {
+        Logger.logError("could not read image from page:", error);
+        return null;
+    }
+}
+
+/**
+ * Send an image, whose QR codes the popup should decode.
+ *
+ * @private
+ * @param {Object|null} image as returned by readImage()
+ * @returns {void}
+ */
+function sendImageToDecode(image) {
+    Logger.logInfo("send image to decode from background");
+    sendToPopup({
+        type: COMMUNICATION_MESSAGE_TYPE.DECODE_IMAGE,
+        image: image
+    });
+}
+
+/**
+ * Let the popup scan the visible tab.
+ *
+ * @private
+ * @returns {void}
+ */
+function sendScanPage() {
+    Logger.logInfo("send page scan request from background");
+    sendToPopup({
+        type: COMMUNICATION_MESSAGE_TYPE.SCAN_PAGE
     });
 }
 
@@ -64,7 +142,17 @@ function createItems() {
         contexts: ["link"]
     }, onCreated);
 
-    return Promise.all([selectionMenu, linkMenu]);
+    const imageMenu = createMenu("contextMenuItemDecodeImage", {
+        id: DECODE_IMAGE,
+        contexts: ["image"]
+    }, onCreated);
+
+    const pageMenu = createMenu("contextMenuItemScanPage", {
+        id: SCAN_PAGE,
+        contexts: ["page"]
+    }, onCreated);
+
+    return Promise.all([selectionMenu, linkMenu, imageMenu, pageMenu]);
 }
 
 /**
@@ -72,9 +160,10 @@ function createItems() {
  *
  * @private
  * @param {event} event
+ * @param {browser.tabs.Tab} tab
  * @returns {void}
  */
-function menuClicked(event) {
+function menuClicked(event, tab) {
     switch (event.menuItemId) {
     case CONVERT_TEXT_SELECTION:
         browser.browserAction.openPopup().then(() => {
@@ -88,6 +177,20 @@ function menuClicked(event) {
             sendQrCodeText(event.linkUrl);
         });
         break;
+    case DECODE_IMAGE:
+        // the popup can only be opened directly in the event handler
+        Promise.all([
+            browser.browserAction.openPopup(),
+            readImage(tab, event)
+        ]).then(([, image]) => {
+            sendImageToDecode(image);
+        });
+        break;
+    case SCAN_PAGE:
+        browser.browserAction.openPopup().then(() => {
+            sendScanPage();
+        });
+        break;
     case OPEN_OPTIONS:
         browser.runtime.openOptionsPage();
         break;
@@ -24,7 +24,7 @@ let saveFileAsRetry = null;
 let saveAsRetries = 0;
 
 /**
- * Handles the event when we need to save an SVG file from a popup.
+ * Handles the event when we need to save a file, e.g. an SVG or PNG image, from a popup.
  *
  * This is basically a workaround for {@link https://bugzilla.mozilla.org/show_bug.cgi?id=1461134}.
  *
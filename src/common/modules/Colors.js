@@ -80,6 +80,19 @@ export function invertColor(rgb) {
     return `#${padZero(r)}${padZero(g)}${padZero(b)}`;
 }
 
+/**
+ * Mixes two colors.
+ *
+ * @public
+ * @param  {Array} rgb1
+ * @param  {Array} rgb2
+ * @param  {number} share the share of the second color, from 0 to 1
+ * @returns {Array}
+ */
+export function mixColors(rgb1, rgb2, share) {
+    return rgb1.map((component, index) => Math.round(component + (rgb2[index] - component) * share));
+}
+
 /**
  * Adds missing zeros in front of a string.
  *
@@ -111,3 +124,14 @@ export function hexToRgb(hex) {
     }
     return null;
 }
+
+/**
+ * Converts an RGB color to a hex color string.
+ *
+ * @public
+ * @param  {Array} rgb
+ * @returns {string}
+ */
+export function rgbToHex(rgb) {
+    return `#${rgb.map((component) => padZero(component.toString(16))).join("")}`;
+}
@@ -0,0 +1,466 @@
+/**
+ * Transfers small files offline with a looping sequence of QR codes ("frames").
+ *
+ * Every frame is a text starting with {@link FRAME_PREFIX}, followed by the
+ * binary frame encoded with Base45, so it is stored in the compact
+ * alphanumeric mode. The binary frames start with a header:
+ *
+ * - 1 byte: the version of the protocol
+ * - 1 byte: the type of the frame
+ * - 4 bytes: the random ID of the transfer
+ *
+ * Metadata frames continue with the file size (4 bytes), the chunk size (2
+ * bytes), flags (1 byte), the SHA-256 hash of the file (32 bytes), the length
+ * of the MIME type (1 byte), the MIME type and the file name.
+ *
+ * Chunk frames continue with the seed (4 bytes), which is the index of the
+ * chunk for the first frames, and the (fountain-coded) data.
+ *
+ * @module /common/modules/FileTransfer
+ * @requires ./internal/Base45
+ * @requires ./internal/Fountain
+ */
+import * as Base45 from "./internal/Base45.js";
+import * as Fountain from "./internal/Fountain.js";
+
+/**
+ * The text every frame starts with.
+ *
+ * @type {string}
+ * @const
+ * @default
+ */
+export const FRAME_PREFIX = "QRFT:";
+
+/**
+ * The largest file, which can be transferred, in bytes.
+ *
+ * @type {int}
+ * @const
+ * @default
+ */
+export const MAX_FILE_SIZE = 1024 * 1024;
+
+/**
+ * The smallest and largest number of bytes of a file in one frame.
+ *
+ * @type {Object.<string, int>}
+ * @const
+ */
+export const CHUNK_SIZE_LIMITS = Object.freeze({
+    min: 16,
+    max: 1024
+});
+
+const PROTOCOL_VERSION = 1;
+const FRAME_TYPE = Object.freeze({
+    METADATA: 0,
+    CHUNK: 1
+});
+const FLAG_FOUNTAIN = 0x1;
+
+const HEADER_LENGTH = 6;
+const HASH_LENGTH = 32;
+const MAX_NAME_LENGTH = 128;
+const MAX_TYPE_LENGTH = 0xFF;
+
+// every n-th frame repeats the metadata, so receivers can start at any frame
+const METADATA_INTERVAL = 10;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * A file to transfer.
+ *
+ * @typedef {Object} TransferFile
+ * @property {string} name
+ * @property {string} type the MIME type
+ * @property {Uint8Array} bytes
+ */
+
+/**
+ * The state of a sender.
+ *
+ * @typedef {Object} Transfer
+ * @property {int} id
+ * @property {TransferFile} file
+ * @property {int} chunkSize
+ * @property {int} chunkCount
+ * @property {boolean} fountain
+ * @property {string} metadataFrame
+ */
+
+/**
+ * The state of a receiver.
+ *
+ * @typedef {Object} Receiver
+ * @property {int|null} id the ID of the transfer received
+ * @property {Object|null} metadata
+ * @property {FountainDecoder|null} decoder
+ * @property {Map.<int, Uint8Array>} earlyChunks chunks received before the
+ * metadata, by their seed
+ */
+
+/**
+ * The progress of a receiver.
+ *
+ * @typedef {Object} Progress
+ * @property {string|null} name the file name, null if no metadata has been
+ * received yet
+ * @property {int} size
+ * @property {int} decodedChunks
+ * @property {int} totalChunks 0 if no metadata has been received yet
+ * @property {boolean} complete
+ */
+
+/**
+ * Returns the SHA-256 hash of the data.
+ *
+ * @function
+ * @private
+ * @param {Uint8Array} bytes
+ * @returns {Promise.<Uint8Array>}
+ */
+async function getHash(bytes) {
+    return new Uint8Array(await crypto.subtle.digest("SHA-256", bytes));
+}
+
+/**
+ * Encodes a string as UTF-8, but cuts it to a maximum length without
+ * splitting characters.
+ *
+ * @function
+ * @private
+ * @param {string} text
+ * @param {int} maxLength in bytes
+ * @returns {Uint8Array}
+ */
+function encodeLimited(text, maxLength) {
+    let bytes = textEncoder.encode(text);
+    const characters = Array.from(text);
+    while (bytes.length > maxLength) {
+        characters.pop();
+        bytes = textEncoder.encode(characters.join(""));
+    }
+
+    return bytes;
+}
+
+/**
+ * Returns a frame as text.
+ *
+ * @function
+ * @private
+ * @param {int} id
+ * @param {int} type
+ * @param {Uint8Array} body
+ * @returns {string}
+ */
+function makeFrame(id, type, body) {
+    const bytes = new Uint8Array(HEADER_LENGTH + body.length);
+    const view = new DataView(bytes.buffer);
+    view.setUint8(0, PROTOCOL_VERSION);
+    view.setUint8(1, type);
+    view.setUint32(2, id);
+    bytes.set(body, HEADER_LENGTH);
+
+    return FRAME_PREFIX + Base45.encode(bytes);
+}
+
+/**
+ * Returns the frame with the metadata of the file.
+ *
+ * @function
+ * @private
+ * @param {Transfer} transfer
+ * @param {Uint8Array} hash
+ * @returns {string}
+ */
+function makeMetadataFrame(transfer, hash) {
+    const type = encodeLimited(transfer.file.type, MAX_TYPE_LENGTH);
+    const name = encodeLimited(transfer.file.name, MAX_NAME_LENGTH);
+
+    const body = new Uint8Array(4 + 2 + 1 + HASH_LENGTH + 1 + type.length + name.length);
+    const view = new DataView(body.buffer);
+    view.setUint32(0, transfer.file.bytes.length);
+    view.setUint16(4, transfer.chunkSize);
+    view.setUint8(6, transfer.fountain ? FLAG_FOUNTAIN : 0);
+    body.set(hash, 7);
+    view.setUint8(7 + HASH_LENGTH, type.length);
+    body.set(type, 8 + HASH_LENGTH);
+    body.set(name, 8 + HASH_LENGTH + type.length);
+
+    return makeFrame(transfer.id, FRAME_TYPE.METADATA, body);
+}
+
+/**
+ * Prepares the transfer of a file.
+ *
+ * @function
+ * @param {TransferFile} file
+ * @param {Object} options
+ * @param {int} options.chunkSize the number of bytes of the file in one frame
+ * @param {boolean} options.fountain whether the frames are fountain-coded, so
+ * they can be received in any order and some may be missed
+ * @returns {Promise.<Transfer>}
+ * @throws {Error} if the file is too large or the chunk size is invalid
+ */
+export async function createTransfer(file, options) {
+    if (file.bytes.length > MAX_FILE_SIZE) {
+        throw new Error(`file is larger than ${MAX_FILE_SIZE} bytes`);
+    }
+    if (!Number.isInteger(options.chunkSize) || options.chunkSize < CHUNK_SIZE_LIMITS.min || options.chunkSize > CHUNK_SIZE_LIMITS.max) {
+        throw new Error(`invalid chunk size: ${options.chunkSize}`);
+    }
+
+    const transfer = {
+        id: crypto.getRandomValues(new Uint32Array(1))[0],
+        file: file,
+        chunkSize: options.chunkSize,
+        // empty files still have one (empty) chunk
+        chunkCount: Math.max(1, Math.ceil(file.bytes.length / options.chunkSize)),
+        fountain: options.fountain,
+        metadataFrame: null
+    };
+    transfer.metadataFrame = makeMetadataFrame(transfer, await getHash(file.bytes));
+
+    return transfer;
+}
+
+/**
+ * Returns the number of frames, after which the sequence repeats.
+ *
+ * Fountain-coded transfers never repeat, so this is the number of frames,
+ * which are needed at least.
+ *
+ * @function
+ * @param {Transfer} transfer
+ * @returns {int}
+ */
+export function getFrameCount(transfer) {
+    return transfer.chunkCount + Math.ceil(transfer.chunkCount / (METADATA_INTERVAL - 1));
+}
+
+/**
+ * Returns the text of a frame of the transfer.
+ *
+ * @function
+ * @param {Transfer} transfer
+ * @param {int} frameNumber any number, starting at 0
+ * @returns {string}
+ */
+export function getFrame(transfer, frameNumber) {
+    if (!transfer.fountain) {
+        frameNumber %= getFrameCount(transfer);
+    }
+
+    if (frameNumber % METADATA_INTERVAL === 0) {
+        return transfer.metadataFrame;
+    }
+
+    const dataFrameNumber = frameNumber - Math.floor(frameNumber / METADATA_INTERVAL) - 1;
+    const seed = transfer.fountain ? dataFrameNumber : dataFrameNumber % transfer.chunkCount;
+
+    const chunkData = new Uint8Array(transfer.chunkSize);
+    let dataLength = 0;
+    for (const index of Fountain.getChunkIndices(seed, transfer.chunkCount)) {
+        const chunk = transfer.file.bytes.subarray(index * transfer.chunkSize, (index + 1) * transfer.chunkSize);
+        Fountain.xorInto(chunkData, chunk);
+        dataLength = Math.max(dataLength, chunk.length);
+    }
+
+    const body = new Uint8Array(4 + dataLength);
+    new DataView(body.buffer).setUint32(0, seed);
+    body.set(chunkData.subarray(0, dataLength), 4);
+
+    return makeFrame(transfer.id, FRAME_TYPE.CHUNK, body);
+}
+
+/**
+ * Returns whether the text is a frame of a file transfer.
+ *
+ * @function
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isFrame(text) {
+    return text.startsWith(FRAME_PREFIX);
+}
+
+/**
+ * Creates a receiver, which reassembles a file from frames.
+ *
+ * @function
+ * @returns {Receiver}
+ */
+export function createReceiver() {
+    return {
+        id: null,
+        metadata: null,
+        decoder: null,
+        earlyChunks: new Map()
+    };
+}
+
+/**
+ * Parses the body of a metadata frame.
+ *
+ * @function
+ * @private
+ * @param {Uint8Array} body
+ * @returns {Object}
+ * @throws {Error} if the frame is invalid
+ */
+function parseMetadata(body) {
+    if (body.length < 8 + HASH_LENGTH) {
+        throw new Error("metadata frame is too short");
+    }
+
+    const view = new DataView(body.buffer, body.byteOffset, body.byteLength);
+    const typeLength = view.getUint8(7 + HASH_LENGTH);
+    const chunkSize = view.getUint16(4);
+    if (chunkSize < CHUNK_SIZE_LIMITS.min || body.length < 8 + HASH_LENGTH + typeLength) {
+        throw new Error("invalid metadata frame");
+    }
+
+    return {
+        size: view.getUint32(0),
+        chunkSize: chunkSize,
+        fountain: (view.getUint8(6) & FLAG_FOUNTAIN) !== 0,
+        hash: body.slice(7, 7 + HASH_LENGTH),
+        type: textDecoder.decode(body.subarray(8 + HASH_LENGTH, 8 + HASH_LENGTH + typeLength)),
+        name: textDecoder.decode(body.subarray(8 + HASH_LENGTH + typeLength))
+    };
+}
+
+/**
+ * Adds a chunk frame to the decoder.
+ *
+ * @function
+ * @private
+ * @param {Receiver} receiver
+ * @param {int} seed
+ * @param {Uint8Array} data
+ * @returns {void}
+ */
+function addChunk(receiver, seed, data) {
+    if (receiver.decoder === null) {
+        receiver.earlyChunks.set(seed, data);
+        return;
+    }
+
+    Fountain.addFrame(receiver.decoder, seed, data);
+}
+
+/**
+ * Adds a frame to the receiver.
+ *
+ * @function
+ * @param {Receiver} receiver
+ * @param {string} text the text of a QR code
+ * @returns {boolean} whether the frame belongs to the transfer received, i.e.
+ * false for frames of other transfers or texts, which are no frames
+ * @throws {Error} if the text is an invalid frame
+ */
+export function addFrame(receiver, text) {
+    if (!isFrame(text)) {
+        return false;
+    }
+
+    const bytes = Base45.decode(text.substring(FRAME_PREFIX.length));
+    if (bytes.length < HEADER_LENGTH) {
+        throw new Error("frame is too short");
+    }
+
+    const view = new DataView(bytes.buffer);
+    if (view.getUint8(0) !== PROTOCOL_VERSION) {
+        throw new Error(`unsupported protocol version ${view.getUint8(0)}`);
+    }
+
+    // the first frame decides, which transfer is received
+    const id = view.getUint32(2);
+    if (receiver.id === null) {
+        receiver.id = id;
+    } else if (receiver.id !== id) {
+        return false;
+    }
+
+    const body = bytes.subarray(HEADER_LENGTH);
+    switch (view.getUint8(1)) {
+    case FRAME_TYPE.METADATA:
+        if (receiver.metadata === null) {
+            receiver.metadata = parseMetadata(body);
+
+            const chunkCount = Math.max(1, Math.ceil(receiver.metadata.size / receiver.metadata.chunkSize));
+            receiver.decoder = Fountain.createDecoder(chunkCount, receiver.metadata.chunkSize);
+            receiver.earlyChunks.forEach((data, seed) => addChunk(receiver, seed, data));
+            receiver.earlyChunks.clear();
+        }
+        break;
+    case FRAME_TYPE.CHUNK:
+        if (body.length < 4) {
+            throw new Error("chunk frame is too short");
+        }
+        addChunk(receiver, new DataView(body.buffer, body.byteOffset).getUint32(0), body.subarray(4));
+        break;
+    default:
+        throw new Error(`unknown frame type ${view.getUint8(1)}`);
+    }
+
+    return true;
+}
+
+/**
+ * Returns how much of the file has been received.
+ *
+ * @function
+ * @param {Receiver} receiver
+ * @returns {Progress}
+ */
+export function getProgress(receiver) {
+    if (receiver.metadata === null) {
+        return {
+            name: null,
+            size: 0,
+            decodedChunks: 0,
+            totalChunks: 0,
+            complete: false
+        };
+    }
+
+    return {
+        name: receiver.metadata.name,
+        size: receiver.metadata.size,
+        decodedChunks: receiver.decoder.decodedCount,
+        totalChunks: receiver.decoder.chunkCount,
+        complete: receiver.decoder.decodedCount === receiver.decoder.chunkCount
+    };
+}
+
+/**
+ * Returns the received file, after verifying its hash.
+ *
+ * @function
+ * @param {Receiver} receiver
+ * @returns {Promise.<TransferFile>}
+ * @throws {Error} if the file is incomplete or corrupted
+ */
+export async function getFile(receiver) {
+    if (!getProgress(receiver).complete) {
+        throw new Error("file has not been received completely");
+    }
+
+    const {size, chunkSize, hash, name, type} = receiver.metadata;
+    const bytes = new Uint8Array(size);
+    receiver.decoder.chunks.forEach((chunk, index) => {
+        bytes.set(chunk.subarray(0, Math.min(chunkSize, size - index * chunkSize)), index * chunkSize);
+    });
+
+    const actualHash = await getHash(bytes);
+    if (actualHash.some((byte, index) => byte !== hash[index])) {
+        throw new Error("hash of the received file does not match");
+    }
+
+    return {name, type, bytes};
+}
@@ -0,0 +1,74 @@
+/**
+ * Encodes binary data with the characters of the alphanumeric mode of QR codes
+ * as specified in RFC 9285, so it can be stored more efficiently than in the
+ * byte mode.
+ *
+ * @module internal/Base45
+ */
+
+const CHARSET = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:";
+const BASE = CHARSET.length;
+
+/**
+ * Encodes the bytes.
+ *
+ * @function
+ * @protected
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function encode(bytes) {
+    let text = "";
+    for (let i = 0; i < bytes.length; i += 2) {
+        if (i + 1 < bytes.length) {
+            const value = bytes[i] * 256 + bytes[i + 1];
+            text += CHARSET[value % BASE] + CHARSET[Math.floor(value / BASE) % BASE] + CHARSET[Math.floor(value / (BASE * BASE))];
+        } else {
+            text += CHARSET[bytes[i] % BASE] + CHARSET[Math.floor(bytes[i] / BASE)];
+        }
+    }
+
+    return text;
+}
+
+/**
+ * Decodes the text.
+ *
+ * @function
+ * @protected
+ * @param {string} text
+ * @returns {Uint8Array}
+ * @throws {Error} if the text is no valid Base45
+ */
+export function decode(text) {
+    if (text.length % 3 === 1) {
+        throw new Error("invalid Base45 length");
+    }
+
+    const values = Array.from(text, (character) => {
+        const value = CHARSET.indexOf(character);
+        if (value === -1) {
+            throw new Error(`invalid Base45 character "${character}"`);
+        }
+        return value;
+    });
+
+    const bytes = [];
+    for (let i = 0; i < values.length; i += 3) {
+        if (i + 2 < values.length) {
+            const value = values[i] + values[i + 1] * BASE + values[i + 2] * BASE * BASE;
+            if (value > 0xFFFF) {
+                throw new Error("invalid Base45 value");
+            }
+            bytes.push(value >>> 8, value & 0xFF);
+        } else {
+            const value = values[i] + values[i + 1] * BASE;
+            if (value > 0xFF) {
+                throw new Error("invalid Base45 value");
+            }
+            bytes.push(value);
+        }
+    }
+
+    return Uint8Array.from(bytes);
+}
@@ -0,0 +1,202 @@
+/**
+ * Implements a Luby transform (LT) fountain code: each frame contains the XOR
+ * of some randomly chosen chunks, so a receiver can reconstruct the file from
+ * any large enough set of frames, no matter which ones it missed.
+ *
+ * The first frames contain the chunks unchanged (systematic code), so a
+ * receiver seeing every frame needs no more frames than without the code.
+ *
+ * @module internal/Fountain
+ */
+
+// the parameters of the robust soliton distribution
+const SOLITON_C = 0.1;
+const SOLITON_DELTA = 0.5;
+
+/**
+ * Returns a pseudo random number generator (Mulberry32), so sender and
+ * receiver choose the same chunks for a seed.
+ *
+ * @function
+ * @private
+ * @param {int} seed
+ * @returns {function(): number} returns numbers in [0, 1)
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let value = state;
+        value = Math.imul(value ^ (value >>> 15), value | 1);
+        value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+        return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Returns the cumulative robust soliton distribution of the degrees.
+ *
+ * @function
+ * @private
+ * @param {int} chunkCount
+ * @returns {number[]} the probability of a degree smaller or equal to the
+ * index + 1
+ */
+function getDegreeDistribution(chunkCount) {
+    const spike = SOLITON_C * Math.log(chunkCount / SOLITON_DELTA) * Math.sqrt(chunkCount);
+    const spikeDegree = Math.min(chunkCount, Math.max(1, Math.round(chunkCount / spike)));
+
+    const weights = [];
+    for (let degree = 1; degree <= chunkCount; degree++) {
+        let weight = degree === 1 ? 1 / chunkCount : 1 / (degree * (degree - 1));
+        if (degree < spikeDegree) {
+            weight += spike / (degree * chunkCount);
+        } else if (degree === spikeDegree) {
+            weight += spike * Math.log(spike / SOLITON_DELTA) / chunkCount;
+        }
+        weights.push(Math.max(weight, 0));
+    }
+
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    let cumulative = 0;
+
+    return weights.map((weight) => {
+        cumulative += weight / total;
+        return cumulative;
+    });
+}
+
+const distributions = new Map();
+
+/**
+ * Returns the indices of the chunks combined in the frame with the seed.
+ *
+ * @function
+ * @protected
+ * @param {int} seed
+ * @param {int} chunkCount
+ * @returns {int[]}
+ */
+export function getChunkIndices(seed, chunkCount) {
+    // systematic part
+    if (seed < chunkCount) {
+        return [seed];
+    }
+
+    if (!distributions.has(chunkCount)) {
+        distributions.set(chunkCount, getDegreeDistribution(chunkCount));
+    }
+    const distribution = distributions.get(chunkCount);
+
+    const random = createRandom(seed);
+    const probability = random();
+    const degree = distribution.findIndex((cumulative) => probability < cumulative) + 1 || chunkCount;
+
+    const indices = new Set();
+    while (indices.size < degree) {
+        indices.add(Math.floor(random() * chunkCount));
+    }
+
+    return Array.from(indices).sort((a, b) => a - b);
+}
+
+/**
+ * XORs the source into the target.
+ *
+ * @function
+ * @protected
+ * @param {Uint8Array} target
+ * @param {Uint8Array} source may be shorter than the target
+ * @returns {void}
+ */
+export function xorInto(target, source) {
+    for (let i = 0; i < source.length; i++) {
+        target[i] ^= source[i];
+    }
+}
+
+/**
+ * The state of a decoder of a fountain code.
+ *
+ * @typedef {Object} FountainDecoder
+ * @property {int} chunkCount
+ * @property {int} chunkSize
+ * @property {Array.<Uint8Array|null>} chunks the chunks decoded so far
+ * @property {int} decodedCount
+ * @property {Object[]} pending frames combining several unknown chunks, with
+ * the remaining indices and data
+ */
+
+/**
+ * Creates a decoder.
+ *
+ * @function
+ * @protected
+ * @param {int} chunkCount
+ * @param {int} chunkSize
+ * @returns {FountainDecoder}
+ */
+export function createDecoder(chunkCount, chunkSize) {
+    return {
+        chunkCount: chunkCount,
+        chunkSize: chunkSize,
+        chunks: new Array(chunkCount).fill(null),
+        decodedCount: 0,
+        pending: []
+    };
+}
+
+/**
+ * Adds a frame to the decoder and decodes all chunks, which can be decoded
+ * with it ("peeling").
+ *
+ * @function
+ * @protected
+ * @param {FountainDecoder} decoder
+ * @param {int} seed
+ * @param {Uint8Array} data
+ * @returns {void}
+ */
+export function addFrame(decoder, seed, data) {
+    const padded = new Uint8Array(decoder.chunkSize);
+    padded.set(data.subarray(0, decoder.chunkSize));
+
+    const queue = [{
+        indices: new Set(getChunkIndices(seed, decoder.chunkCount)),
+        data: padded
+    }];
+
+    while (queue.length > 0) {
+        const frame = queue.pop();
+
+        // remove the chunks, which are already known
+        for (const index of frame.indices) {
+            if (decoder.chunks[index] !== null) {
+                xorInto(frame.data, decoder.chunks[index]);
+                frame.indices.delete(index);
+            }
+        }
+
+        if (frame.indices.size === 0) {
+            continue;
+        }
+        if (frame.indices.size > 1) {
+            decoder.pending.push(frame);
+            continue;
+        }
+
+        const [index] = frame.indices;
+        decoder.chunks[index] = frame.data;
+        decoder.decodedCount++;
+
+        // frames, which contain the new chunk, may now be decodable
+        decoder.pending = decoder.pending.filter((pendingFrame) => {
+            if (!pendingFrame.indices.has(index)) {
+                return true;
+            }
+            queue.push(pendingFrame);
+            return false;
+        });
+    }
+}
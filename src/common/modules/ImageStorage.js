@@ -0,0 +1,68 @@
+/**
+ * Saves the images used in the QR codes, e.g. the logo.
+ *
+ * Images are too large for the synced settings, so they are only saved on
+ * this device.
+ *
+ * @module /common/modules/ImageStorage
+ */
+
+/**
+ * The images, which can be saved.
+ *
+ * The values are the storage keys and the prefixes of the IDs of their
+ * elements in the options.
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const IMAGE = Object.freeze({
+    LOGO: "qrLogo",
+    HALFTONE: "qrHalftoneImage"
+});
+
+/**
+ * The maximum size of image files.
+ *
+ * @type {int}
+ * @const
+ * @default
+ */
+export const MAX_FILE_SIZE = 512 * 1024; // bytes
+
+/**
+ * Returns the saved image.
+ *
+ * @function
+ * @param {IMAGE} image
+ * @returns {Promise.<string|null>} the data URL of the image, null, if there is none
+ */
+export async function get(image) {
+    const result = await browser.storage.local.get(image);
+    return result[image] || null;
+}
+
+/**
+ * Saves the image.
+ *
+ * @function
+ * @param {IMAGE} image
+ * @param {string} imageUrl the data URL of the image
+ * @returns {Promise}
+ */
+export function set(image, imageUrl) {
+    return browser.storage.local.set({
+        [image]: imageUrl
+    });
+}
+
+/**
+ * Removes the image.
+ *
+ * @function
+ * @param {IMAGE} image
+ * @returns {Promise}
+ */
+export function remove(image) {
+    return browser.storage.local.remove(image);
+}
@@ -0,0 +1,428 @@
+/**
+ * Styles QR codes with shaped modules, finder patterns ("eyes") and gradient
+ * fills.
+ *
+ * The paths are built from the module matrix, so the SVG and canvas renderers
+ * and the preview in the options draw it in the same way.
+ *
+ * @module /common/modules/QrCodeStyle
+ */
+
+/**
+ * The shapes of the modules.
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const MODULE_SHAPE = Object.freeze({
+    SQUARE: "square",
+    DOT: "dot",
+    ROUNDED: "rounded",
+    DIAMOND: "diamond",
+    // connected modules, which are only rounded at their outer corners
+    LIQUID: "liquid"
+});
+
+/**
+ * The shapes of the outer rings and inner pupils of the finder patterns.
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const FINDER_SHAPE = Object.freeze({
+    SQUARE: "square",
+    ROUNDED: "rounded",
+    CIRCLE: "circle"
+});
+
+/**
+ * The gradients the modules can be filled with.
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const GRADIENT = Object.freeze({
+    NONE: "none",
+    LINEAR: "linear",
+    RADIAL: "radial"
+});
+
+/**
+ * The style of a QR code.
+ *
+ * @typedef {Object} Style
+ * @property {MODULE_SHAPE} moduleShape
+ * @property {FINDER_SHAPE} finderShape the shape of the outer rings
+ * @property {FINDER_SHAPE} finderInnerShape the shape of the inner pupils
+ * @property {string|null} finderColor null, if it is filled like the modules
+ * @property {string|null} finderInnerColor null, if it is filled like the modules
+ * @property {GRADIENT} gradient
+ * @property {string} gradientColor the color the gradient ends with
+ */
+
+/**
+ * A style, which looks like a plain QR code.
+ *
+ * @type {Style}
+ * @const
+ */
+export const DEFAULT_STYLE = Object.freeze({
+    moduleShape: MODULE_SHAPE.SQUARE,
+    finderShape: FINDER_SHAPE.SQUARE,
+    finderInnerShape: FINDER_SHAPE.SQUARE,
+    finderColor: null,
+    finderInnerColor: null,
+    gradient: GRADIENT.NONE,
+    gradientColor: "#0060df"
+});
+
+const FINDER_SIZE = 7; // modules
+const FINDER_INNER_SIZE = 3; // modules
+// the radius of rounded modules
+const ROUNDED_MODULE_RADIUS = 0.25; // modules
+const GRADIENT_ID = "qrCodeGradient";
+
+/**
+ * Returns the style set in the settings.
+ *
+ * @function
+ * @param {Object} settings
+ * @returns {Style}
+ */
+export function fromSettings(settings) {
+    return {
+        moduleShape: settings.qrModuleStyle,
+        finderShape: settings.qrFinderStyle,
+        finderInnerShape: settings.qrFinderInnerStyle,
+        finderColor: settings.qrFinderCustomColors ? settings.qrFinderColor : null,
+        finderInnerColor: settings.qrFinderCustomColors ? settings.qrFinderInnerColor : null,
+        gradient: settings.qrGradient,
+        gradientColor: settings.qrGradientColor
+    };
+}
+
+/**
+ * Returns whether the style is valid.
+ *
+ * @function
+ * @param {*} style
+ * @returns {boolean}
+ */
+export function isValid(style) {
+    const isColor = (color) => typeof color === "string";
+    const isColorOrNull = (color) => color === null || isColor(color);
+
+    return typeof style === "object" && style !== null &&
+        Object.values(MODULE_SHAPE).includes(style.moduleShape) &&
+        Object.values(FINDER_SHAPE).includes(style.finderShape) &&
+        Object.values(FINDER_SHAPE).includes(style.finderInnerShape) &&
+        isColorOrNull(style.finderColor) &&
+        isColorOrNull(style.finderInnerColor) &&
+        Object.values(GRADIENT).includes(style.gradient) &&
+        isColor(style.gradientColor);
+}
+
+/**
+ * Returns the path of a rectangle with rounded corners.
+ *
+ * @function
+ * @private
+ * @param {number} x
+ * @param {number} y
+ * @param {number} width
+ * @param {number} height
+ * @param {number[]} radii of the top left, top right, bottom right and bottom left corner
+ * @returns {string}
+ */
+function getRoundedRectPath(x, y, width, height, radii) {
+    const [topLeft, topRight, bottomRight, bottomLeft] = radii;
+    const getArc = (radius, dx, dy) => {
+        return radius > 0 ? `a${radius},${radius} 0 0 1 ${dx},${dy}` : "";
+    };
+
+    return `M${x + topLeft},${y}` +
+        `h${width - topLeft - topRight}${getArc(topRight, topRight, topRight)}` +
+        `v${height - topRight - bottomRight}${getArc(bottomRight, -bottomRight, bottomRight)}` +
+        `h${-(width - bottomRight - bottomLeft)}${getArc(bottomLeft, -bottomLeft, -bottomLeft)}` +
+        `v${-(height - bottomLeft - topLeft)}${getArc(topLeft, topLeft, -topLeft)}z`;
+}
+
+/**
+ * Returns the positions of the finder patterns.
+ *
+ * @function
+ * @private
+ * @param {int} symbolSize the size of the QR code in modules
+ * @returns {Array.<number[]>} the x and y coordinates of their top left corners
+ */
+function getFinderPositions(symbolSize) {
+    return [[0, 0], [symbolSize - FINDER_SIZE, 0], [0, symbolSize - FINDER_SIZE]];
+}
+
+/**
+ * Returns whether the module belongs to a finder pattern.
+ *
+ * @function
+ * @private
+ * @param {int} symbolSize the size of the QR code in modules
+ * @param {int} x
+ * @param {int} y
+ * @returns {boolean}
+ */
+function isFinderModule(symbolSize, x, y) {
+    return getFinderPositions(symbolSize).some(([finderX, finderY]) => {
+        return x >= finderX && x < finderX + FINDER_SIZE && y >= finderY && y < finderY + FINDER_SIZE;
+    });
+}
+
+/**
+ * Returns the corner radius of a finder pattern shape.
+ *
+ * @function
+ * @private
+ * @param {FINDER_SHAPE} shape
+ * @param {int} size the size of the shape in modules
+ * @returns {number}
+ */
+function getFinderRadius(shape, size) {
+    switch (shape) {
+    case FINDER_SHAPE.ROUNDED:
+        return Math.ceil(size / 4);
+    case FINDER_SHAPE.CIRCLE:
+        return size / 2;
+    default:
+        return 0;
+    }
+}
+
+/**
+ * Returns the path of a dark module.
+ *
+ * @function
+ * @private
+ * @param {qrcodegen.QrCode} qrCode
+ * @param {MODULE_SHAPE} shape
+ * @param {int} x
+ * @param {int} y
+ * @param {int} quietZone the size of the quiet zone in modules
+ * @returns {string}
+ */
+function getModulePath(qrCode, shape, x, y, quietZone) {
+    const left = x + quietZone;
+    const top = y + quietZone;
+
+    switch (shape) {
+    case MODULE_SHAPE.DOT:
+        return getRoundedRectPath(left, top, 1, 1, [0.5, 0.5, 0.5, 0.5]);
+    case MODULE_SHAPE.ROUNDED:
+        return getRoundedRectPath(left, top, 1, 1, new Array(4).fill(ROUNDED_MODULE_RADIUS));
+    case MODULE_SHAPE.DIAMOND:
+        return `M${left + 0.5},${top}l0.5,0.5l-0.5,0.5l-0.5,-0.5z`;
+    case MODULE_SHAPE.LIQUID: {
+        // finder patterns are drawn separately, so they do not connect
+        const isDark = (neighbourX, neighbourY) => qrCode.getModule(neighbourX, neighbourY) && !isFinderModule(qrCode.size, neighbourX, neighbourY);
+        const connectedTop = isDark(x, y - 1);
+        const connectedRight = isDark(x + 1, y);
+        const connectedBottom = isDark(x, y + 1);
+        const connectedLeft = isDark(x - 1, y);
+        // only corners without neighbours on both sides are rounded
+        const getRadius = (isConnected) => {
+            return isConnected ? 0 : 0.5;
+        };
+
+        return getRoundedRectPath(left, top, 1, 1, [
+            getRadius(connectedTop || connectedLeft),
+            getRadius(connectedTop || connectedRight),
+            getRadius(connectedBottom || connectedRight),
+            getRadius(connectedBottom || connectedLeft)
+        ]);
+    }
+    default:
+        return `M${left},${top}h1v1h-1z`;
+    }
+}
+
+/**
+ * Returns the paths of the outer rings and inner pupils of the finder
+ * patterns.
+ *
+ * @function
+ * @private
+ * @param {int} symbolSize the size of the QR code in modules
+ * @param {Style} style
+ * @param {int} quietZone the size of the quiet zone in modules
+ * @returns {{outer: string, inner: string}}
+ */
+function getFinderPaths(symbolSize, style, quietZone) {
+    const outerRadius = getFinderRadius(style.finderShape, FINDER_SIZE);
+    const holeRadius = Math.max(outerRadius - 1, 0);
+    const innerRadius = getFinderRadius(style.finderInnerShape, FINDER_INNER_SIZE);
+
+    const outerPaths = [];
+    const innerPaths = [];
+    for (const [finderX, finderY] of getFinderPositions(symbolSize)) {
+        const x = finderX + quietZone;
+        const y = finderY + quietZone;
+
+        // the hole is cut out by the even-odd fill rule
+        outerPaths.push(getRoundedRectPath(x, y, FINDER_SIZE, FINDER_SIZE, new Array(4).fill(outerRadius)));
+        outerPaths.push(getRoundedRectPath(x + 1, y + 1, FINDER_SIZE - 2, FINDER_SIZE - 2, new Array(4).fill(holeRadius)));
+        innerPaths.push(getRoundedRectPath(x + 2, y + 2, FINDER_INNER_SIZE, FINDER_INNER_SIZE, new Array(4).fill(innerRadius)));
+    }
+
+    return {
+        outer: outerPaths.join(""),
+        inner: innerPaths.join("")
+    };
+}
+
+/**
+ * The geometry of a gradient, in the coordinates of the QR code including the
+ * quiet zone.
+ *
+ * Linear gradients go from (x1, y1) to (x2, y2), radial gradients spread from
+ * (cx, cy) with the radius r.
+ *
+ * @typedef {Object} Gradient
+ * @property {GRADIENT} type
+ * @property {string} startColor
+ * @property {string} endColor
+ * @property {number} [x1]
+ * @property {number} [y1]
+ * @property {number} [x2]
+ * @property {number} [y2]
+ * @property {number} [cx]
+ * @property {number} [cy]
+ * @property {number} [r]
+ */
+
+/**
+ * The paths of a styled QR code, in the coordinates of the QR code including
+ * the quiet zone.
+ *
+ * @typedef {Object} StyledPaths
+ * @property {string} modules the path of the dark modules outside of the finder patterns
+ * @property {string} finderOuter the path of the outer rings, which needs the even-odd fill rule
+ * @property {string} finderInner the path of the inner pupils
+ */
+
+/**
+ * Returns the gradient the modules are filled with.
+ *
+ * @function
+ * @param {int} symbolSize the size of the QR code in modules
+ * @param {string} color the color the gradient starts with
+ * @param {Style} style
+ * @param {int} quietZone the size of the quiet zone in modules
+ * @returns {Gradient|null} null, if the modules are filled with the color
+ */
+export function getGradient(symbolSize, color, style, quietZone) {
+    if (style.gradient === GRADIENT.NONE) {
+        return null;
+    }
+
+    const gradient = {
+        type: style.gradient,
+        startColor: color,
+        endColor: style.gradientColor
+    };
+    // the gradient spans the whole symbol, not each path
+    const end = quietZone + symbolSize;
+
+    if (style.gradient === GRADIENT.RADIAL) {
+        const center = quietZone + symbolSize / 2;
+        return Object.assign(gradient, {
+            cx: center,
+            cy: center,
+            r: symbolSize / Math.SQRT2
+        });
+    }
+
+    return Object.assign(gradient, {
+        x1: quietZone,
+        y1: quietZone,
+        x2: end,
+        y2: end
+    });
+}
+
+/**
+ * Returns the definition of the gradient.
+ *
+ * @function
+ * @private
+ * @param {Gradient} gradient
+ * @returns {string}
+ */
+function getGradientDefinition(gradient) {
+    const stops = `<stop offset="0" stop-color="${gradient.startColor}"/><stop offset="1" stop-color="${gradient.endColor}"/>`;
+
+    if (gradient.type === GRADIENT.RADIAL) {
+        return `<radialGradient id="${GRADIENT_ID}" gradientUnits="userSpaceOnUse" cx="${gradient.cx}" cy="${gradient.cy}" r="${gradient.r}">${stops}</radialGradient>`;
+    }
+
+    return `<linearGradient id="${GRADIENT_ID}" gradientUnits="userSpaceOnUse" x1="${gradient.x1}" y1="${gradient.y1}" x2="${gradient.x2}" y2="${gradient.y2}">${stops}</linearGradient>`;
+}
+
+/**
+ * Returns the paths of the styled QR code.
+ *
+ * They can be drawn as SVG or on a canvas with Path2D.
+ *
+ * @function
+ * @param {qrcodegen.QrCode} qrCode
+ * @param {int} quietZone the size of the quiet zone in modules
+ * @param {Style} [style=DEFAULT_STYLE]
+ * @returns {StyledPaths}
+ */
+export function getPaths(qrCode, quietZone, style = DEFAULT_STYLE) {
+    const modulePaths = [];
+    for (let y = 0; y < qrCode.size; y++) {
+        for (let x = 0; x < qrCode.size; x++) {
+            if (qrCode.getModule(x, y) && !isFinderModule(qrCode.size, x, y)) {
+                modulePaths.push(getModulePath(qrCode, style.moduleShape, x, y, quietZone));
+            }
+        }
+    }
+    const finderPaths = getFinderPaths(qrCode.size, style, quietZone);
+
+    return {
+        modules: modulePaths.join(""),
+        finderOuter: finderPaths.outer,
+        finderInner: finderPaths.inner
+    };
+}
+
+/**
+ * Returns the QR code as an SVG string with a transparent background.
+ *
+ * @function
+ * @param {qrcodegen.QrCode} qrCode
+ * @param {int} quietZone the size of the quiet zone in modules
+ * @param {string} color the color of the modules
+ * @param {Style} [style=DEFAULT_STYLE]
+ * @returns {string}
+ */
+export function getSvgString(qrCode, quietZone, color, style = DEFAULT_STYLE) {
+    const paths = getPaths(qrCode, quietZone, style);
+    const gradient = getGradient(qrCode.size, color, style, quietZone);
+
+    const size = qrCode.size + 2 * quietZone;
+    const fill = gradient === null ? color : `url(#${GRADIENT_ID})`;
+    const svgParts = [
+        `<svg xmlns="http://www.w3.org/2000/svg" version="1.1" viewBox="0 0 ${size} ${size}" stroke="none">`,
+        // the first rectangle is the background
+        "<rect width=\"100%\" height=\"100%\" fill=\"transparent\"/>"
+    ];
+    if (gradient !== null) {
+        svgParts.push(`<defs>${getGradientDefinition(gradient)}</defs>`);
+    }
+    svgParts.push(
+        `<path d="${paths.modules}" fill="${fill}"/>`,
+        `<path d="${paths.finderOuter}" fill="${style.finderColor || fill}" fill-rule="evenodd"/>`,
+        `<path d="${paths.finderInner}" fill="${style.finderInnerColor || fill}"/>`,
+        "</svg>"
+    );
+
+    return svgParts.join("");
+}
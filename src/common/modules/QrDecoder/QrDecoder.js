@@ -0,0 +1,180 @@
+/**
+ * Finds and decodes QR codes in images, completely offline.
+ *
+ * @module /common/modules/QrDecoder
+ * @requires ./internal/Binarizer
+ * @requires ./internal/FinderPatternFinder
+ * @requires ./internal/Detector
+ * @requires ./internal/DataReader
+ * @requires ./internal/BitstreamParser
+ */
+import * as Binarizer from "./internal/Binarizer.js";
+import * as FinderPatternFinder from "./internal/FinderPatternFinder.js";
+import * as Detector from "./internal/Detector.js";
+import * as DataReader from "./internal/DataReader.js";
+import * as BitstreamParser from "./internal/BitstreamParser.js";
+
+// the version is encoded in the QR code itself from this version on
+const MIN_VERSION_WITH_INFORMATION = 7;
+// larger images are scaled down before decoding them, in px
+const MAX_IMAGE_SIZE = 2000;
+
+/**
+ * A decoded QR code.
+ *
+ * @typedef {Object} DecodeResult
+ * @property {string} text
+ * @property {Object[]} segments the mode and text of each segment
+ * @property {int} version
+ * @property {string} errorCorrection the level, e.g. "Q"
+ * @property {int} mask
+ * @property {Object|null} structuredAppend the index, total and parity, if it
+ * is part of a set
+ * @property {Object[]} location the corners in the image, starting at the top
+ * left one and going clockwise
+ * @property {int} correctedErrors the number of codewords corrected
+ */
+
+/**
+ * Samples the modules of a QR code and decodes them.
+ *
+ * @function
+ * @private
+ * @param {BitMatrix} matrix
+ * @param {FinderTriple} triple
+ * @param {int} version
+ * @param {boolean} useAlignment whether to use the alignment pattern
+ * @returns {DecodeResult}
+ * @throws {Error} if it cannot be decoded
+ */
+function decodeSample(matrix, triple, version, useAlignment) {
+    let sampled = Detector.sample(matrix, triple, version, useAlignment);
+
+    if (version >= MIN_VERSION_WITH_INFORMATION) {
+        const readVersion = DataReader.readVersion(sampled.modules);
+        if (readVersion !== null && readVersion !== version) {
+            version = readVersion;
+            sampled = Detector.sample(matrix, triple, version, useAlignment);
+        }
+    }
+
+    const codewords = DataReader.read(sampled.modules, version);
+    const content = BitstreamParser.parse(codewords.data, version);
+
+    return {
+        text: content.text,
+        segments: content.segments,
+        version: version,
+        errorCorrection: codewords.errorCorrection,
+        mask: codewords.mask,
+        structuredAppend: content.structuredAppend,
+        location: sampled.corners,
+        correctedErrors: codewords.correctedErrors
+    };
+}
+
+/**
+ * Samples and decodes one QR code of a given version.
+ *
+ * If it cannot be decoded, the alignment pattern may have been found at the
+ * wrong position, so it retries without it.
+ *
+ * @function
+ * @private
+ * @param {BitMatrix} matrix
+ * @param {FinderTriple} triple
+ * @param {int} version
+ * @returns {DecodeResult}
+ * @throws {Error} if it cannot be decoded
+ */
+function decodeVersion(matrix, triple, version) {
+    try {
+        return decodeSample(matrix, triple, version, true);
+    } catch (e) {
+        return decodeSample(matrix, triple, version, false);
+    }
+}
+
+/**
+ * Tries to decode a QR code formed by three finder patterns.
+ *
+ * @function
+ * @private
+ * @param {BitMatrix} matrix
+ * @param {FinderTriple} triple
+ * @returns {DecodeResult|null} null, if they do not form a QR code
+ */
+function decodeTriple(matrix, triple) {
+    for (const version of Detector.estimateVersions(triple)) {
+        try {
+            return decodeVersion(matrix, triple, version);
+        } catch (e) {
+            // try the next version
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Decodes all QR codes in the image.
+ *
+ * @function
+ * @param {ImageData} imageData the pixels of the image, e.g. from a canvas
+ * @returns {DecodeResult[]} an empty array, if no QR code has been found
+ */
+export function decode(imageData) {
+    const matrix = Binarizer.binarize(imageData);
+    const patterns = FinderPatternFinder.find(matrix);
+    const usedPatterns = new Set();
+    const results = [];
+
+    for (const triple of Detector.getTriples(matrix, patterns)) {
+        const triplePatterns = [triple.topLeft, triple.topRight, triple.bottomLeft];
+        // finder patterns belong to only one QR code
+        if (triplePatterns.some((pattern) => usedPatterns.has(pattern))) {
+            continue;
+        }
+
+        const result = decodeTriple(matrix, triple);
+        if (result !== null) {
+            triplePatterns.forEach((pattern) => usedPatterns.add(pattern));
+            results.push(result);
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Decodes all QR codes in an image element, e.g. a loaded <img>, or a bitmap.
+ *
+ * Large images are scaled down first, as decoding them takes long.
+ *
+ * @function
+ * @param {HTMLImageElement|HTMLCanvasElement|ImageBitmap} elImage
+ * @returns {DecodeResult[]} an empty array, if no QR code has been found
+ */
+export function decodeImage(elImage) {
+    const width = elImage.naturalWidth || elImage.width;
+    const height = elImage.naturalHeight || elImage.height;
+    const scale = Math.min(1, MAX_IMAGE_SIZE / Math.max(width, height));
+
+    const elCanvas = document.createElement("canvas");
+    elCanvas.width = Math.max(1, Math.round(width * scale));
+    elCanvas.height = Math.max(1, Math.round(height * scale));
+
+    const context = elCanvas.getContext("2d");
+    context.drawImage(elImage, 0, 0, elCanvas.width, elCanvas.height);
+
+    const results = decode(context.getImageData(0, 0, elCanvas.width, elCanvas.height));
+    // the location in the original image
+    results.forEach((result) => {
+        result.location = result.location.map((point) => ({
+            x: point.x / scale,
+            y: point.y / scale
+        }));
+    });
+
+    return results;
+}
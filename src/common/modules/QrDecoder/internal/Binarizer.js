@@ -0,0 +1,167 @@
+/**
+ * Converts images to black and white, using thresholds adapted to the local
+ * brightness, so shadows and gradients do not hide parts of QR codes.
+ *
+ * @module internal/Binarizer
+ */
+
+const BLOCK_SIZE = 8;
+// blocks with a smaller range of brightness are considered to be of one colour
+const MIN_DYNAMIC_RANGE = 24;
+// images smaller than this use one threshold for the whole image
+const MIN_ADAPTIVE_SIZE = BLOCK_SIZE * 5;
+
+/**
+ * A black and white image.
+ *
+ * @typedef {Object} BitMatrix
+ * @property {int} width
+ * @property {int} height
+ * @property {Uint8Array} data 1 for dark pixels, row by row
+ */
+
+/**
+ * Returns the brightness of all pixels. Transparent pixels are treated as
+ * white, as QR codes are usually shown on a light background.
+ *
+ * @function
+ * @private
+ * @param {ImageData} imageData
+ * @returns {Uint8Array}
+ */
+function getLuminances(imageData) {
+    const pixelCount = imageData.width * imageData.height;
+    const luminances = new Uint8Array(pixelCount);
+    const data = imageData.data;
+
+    for (let i = 0; i < pixelCount; i++) {
+        const alpha = data[i * 4 + 3];
+        const luminance = (data[i * 4] * 306 + data[i * 4 + 1] * 601 + data[i * 4 + 2] * 117) >> 10;
+        // blend with white
+        luminances[i] = (luminance * alpha + 255 * (255 - alpha)) / 255;
+    }
+
+    return luminances;
+}
+
+/**
+ * Returns one threshold for the whole image, i.e. the mean of the darkest and
+ * the brightest pixel.
+ *
+ * @function
+ * @private
+ * @param {Uint8Array} luminances
+ * @returns {int}
+ */
+function getGlobalThreshold(luminances) {
+    let min = 255;
+    let max = 0;
+    for (const luminance of luminances) {
+        min = Math.min(min, luminance);
+        max = Math.max(max, luminance);
+    }
+
+    return (min + max) / 2;
+}
+
+/**
+ * Returns the thresholds of each block of pixels.
+ *
+ * @function
+ * @private
+ * @param {Uint8Array} luminances
+ * @param {int} width
+ * @param {int} height
+ * @returns {{thresholds: Float32Array, columns: int, rows: int}}
+ */
+function getBlockThresholds(luminances, width, height) {
+    const columns = Math.ceil(width / BLOCK_SIZE);
+    const rows = Math.ceil(height / BLOCK_SIZE);
+    const averages = new Float32Array(columns * rows);
+
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            let sum = 0;
+            let count = 0;
+            let min = 255;
+            let max = 0;
+            for (let y = row * BLOCK_SIZE; y < Math.min((row + 1) * BLOCK_SIZE, height); y++) {
+                for (let x = column * BLOCK_SIZE; x < Math.min((column + 1) * BLOCK_SIZE, width); x++) {
+                    const luminance = luminances[y * width + x];
+                    sum += luminance;
+                    count++;
+                    min = Math.min(min, luminance);
+                    max = Math.max(max, luminance);
+                }
+            }
+
+            let average = sum / count;
+            if (max - min <= MIN_DYNAMIC_RANGE) {
+                // assume a bright block, unless the neighbours suggest a dark one
+                average = min / 2;
+                if (row > 0 && column > 0) {
+                    const neighbours = (averages[(row - 1) * columns + column] +
+                        2 * averages[row * columns + column - 1] +
+                        averages[(row - 1) * columns + column - 1]) / 4;
+                    if (min < neighbours) {
+                        average = neighbours;
+                    }
+                }
+            }
+            averages[row * columns + column] = average;
+        }
+    }
+
+    // average the surrounding 5×5 blocks to smooth the thresholds
+    const thresholds = new Float32Array(columns * rows);
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            let sum = 0;
+            let count = 0;
+            for (let y = Math.max(row - 2, 0); y <= Math.min(row + 2, rows - 1); y++) {
+                for (let x = Math.max(column - 2, 0); x <= Math.min(column + 2, columns - 1); x++) {
+                    sum += averages[y * columns + x];
+                    count++;
+                }
+            }
+            thresholds[row * columns + column] = sum / count;
+        }
+    }
+
+    return {thresholds, columns, rows};
+}
+
+/**
+ * Converts the image to black and white.
+ *
+ * @function
+ * @protected
+ * @param {ImageData} imageData
+ * @returns {BitMatrix}
+ */
+export function binarize(imageData) {
+    const width = imageData.width;
+    const height = imageData.height;
+    const luminances = getLuminances(imageData);
+    const data = new Uint8Array(width * height);
+
+    if (width < MIN_ADAPTIVE_SIZE || height < MIN_ADAPTIVE_SIZE) {
+        const threshold = getGlobalThreshold(luminances);
+        for (let i = 0; i < luminances.length; i++) {
+            data[i] = luminances[i] < threshold ? 1 : 0;
+        }
+
+        return {width, height, data};
+    }
+
+    const {thresholds, columns} = getBlockThresholds(luminances, width, height);
+    for (let y = 0; y < height; y++) {
+        const row = Math.floor(y / BLOCK_SIZE);
+        for (let x = 0; x < width; x++) {
+            const threshold = thresholds[row * columns + Math.floor(x / BLOCK_SIZE)];
+            data[y * width + x] = luminances[y * width + x] <= threshold ? 1 : 0;
+        }
+    }
+
+    return {width, height, data};
+}
@@ -0,0 +1,358 @@
+/**
+ * Parses the segments of the data codewords of a QR code.
+ *
+ * @module internal/BitstreamParser
+ */
+
+const ALPHANUMERIC_CHARSET = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:";
+
+// the mode indicators
+const MODE_TERMINATOR = 0x0;
+const MODE_NUMERIC = 0x1;
+const MODE_ALPHANUMERIC = 0x2;
+const MODE_STRUCTURED_APPEND = 0x3;
+const MODE_BYTE = 0x4;
+const MODE_FNC1_FIRST = 0x5;
+const MODE_ECI = 0x7;
+const MODE_KANJI = 0x8;
+const MODE_FNC1_SECOND = 0x9;
+
+// the lengths of the character count for versions 1-9, 10-26 and 27-40
+const CHARACTER_COUNT_BITS = Object.freeze({
+    [MODE_NUMERIC]: [10, 12, 14],
+    [MODE_ALPHANUMERIC]: [9, 11, 13],
+    [MODE_BYTE]: [8, 16, 16],
+    [MODE_KANJI]: [8, 10, 12]
+});
+
+// the names of the modes in the same way as qrcodegen
+const MODE_NAMES = Object.freeze({
+    [MODE_NUMERIC]: "NUMERIC",
+    [MODE_ALPHANUMERIC]: "ALPHANUMERIC",
+    [MODE_BYTE]: "BYTE",
+    [MODE_KANJI]: "KANJI"
+});
+
+// the character sets of the ECI designators, which browsers can decode
+const ECI_CHARSETS = Object.freeze({
+    1: "iso-8859-1",
+    3: "iso-8859-1",
+    4: "iso-8859-2",
+    5: "iso-8859-3",
+    6: "iso-8859-4",
+    7: "iso-8859-5",
+    8: "iso-8859-6",
+    9: "iso-8859-7",
+    10: "iso-8859-8",
+    11: "iso-8859-9",
+    12: "iso-8859-10",
+    13: "windows-874",
+    15: "iso-8859-13",
+    16: "iso-8859-14",
+    17: "iso-8859-15",
+    18: "iso-8859-16",
+    20: "shift_jis",
+    21: "windows-1250",
+    22: "windows-1251",
+    23: "windows-1252",
+    24: "windows-1256",
+    25: "utf-16be",
+    26: "utf-8",
+    27: "utf-8",
+    28: "big5",
+    29: "gb18030",
+    30: "euc-kr"
+});
+
+// byte segments without ECI are UTF-8 in practice, but ISO-8859-1 by standard
+const DEFAULT_CHARSET = "utf-8";
+const FALLBACK_CHARSET = "windows-1252";
+
+/**
+ * A decoded segment.
+ *
+ * @typedef {Object} Segment
+ * @property {string} mode the name of the mode, e.g. "BYTE"
+ * @property {string} text
+ */
+
+/**
+ * The header of a QR code in a Structured Append set.
+ *
+ * @typedef {Object} StructuredAppendHeader
+ * @property {int} index the position of the QR code, starting at 0
+ * @property {int} total the number of QR codes in the set
+ * @property {int} parity the parity of the whole text
+ */
+
+/**
+ * The content of a QR code.
+ *
+ * @typedef {Object} Content
+ * @property {string} text
+ * @property {Segment[]} segments
+ * @property {StructuredAppendHeader|null} structuredAppend
+ */
+
+/**
+ * The position in the data, which is read.
+ *
+ * @typedef {Object} BitReader
+ * @property {Uint8Array} bytes
+ * @property {int} position the index of the next bit
+ */
+
+/**
+ * Returns the number of bits, which have not been read.
+ *
+ * @function
+ * @private
+ * @param {BitReader} reader
+ * @returns {int}
+ */
+function getAvailableBits(reader) {
+    return reader.bytes.length * 8 - reader.position;
+}
+
+/**
+ * Reads a number.
+ *
+ * @function
+ * @private
+ * @param {BitReader} reader
+ * @param {int} length the number of bits
+ * @returns {int}
+ * @throws {Error} if there are not enough bits
+ */
+function readBits(reader, length) {
+    if (length > getAvailableBits(reader)) {
+        throw new Error("unexpected end of data");
+    }
+
+    let value = 0;
+    for (let i = 0; i < length; i++) {
+        const bit = (reader.bytes[reader.position >>> 3] >>> (7 - (reader.position & 7))) & 1;
+        value = value * 2 + bit;
+        reader.position++;
+    }
+
+    return value;
+}
+
+/**
+ * Decodes bytes, falling back to another character set if they are invalid.
+ *
+ * @function
+ * @private
+ * @param {Uint8Array} bytes
+ * @param {string} charset
+ * @returns {string}
+ */
+function decodeBytes(bytes, charset) {
+    try {
+        return new TextDecoder(charset, {fatal: true}).decode(bytes);
+    } catch (e) {
+        return new TextDecoder(FALLBACK_CHARSET).decode(bytes);
+    }
+}
+
+/**
+ * Reads the character set of an ECI segment.
+ *
+ * @function
+ * @private
+ * @param {BitReader} reader
+ * @returns {string}
+ * @throws {Error} if the character set is not supported
+ */
+function readEciCharset(reader) {
+    const first = readBits(reader, 8);
+    let designator;
+    if ((first & 0x80) === 0) {
+        designator = first;
+    } else if ((first & 0xC0) === 0x80) {
+        designator = (first & 0x3F) << 8 | readBits(reader, 8);
+    } else if ((first & 0xE0) === 0xC0) {
+        designator = (first & 0x1F) << 16 | readBits(reader, 16);
+    } else {
+        throw new Error("invalid ECI designator");
+    }
+
+    if (!(designator in ECI_CHARSETS)) {
+        throw new Error(`unsupported ECI designator ${designator}`);
+    }
+
+    return ECI_CHARSETS[designator];
+}
+
+/**
+ * Reads the digits of a numeric segment.
+ *
+ * @function
+ * @private
+ * @param {BitReader} reader
+ * @param {int} count
+ * @returns {string}
+ */
+function readNumeric(reader, count) {
+    let text = "";
+    for (let remaining = count; remaining > 0; remaining -= 3) {
+        const digits = Math.min(remaining, 3);
+        const value = readBits(reader, [0, 4, 7, 10][digits]);
+        if (value >= 10 ** digits) {
+            throw new Error("invalid numeric segment");
+        }
+        text += String(value).padStart(digits, "0");
+    }
+
+    return text;
+}
+
+/**
+ * Reads the characters of an alphanumeric segment.
+ *
+ * @function
+ * @private
+ * @param {BitReader} reader
+ * @param {int} count
+ * @returns {string}
+ */
+function readAlphanumeric(reader, count) {
+    const charsetLength = ALPHANUMERIC_CHARSET.length;
+    let text = "";
+    for (let remaining = count; remaining > 0; remaining -= 2) {
+        if (remaining >= 2) {
+            const value = readBits(reader, 11);
+            if (value >= charsetLength * charsetLength) {
+                throw new Error("invalid alphanumeric segment");
+            }
+            text += ALPHANUMERIC_CHARSET[Math.floor(value / charsetLength)] + ALPHANUMERIC_CHARSET[value % charsetLength];
+        } else {
+            const value = readBits(reader, 6);
+            if (value >= charsetLength) {
+                throw new Error("invalid alphanumeric segment");
+            }
+            text += ALPHANUMERIC_CHARSET[value];
+        }
+    }
+
+    return text;
+}
+
+/**
+ * Reads the bytes of a byte segment.
+ *
+ * @function
+ * @private
+ * @param {BitReader} reader
+ * @param {int} count
+ * @returns {Uint8Array}
+ */
+function readBytes(reader, count) {
+    const bytes = new Uint8Array(count);
+    for (let i = 0; i < count; i++) {
+        bytes[i] = readBits(reader, 8);
+    }
+
+    return bytes;
+}
+
+/**
+ * Reads the characters of a kanji segment, which are stored as compressed
+ * Shift JIS.
+ *
+ * @function
+ * @private
+ * @param {BitReader} reader
+ * @param {int} count
+ * @returns {string}
+ */
+function readKanji(reader, count) {
+    const bytes = new Uint8Array(count * 2);
+    for (let i = 0; i < count; i++) {
+        const value = readBits(reader, 13);
+        let assembled = Math.floor(value / 0xC0) << 8 | value % 0xC0;
+        assembled += assembled < 0x1F00 ? 0x8140 : 0xC140;
+        bytes[i * 2] = assembled >>> 8;
+        bytes[i * 2 + 1] = assembled & 0xFF;
+    }
+
+    return new TextDecoder("shift_jis").decode(bytes);
+}
+
+/**
+ * Parses the data codewords.
+ *
+ * @function
+ * @protected
+ * @param {Uint8Array} data
+ * @param {int} version
+ * @returns {Content}
+ * @throws {Error} if the data is invalid
+ */
+export function parse(data, version) {
+    const reader = {bytes: data, position: 0};
+    const countIndex = version <= 9 ? 0 : (version <= 26 ? 1 : 2);
+    const segments = [];
+    let structuredAppend = null;
+    let charset = DEFAULT_CHARSET;
+
+    // the terminator may be left out, if the data is full
+    while (getAvailableBits(reader) >= 4) {
+        const mode = readBits(reader, 4);
+        if (mode === MODE_TERMINATOR) {
+            break;
+        }
+
+        switch (mode) {
+        case MODE_STRUCTURED_APPEND:
+            structuredAppend = {
+                index: readBits(reader, 4),
+                total: readBits(reader, 4) + 1,
+                parity: readBits(reader, 8)
+            };
+            continue;
+        case MODE_ECI:
+            charset = readEciCharset(reader);
+            continue;
+        case MODE_FNC1_FIRST:
+            continue;
+        case MODE_FNC1_SECOND:
+            // the application indicator
+            readBits(reader, 8);
+            continue;
+        }
+
+        if (!(mode in CHARACTER_COUNT_BITS)) {
+            throw new Error(`invalid mode ${mode}`);
+        }
+
+        const count = readBits(reader, CHARACTER_COUNT_BITS[mode][countIndex]);
+        let text;
+        switch (mode) {
+        case MODE_NUMERIC:
+            text = readNumeric(reader, count);
+            break;
+        case MODE_ALPHANUMERIC:
+            text = readAlphanumeric(reader, count);
+            break;
+        case MODE_BYTE:
+            text = decodeBytes(readBytes(reader, count), charset);
+            break;
+        case MODE_KANJI:
+            text = readKanji(reader, count);
+            break;
+        }
+
+        segments.push({
+            mode: MODE_NAMES[mode],
+            text: text
+        });
+    }
+
+    return {
+        text: segments.map((segment) => segment.text).join(""),
+        segments: segments,
+        structuredAppend: structuredAppend
+    };
+}
@@ -0,0 +1,218 @@
+/**
+ * Reads the data codewords from the modules of a QR code, i.e. it removes the
+ * mask, puts the interleaved blocks back together and corrects errors.
+ *
+ * @module internal/DataReader
+ * @requires ./Version
+ * @requires ./ReedSolomon
+ */
+
+import * as Version from "./Version.js";
+import * as ReedSolomon from "./ReedSolomon.js";
+
+// whether a module is inverted by the masks, x is the column and y the row
+const MASKS = Object.freeze([
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => x * y % 2 + x * y % 3 === 0,
+    (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+]);
+
+/**
+ * The data codewords of a QR code.
+ *
+ * @typedef {Object} Codewords
+ * @property {int} version
+ * @property {string} errorCorrection the level, e.g. "Q"
+ * @property {int} mask
+ * @property {Uint8Array} data
+ * @property {int} correctedErrors the number of codewords corrected
+ */
+
+/**
+ * Reads a number from the modules at the positions, the least significant
+ * bit first.
+ *
+ * @function
+ * @private
+ * @param {Array.<boolean[]>} modules
+ * @param {Array.<int[]>} positions x and y of each bit
+ * @returns {int}
+ */
+function readBits(modules, positions) {
+    return positions.reduce((value, [x, y], i) => value | (modules[y][x] ? 1 << i : 0), 0);
+}
+
+/**
+ * Reads both copies of the format information.
+ *
+ * @function
+ * @private
+ * @param {Array.<boolean[]>} modules
+ * @returns {FormatInformation|null}
+ */
+function readFormatInformation(modules) {
+    const size = modules.length;
+    const first = [];
+    const second = [];
+
+    for (let i = 0; i < 15; i++) {
+        if (i < 6) {
+            first.push([8, i]);
+        } else if (i < 8) {
+            first.push([8, i + 1]);
+        } else if (i === 8) {
+            first.push([7, 8]);
+        } else {
+            first.push([14 - i, 8]);
+        }
+
+        second.push(i < 8 ? [size - 1 - i, 8] : [8, size - 15 + i]);
+    }
+
+    return Version.decodeFormatInformation([readBits(modules, first), readBits(modules, second)]);
+}
+
+/**
+ * Reads both copies of the version information of larger QR codes.
+ *
+ * @function
+ * @protected
+ * @param {Array.<boolean[]>} modules
+ * @returns {int|null} the version, or null if it cannot be decoded
+ */
+export function readVersion(modules) {
+    const size = modules.length;
+    const first = [];
+    const second = [];
+
+    for (let i = 0; i < 18; i++) {
+        const a = size - 11 + i % 3;
+        const b = Math.floor(i / 3);
+        first.push([a, b]);
+        second.push([b, a]);
+    }
+
+    return Version.decodeVersionInformation([readBits(modules, first), readBits(modules, second)]);
+}
+
+/**
+ * Reads the unmasked codewords in the order they are placed.
+ *
+ * @function
+ * @private
+ * @param {Array.<boolean[]>} modules
+ * @param {int} version
+ * @param {int} mask
+ * @param {int} count the number of codewords
+ * @returns {Uint8Array}
+ */
+function readCodewords(modules, version, mask, count) {
+    const size = modules.length;
+    const isFunction = Version.getFunctionModules(version);
+    const isMasked = MASKS[mask];
+    const codewords = new Uint8Array(count);
+    let bitIndex = 0;
+
+    // two columns at a time from the right, going up and down alternately
+    for (let right = size - 1; right >= 1; right -= 2) {
+        // skip the vertical timing pattern
+        if (right === 6) {
+            right = 5;
+        }
+
+        const upward = ((right + 1) & 2) === 0;
+        for (let vertical = 0; vertical < size; vertical++) {
+            const y = upward ? size - 1 - vertical : vertical;
+            for (let x = right; x >= right - 1; x--) {
+                if (isFunction[y][x] || bitIndex >= count * 8) {
+                    continue;
+                }
+
+                if (modules[y][x] !== isMasked(x, y)) {
+                    codewords[bitIndex >>> 3] |= 0x80 >>> (bitIndex & 7);
+                }
+                bitIndex++;
+            }
+        }
+    }
+
+    return codewords;
+}
+
+/**
+ * Splits the interleaved codewords into blocks, corrects them and returns the
+ * data codewords.
+ *
+ * @function
+ * @private
+ * @param {Uint8Array} codewords
+ * @param {BlockStructure} structure
+ * @returns {{data: Uint8Array, correctedErrors: int}}
+ * @throws {Error} if there are too many errors
+ */
+function correctBlocks(codewords, structure) {
+    const {blockCount, shortBlockCount, shortBlockLength, eccLength} = structure;
+    const blocks = Array.from({length: blockCount}, (value, index) => new Uint8Array(shortBlockLength + (index < shortBlockCount ? 0 : 1)));
+
+    // short blocks have no codeword at the end of the data codewords
+    const shortDataLength = shortBlockLength - eccLength;
+    let position = 0;
+    for (let i = 0; i <= shortBlockLength; i++) {
+        for (let blockIndex = 0; blockIndex < blockCount; blockIndex++) {
+            const isShort = blockIndex < shortBlockCount;
+            if (isShort && i === shortDataLength) {
+                continue;
+            }
+
+            blocks[blockIndex][isShort && i > shortDataLength ? i - 1 : i] = codewords[position];
+            position++;
+        }
+    }
+
+    let correctedErrors = 0;
+    const data = [];
+    for (const block of blocks) {
+        correctedErrors += ReedSolomon.correct(block, eccLength);
+        data.push(...block.subarray(0, block.length - eccLength));
+    }
+
+    return {
+        data: Uint8Array.from(data),
+        correctedErrors: correctedErrors
+    };
+}
+
+/**
+ * Reads the data codewords.
+ *
+ * @function
+ * @protected
+ * @param {Array.<boolean[]>} modules indexed by y and x, true for dark ones
+ * @param {int} version
+ * @returns {Codewords}
+ * @throws {Error} if the QR code cannot be read
+ */
+export function read(modules, version) {
+    const formatInformation = readFormatInformation(modules);
+    if (formatInformation === null) {
+        throw new Error("could not read format information");
+    }
+
+    const {errorCorrection, mask} = formatInformation;
+    const structure = Version.getBlockStructure(version, errorCorrection);
+    const codewords = readCodewords(modules, version, mask, structure.rawCodewords);
+    const {data, correctedErrors} = correctBlocks(codewords, structure);
+
+    return {
+        version,
+        errorCorrection,
+        mask,
+        data,
+        correctedErrors
+    };
+}
@@ -0,0 +1,473 @@
+/**
+ * Locates QR codes in an image by combining three finder patterns and samples
+ * their modules.
+ *
+ * @module internal/Detector
+ * @requires ./Version
+ * @requires ./PerspectiveTransform
+ */
+
+import * as Version from "./Version.js";
+import * as PerspectiveTransform from "./PerspectiveTransform.js";
+
+// tolerances for the shape formed by three finder patterns
+const MAX_MODULE_SIZE_RATIO = 1.5;
+const MAX_SIDE_RATIO = 1.6;
+const MAX_ANGLE_COSINE = 0.5;
+
+// the distance of the finder pattern centers of the smallest QR code in modules
+const MIN_FINDER_DISTANCE = 10;
+
+// the distance from the center of a finder pattern to its edge in modules
+const PATTERN_RADIUS = 3.5;
+// the precision of measuring runs in pixels
+const RUN_STEP = 0.5;
+
+// the search areas for the alignment pattern in modules
+const ALIGNMENT_SEARCH_RADII = Object.freeze([4, 8, 16]);
+
+/**
+ * Three finder patterns, which may belong to one QR code.
+ *
+ * @typedef {Object} FinderTriple
+ * @property {FinderPattern} topLeft
+ * @property {FinderPattern} topRight
+ * @property {FinderPattern} bottomLeft
+ * @property {number} moduleSize the size of a module in pixels
+ * @property {number} score lower is more likely to be a QR code
+ */
+
+/**
+ * Returns the distance of two points.
+ *
+ * @function
+ * @private
+ * @param {Point} a
+ * @param {Point} b
+ * @returns {number}
+ */
+function getDistance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+/**
+ * Orders three finder patterns and rates how well they form a QR code.
+ *
+ * @function
+ * @private
+ * @param {FinderPattern[]} patterns three patterns
+ * @returns {FinderTriple|null} null, if they cannot belong to one QR code
+ */
+function orderPatterns(patterns) {
+    const moduleSizes = patterns.map((pattern) => pattern.moduleSize);
+    if (Math.max(...moduleSizes) > MAX_MODULE_SIZE_RATIO * Math.min(...moduleSizes)) {
+        return null;
+    }
+
+    // the top left pattern is opposite of the longest side
+    const sides = [
+        getDistance(patterns[1], patterns[2]),
+        getDistance(patterns[0], patterns[2]),
+        getDistance(patterns[0], patterns[1])
+    ];
+    const topLeftIndex = sides.indexOf(Math.max(...sides));
+    const topLeft = patterns[topLeftIndex];
+    let [topRight, bottomLeft] = patterns.filter((pattern, index) => index !== topLeftIndex);
+
+    const rightX = topRight.x - topLeft.x;
+    const rightY = topRight.y - topLeft.y;
+    const downX = bottomLeft.x - topLeft.x;
+    const downY = bottomLeft.y - topLeft.y;
+
+    // the y axis of images points down, so the top right pattern is clockwise
+    if (rightX * downY - rightY * downX < 0) {
+        [topRight, bottomLeft] = [bottomLeft, topRight];
+    }
+
+    const rightLength = Math.hypot(rightX, rightY);
+    const downLength = Math.hypot(downX, downY);
+    const moduleSize = moduleSizes.reduce((sum, size) => sum + size, 0) / 3;
+    if (Math.min(rightLength, downLength) < MIN_FINDER_DISTANCE * moduleSize) {
+        return null;
+    }
+
+    const sideRatio = Math.max(rightLength, downLength) / Math.min(rightLength, downLength);
+    const cosine = Math.abs(rightX * downX + rightY * downY) / (rightLength * downLength);
+    if (sideRatio > MAX_SIDE_RATIO || cosine > MAX_ANGLE_COSINE) {
+        return null;
+    }
+
+    return {
+        topLeft: topLeft,
+        topRight: topRight,
+        bottomLeft: bottomLeft,
+        moduleSize: moduleSize,
+        score: cosine + sideRatio - 1 + Math.max(...moduleSizes) / Math.min(...moduleSizes) - 1
+    };
+}
+
+/**
+ * Returns the distance from the center of a finder pattern to its outer edge
+ * in a direction, i.e. the end of the dark, light and dark run.
+ *
+ * @function
+ * @private
+ * @param {BitMatrix} matrix
+ * @param {Point} center
+ * @param {number} dx the direction as a unit vector
+ * @param {number} dy
+ * @param {number} maxDistance
+ * @returns {number} NaN, if the edge has not been found
+ */
+function measureToEdge(matrix, center, dx, dy, maxDistance) {
+    let transitions = 0;
+    let wasDark = true;
+
+    for (let distance = 0; distance <= maxDistance; distance += RUN_STEP) {
+        const x = Math.floor(center.x + dx * distance);
+        const y = Math.floor(center.y + dy * distance);
+        if (x < 0 || y < 0 || x >= matrix.width || y >= matrix.height) {
+            return NaN;
+        }
+
+        const dark = matrix.data[y * matrix.width + x] === 1;
+        if (dark !== wasDark) {
+            transitions++;
+            wasDark = dark;
+            if (transitions === 3) {
+                return distance;
+            }
+        }
+    }
+
+    return NaN;
+}
+
+/**
+ * Measures the size of a module along the lines between the finder patterns,
+ * which, unlike the horizontal and vertical size of the finder patterns, does
+ * not depend on the rotation of the QR code.
+ *
+ * @function
+ * @private
+ * @param {BitMatrix} matrix
+ * @param {FinderTriple} triple
+ * @returns {number}
+ */
+function measureModuleSize(matrix, triple) {
+    const sizes = [];
+    for (const [from, to] of [
+        [triple.topLeft, triple.topRight],
+        [triple.topRight, triple.topLeft],
+        [triple.topLeft, triple.bottomLeft],
+        [triple.bottomLeft, triple.topLeft]
+    ]) {
+        const length = getDistance(from, to);
+        const dx = (to.x - from.x) / length;
+        const dy = (to.y - from.y) / length;
+        const maxDistance = from.moduleSize * PATTERN_RADIUS * 2;
+
+        // both directions through the center span the whole pattern
+        const size = (measureToEdge(matrix, from, dx, dy, maxDistance) + measureToEdge(matrix, from, -dx, -dy, maxDistance)) / (PATTERN_RADIUS * 2);
+        if (!Number.isNaN(size)) {
+            sizes.push(size);
+        }
+    }
+
+    if (sizes.length === 0) {
+        return triple.moduleSize;
+    }
+
+    return sizes.reduce((sum, size) => sum + size, 0) / sizes.length;
+}
+
+/**
+ * Returns all combinations of three finder patterns, which may form a QR
+ * code.
+ *
+ * @function
+ * @protected
+ * @param {BitMatrix} matrix
+ * @param {FinderPattern[]} patterns
+ * @returns {FinderTriple[]} the most likely first
+ */
+export function getTriples(matrix, patterns) {
+    const triples = [];
+    for (let i = 0; i < patterns.length; i++) {
+        for (let j = i + 1; j < patterns.length; j++) {
+            for (let k = j + 1; k < patterns.length; k++) {
+                const triple = orderPatterns([patterns[i], patterns[j], patterns[k]]);
+                if (triple !== null) {
+                    triple.moduleSize = measureModuleSize(matrix, triple);
+                    triples.push(triple);
+                }
+            }
+        }
+    }
+
+    return triples.sort((a, b) => a.score - b.score);
+}
+
+/**
+ * Returns the versions, which the QR code most likely has, judging by the
+ * distance of the finder patterns.
+ *
+ * @function
+ * @protected
+ * @param {FinderTriple} triple
+ * @returns {int[]} the most likely first
+ */
+export function estimateVersions(triple) {
+    const moduleSize = triple.moduleSize;
+    const distance = (getDistance(triple.topLeft, triple.topRight) + getDistance(triple.topLeft, triple.bottomLeft)) / 2;
+    // the centers are 3.5 modules away from the edges
+    const estimate = Math.round((distance / moduleSize + PATTERN_RADIUS * 2 - 17) / 4);
+
+    return [estimate, estimate + 1, estimate - 1].filter((version) => version >= Version.MIN_VERSION && version <= Version.MAX_VERSION);
+}
+
+/**
+ * Returns whether the pixel at a point is dark.
+ *
+ * @function
+ * @private
+ * @param {BitMatrix} matrix
+ * @param {number} x
+ * @param {number} y
+ * @returns {boolean|null} null, if the point is outside of the image
+ */
+function isDarkAt(matrix, x, y) {
+    const px = Math.floor(x);
+    const py = Math.floor(y);
+    if (px < 0 || py < 0 || px >= matrix.width || py >= matrix.height) {
+        return null;
+    }
+    return matrix.data[py * matrix.width + px] === 1;
+}
+
+/**
+ * Returns the runs of the same colour along a line, starting at a point.
+ *
+ * @function
+ * @private
+ * @param {BitMatrix} matrix
+ * @param {Point} start
+ * @param {Point} direction a unit vector
+ * @param {number} maxLength the maximum length of each run
+ * @returns {number[]|null} the lengths of the dark run containing the point
+ * and the following light run, or null if they are not present
+ */
+function getRuns(matrix, start, direction, maxLength) {
+    const isDarkAtDistance = (distance) => isDarkAt(matrix, start.x + direction.x * distance, start.y + direction.y * distance);
+
+    let distance = 0;
+    while (isDarkAtDistance(distance) === true && distance <= maxLength) {
+        distance += RUN_STEP;
+    }
+    const darkLength = distance;
+
+    while (isDarkAtDistance(distance) === false && distance - darkLength <= maxLength) {
+        distance += RUN_STEP;
+    }
+    if (isDarkAtDistance(distance) !== true) {
+        return null;
+    }
+
+    return [darkLength, distance - darkLength];
+}
+
+/**
+ * Returns whether the length is about one module.
+ *
+ * @function
+ * @private
+ * @param {number} length
+ * @param {number} moduleSize
+ * @returns {boolean}
+ */
+function isModuleLength(length, moduleSize) {
+    return length >= moduleSize / 2 && length <= moduleSize * 1.5;
+}
+
+/**
+ * Checks whether an alignment pattern is centered in the dark pixel, i.e. the
+ * dark center module is surrounded by a light and a dark ring.
+ *
+ * The runs are measured along the axes of the QR code, so they do not depend
+ * on its rotation.
+ *
+ * @function
+ * @private
+ * @param {BitMatrix} matrix
+ * @param {int} x
+ * @param {int} y
+ * @param {Point[]} axes the unit vectors to the right and to the bottom of the
+ * QR code
+ * @param {number} moduleSize
+ * @returns {Point|null} the center, or null if there is no alignment pattern
+ */
+function checkAlignmentPattern(matrix, x, y, axes, moduleSize) {
+    const maxLength = moduleSize * 2;
+    const center = {x: x + 0.5, y: y + 0.5};
+
+    for (const axis of axes) {
+        const forward = getRuns(matrix, center, axis, maxLength);
+        const backward = getRuns(matrix, center, {x: -axis.x, y: -axis.y}, maxLength);
+        if (forward === null || backward === null) {
+            return null;
+        }
+
+        if (!isModuleLength(forward[0] + backward[0], moduleSize) ||
+            !isModuleLength(forward[1], moduleSize) ||
+            !isModuleLength(backward[1], moduleSize)) {
+            return null;
+        }
+
+        // move the center to the middle of the dark run
+        const offset = (forward[0] - backward[0]) / 2;
+        center.x += axis.x * offset;
+        center.y += axis.y * offset;
+    }
+
+    // the corners of the light ring and the dark ring around the center
+    for (const [right, down] of [[-1, -1], [1, -1], [1, 1], [-1, 1]]) {
+        for (const [distance, dark] of [[1, false], [2, true]]) {
+            const offset = distance * moduleSize;
+            if (isDarkAt(matrix,
+                center.x + (axes[0].x * right + axes[1].x * down) * offset,
+                center.y + (axes[0].y * right + axes[1].y * down) * offset
+            ) !== dark) {
+                return null;
+            }
+        }
+    }
+
+    return center;
+}
+
+/**
+ * Searches for the alignment pattern near the expected position.
+ *
+ * @function
+ * @private
+ * @param {BitMatrix} matrix
+ * @param {Point} estimate the expected center
+ * @param {Point[]} axes the unit vectors to the right and to the bottom of the
+ * QR code
+ * @param {number} moduleSize
+ * @returns {Point|null}
+ */
+function findAlignmentPattern(matrix, estimate, axes, moduleSize) {
+    for (const radius of ALIGNMENT_SEARCH_RADII) {
+        const pixels = radius * moduleSize;
+        const top = Math.max(0, Math.floor(estimate.y - pixels));
+        const bottom = Math.min(matrix.height - 1, Math.ceil(estimate.y + pixels));
+        const left = Math.max(0, Math.floor(estimate.x - pixels));
+        const right = Math.min(matrix.width - 1, Math.ceil(estimate.x + pixels));
+
+        let best = null;
+        let bestDistance = Infinity;
+        for (let y = top; y <= bottom; y++) {
+            for (let x = left; x <= right; x++) {
+                if (matrix.data[y * matrix.width + x] !== 1) {
+                    continue;
+                }
+
+                const center = checkAlignmentPattern(matrix, x, y, axes, moduleSize);
+                if (center !== null && getDistance(center, estimate) < bestDistance) {
+                    best = center;
+                    bestDistance = getDistance(center, estimate);
+                }
+            }
+        }
+
+        if (best !== null) {
+            return best;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Returns the unit vector from one point to another.
+ *
+ * @function
+ * @private
+ * @param {Point} from
+ * @param {Point} to
+ * @returns {Point}
+ */
+function getDirection(from, to) {
+    const distance = getDistance(from, to);
+    return {
+        x: (to.x - from.x) / distance,
+        y: (to.y - from.y) / distance
+    };
+}
+
+/**
+ * Reads the modules of a QR code.
+ *
+ * @function
+ * @protected
+ * @param {BitMatrix} matrix
+ * @param {FinderTriple} triple
+ * @param {int} version the version assumed
+ * @param {boolean} [useAlignment=true] whether to search for the alignment
+ * pattern, instead of assuming the QR code is a parallelogram
+ * @returns {{modules: Array.<boolean[]>, corners: Point[]}} the modules are
+ * indexed by y and x and true for dark ones, the corners of the QR code start
+ * at the top left one and go clockwise
+ */
+export function sample(matrix, triple, version, useAlignment = true) {
+    const size = Version.getSize(version);
+    const {topLeft, topRight, bottomLeft} = triple;
+
+    // assume a parallelogram first
+    let bottomRight = {
+        x: topRight.x + bottomLeft.x - topLeft.x,
+        y: topRight.y + bottomLeft.y - topLeft.y
+    };
+    let bottomRightModule = size - 3.5;
+
+    if (useAlignment && version > 1) {
+        // the bottom right alignment pattern is 3 modules nearer to the center
+        const factor = 1 - 3 / (size - 7);
+        const estimate = {
+            x: topLeft.x + factor * (bottomRight.x - topLeft.x),
+            y: topLeft.y + factor * (bottomRight.y - topLeft.y)
+        };
+        const axes = [getDirection(topLeft, topRight), getDirection(topLeft, bottomLeft)];
+        const alignmentPattern = findAlignmentPattern(matrix, estimate, axes, triple.moduleSize);
+
+        if (alignmentPattern !== null) {
+            bottomRight = alignmentPattern;
+            bottomRightModule = size - 6.5;
+        }
+    }
+
+    const transform = PerspectiveTransform.quadrilateralToQuadrilateral([
+        {x: 3.5, y: 3.5},
+        {x: size - 3.5, y: 3.5},
+        {x: bottomRightModule, y: bottomRightModule},
+        {x: 3.5, y: size - 3.5}
+    ], [topLeft, topRight, bottomRight, bottomLeft]);
+
+    const modules = [];
+    for (let y = 0; y < size; y++) {
+        const row = [];
+        for (let x = 0; x < size; x++) {
+            const point = PerspectiveTransform.transformPoint(transform, x + 0.5, y + 0.5);
+            const px = Math.floor(point.x);
+            const py = Math.floor(point.y);
+            row.push(px >= 0 && py >= 0 && px < matrix.width && py < matrix.height &&
+                matrix.data[py * matrix.width + px] === 1);
+        }
+        modules.push(row);
+    }
+
+    const corners = [[0, 0], [size, 0], [size, size], [0, size]].map(([x, y]) => PerspectiveTransform.transformPoint(transform, x, y));
+
+    return {modules, corners};
+}
@@ -0,0 +1,257 @@
+/**
+ * Finds the square patterns in the corners of QR codes, which look like
+ * dark, light, dark, light, dark runs with a ratio of 1:1:3:1:1 in every
+ * direction.
+ *
+ * @module internal/FinderPatternFinder
+ */
+
+// the number of runs of a finder pattern and its size in modules
+const RUN_COUNT = 5;
+const PATTERN_MODULES = 7;
+
+// the maximum number of patterns returned, to limit the combinations tried
+const MAX_PATTERNS = 30;
+
+/**
+ * A possible finder pattern.
+ *
+ * @typedef {Object} FinderPattern
+ * @property {number} x the center
+ * @property {number} y the center
+ * @property {number} moduleSize the estimated size of a module in pixels
+ * @property {int} count how often it has been found
+ */
+
+/**
+ * Returns whether the pixel is dark.
+ *
+ * @function
+ * @private
+ * @param {BitMatrix} matrix
+ * @param {int} x
+ * @param {int} y
+ * @returns {boolean|null} null, if it is outside of the image
+ */
+function isDark(matrix, x, y) {
+    if (x < 0 || y < 0 || x >= matrix.width || y >= matrix.height) {
+        return null;
+    }
+
+    return matrix.data[y * matrix.width + x] === 1;
+}
+
+/**
+ * Returns whether the lengths of the runs match the ratio of a finder pattern.
+ *
+ * @function
+ * @private
+ * @param {int[]} counts
+ * @returns {boolean}
+ */
+function hasFinderRatio(counts) {
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    if (total < PATTERN_MODULES || counts.some((count) => count === 0)) {
+        return false;
+    }
+
+    const moduleSize = total / PATTERN_MODULES;
+    const maxVariance = moduleSize / 2;
+
+    return Math.abs(moduleSize - counts[0]) < maxVariance &&
+        Math.abs(moduleSize - counts[1]) < maxVariance &&
+        Math.abs(3 * moduleSize - counts[2]) < 3 * maxVariance &&
+        Math.abs(moduleSize - counts[3]) < maxVariance &&
+        Math.abs(moduleSize - counts[4]) < maxVariance;
+}
+
+/**
+ * Checks for a finder pattern along a line through a point and returns the
+ * center of it on that line.
+ *
+ * @function
+ * @private
+ * @param {BitMatrix} matrix
+ * @param {int} x the pixel to start at, which must be in the dark center
+ * @param {int} y
+ * @param {int} dx the direction of the line
+ * @param {int} dy
+ * @param {int} maxCount the maximum length of a run
+ * @param {int} originalTotal the length of the pattern found in another direction
+ * @returns {{offset: number, total: int}|null} the offset of the center from
+ * the point, or null if there is no finder pattern
+ */
+function crossCheck(matrix, x, y, dx, dy, maxCount, originalTotal) {
+    const counts = new Array(RUN_COUNT).fill(0);
+    const isDarkAt = (i) => isDark(matrix, x + i * dx, y + i * dy);
+
+    // go backwards through the center and the first two runs
+    let i = 0;
+    while (isDarkAt(i) === true) {
+        counts[2]++;
+        i--;
+    }
+    while (isDarkAt(i) === false && counts[1] <= maxCount) {
+        counts[1]++;
+        i--;
+    }
+    if (isDarkAt(i) !== true || counts[1] > maxCount) {
+        return null;
+    }
+    while (isDarkAt(i) === true && counts[0] <= maxCount) {
+        counts[0]++;
+        i--;
+    }
+    if (counts[0] > maxCount) {
+        return null;
+    }
+
+    // and forwards through the last two runs
+    i = 1;
+    while (isDarkAt(i) === true) {
+        counts[2]++;
+        i++;
+    }
+    while (isDarkAt(i) === false && counts[3] <= maxCount) {
+        counts[3]++;
+        i++;
+    }
+    if (isDarkAt(i) !== true || counts[3] > maxCount) {
+        return null;
+    }
+    while (isDarkAt(i) === true && counts[4] <= maxCount) {
+        counts[4]++;
+        i++;
+    }
+    if (counts[4] > maxCount) {
+        return null;
+    }
+
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    if (5 * Math.abs(total - originalTotal) >= 2 * originalTotal || !hasFinderRatio(counts)) {
+        return null;
+    }
+
+    return {
+        offset: i - counts[4] - counts[3] - counts[2] / 2,
+        total: total
+    };
+}
+
+/**
+ * Adds a pattern to the list or combines it with one found before.
+ *
+ * @function
+ * @private
+ * @param {FinderPattern[]} patterns
+ * @param {number} x
+ * @param {number} y
+ * @param {number} moduleSize
+ * @returns {void}
+ */
+function addPattern(patterns, x, y, moduleSize) {
+    const existing = patterns.find((pattern) => Math.abs(pattern.x - x) <= pattern.moduleSize &&
+        Math.abs(pattern.y - y) <= pattern.moduleSize &&
+        Math.abs(pattern.moduleSize - moduleSize) <= Math.max(1, pattern.moduleSize / 2));
+
+    if (existing === undefined) {
+        patterns.push({x: x, y: y, moduleSize: moduleSize, count: 1});
+        return;
+    }
+
+    // weighted average of all times it has been found
+    const count = existing.count + 1;
+    existing.x = (existing.x * existing.count + x) / count;
+    existing.y = (existing.y * existing.count + y) / count;
+    existing.moduleSize = (existing.moduleSize * existing.count + moduleSize) / count;
+    existing.count = count;
+}
+
+/**
+ * Verifies a pattern found in a row and adds it to the list.
+ *
+ * @function
+ * @private
+ * @param {BitMatrix} matrix
+ * @param {FinderPattern[]} patterns
+ * @param {int[]} counts the runs found in the row
+ * @param {int} y the row
+ * @param {int} end the first pixel after the pattern
+ * @returns {void}
+ */
+function handlePossiblePattern(matrix, patterns, counts, y, end) {
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    const centerX = end - counts[4] - counts[3] - counts[2] / 2;
+
+    const vertical = crossCheck(matrix, Math.floor(centerX), y, 0, 1, counts[2], total);
+    if (vertical === null) {
+        return;
+    }
+    const centerY = y + vertical.offset;
+
+    // check horizontally again, as the row may not have been in the center
+    const horizontal = crossCheck(matrix, Math.floor(centerX), Math.floor(centerY), 1, 0, counts[2], total);
+    if (horizontal === null) {
+        return;
+    }
+
+    const moduleSize = (vertical.total + horizontal.total) / 2 / PATTERN_MODULES;
+    addPattern(patterns, Math.floor(centerX) + horizontal.offset, centerY, moduleSize);
+}
+
+/**
+ * Finds the finder patterns in the image.
+ *
+ * @function
+ * @protected
+ * @param {BitMatrix} matrix
+ * @returns {FinderPattern[]} the most likely patterns first
+ */
+export function find(matrix) {
+    const patterns = [];
+
+    for (let y = 0; y < matrix.height; y++) {
+        let counts = new Array(RUN_COUNT).fill(0);
+        let state = 0;
+
+        for (let x = 0; x < matrix.width; x++) {
+            const dark = isDark(matrix, x, y);
+
+            // the pattern starts with a dark run, skip light pixels before
+            if (state === 0 && counts[0] === 0 && !dark) {
+                continue;
+            }
+
+            // dark runs have even states
+            if (dark === (state % 2 === 0)) {
+                counts[state]++;
+                continue;
+            }
+
+            if (state < RUN_COUNT - 1) {
+                state++;
+                counts[state]++;
+                continue;
+            }
+
+            // a light pixel after the last dark run
+            if (hasFinderRatio(counts)) {
+                handlePossiblePattern(matrix, patterns, counts, y, x);
+            }
+            // continue with the last dark run as the first one
+            counts = [counts[2], counts[3], counts[4], 1, 0];
+            state = 3;
+        }
+
+        if (state === RUN_COUNT - 1 && hasFinderRatio(counts)) {
+            handlePossiblePattern(matrix, patterns, counts, y, matrix.width);
+        }
+    }
+
+    // patterns found in several rows are more likely to be real ones
+    patterns.sort((a, b) => b.count - a.count);
+    const confirmed = patterns.filter((pattern) => pattern.count >= 2);
+    const result = confirmed.length >= 3 ? confirmed : patterns;
+
+    return result.slice(0, MAX_PATTERNS);
+}
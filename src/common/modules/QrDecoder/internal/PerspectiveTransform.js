@@ -0,0 +1,126 @@
+/**
+ * Maps points between two quadrilaterals, so QR codes photographed at an angle
+ * can be sampled.
+ *
+ * @module internal/PerspectiveTransform
+ */
+
+/**
+ * A point in an image.
+ *
+ * @typedef {Object} Point
+ * @property {number} x
+ * @property {number} y
+ */
+
+/**
+ * A projective transformation as a 3×3 matrix, row by row.
+ *
+ * @typedef {number[]} Transform
+ */
+
+/**
+ * Returns the transformation mapping the unit square to the quadrilateral.
+ *
+ * @function
+ * @private
+ * @param {Point[]} quad the corners (0, 0), (1, 0), (1, 1), (0, 1) are mapped to
+ * @returns {Transform}
+ */
+function squareToQuadrilateral(quad) {
+    const [p0, p1, p2, p3] = quad;
+    const dx3 = p0.x - p1.x + p2.x - p3.x;
+    const dy3 = p0.y - p1.y + p2.y - p3.y;
+
+    if (dx3 === 0 && dy3 === 0) {
+        // affine
+        return [
+            p1.x - p0.x, p2.x - p1.x, p0.x,
+            p1.y - p0.y, p2.y - p1.y, p0.y,
+            0, 0, 1
+        ];
+    }
+
+    const dx1 = p1.x - p2.x;
+    const dx2 = p3.x - p2.x;
+    const dy1 = p1.y - p2.y;
+    const dy2 = p3.y - p2.y;
+    const denominator = dx1 * dy2 - dx2 * dy1;
+    const a13 = (dx3 * dy2 - dx2 * dy3) / denominator;
+    const a23 = (dx1 * dy3 - dx3 * dy1) / denominator;
+
+    return [
+        p1.x - p0.x + a13 * p1.x, p3.x - p0.x + a23 * p3.x, p0.x,
+        p1.y - p0.y + a13 * p1.y, p3.y - p0.y + a23 * p3.y, p0.y,
+        a13, a23, 1
+    ];
+}
+
+/**
+ * Returns the adjugate of the matrix, which is an inverse transformation, as
+ * scaling does not matter in homogeneous coordinates.
+ *
+ * @function
+ * @private
+ * @param {Transform} m
+ * @returns {Transform}
+ */
+function adjugate(m) {
+    return [
+        m[4] * m[8] - m[5] * m[7], m[2] * m[7] - m[1] * m[8], m[1] * m[5] - m[2] * m[4],
+        m[5] * m[6] - m[3] * m[8], m[0] * m[8] - m[2] * m[6], m[2] * m[3] - m[0] * m[5],
+        m[3] * m[7] - m[4] * m[6], m[1] * m[6] - m[0] * m[7], m[0] * m[4] - m[1] * m[3]
+    ];
+}
+
+/**
+ * Multiplies two matrices.
+ *
+ * @function
+ * @private
+ * @param {Transform} a
+ * @param {Transform} b
+ * @returns {Transform}
+ */
+function multiply(a, b) {
+    const result = [];
+    for (let row = 0; row < 3; row++) {
+        for (let column = 0; column < 3; column++) {
+            result.push(a[row * 3] * b[column] + a[row * 3 + 1] * b[3 + column] + a[row * 3 + 2] * b[6 + column]);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Returns the transformation mapping one quadrilateral to another one.
+ *
+ * @function
+ * @protected
+ * @param {Point[]} from four corners
+ * @param {Point[]} to the four corners, which they are mapped to
+ * @returns {Transform}
+ */
+export function quadrilateralToQuadrilateral(from, to) {
+    return multiply(squareToQuadrilateral(to), adjugate(squareToQuadrilateral(from)));
+}
+
+/**
+ * Transforms a point.
+ *
+ * @function
+ * @protected
+ * @param {Transform} m
+ * @param {number} x
+ * @param {number} y
+ * @returns {Point}
+ */
+export function transformPoint(m, x, y) {
+    const denominator = m[6] * x + m[7] * y + m[8];
+
+    return {
+        x: (m[0] * x + m[1] * y + m[2]) / denominator,
+        y: (m[3] * x + m[4] * y + m[5]) / denominator
+    };
+}
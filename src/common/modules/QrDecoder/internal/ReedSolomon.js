@@ -0,0 +1,218 @@
+/**
+ * Corrects errors in the codewords of a block of a QR code.
+ *
+ * QR codes use Reed–Solomon codes over GF(256) with the primitive polynomial
+ * x^8 + x^4 + x^3 + x^2 + 1 and the generator roots α^0 … α^(n-1).
+ *
+ * @module internal/ReedSolomon
+ */
+
+const FIELD_SIZE = 256;
+const PRIMITIVE_POLYNOMIAL = 0x11D;
+
+const EXP_TABLE = new Uint8Array(FIELD_SIZE * 2);
+const LOG_TABLE = new Uint8Array(FIELD_SIZE);
+
+// fill the tables once, the exponents are doubled to avoid modulo operations
+(function () {
+    let value = 1;
+    for (let i = 0; i < FIELD_SIZE - 1; i++) {
+        EXP_TABLE[i] = value;
+        LOG_TABLE[value] = i;
+
+        value <<= 1;
+        if (value >= FIELD_SIZE) {
+            value ^= PRIMITIVE_POLYNOMIAL;
+        }
+    }
+    for (let i = FIELD_SIZE - 1; i < EXP_TABLE.length; i++) {
+        EXP_TABLE[i] = EXP_TABLE[i - (FIELD_SIZE - 1)];
+    }
+})();
+
+/**
+ * Multiplies two elements of the field.
+ *
+ * @function
+ * @private
+ * @param {int} a
+ * @param {int} b
+ * @returns {int}
+ */
+function multiply(a, b) {
+    if (a === 0 || b === 0) {
+        return 0;
+    }
+
+    return EXP_TABLE[LOG_TABLE[a] + LOG_TABLE[b]];
+}
+
+/**
+ * Returns the multiplicative inverse of an element of the field.
+ *
+ * @function
+ * @private
+ * @param {int} a must not be 0
+ * @returns {int}
+ */
+function inverse(a) {
+    return EXP_TABLE[FIELD_SIZE - 1 - LOG_TABLE[a]];
+}
+
+/**
+ * Evaluates a polynomial, whose coefficients are stored from the lowest
+ * degree on.
+ *
+ * @function
+ * @private
+ * @param {int[]} polynomial
+ * @param {int} x
+ * @returns {int}
+ */
+function evaluate(polynomial, x) {
+    let result = 0;
+    for (let i = polynomial.length - 1; i >= 0; i--) {
+        result = multiply(result, x) ^ polynomial[i];
+    }
+
+    return result;
+}
+
+/**
+ * Returns the syndromes of the codewords.
+ *
+ * @function
+ * @private
+ * @param {Uint8Array|int[]} codewords the highest degree first
+ * @param {int} eccLength
+ * @returns {int[]}
+ */
+function getSyndromes(codewords, eccLength) {
+    const syndromes = [];
+    for (let i = 0; i < eccLength; i++) {
+        const x = EXP_TABLE[i];
+        let result = 0;
+        for (let j = 0; j < codewords.length; j++) {
+            result = multiply(result, x) ^ codewords[j];
+        }
+        syndromes.push(result);
+    }
+
+    return syndromes;
+}
+
+/**
+ * Returns the error locator polynomial with the Berlekamp–Massey algorithm.
+ *
+ * @function
+ * @private
+ * @param {int[]} syndromes
+ * @returns {int[]} the coefficients from the lowest degree on
+ */
+function getErrorLocator(syndromes) {
+    let locator = [1];
+    let previous = [1];
+    let length = 0;
+    let shift = 1;
+    let previousDiscrepancy = 1;
+
+    for (let n = 0; n < syndromes.length; n++) {
+        let discrepancy = syndromes[n];
+        for (let i = 1; i <= length; i++) {
+            discrepancy ^= multiply(locator[i] || 0, syndromes[n - i]);
+        }
+
+        if (discrepancy === 0) {
+            shift++;
+            continue;
+        }
+
+        const factor = multiply(discrepancy, inverse(previousDiscrepancy));
+        const newLocator = locator.slice();
+        for (let i = 0; i < previous.length; i++) {
+            newLocator[i + shift] = (newLocator[i + shift] || 0) ^ multiply(factor, previous[i]);
+        }
+
+        if (2 * length <= n) {
+            length = n + 1 - length;
+            previous = locator;
+            previousDiscrepancy = discrepancy;
+            shift = 1;
+        } else {
+            shift++;
+        }
+        locator = newLocator;
+    }
+
+    // remove leading zeros of higher degrees
+    while (locator.length > 1 && locator[locator.length - 1] === 0) {
+        locator.pop();
+    }
+
+    return locator;
+}
+
+/**
+ * Corrects the codewords in place.
+ *
+ * @function
+ * @protected
+ * @param {Uint8Array} codewords the data and error correction codewords of a
+ * block, the highest degree first
+ * @param {int} eccLength the number of error correction codewords
+ * @returns {int} the number of corrected errors
+ * @throws {Error} if there are too many errors
+ */
+export function correct(codewords, eccLength) {
+    const syndromes = getSyndromes(codewords, eccLength);
+    if (syndromes.every((syndrome) => syndrome === 0)) {
+        return 0;
+    }
+
+    const locator = getErrorLocator(syndromes);
+    const errorCount = locator.length - 1;
+    if (errorCount * 2 > eccLength) {
+        throw new Error("too many errors");
+    }
+
+    // Chien search: the roots are the inverses of the error locations
+    const positions = [];
+    for (let power = 0; power < codewords.length; power++) {
+        if (evaluate(locator, inverse(EXP_TABLE[power])) === 0) {
+            positions.push(power);
+        }
+    }
+    if (positions.length !== errorCount) {
+        throw new Error("could not locate errors");
+    }
+
+    // Forney algorithm, the evaluator is the syndromes times the locator mod x^eccLength
+    const evaluator = new Array(eccLength).fill(0);
+    for (let i = 0; i < eccLength; i++) {
+        for (let j = 0; j <= i && j < locator.length; j++) {
+            evaluator[i] ^= multiply(syndromes[i - j], locator[j]);
+        }
+    }
+    // the formal derivative only keeps the odd powers in fields of characteristic 2
+    const derivative = locator.slice(1).map((coefficient, i) => {
+        return i % 2 === 0 ? coefficient : 0;
+    });
+
+    for (const power of positions) {
+        const location = EXP_TABLE[power];
+        const locationInverse = inverse(location);
+        const denominator = evaluate(derivative, locationInverse);
+        if (denominator === 0) {
+            throw new Error("could not correct errors");
+        }
+
+        const magnitude = multiply(multiply(location, evaluate(evaluator, locationInverse)), inverse(denominator));
+        codewords[codewords.length - 1 - power] ^= magnitude;
+    }
+
+    if (!getSyndromes(codewords, eccLength).every((syndrome) => syndrome === 0)) {
+        throw new Error("could not correct errors");
+    }
+
+    return errorCount;
+}
@@ -0,0 +1,285 @@
+/**
+ * Provides the structure of QR codes of all versions, i.e. which modules are
+ * function patterns and how the codewords are split into blocks.
+ *
+ * @module internal/Version
+ */
+
+export const MIN_VERSION = 1;
+export const MAX_VERSION = 40;
+
+/**
+ * The error correction levels in the order of the tables.
+ *
+ * @type {string[]}
+ * @const
+ */
+export const ERROR_CORRECTION_LEVELS = Object.freeze(["L", "M", "Q", "H"]);
+
+// indexed by the level and the version, index 0 is unused
+const ECC_CODEWORDS_PER_BLOCK = Object.freeze([
+    [null, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [null, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [null, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [null, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+]);
+
+const NUM_ERROR_CORRECTION_BLOCKS = Object.freeze([
+    [null, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [null, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [null, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [null, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+]);
+
+// the two bits of the levels in the format information
+const FORMAT_LEVEL_BITS = Object.freeze({
+    "L": 1,
+    "M": 0,
+    "Q": 3,
+    "H": 2
+});
+const FORMAT_MASK = 0x5412;
+
+// a code can be corrected, if at most this many bits are wrong
+const MAX_FORMAT_ERRORS = 3;
+
+/**
+ * The information encoded next to the finder patterns.
+ *
+ * @typedef {Object} FormatInformation
+ * @property {string} errorCorrection the level, e.g. "Q"
+ * @property {int} mask
+ */
+
+/**
+ * Returns the size of the QR code in modules.
+ *
+ * @function
+ * @protected
+ * @param {int} version
+ * @returns {int}
+ */
+export function getSize(version) {
+    return version * 4 + 17;
+}
+
+/**
+ * Returns the coordinates of the centers of the alignment patterns in both
+ * directions.
+ *
+ * @function
+ * @protected
+ * @param {int} version
+ * @returns {int[]}
+ */
+export function getAlignmentPatternPositions(version) {
+    if (version === 1) {
+        return [];
+    }
+
+    const size = getSize(version);
+    const count = Math.floor(version / 7) + 2;
+    const step = version === 32 ? 26 : Math.ceil((size - 13) / (count * 2 - 2)) * 2;
+
+    const positions = [6];
+    for (let i = 0, position = size - 7; i < count - 1; i++, position -= step) {
+        positions.splice(1, 0, position);
+    }
+
+    return positions;
+}
+
+/**
+ * Returns which modules are no data modules.
+ *
+ * @function
+ * @protected
+ * @param {int} version
+ * @returns {Array.<boolean[]>} indexed by y and x
+ */
+export function getFunctionModules(version) {
+    const size = getSize(version);
+    const isFunction = Array.from({length: size}, () => new Array(size).fill(false));
+    const markRectangle = (left, top, width, height) => {
+        for (let y = Math.max(top, 0); y < Math.min(top + height, size); y++) {
+            for (let x = Math.max(left, 0); x < Math.min(left + width, size); x++) {
+                isFunction[y][x] = true;
+            }
+        }
+    };
+
+    // timing patterns
+    markRectangle(6, 0, 1, size);
+    markRectangle(0, 6, size, 1);
+
+    // finder patterns with separators and format information
+    markRectangle(0, 0, 9, 9);
+    markRectangle(size - 8, 0, 8, 9);
+    markRectangle(0, size - 8, 9, 8);
+
+    const alignmentPositions = getAlignmentPatternPositions(version);
+    const last = alignmentPositions.length - 1;
+    alignmentPositions.forEach((y, i) => {
+        alignmentPositions.forEach((x, j) => {
+            // skip the corners with finder patterns
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) {
+                return;
+            }
+            markRectangle(x - 2, y - 2, 5, 5);
+        });
+    });
+
+    if (version >= 7) {
+        markRectangle(size - 11, 0, 3, 6);
+        markRectangle(0, size - 11, 6, 3);
+    }
+
+    return isFunction;
+}
+
+/**
+ * Returns the number of modules, which can hold data, including the
+ * remainder bits.
+ *
+ * @function
+ * @private
+ * @param {int} version
+ * @returns {int}
+ */
+function getNumRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const count = Math.floor(version / 7) + 2;
+        result -= (25 * count - 10) * count - 55;
+        if (version >= 7) {
+            result -= 36;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * The structure of the blocks of a QR code.
+ *
+ * @typedef {Object} BlockStructure
+ * @property {int} rawCodewords the number of all codewords
+ * @property {int} blockCount
+ * @property {int} shortBlockCount the number of blocks with one data codeword less
+ * @property {int} shortBlockLength the number of all codewords of short blocks
+ * @property {int} eccLength the number of error correction codewords per block
+ */
+
+/**
+ * Returns how the codewords of a QR code are split into blocks.
+ *
+ * @function
+ * @protected
+ * @param {int} version
+ * @param {string} errorCorrection the level, e.g. "Q"
+ * @returns {BlockStructure}
+ */
+export function getBlockStructure(version, errorCorrection) {
+    const level = ERROR_CORRECTION_LEVELS.indexOf(errorCorrection);
+    const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+    const blockCount = NUM_ERROR_CORRECTION_BLOCKS[level][version];
+
+    return {
+        rawCodewords: rawCodewords,
+        blockCount: blockCount,
+        shortBlockCount: blockCount - rawCodewords % blockCount,
+        shortBlockLength: Math.floor(rawCodewords / blockCount),
+        eccLength: ECC_CODEWORDS_PER_BLOCK[level][version]
+    };
+}
+
+/**
+ * Returns the number of bits, in which the bits differ.
+ *
+ * @function
+ * @private
+ * @param {int} a
+ * @param {int} b
+ * @returns {int}
+ */
+function getBitDifference(a, b) {
+    let difference = a ^ b;
+    let count = 0;
+    while (difference !== 0) {
+        count += difference & 1;
+        difference >>>= 1;
+    }
+
+    return count;
+}
+
+/**
+ * Returns the valid code nearest to the read ones.
+ *
+ * @function
+ * @private
+ * @param {int[]} readCodes the copies of the code read
+ * @param {Map.<int, *>} validCodes maps the codes to their values
+ * @returns {*|null} null, if no code is near enough
+ */
+function findNearestCode(readCodes, validCodes) {
+    let bestValue = null;
+    let bestDifference = MAX_FORMAT_ERRORS + 1;
+
+    for (const [code, value] of validCodes) {
+        for (const readCode of readCodes) {
+            const difference = getBitDifference(code, readCode);
+            if (difference < bestDifference) {
+                bestValue = value;
+                bestDifference = difference;
+            }
+        }
+    }
+
+    return bestValue;
+}
+
+const FORMAT_CODES = new Map();
+for (const level of ERROR_CORRECTION_LEVELS) {
+    for (let mask = 0; mask < 8; mask++) {
+        const data = FORMAT_LEVEL_BITS[level] << 3 | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        FORMAT_CODES.set((data << 10 | remainder) ^ FORMAT_MASK, {errorCorrection: level, mask: mask});
+    }
+}
+
+const VERSION_CODES = new Map();
+for (let version = 7; version <= MAX_VERSION; version++) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) {
+        remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+    }
+    VERSION_CODES.set(version << 12 | remainder, version);
+}
+
+/**
+ * Decodes the format information.
+ *
+ * @function
+ * @protected
+ * @param {int[]} readCodes the two copies of the 15 bits
+ * @returns {FormatInformation|null} null, if it cannot be decoded
+ */
+export function decodeFormatInformation(readCodes) {
+    return findNearestCode(readCodes, FORMAT_CODES);
+}
+
+/**
+ * Decodes the version information of versions 7 and larger.
+ *
+ * @function
+ * @protected
+ * @param {int[]} readCodes the two copies of the 18 bits
+ * @returns {int|null} null, if it cannot be decoded
+ */
+export function decodeVersionInformation(readCodes) {
+    return findNearestCode(readCodes, VERSION_CODES);
+}
@@ -0,0 +1,143 @@
+/**
+ * Fills the placeholders of user-defined payload templates.
+ *
+ * A placeholder is written as "{name}" and can be followed by filters, e.g.
+ * "{title|urlencode}". Literal braces are written as "{{" and "}}".
+ *
+ * @module /common/modules/Template
+ */
+
+/**
+ * All placeholders, which can be used in templates.
+ *
+ * @type {Object.<string, string>}
+ * @const
+ */
+export const PLACEHOLDER = Object.freeze({
+    URL: "url",
+    TITLE: "title",
+    SELECTION: "selection",
+    HOST: "host",
+    DATE: "date",
+    CLIPBOARD: "clipboard"
+});
+
+/**
+ * The filters, which can be applied to the value of a placeholder.
+ *
+ * format: filter => function
+ *
+ * @type {Object.<string, function>}
+ * @const
+ */
+export const FILTER = Object.freeze({
+    // for values in the query string or path segments of a URL
+    urlencode: encodeURIComponent,
+    // for whole URLs, keeps the reserved characters like "/" and "?"
+    uriencode: encodeURI
+});
+
+const TOKEN_REGEX = /\{\{|\}\}|\{([^{}]*)\}/g;
+const FILTER_SEPARATOR = "|";
+
+/**
+ * Splits the content of a placeholder into its name and the filters.
+ *
+ * @function
+ * @private
+ * @param {string} content without the braces
+ * @returns {Array.<string, string[]>} the name and the filters
+ */
+function splitPlaceholder(content) {
+    const [name, ...filters] = content.split(FILTER_SEPARATOR).map((part) => part.trim().toLowerCase());
+    return [name, filters];
+}
+
+/**
+ * Returns the names of all placeholders used in the template.
+ *
+ * This allows to only gather the values, which are actually needed, e.g. as
+ * reading the clipboard requires a permission.
+ *
+ * @function
+ * @param {string} template
+ * @returns {string[]} without duplicates
+ */
+export function getPlaceholders(template) {
+    const placeholders = new Set();
+
+    template.replace(TOKEN_REGEX, (token, content) => {
+        if (content !== undefined) {
+            placeholders.add(splitPlaceholder(content)[0]);
+        }
+        return token;
+    });
+
+    return Array.from(placeholders);
+}
+
+/**
+ * Checks the template for problems.
+ *
+ * @function
+ * @param {string} template
+ * @returns {string[]} the message IDs of all problems found
+ */
+export function validate(template) {
+    const problems = new Set();
+
+    if (!template.trim()) {
+        problems.add("templateErrorEmpty");
+    }
+
+    const remainder = template.replace(TOKEN_REGEX, (token, content) => {
+        if (content === undefined) {
+            return "";
+        }
+
+        const [name, filters] = splitPlaceholder(content);
+        if (!Object.values(PLACEHOLDER).includes(name)) {
+            problems.add("templateErrorUnknownPlaceholder");
+        }
+        if (!filters.every((filter) => FILTER.hasOwnProperty(filter))) {
+            problems.add("templateErrorUnknownFilter");
+        }
+
+        return "";
+    });
+
+    // single braces, which do not form a placeholder
+    if (/[{}]/.test(remainder)) {
+        problems.add("templateErrorUnmatchedBrace");
+    }
+
+    return Array.from(problems);
+}
+
+/**
+ * Fills the placeholders of the template with the given values.
+ *
+ * Unknown placeholders and filters are kept as they are.
+ *
+ * @function
+ * @param {string} template
+ * @param {Object.<string, string>} values format: placeholder => value, missing
+ * values are replaced with an empty string
+ * @returns {string}
+ */
+export function fill(template, values) {
+    return template.replace(TOKEN_REGEX, (token, content) => {
+        if (content === undefined) {
+            // "{{" or "}}"
+            return token[0];
+        }
+
+        const [name, filters] = splitPlaceholder(content);
+        if (!Object.values(PLACEHOLDER).includes(name) ||
+            !filters.every((filter) => FILTER.hasOwnProperty(filter))) {
+            return token;
+        }
+
+        return filters.reduce((value, filter) => FILTER[filter](value), values[name] || "");
+    });
+}
@@ -12,6 +12,10 @@
  */
 export const COMMUNICATION_MESSAGE_TYPE = Object.freeze({
     SET_QR_TEXT: "setQrText",
+    DECODE_IMAGE: "decodeImage",
+    SCAN_PAGE: "scanPage",
+    GET_SCAN_AREA: "getScanArea",
+    READ_IMAGE: "readImage",
     SAVE_FILE_AS: "saveFileAs",
     SAVE_FILE_AS_STOP_RETRY: "saveFileAsStopRetry"
 });
@@ -11,13 +11,57 @@ export const DEFAULT_SETTINGS = Object.freeze({
     qrColor: "#0c0c0d",
     qrBackgroundColor: "#ffffff",
     qrErrorCorrection: "Q",
+    // increase the error correction level, if it does not need a larger version
+    qrBoostErrorCorrection: true,
+    qrMinVersion: 1,
+    qrMaxVersion: 40,
+    // -1 chooses the mask with the lowest penalty score
+    qrMask: -1,
+    // see QrCodeStyle for the possible shapes
+    qrModuleStyle: "square",
+    qrFinderStyle: "square",
+    qrFinderInnerStyle: "square",
+    // otherwise the finder patterns are filled like the modules
+    qrFinderCustomColors: false,
+    qrFinderColor: "#0c0c0d",
+    qrFinderInnerColor: "#0c0c0d",
+    // "none", "linear" or "radial"
+    qrGradient: "none",
+    qrGradientColor: "#0060df",
+    qrShowSymbolInfo: false,
+    // reads generated QR codes again to check whether they can be scanned
+    qrVerify: false,
+    // the image itself is saved locally, see ImageStorage
+    qrLogoSize: 20, // percent of the symbol
+    qrLogoPositionX: 50, // percent, 50 centres it
+    qrLogoPositionY: 50,
+    qrLogoClearModules: true,
+    // the QR code copied as text, see the text renderer for the formats
+    qrTextFormat: "unicode",
+    // for light text on dark backgrounds, e.g. in terminals
+    qrTextInvert: false,
+    qrTextQuietZone: 2,
+    // saved PNG images, "size" uses qrPngSize in px, "scale" qrPngModuleSize px per module
+    qrPngSizeType: "size",
+    qrPngSize: 1024,
+    qrPngModuleSize: 8,
+    // 0 does not save a resolution in the image
+    qrPngDpi: 0,
+    qrPngTransparent: false,
     autoGetSelectedText: false,
+    // only the URL of the current tab is cleaned, opt-in to not change existing QR codes
+    urlCleaning: false,
+    // one rule or domain per line, see UrlCleaner
+    urlCleaningRules: "",
+    urlCleaningAllowlist: "",
     monospaceFont: false,
     qrCodeSize: {
         sizeType: "fixed",
         size: 220
     },
     qrQuietZone: 1,
+    // format: [{name, template, isDefault}]
+    payloadTemplates: [],
     randomTips: {
         tips: {}
     }
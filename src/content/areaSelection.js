@@ -0,0 +1,182 @@
+/**
+ * Lets the user select an area of the page, which the popup scans for QR codes
+ * when it is opened again.
+ *
+ * The popup closes as soon as the page is clicked, so it asks for the selected
+ * area when it is opened the next time.
+ *
+ * Content scripts cannot be modules and may be injected several times, so
+ * everything is wrapped into a function.
+ *
+ * @module content/areaSelection
+ */
+"use strict";
+
+(function () {
+    const OVERLAY_ID = "offline-qr-code-area-selection";
+    const HINT_ID = "offline-qr-code-area-selection-hint";
+    const SELECTION_ID = "offline-qr-code-area-selection-rectangle";
+
+    // COMMUNICATION_MESSAGE_TYPE.GET_SCAN_AREA, modules cannot be imported here
+    const GET_SCAN_AREA = "getScanArea";
+
+    // smaller areas are most likely just clicks
+    const MIN_AREA_SIZE = 10; // px
+
+    // the overlay is already shown
+    if (document.getElementById(OVERLAY_ID)) {
+        return;
+    }
+
+    const elOverlay = document.createElement("div");
+    const elHint = document.createElement("div");
+    const elSelection = document.createElement("div");
+
+    let startPoint = null;
+    let area = null;
+
+    /**
+     * Returns the rectangle between the start point and the mouse position.
+     *
+     * @function
+     * @private
+     * @param {MouseEvent} event
+     * @returns {Object} with x, y, width and height in CSS pixels of the viewport
+     */
+    function getRectangle(event) {
+        return {
+            x: Math.min(startPoint.x, event.clientX),
+            y: Math.min(startPoint.y, event.clientY),
+            width: Math.abs(event.clientX - startPoint.x),
+            height: Math.abs(event.clientY - startPoint.y)
+        };
+    }
+
+    /**
+     * Shows the rectangle as the selection.
+     *
+     * @function
+     * @private
+     * @param {Object} rectangle
+     * @returns {void}
+     */
+    function showSelection(rectangle) {
+        elSelection.style.left = `${rectangle.x}px`;
+        elSelection.style.top = `${rectangle.y}px`;
+        elSelection.style.width = `${rectangle.width}px`;
+        elSelection.style.height = `${rectangle.height}px`;
+        elSelection.hidden = false;
+        elOverlay.classList.add("has-selection");
+    }
+
+    /**
+     * Removes the overlay and stops listening for the popup.
+     *
+     * @function
+     * @private
+     * @returns {void}
+     */
+    function remove() {
+        elOverlay.remove();
+        document.removeEventListener("keydown", onKeyDown, true);
+        browser.runtime.onMessage.removeListener(onMessage);
+    }
+
+    /**
+     * Cancels the selection, when Escape is pressed.
+     *
+     * @function
+     * @private
+     * @param {KeyboardEvent} event
+     * @returns {void}
+     */
+    function onKeyDown(event) {
+        if (event.key !== "Escape") {
+            return;
+        }
+
+        event.preventDefault();
+        event.stopPropagation();
+        remove();
+    }
+
+    /**
+     * Sends the selected area to the popup.
+     *
+     * The overlay is removed and painted away first, as it would otherwise be
+     * visible in the screenshot.
+     *
+     * @function
+     * @private
+     * @param {Object} message
+     * @returns {Promise|undefined}
+     */
+    function onMessage(message) {
+        if (message.type !== GET_SCAN_AREA || area === null) {
+            return undefined;
+        }
+
+        const scanArea = Object.assign({
+            viewportWidth: window.innerWidth
+        }, area);
+        remove();
+
+        return new Promise((resolve) => {
+            window.requestAnimationFrame(() => {
+                window.requestAnimationFrame(() => resolve(scanArea));
+            });
+        });
+    }
+
+    elOverlay.id = OVERLAY_ID;
+    elHint.id = HINT_ID;
+    elSelection.id = SELECTION_ID;
+    elHint.textContent = browser.i18n.getMessage("areaSelectionHint");
+    elSelection.hidden = true;
+    elOverlay.appendChild(elSelection);
+    elOverlay.appendChild(elHint);
+
+    elOverlay.addEventListener("mousedown", (event) => {
+        if (event.button !== 0) {
+            return;
+        }
+
+        event.preventDefault();
+        startPoint = {
+            x: event.clientX,
+            y: event.clientY
+        };
+        area = null;
+        showSelection(getRectangle(event));
+    });
+    elOverlay.addEventListener("mousemove", (event) => {
+        if (startPoint === null) {
+            return;
+        }
+
+        showSelection(getRectangle(event));
+    });
+    elOverlay.addEventListener("mouseup", (event) => {
+        if (startPoint === null) {
+            return;
+        }
+
+        const rectangle = getRectangle(event);
+        startPoint = null;
+
+        if (rectangle.width < MIN_AREA_SIZE || rectangle.height < MIN_AREA_SIZE) {
+            elSelection.hidden = true;
+            elOverlay.classList.remove("has-selection");
+            elHint.textContent = browser.i18n.getMessage("areaSelectionHint");
+            return;
+        }
+
+        area = rectangle;
+        elHint.textContent = browser.i18n.getMessage("areaSelectionDone");
+    });
+
+    document.addEventListener("keydown", onKeyDown, true);
+    browser.runtime.onMessage.addListener(onMessage);
+
+    document.documentElement.appendChild(elOverlay);
+})();
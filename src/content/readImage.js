@@ -0,0 +1,112 @@
+/**
+ * Reads the image the context menu has been opened on, so its QR codes can be
+ * decoded without loading the image again from its server.
+ *
+ * The background script sends the URL of the image after injecting this
+ * script, and gets the image as the answer.
+ *
+ * Content scripts cannot be modules and may be injected several times, so
+ * everything is wrapped into a function.
+ *
+ * @module content/readImage
+ */
+"use strict";
+
+(function () {
+    // COMMUNICATION_MESSAGE_TYPE.READ_IMAGE, modules cannot be imported here
+    const READ_IMAGE = "readImage";
+
+    /**
+     * Returns the area the image covers in the visible part of the tab.
+     *
+     * @function
+     * @private
+     * @param {HTMLImageElement} elImage
+     * @returns {Object|null} the ScanArea, null if the image is not visible
+     */
+    function getVisibleArea(elImage) {
+        // the screenshot only shows the viewport of the top frame
+        if (window !== window.top) {
+            return null;
+        }
+
+        // only the visible part of the image can be captured
+        const rectangle = elImage.getBoundingClientRect();
+        const x = Math.max(rectangle.left, 0);
+        const y = Math.max(rectangle.top, 0);
+        const width = Math.min(rectangle.right, window.innerWidth) - x;
+        const height = Math.min(rectangle.bottom, window.innerHeight) - y;
+
+        if (width <= 0 || height <= 0) {
+            return null;
+        }
+
+        return {
+            x: x,
+            y: y,
+            width: width,
+            height: height,
+            viewportWidth: window.innerWidth
+        };
+    }
+
+    /**
+     * Returns the image with the URL.
+     *
+     * @function
+     * @private
+     * @param {string} imageUrl
+     * @returns {Object|null} with the data: URL as imageUrl or the area it
+     * covers in the tab as area, null if the image cannot be read
+     */
+    function readImage(imageUrl) {
+        const elImage = Array.from(document.images).find((elPageImage) => {
+            return elPageImage.currentSrc === imageUrl || elPageImage.src === imageUrl;
+        });
+
+        if (!elImage || !elImage.complete || elImage.naturalWidth === 0) {
+            return null;
+        }
+
+        const elCanvas = document.createElement("canvas");
+        elCanvas.width = elImage.naturalWidth;
+        elCanvas.height = elImage.naturalHeight;
+        elCanvas.getContext("2d").drawImage(elImage, 0, 0);
+
+        try {
+            return {
+                imageUrl: elCanvas.toDataURL("image/png")
+            };
+        } catch (error) {
+            // images from other origins cannot be read, but they can be captured from the tab
+        }
+
+        const area = getVisibleArea(elImage);
+        if (area === null) {
+            return null;
+        }
+
+        return {area};
+    }
+
+    /**
+     * Answers the request of the background script, once.
+     *
+     * @function
+     * @private
+     * @param {Object} message
+     * @returns {Promise.<Object|null>|undefined}
+     */
+    function onMessage(message) {
+        if (message.type !== READ_IMAGE) {
+            return undefined;
+        }
+
+        // the script is injected again for the next image
+        browser.runtime.onMessage.removeListener(onMessage);
+
+        return Promise.resolve(readImage(message.imageUrl));
+    }
+
+    browser.runtime.onMessage.addListener(onMessage);
+})();
@@ -0,0 +1,198 @@
+/**
+ * Starter module for the page receiving files from images of QR codes.
+ *
+ * @module decoder
+ * @requires /common/modules/Logger
+ * @requires /common/modules/MessageHandler/CommonMessages
+ * @requires /common/modules/QrDecoder
+ * @requires /common/modules/FileTransfer
+ */
+"use strict";
+
+import * as Logger from "/common/modules/Logger.js";
+import * as CommonMessages from "/common/modules/MessageHandler/CommonMessages.js";
+import * as QrDecoder from "/common/modules/QrDecoder/QrDecoder.js";
+import * as FileTransfer from "/common/modules/FileTransfer/FileTransfer.js";
+
+const elDropZone = document.getElementById("dropZone");
+const elImages = document.getElementById("images");
+const elProgress = document.getElementById("progress");
+const elProgressBar = document.getElementById("progressBar");
+const elProgressText = document.getElementById("progressText");
+const elDownload = document.getElementById("download");
+const elResetButton = document.getElementById("reset");
+
+let receiver = FileTransfer.createReceiver();
+let downloadUrl = null;
+
+/**
+ * Loads an image file.
+ *
+ * @function
+ * @private
+ * @param {File} file
+ * @returns {Promise.<HTMLImageElement>}
+ */
+function loadImage(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.addEventListener("error", () => reject(reader.error));
+        reader.addEventListener("load", () => {
+            // only data: URLs are allowed for images by the content security policy
+            const elImage = new Image();
+            elImage.addEventListener("load", () => resolve(elImage));
+            elImage.addEventListener("error", () => reject(new Error(`could not load image ${file.name}`)));
+            elImage.src = reader.result;
+        });
+        reader.readAsDataURL(file);
+    });
+}
+
+/**
+ * Shows how much of the file has been received.
+ *
+ * @function
+ * @private
+ * @returns {void}
+ */
+function showProgress() {
+    const progress = FileTransfer.getProgress(receiver);
+    if (progress.name === null) {
+        elProgress.classList.add("invisible");
+        return;
+    }
+
+    elProgressBar.value = progress.decodedChunks / progress.totalChunks;
+    elProgressText.textContent = browser.i18n.getMessage("decoderProgress", [progress.name, progress.decodedChunks, progress.totalChunks]);
+    elProgress.classList.remove("invisible");
+}
+
+/**
+ * Offers the received file for saving.
+ *
+ * @function
+ * @private
+ * @returns {Promise}
+ */
+async function offerFile() {
+    let file;
+    try {
+        file = await FileTransfer.getFile(receiver);
+    } catch (error) {
+        Logger.logError("received file is invalid:", error);
+        CommonMessages.showError("decoderFileCorrupted", true);
+        return;
+    }
+
+    downloadUrl = URL.createObjectURL(new Blob([file.bytes], {type: file.type || "application/octet-stream"}));
+    elDownload.href = downloadUrl;
+    elDownload.download = file.name;
+    elDownload.classList.remove("invisible");
+
+    CommonMessages.showSuccess("decoderFileReceived", true);
+}
+
+/**
+ * Adds the frames of a file transfer decoded from an image.
+ *
+ * @function
+ * @private
+ * @param {DecodeResult[]} results the QR codes of the image
+ * @param {string} fileName the name of the image, for logging
+ * @returns {int} the number of frames of the transfer received
+ */
+function addFrames(results, fileName) {
+    return results.filter((result) => {
+        try {
+            return FileTransfer.addFrame(receiver, result.text);
+        } catch (error) {
+            Logger.logError("invalid frame in image", fileName, error);
+            return false;
+        }
+    }).length;
+}
+
+/**
+ * Decodes the images and adds the frames they contain.
+ *
+ * @function
+ * @private
+ * @param {FileList|File[]} files
+ * @returns {Promise}
+ */
+async function addImages(files) {
+    CommonMessages.hideError();
+    CommonMessages.hideInfo();
+
+    const wasComplete = FileTransfer.getProgress(receiver).complete;
+    let addedFrames = 0;
+    let ignoredImages = 0;
+
+    for (const file of files) {
+        let results;
+        try {
+            results = QrDecoder.decodeImage(await loadImage(file));
+        } catch (error) {
+            Logger.logError("could not decode image", file.name, error);
+            ignoredImages++;
+            continue;
+        }
+
+        const frameCount = addFrames(results, file.name);
+        addedFrames += frameCount;
+        if (frameCount === 0) {
+            ignoredImages++;
+        }
+    }
+
+    Logger.logInfo("added", addedFrames, "frames from", files.length, "images");
+    showProgress();
+
+    if (ignoredImages > 0) {
+        CommonMessages.showInfo("decoderImagesIgnored", true, ignoredImages);
+    }
+
+    if (!wasComplete && FileTransfer.getProgress(receiver).complete) {
+        await offerFile();
+    }
+}
+
+/**
+ * Discards the received frames.
+ *
+ * @function
+ * @private
+ * @returns {void}
+ */
+function reset() {
+    receiver = FileTransfer.createReceiver();
+
+    if (downloadUrl !== null) {
+        URL.revokeObjectURL(downloadUrl);
+        downloadUrl = null;
+    }
+    elDownload.classList.add("invisible");
+    elImages.value = "";
+
+    CommonMessages.hideError();
+    CommonMessages.hideInfo();
+    CommonMessages.hideSuccess();
+    showProgress();
+}
+
+elImages.addEventListener("change", () => {
+    addImages(Array.from(elImages.files));
+});
+elDropZone.addEventListener("dragover", (event) => {
+    event.preventDefault();
+    elDropZone.classList.add("drag-over");
+});
+elDropZone.addEventListener("dragleave", () => elDropZone.classList.remove("drag-over"));
+elDropZone.addEventListener("drop", (event) => {
+    event.preventDefault();
+    elDropZone.classList.remove("drag-over");
+    addImages(Array.from(event.dataTransfer.files));
+});
+elResetButton.addEventListener("click", reset);
+
+Logger.logInfo("decoder.js finished.");
@@ -100,6 +100,40 @@ function updateQrQuietZoneStatus(optionValue) {
     elQrQuietZoneStatus.textContent = optionValue;
 }
 
+/**
+ * Keeps the minimum QR code version smaller or equal to the maximum version.
+ *
+ * If the user changes one of them beyond the other one, the other one is
+ * adjusted.
+ *
+ * @function
+ * @private
+ * @param  {number} optionValue
+ * @param  {string} option
+ * @returns {void}
+ */
+function applyQrVersionRange(optionValue, option) {
+    const elMinVersion = document.getElementById("qrMinVersion");
+    const elMaxVersion = document.getElementById("qrMaxVersion");
+
+    const minVersion = option === "qrMinVersion" ? optionValue : Number(elMinVersion.value);
+    const maxVersion = option === "qrMaxVersion" ? optionValue : Number(elMaxVersion.value);
+    if (minVersion <= maxVersion) {
+        return;
+    }
+
+    const [optionCompare, elCompare] = option === "qrMinVersion" ? ["qrMaxVersion", elMaxVersion] : ["qrMinVersion", elMinVersion];
+    Logger.logInfo(`adjust ${optionCompare} to ${optionValue}, as the version range is invalid`);
+
+    elCompare.value = optionValue;
+    browser.storage.sync.set({
+        [optionCompare]: optionValue
+    }).catch((error) => {
+        Logger.logError("could not save option", optionCompare, ":", error);
+        CommonMessages.showError("couldNotSaveOption", true);
+    });
+}
+
 /**
  * Apply the colors of the QR code.
  *
@@ -223,6 +257,8 @@ export function registerTrigger() {
     AutomaticSettings.Trigger.registerSave("qrColor", applyQrCodeColors);
     AutomaticSettings.Trigger.registerSave("qrBackgroundColor", applyQrCodeColors);
     AutomaticSettings.Trigger.registerSave("qrQuietZone", updateQrQuietZoneStatus);
+    AutomaticSettings.Trigger.registerSave("qrMinVersion", applyQrVersionRange);
+    AutomaticSettings.Trigger.registerSave("qrMaxVersion", applyQrVersionRange);
 
     AutomaticSettings.Trigger.registerUpdate("qrColor", applyQrCodeColors);
     AutomaticSettings.Trigger.registerUpdate("qrBackgroundColor", applyQrCodeColors);
@@ -0,0 +1,170 @@
+/**
+ * Lets the user choose the images used in the QR codes, e.g. the logo.
+ *
+ * The images are saved in the local storage, so they are not handled by
+ * {@link AutomaticSettings}, but saved by this module directly. Their size and
+ * position are usual settings.
+ *
+ * @module modules/ImageEditor
+ * @requires /common/modules/Logger
+ * @requires /common/modules/ImageStorage
+ * @requires /common/modules/MessageHandler/CommonMessages
+ */
+import * as Logger from "/common/modules/Logger.js";
+import * as ImageStorage from "/common/modules/ImageStorage.js";
+import * as CommonMessages from "/common/modules/MessageHandler/CommonMessages.js";
+
+/**
+ * The elements for choosing an image.
+ *
+ * @typedef {Object} Editor
+ * @property {ImageStorage.IMAGE} image
+ * @property {HTMLInputElement} elFileInput
+ * @property {HTMLImageElement} elPreview
+ * @property {HTMLButtonElement} elRemoveButton
+ */
+
+/**
+ * Shows the image or that there is none.
+ *
+ * @function
+ * @private
+ * @param {Editor} editor
+ * @param {string|null} imageUrl
+ * @returns {void}
+ */
+function showImage(editor, imageUrl) {
+    if (imageUrl === null) {
+        editor.elPreview.removeAttribute("src");
+    } else {
+        editor.elPreview.src = imageUrl;
+    }
+
+    editor.elPreview.classList.toggle("invisible", imageUrl === null);
+    editor.elRemoveButton.disabled = imageUrl === null;
+}
+
+/**
+ * Reads the file as a data URL.
+ *
+ * Only data: URLs are allowed for images by the content security policy.
+ *
+ * @function
+ * @private
+ * @param {File} file
+ * @returns {Promise.<string>}
+ */
+function readFile(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.addEventListener("load", () => resolve(reader.result));
+        reader.addEventListener("error", () => reject(reader.error));
+        reader.readAsDataURL(file);
+    });
+}
+
+/**
+ * Checks whether the image can be displayed.
+ *
+ * @function
+ * @private
+ * @param {string} imageUrl
+ * @returns {Promise}
+ * @throws {Error} if it cannot be loaded
+ */
+function checkImage(imageUrl) {
+    return new Promise((resolve, reject) => {
+        const elImage = new Image();
+        elImage.addEventListener("load", resolve);
+        elImage.addEventListener("error", () => reject(new Error("could not load image")));
+        elImage.src = imageUrl;
+    });
+}
+
+/**
+ * Saves the chosen image file.
+ *
+ * @function
+ * @private
+ * @param {Editor} editor
+ * @returns {Promise}
+ */
+async function fileChosen(editor) {
+    const file = editor.elFileInput.files[0];
+    editor.elFileInput.value = "";
+    if (!file) {
+        return;
+    }
+
+    if (file.size > ImageStorage.MAX_FILE_SIZE) {
+        Logger.logError("image file is too large:", file.size, "bytes");
+        CommonMessages.showError("optionImageTooLarge", true, Math.round(ImageStorage.MAX_FILE_SIZE / 1024));
+        return;
+    }
+
+    try {
+        const imageUrl = await readFile(file);
+        await checkImage(imageUrl);
+        await ImageStorage.set(editor.image, imageUrl);
+
+        Logger.logInfo("saved image", file.name, "as", editor.image);
+        CommonMessages.hideError();
+        showImage(editor, imageUrl);
+    } catch (error) {
+        Logger.logError("could not save image:", error);
+        CommonMessages.showError("optionImageLoadError", true);
+    }
+}
+
+/**
+ * Removes the image.
+ *
+ * @function
+ * @private
+ * @param {Editor} editor
+ * @returns {Promise}
+ */
+async function removeImage(editor) {
+    try {
+        await ImageStorage.remove(editor.image);
+    } catch (error) {
+        Logger.logError("could not remove image:", error);
+        CommonMessages.showError("couldNotSaveOption", true);
+        return;
+    }
+
+    Logger.logInfo("removed image", editor.image);
+    showImage(editor, null);
+}
+
+/**
+ * Initialises the editor of the image.
+ *
+ * @function
+ * @private
+ * @param {ImageStorage.IMAGE} image
+ * @returns {Promise}
+ */
+async function initEditor(image) {
+    const editor = {
+        image: image,
+        elFileInput: document.getElementById(`${image}File`),
+        elPreview: document.getElementById(`${image}Preview`),
+        elRemoveButton: document.getElementById(`${image}Remove`)
+    };
+
+    editor.elFileInput.addEventListener("change", () => fileChosen(editor));
+    editor.elRemoveButton.addEventListener("click", () => removeImage(editor));
+
+    showImage(editor, await ImageStorage.get(image));
+}
+
+/**
+ * Initialises the module.
+ *
+ * @function
+ * @returns {Promise}
+ */
+export function init() {
+    return Promise.all(Object.values(ImageStorage.IMAGE).map(initEditor));
+}
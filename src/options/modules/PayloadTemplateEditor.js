@@ -0,0 +1,193 @@
+/**
+ * Lets the user edit the list of payload templates.
+ *
+ * As the list cannot be represented by a single input element, it is not
+ * handled by {@link AutomaticSettings}, but saved by this module directly.
+ *
+ * @module modules/PayloadTemplateEditor
+ * @requires /common/modules/Logger
+ * @requires /common/modules/AddonSettings
+ * @requires /common/modules/Template
+ * @requires /common/modules/MessageHandler/CommonMessages
+ * @requires ./AutomaticSettings/AutomaticSettings
+ */
+import * as Logger from "/common/modules/Logger.js";
+import * as AddonSettings from "/common/modules/AddonSettings.js";
+import * as Template from "/common/modules/Template.js";
+import * as CommonMessages from "/common/modules/MessageHandler/CommonMessages.js";
+import * as AutomaticSettings from "./AutomaticSettings/AutomaticSettings.js";
+
+const OPTION = "payloadTemplates";
+
+const elTemplateList = document.getElementById("payloadTemplateList");
+const elTemplateRow = document.getElementById("payloadTemplateRow");
+const elAddButton = document.getElementById("addPayloadTemplate");
+
+/**
+ * Marks the template input as invalid, if the template has problems.
+ *
+ * @function
+ * @private
+ * @param {HTMLInputElement} elTemplate
+ * @returns {void}
+ */
+function validateTemplate(elTemplate) {
+    const problems = elTemplate.value ? Template.validate(elTemplate.value) : [];
+
+    if (problems.length === 0) {
+        elTemplate.setCustomValidity("");
+        elTemplate.removeAttribute("title");
+        return;
+    }
+
+    const message = browser.i18n.getMessage(problems[0]);
+    elTemplate.setCustomValidity(message);
+    elTemplate.setAttribute("title", message);
+}
+
+/**
+ * Adds a row for editing the template to the list.
+ *
+ * @function
+ * @private
+ * @param {Object} template
+ * @returns {HTMLElement} the row
+ */
+function addRow(template) {
+    // the hidden prototype row has already been localised
+    const elRow = elTemplateRow.cloneNode(true);
+    elRow.removeAttribute("id");
+    elRow.classList.remove("invisible");
+
+    elRow.querySelector(".payload-template-name").value = template.name;
+    elRow.querySelector(".payload-template-text").value = template.template;
+    elRow.querySelector(".payload-template-default").checked = template.isDefault === true;
+
+    validateTemplate(elRow.querySelector(".payload-template-text"));
+    elTemplateList.appendChild(elRow);
+
+    return elRow;
+}
+
+/**
+ * Reads all templates from the list.
+ *
+ * Rows without a template are omitted.
+ *
+ * @function
+ * @private
+ * @returns {Object[]}
+ */
+function getTemplates() {
+    const templates = [];
+
+    for (const elRow of elTemplateList.children) {
+        const template = elRow.querySelector(".payload-template-text").value;
+        if (!template.trim()) {
+            continue;
+        }
+
+        templates.push({
+            name: elRow.querySelector(".payload-template-name").value.trim() || template,
+            template: template,
+            isDefault: elRow.querySelector(".payload-template-default").checked
+        });
+    }
+
+    return templates;
+}
+
+/**
+ * Saves the templates.
+ *
+ * @function
+ * @private
+ * @returns {Promise}
+ */
+function saveTemplates() {
+    const templates = getTemplates();
+    Logger.logInfo("save payload templates", templates);
+
+    return browser.storage.sync.set({
+        [OPTION]: templates
+    }).catch((error) => {
+        Logger.logError("could not save option", OPTION, ":", error);
+        CommonMessages.showError("couldNotSaveOption", true);
+    });
+}
+
+/**
+ * Triggers when the user changed a template.
+ *
+ * @function
+ * @private
+ * @param {Event} event
+ * @returns {void}
+ */
+function templateChanged(event) {
+    const elTarget = event.target;
+
+    // only one template can be the default one
+    if (elTarget.classList.contains("payload-template-default") && elTarget.checked) {
+        for (const elDefault of elTemplateList.querySelectorAll(".payload-template-default")) {
+            elDefault.checked = elDefault === elTarget;
+        }
+    }
+
+    saveTemplates();
+}
+
+/**
+ * Triggers when a button in the list has been clicked.
+ *
+ * @function
+ * @private
+ * @param {Event} event
+ * @returns {void}
+ */
+function listClicked(event) {
+    if (!event.target.classList.contains("payload-template-remove")) {
+        return;
+    }
+
+    event.target.closest(".payload-template").remove();
+    saveTemplates();
+}
+
+/**
+ * (Re)loads the templates into the list.
+ *
+ * @function
+ * @returns {Promise}
+ */
+export function loadTemplates() {
+    return browser.storage.sync.get(OPTION).then((options) => {
+        const templates = options.hasOwnProperty(OPTION) ? options[OPTION] : AddonSettings.getDefaultValue(OPTION);
+
+        elTemplateList.textContent = "";
+        templates.forEach(addRow);
+    });
+}
+
+/**
+ * Initialises the module.
+ *
+ * @function
+ * @returns {void}
+ */
+export function init() {
+    elAddButton.addEventListener("click", () => {
+        addRow({name: "", template: "", isDefault: false}).querySelector(".payload-template-name").focus();
+    });
+
+    elTemplateList.addEventListener("input", (event) => {
+        if (event.target.classList.contains("payload-template-text")) {
+            validateTemplate(event.target);
+        }
+    });
+    elTemplateList.addEventListener("change", templateChanged);
+    elTemplateList.addEventListener("click", listClicked);
+
+    // also reload them when the options are reset
+    AutomaticSettings.Trigger.registerAfterLoad(loadTemplates);
+}
@@ -0,0 +1,90 @@
+/**
+ * Shows a preview of the QR code style while it is changed in the options.
+ *
+ * @module modules/StylePreview
+ * @requires /common/modules/QrCodeStyle
+ * @requires ./AutomaticSettings/AutomaticSettings
+ */
+/* globals qrcodegen */
+
+import * as QrCodeStyle from "/common/modules/QrCodeStyle.js";
+import * as AutomaticSettings from "./AutomaticSettings/AutomaticSettings.js";
+
+const PREVIEW_TEXT = "https://example.com";
+const PREVIEW_QUIET_ZONE = 1; // modules
+
+// the options, which change the preview, their IDs are the same as the ones of their inputs
+const STYLE_OPTIONS = Object.freeze([
+    "qrColor",
+    "qrBackgroundColor",
+    "qrModuleStyle",
+    "qrFinderStyle",
+    "qrFinderInnerStyle",
+    "qrFinderCustomColors",
+    "qrFinderColor",
+    "qrFinderInnerColor",
+    "qrGradient",
+    "qrGradientColor"
+]);
+
+const elPreview = document.getElementById("qrStylePreview");
+
+let previewQrCode = null;
+
+/**
+ * Returns the style options, as they are currently entered.
+ *
+ * @function
+ * @private
+ * @returns {Object}
+ */
+function getEnteredSettings() {
+    const settings = {};
+
+    for (const option of STYLE_OPTIONS) {
+        const elOption = document.getElementById(option);
+        settings[option] = elOption.type === "checkbox" ? elOption.checked : elOption.value;
+    }
+
+    return settings;
+}
+
+/**
+ * Renders the preview with the entered style.
+ *
+ * @function
+ * @private
+ * @returns {void}
+ */
+function updatePreview() {
+    const settings = getEnteredSettings();
+
+    document.getElementById("qrFinderColor").disabled = !settings.qrFinderCustomColors;
+    document.getElementById("qrFinderInnerColor").disabled = !settings.qrFinderCustomColors;
+    document.getElementById("qrGradientColor").disabled = settings.qrGradient === QrCodeStyle.GRADIENT.NONE;
+
+    const svgString = QrCodeStyle.getSvgString(previewQrCode, PREVIEW_QUIET_ZONE, settings.qrColor, QrCodeStyle.fromSettings(settings));
+    const elSvg = (new DOMParser()).parseFromString(svgString, "image/svg+xml").documentElement;
+
+    elPreview.textContent = "";
+    elPreview.appendChild(elSvg);
+    // the SVG has a transparent background
+    elPreview.style.backgroundColor = settings.qrBackgroundColor;
+}
+
+/**
+ * Initialises the module.
+ *
+ * @function
+ * @returns {void}
+ */
+export function init() {
+    previewQrCode = qrcodegen.QrCode.encodeText(PREVIEW_TEXT, qrcodegen.QrCode.Ecc.MEDIUM);
+
+    for (const option of STYLE_OPTIONS) {
+        document.getElementById(option).addEventListener("input", updatePreview);
+    }
+
+    // also update it when the options are loaded or reset
+    AutomaticSettings.Trigger.registerAfterLoad(updatePreview);
+}
@@ -12,10 +12,16 @@ import * as RandomTips from "/common/modules/RandomTips.js";
 import * as AddonSettings from "/common/modules/AddonSettings.js";
 
 import * as CustomOptionTriggers from "./modules/CustomOptionTriggers.js";
+import * as PayloadTemplateEditor from "./modules/PayloadTemplateEditor.js";
+import * as ImageEditor from "./modules/ImageEditor.js";
+import * as StylePreview from "./modules/StylePreview.js";
 import * as AutomaticSettings from "./modules/AutomaticSettings/AutomaticSettings.js";
 
 // init module
 CustomOptionTriggers.registerTrigger();
+PayloadTemplateEditor.init();
+StylePreview.init();
+ImageEditor.init().catch((error) => Logger.logError("could not load images:", error));
 AutomaticSettings.setDefaultOptionProvider(AddonSettings.getDefaultValue);
 AutomaticSettings.init();
 RandomTips.init(tips).then(() => {
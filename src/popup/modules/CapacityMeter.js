@@ -0,0 +1,264 @@
+/**
+ * Shows how much of the capacity of the QR code the text uses and offers ways
+ * to make texts fit, which are too long for a QR code.
+ *
+ * @module modules/CapacityMeter
+ * @requires /common/modules/Logger
+ * @requires /common/modules/MessageHandler/CommonMessages
+ * @requires ./QrLib/Capacity
+ * @requires ./QrLib/Segmenter
+ * @requires ./QrLib/StructuredAppend
+ * @requires ./QrCreator
+ * @requires ./PayloadEditor
+ * @requires ./UrlCleaner
+ */
+import * as Logger from "/common/modules/Logger.js";
+import * as CommonMessages from "/common/modules/MessageHandler/CommonMessages.js";
+
+import * as Capacity from "./QrLib/Capacity.js";
+import * as Segmenter from "./QrLib/Segmenter.js";
+import * as StructuredAppend from "./QrLib/StructuredAppend.js";
+import * as QrCreator from "./QrCreator.js";
+import * as PayloadEditor from "./PayloadEditor.js";
+import * as UrlCleaner from "./UrlCleaner.js";
+
+const elQrCodeText = document.getElementById("qrcodetext");
+const elCapacityMeter = document.getElementById("capacityMeter");
+const elCapacityBar = document.getElementById("capacityMeterBar");
+const elCapacityText = elCapacityMeter.querySelector(".capacity-meter-text");
+const elLowerErrorCorrectionButton = document.getElementById("capacityLowerErrorCorrection");
+const elRemoveTrackingButton = document.getElementById("capacityRemoveTracking");
+const elSplitButton = document.getElementById("capacitySplit");
+
+// from the highest to the lowest level
+const ERROR_CORRECTION_LEVELS = Object.freeze(["H", "Q", "M", "L"]);
+
+// the translations of the names of the encoding modes
+const MODE_MESSAGES = Object.freeze({
+    "NUMERIC": "capacityModeNumeric",
+    "ALPHANUMERIC": "capacityModeAlphanumeric",
+    "BYTE": "capacityModeByte",
+    "KANJI": "capacityModeKanji"
+});
+
+// the built-in rules are enough to remove tracking on request
+const TRACKING_REMOVAL_OPTIONS = Object.freeze({
+    rules: [],
+    allowlist: []
+});
+
+let lowerErrorCorrection = null;
+let cleanedText = null;
+let canSplit = false;
+
+/**
+ * Returns the highest error correction level lower than the given one, at
+ * which the text fits.
+ *
+ * @function
+ * @private
+ * @param {string} text
+ * @param {string} errorCorrection the current level, e.g. "Q"
+ * @param {Object} measureOptions the options passed to {@link Capacity.measure}
+ * @returns {string|null} null, if it does not fit at any lower level
+ */
+function getFittingErrorCorrection(text, errorCorrection, measureOptions) {
+    const lowerLevels = ERROR_CORRECTION_LEVELS.slice(ERROR_CORRECTION_LEVELS.indexOf(errorCorrection) + 1);
+
+    return lowerLevels.find((level) => Capacity.measure(text, level, measureOptions).fits) || null;
+}
+
+/**
+ * Lowers the error correction level, so the text fits.
+ *
+ * @function
+ * @private
+ * @returns {void}
+ */
+function useLowerErrorCorrection() {
+    if (lowerErrorCorrection === null) {
+        return;
+    }
+
+    Logger.logInfo("lower error correction level to", lowerErrorCorrection, "to fit the text");
+    CommonMessages.hideError();
+    QrCreator.setErrorCorrection(lowerErrorCorrection);
+    QrCreator.generate();
+}
+
+/**
+ * Removes tracking parameters and redirectors from the URL.
+ *
+ * @function
+ * @private
+ * @returns {void}
+ */
+function removeTracking() {
+    if (cleanedText === null) {
+        return;
+    }
+
+    Logger.logInfo("remove tracking from URL to fit the text");
+    CommonMessages.hideError();
+    QrCreator.setText(cleanedText, false);
+    QrCreator.generate();
+}
+
+/**
+ * Splits the text into a set of QR codes.
+ *
+ * @function
+ * @private
+ * @returns {void}
+ */
+function splitText() {
+    if (!canSplit) {
+        return;
+    }
+
+    Logger.logInfo("split text into a set of QR codes");
+    CommonMessages.hideError();
+    QrCreator.enableSplitting();
+    QrCreator.generate();
+}
+
+/**
+ * Shows or hides the button.
+ *
+ * @function
+ * @private
+ * @param {HTMLButtonElement} elButton
+ * @param {boolean} isShown
+ * @returns {void}
+ */
+function toggleButton(elButton, isShown) {
+    elButton.classList.toggle("invisible", !isShown);
+}
+
+/**
+ * Shows the error message for texts, which are too long, with the most
+ * effective action.
+ *
+ * @function
+ * @private
+ * @param {int} excessBytes
+ * @returns {void}
+ */
+function showTooLongError(excessBytes) {
+    if (lowerErrorCorrection !== null) {
+        CommonMessages.showError("errorDataTooLong", false, {
+            text: browser.i18n.getMessage("capacityLowerErrorCorrection", lowerErrorCorrection),
+            action: useLowerErrorCorrection
+        }, excessBytes);
+    } else if (cleanedText !== null) {
+        CommonMessages.showError("errorDataTooLong", false, {
+            text: "capacityRemoveTracking",
+            action: removeTracking
+        }, excessBytes);
+    } else if (canSplit) {
+        CommonMessages.showError("errorDataTooLong", false, {
+            text: "capacitySplit",
+            action: splitText
+        }, excessBytes);
+    } else {
+        CommonMessages.showError("errorDataTooLong", false, excessBytes);
+    }
+}
+
+/**
+ * Updates the meter for the text and returns, whether the text can be shown
+ * in a QR code or a set of them.
+ *
+ * @function
+ * @param {string} text
+ * @param {string} errorCorrection the level, e.g. "Q"
+ * @param {Object} measureOptions the options passed to {@link Capacity.measure}
+ * @param {int} measureOptions.maxVersion
+ * @param {string[]|null} parts the texts of the QR codes, if the text is split
+ * into a set of them
+ * @returns {boolean}
+ */
+export function update(text, errorCorrection, measureOptions, parts) {
+    lowerErrorCorrection = null;
+    cleanedText = null;
+    canSplit = false;
+
+    if (parts !== null) {
+        elCapacityText.textContent = browser.i18n.getMessage("capacitySplitInfo", parts.length);
+        elCapacityBar.value = 1;
+        elCapacityMeter.classList.remove("capacity-exceeded");
+        elCapacityMeter.classList.remove("invisible");
+        toggleButton(elLowerErrorCorrectionButton, false);
+        toggleButton(elRemoveTrackingButton, false);
+        toggleButton(elSplitButton, false);
+
+        return true;
+    }
+
+    const measurement = Capacity.measure(text, errorCorrection, measureOptions);
+    const maxCapacity = Capacity.getDataCapacity(measureOptions.maxVersion, errorCorrection);
+
+    const textParts = [
+        browser.i18n.getMessage("symbolInfoVersion", [measurement.version, Segmenter.getSymbolSize(measurement.version)]),
+        measurement.modes.map((mode) => browser.i18n.getMessage(MODE_MESSAGES[mode])).join(", ")
+    ];
+    if (measurement.fits) {
+        textParts.push(browser.i18n.getMessage("capacityBytes", [
+            measurement.usedBytes,
+            measurement.capacityBytes,
+            maxCapacity - measurement.usedBytes
+        ]));
+    } else {
+        textParts.push(browser.i18n.getMessage("capacityTooLong", measurement.usedBytes - maxCapacity));
+    }
+
+    elCapacityText.textContent = textParts.filter((part) => part !== "").join(" · ");
+    elCapacityBar.value = Math.min(measurement.usedBytes / maxCapacity, 1);
+    elCapacityMeter.classList.toggle("capacity-exceeded", !measurement.fits);
+    elCapacityMeter.classList.remove("invisible");
+
+    if (!measurement.fits) {
+        // levels required by the payload format must not be changed
+        if (PayloadEditor.getRequiredErrorCorrection(text) === null) {
+            lowerErrorCorrection = getFittingErrorCorrection(text, errorCorrection, measureOptions);
+        }
+
+        const cleaning = UrlCleaner.clean(text, TRACKING_REMOVAL_OPTIONS);
+        if (cleaning.url !== text) {
+            cleanedText = cleaning.url;
+        }
+
+        canSplit = StructuredAppend.split(text, errorCorrection, measureOptions) !== null;
+
+        Logger.logWarning("text is too long for a QR code:", measurement.usedBytes, "of", maxCapacity, "bytes");
+        showTooLongError(measurement.usedBytes - maxCapacity);
+    }
+
+    if (lowerErrorCorrection !== null) {
+        elLowerErrorCorrectionButton.textContent = browser.i18n.getMessage("capacityLowerErrorCorrection", lowerErrorCorrection);
+    }
+    toggleButton(elLowerErrorCorrectionButton, lowerErrorCorrection !== null);
+    toggleButton(elRemoveTrackingButton, cleanedText !== null);
+    toggleButton(elSplitButton, canSplit);
+
+    return measurement.fits;
+}
+
+/**
+ * Initialises the module.
+ *
+ * @function
+ * @returns {void}
+ */
+export function init() {
+    elLowerErrorCorrectionButton.addEventListener("click", useLowerErrorCorrection);
+    elRemoveTrackingButton.addEventListener("click", removeTracking);
+    elSplitButton.addEventListener("click", splitText);
+
+    // no QR code is generated for empty texts, so the meter is not updated
+    elQrCodeText.addEventListener("input", () => {
+        if (elQrCodeText.value === "") {
+            elCapacityMeter.classList.add("invisible");
+        }
+    });
+}
@@ -0,0 +1,151 @@
+/**
+ * Shows how much smaller the QR code got through the optimal segmentation and
+ * offers to uppercase URLs, so they need even less space. If enabled, it also
+ * shows the parameters of the generated QR code symbol.
+ *
+ * @module modules/EncodingInfo
+ * @requires /common/modules/Logger
+ * @requires ./QrLib/Segmenter
+ * @requires ./QrCreator
+ */
+import * as Logger from "/common/modules/Logger.js";
+
+import * as Segmenter from "./QrLib/Segmenter.js";
+import * as QrCreator from "./QrCreator.js";
+
+const elEncodingInfo = document.getElementById("encodingInfo");
+const elSegmentationInfo = document.getElementById("segmentationInfo");
+const elSegmentationInfoText = elSegmentationInfo.querySelector(".encoding-info-text");
+const elUppercaseButton = document.getElementById("encodingUppercase");
+const elSymbolInfo = document.getElementById("symbolInfo");
+
+let uppercasedText = null;
+
+/**
+ * Returns the number of modules, by which the side of the QR code shrinks.
+ *
+ * @function
+ * @private
+ * @param {int} oldVersion
+ * @param {int} newVersion
+ * @returns {int}
+ */
+function getSavedModules(oldVersion, newVersion) {
+    return Segmenter.getSymbolSize(oldVersion) - Segmenter.getSymbolSize(newVersion);
+}
+
+/**
+ * Shows the container, if any information is shown.
+ *
+ * @function
+ * @private
+ * @returns {void}
+ */
+function updateVisibility() {
+    const isEmpty = elSegmentationInfo.classList.contains("invisible") && elSymbolInfo.classList.contains("invisible");
+    elEncodingInfo.classList.toggle("invisible", isEmpty);
+}
+
+/**
+ * Hides the information about the segmentation.
+ *
+ * @function
+ * @private
+ * @returns {void}
+ */
+function hideSegmentation() {
+    uppercasedText = null;
+    elSegmentationInfo.classList.add("invisible");
+    updateVisibility();
+}
+
+/**
+ * Updates the information about the segmentation of the text of the QR code.
+ *
+ * @function
+ * @param {string} text
+ * @param {string} errorCorrection the level, e.g. "Q"
+ * @returns {void}
+ */
+export function updateSegmentation(text, errorCorrection) {
+    const comparison = Segmenter.compareEncodings(text, Segmenter.ERROR_CORRECTION[errorCorrection]);
+    const isSmaller = comparison.version !== null &&
+        (comparison.singleModeVersion === null || comparison.version < comparison.singleModeVersion);
+
+    if (!isSmaller && comparison.uppercasedText === null) {
+        hideSegmentation();
+        return;
+    }
+
+    Logger.logInfo("encoding comparison:", comparison.version, comparison.singleModeVersion, comparison.uppercasedVersion);
+
+    if (isSmaller && comparison.singleModeVersion !== null) {
+        elSegmentationInfoText.textContent = browser.i18n.getMessage("encodingOptimized", [
+            comparison.version,
+            comparison.singleModeVersion,
+            getSavedModules(comparison.singleModeVersion, comparison.version)
+        ]);
+    } else if (isSmaller) {
+        // the text only fits at all due to the optimal segmentation
+        elSegmentationInfoText.textContent = browser.i18n.getMessage("encodingOptimizedOnlyFits", comparison.version);
+    } else {
+        elSegmentationInfoText.textContent = "";
+    }
+
+    uppercasedText = comparison.uppercasedText;
+    if (uppercasedText === null) {
+        elUppercaseButton.classList.add("invisible");
+    } else {
+        elUppercaseButton.textContent = browser.i18n.getMessage("encodingUppercaseButton", [
+            comparison.uppercasedVersion,
+            getSavedModules(comparison.version, comparison.uppercasedVersion)
+        ]);
+        elUppercaseButton.classList.remove("invisible");
+    }
+
+    elSegmentationInfo.classList.remove("invisible");
+    updateVisibility();
+}
+
+/**
+ * Shows the parameters of the generated QR code symbol.
+ *
+ * @function
+ * @param {QrLib/Encoder~SymbolInfo|null} symbolInfo
+ * @returns {void}
+ */
+export function updateSymbolInfo(symbolInfo) {
+    if (symbolInfo === null) {
+        elSymbolInfo.classList.add("invisible");
+        updateVisibility();
+        return;
+    }
+
+    const parts = [
+        browser.i18n.getMessage("symbolInfoVersion", [symbolInfo.version, Segmenter.getSymbolSize(symbolInfo.version)]),
+        browser.i18n.getMessage("symbolInfoErrorCorrection", symbolInfo.errorCorrection),
+        browser.i18n.getMessage("symbolInfoMask", [symbolInfo.mask, symbolInfo.penaltyScore])
+    ];
+
+    elSymbolInfo.textContent = parts.join(", ");
+    elSymbolInfo.classList.remove("invisible");
+    updateVisibility();
+}
+
+/**
+ * Initialises the module.
+ *
+ * @function
+ * @returns {void}
+ */
+export function init() {
+    elUppercaseButton.addEventListener("click", () => {
+        if (uppercasedText === null) {
+            return;
+        }
+
+        Logger.logInfo("uppercase scheme and host of URL");
+        QrCreator.setText(uppercasedText);
+        QrCreator.generate();
+    });
+}
@@ -0,0 +1,242 @@
+/**
+ * Transfers a file by showing a looping animation of QR codes ("frames"),
+ * which can be received with the decoder page.
+ *
+ * @module modules/FileCarousel
+ * @requires /common/modules/Logger
+ * @requires /common/modules/MessageHandler/CommonMessages
+ * @requires /common/modules/FileTransfer
+ * @requires ./QrCreator
+ * @requires ./UserInterface
+ * @requires ./SymbolSet
+ */
+import * as Logger from "/common/modules/Logger.js";
+import * as CommonMessages from "/common/modules/MessageHandler/CommonMessages.js";
+import * as FileTransfer from "/common/modules/FileTransfer/FileTransfer.js";
+
+import * as QrCreator from "./QrCreator.js";
+import * as UserInterface from "./UserInterface.js";
+import * as SymbolSet from "./SymbolSet.js";
+
+// the popup closes, when the file picker is opened, so it is used in a tab
+const TAB_HASH = "#file";
+const DECODER_PAGE = "/decoder/decoder.html";
+
+const MAX_FRAME_RATE = 30;
+
+const elQrCodeText = document.getElementById("qrcodetext");
+const elFileTransfer = document.getElementById("fileTransfer");
+const elFileInput = document.getElementById("fileTransferFile");
+const elFrameRate = document.getElementById("fileTransferFrameRate");
+const elChunkSize = document.getElementById("fileTransferChunkSize");
+const elFountain = document.getElementById("fileTransferFountain");
+const elControls = document.getElementById("fileTransferControls");
+const elStatus = document.getElementById("fileTransferStatus");
+const elPauseButton = document.getElementById("fileTransferPause");
+const elStopButton = document.getElementById("fileTransferStop");
+const elOpenTabButton = document.getElementById("fileTransferOpenTab");
+const elDecoderButton = document.getElementById("fileTransferDecoder");
+
+let transfer = null;
+let frameNumber = 0;
+let timer = null;
+
+/**
+ * Reads the content of a file.
+ *
+ * @function
+ * @private
+ * @param {File} file
+ * @returns {Promise.<Uint8Array>}
+ */
+function readFile(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.addEventListener("load", () => resolve(new Uint8Array(reader.result)));
+        reader.addEventListener("error", () => reject(reader.error));
+        reader.readAsArrayBuffer(file);
+    });
+}
+
+/**
+ * Shows the number of the current frame.
+ *
+ * @function
+ * @private
+ * @returns {void}
+ */
+function updateStatus() {
+    const frameCount = FileTransfer.getFrameCount(transfer);
+
+    if (transfer.fountain) {
+        elStatus.textContent = browser.i18n.getMessage("fileTransferStatusFountain", [transfer.file.name, frameNumber + 1, frameCount]);
+    } else {
+        elStatus.textContent = browser.i18n.getMessage("fileTransferStatus", [transfer.file.name, frameNumber % frameCount + 1, frameCount]);
+    }
+}
+
+/**
+ * Shows the next frame.
+ *
+ * @function
+ * @private
+ * @returns {void}
+ */
+function showNextFrame() {
+    let elQrCode;
+    try {
+        elQrCode = QrCreator.getQrCodeForText(FileTransfer.getFrame(transfer, frameNumber));
+    } catch (error) {
+        Logger.logError("could not generate frame", frameNumber, error);
+        stop();
+        CommonMessages.showError("fileTransferFrameTooLarge", true);
+        return;
+    }
+
+    UserInterface.replaceQr(elQrCode);
+    updateStatus();
+    frameNumber++;
+}
+
+/**
+ * Starts or resumes the animation.
+ *
+ * @function
+ * @private
+ * @returns {void}
+ */
+function play() {
+    const frameRate = Math.min(Math.max(Number(elFrameRate.value) || 1, 1), MAX_FRAME_RATE);
+
+    showNextFrame();
+    timer = setInterval(showNextFrame, 1000 / frameRate);
+    elPauseButton.textContent = browser.i18n.getMessage("fileTransferPause");
+}
+
+/**
+ * Pauses the animation.
+ *
+ * @function
+ * @private
+ * @returns {void}
+ */
+function pause() {
+    clearInterval(timer);
+    timer = null;
+    elPauseButton.textContent = browser.i18n.getMessage("fileTransferResume");
+}
+
+/**
+ * Starts the transfer of the file.
+ *
+ * @function
+ * @private
+ * @param {File} file
+ * @returns {Promise}
+ */
+async function start(file) {
+    stop();
+
+    let newTransfer;
+    try {
+        newTransfer = await FileTransfer.createTransfer({
+            name: file.name,
+            type: file.type,
+            bytes: await readFile(file)
+        }, {
+            chunkSize: Number(elChunkSize.value),
+            fountain: elFountain.checked
+        });
+    } catch (error) {
+        Logger.logError("could not prepare transfer of file", file.name, error);
+        CommonMessages.showError("fileTransferInvalidFile", true);
+        return;
+    }
+
+    Logger.logInfo("transfer file", file.name, "in", FileTransfer.getFrameCount(newTransfer), "frames");
+    CommonMessages.hideError();
+    SymbolSet.hide();
+
+    transfer = newTransfer;
+    frameNumber = 0;
+    elControls.classList.remove("invisible");
+    play();
+}
+
+/**
+ * Stops the transfer and shows the QR code of the text again.
+ *
+ * @function
+ * @returns {void}
+ */
+export function stop() {
+    if (transfer === null) {
+        return;
+    }
+
+    pause();
+    transfer = null;
+    elControls.classList.add("invisible");
+    elFileInput.value = "";
+
+    UserInterface.setQrInputFieldValue(elQrCodeText.value);
+}
+
+/**
+ * Returns whether the popup is opened in a tab for transferring files.
+ *
+ * @function
+ * @returns {boolean}
+ */
+export function isTabMode() {
+    return window.location.hash === TAB_HASH;
+}
+
+/**
+ * Initialises the module.
+ *
+ * @function
+ * @returns {void}
+ */
+export function init() {
+    elFrameRate.max = MAX_FRAME_RATE;
+    elChunkSize.min = FileTransfer.CHUNK_SIZE_LIMITS.min;
+    elChunkSize.max = FileTransfer.CHUNK_SIZE_LIMITS.max;
+
+    if (isTabMode()) {
+        elFileTransfer.open = true;
+        elOpenTabButton.classList.add("invisible");
+    }
+
+    elFileInput.addEventListener("change", () => {
+        if (elFileInput.files.length > 0) {
+            start(elFileInput.files[0]);
+        }
+    });
+    elFileTransfer.addEventListener("dragover", (event) => event.preventDefault());
+    elFileTransfer.addEventListener("drop", (event) => {
+        event.preventDefault();
+        if (event.dataTransfer.files.length > 0) {
+            start(event.dataTransfer.files[0]);
+        }
+    });
+
+    elPauseButton.addEventListener("click", () => {
+        if (timer === null) {
+            play();
+        } else {
+            pause();
+        }
+    });
+    elStopButton.addEventListener("click", stop);
+    // editing the text shows its QR code again
+    elQrCodeText.addEventListener("input", stop);
+
+    elOpenTabButton.addEventListener("click", () => {
+        browser.tabs.create({url: browser.runtime.getURL(`/popup/qrcode.html${TAB_HASH}`)});
+        window.close();
+    });
+    elDecoderButton.addEventListener("click", () => {
+        browser.tabs.create({url: browser.runtime.getURL(DECODER_PAGE)});
+    });
+}
@@ -0,0 +1,239 @@
+/**
+ * Decodes the QR codes in images and shows their text, so it can be copied or
+ * encoded again.
+ *
+ * Images can be passed from the context menu, pasted into the text field or
+ * dropped onto the QR code. Images from the context menu are read from the
+ * page, so they are not loaded again from their server.
+ *
+ * @module modules/ImageDecoder
+ * @requires /common/modules/Logger
+ * @requires /common/modules/MessageHandler/CommonMessages
+ * @requires /common/modules/QrDecoder
+ * @requires ./QrCreator
+ * @requires ./PageScan
+ * @requires ./internal/ImageDecoding
+ * @requires ./InitQrCode
+ */
+import * as Logger from "/common/modules/Logger.js";
+import * as CommonMessages from "/common/modules/MessageHandler/CommonMessages.js";
+import * as QrDecoder from "/common/modules/QrDecoder/QrDecoder.js";
+
+import * as QrCreator from "./QrCreator.js";
+import * as PageScan from "./PageScan.js";
+import * as ImageDecoding from "./internal/ImageDecoding.js";
+import { initCompleted } from "./InitQrCode.js";
+
+const elQrCodeText = document.getElementById("qrcodetext");
+const elQrCodeContainer = document.getElementById("qrcode-container");
+const elChooser = document.getElementById("decodeChooser");
+const elChooserList = document.getElementById("decodeChooserList");
+
+/**
+ * Loads the image read from the page.
+ *
+ * @function
+ * @private
+ * @param {Object|null} image with the data: URL as imageUrl or the ScanArea
+ * of the tab as area
+ * @returns {Promise.<HTMLImageElement|HTMLCanvasElement>}
+ */
+function loadPageImage(image) {
+    if (image === null) {
+        return Promise.reject(new Error("image could not be read from the page"));
+    }
+
+    // images from other origins are captured from the tab
+    if (image.area) {
+        return PageScan.captureArea(image.area);
+    }
+
+    // only data: URLs are allowed for images by the content security policy
+    return new Promise((resolve, reject) => {
+        const elImage = new Image();
+        elImage.addEventListener("load", () => resolve(elImage));
+        elImage.addEventListener("error", () => reject(new Error("could not load image")));
+        elImage.src = image.imageUrl;
+    });
+}
+
+/**
+ * Shows the text of a decoded QR code.
+ *
+ * @function
+ * @private
+ * @param {string} text
+ * @returns {Promise}
+ */
+async function showText(text) {
+    await QrCreator.qrCreatorInit;
+
+    // show exactly what the QR code contains, i.e. do not clean URLs
+    QrCreator.setText(text, false);
+
+    // otherwise the initialisation generates it
+    if (initCompleted) {
+        QrCreator.generate();
+    }
+}
+
+/**
+ * Hides the choice between several decoded QR codes.
+ *
+ * @function
+ * @private
+ * @returns {void}
+ */
+function hideChooser() {
+    elChooser.classList.add("invisible");
+    while (elChooserList.firstChild) {
+        elChooserList.firstChild.remove();
+    }
+}
+
+/**
+ * Creates a button for choosing the text of a decoded QR code.
+ *
+ * @function
+ * @private
+ * @param {string} text
+ * @returns {HTMLButtonElement}
+ */
+function createChoice(text) {
+    const elButton = document.createElement("button");
+    elButton.classList.add("micro-button", "info");
+    elButton.textContent = text;
+    elButton.title = text;
+
+    elButton.addEventListener("click", () => {
+        hideChooser();
+        CommonMessages.hideError();
+        showText(text);
+    });
+
+    return elButton;
+}
+
+/**
+ * Lets the user choose which of the decoded QR codes to show.
+ *
+ * @function
+ * @private
+ * @param {DecodeResult[]} results
+ * @returns {void}
+ */
+function showChooser(results) {
+    hideChooser();
+    results.forEach((result) => elChooserList.appendChild(createChoice(result.text)));
+    elChooser.classList.remove("invisible");
+}
+
+/**
+ * Shows the text of the decoded QR codes.
+ *
+ * @function
+ * @private
+ * @param {DecodeResult[]} results
+ * @returns {Promise.<boolean>} whether a text is shown, i.e. not if the user
+ * has to choose one first
+ */
+async function showResults(results) {
+    hideChooser();
+
+    switch (ImageDecoding.getResultType(results)) {
+    case ImageDecoding.RESULT_TYPE.NONE:
+        CommonMessages.showError("decodeNoQrCode", true);
+        return false;
+    case ImageDecoding.RESULT_TYPE.CHOICE:
+        Logger.logInfo("decoded", results.length, "QR codes, letting the user choose one");
+        showChooser(results);
+        CommonMessages.showError("decodeSeveralQrCodes", true, results.length);
+        return false;
+    }
+
+    await showText(results[0].text);
+    return true;
+}
+
+/**
+ * Decodes the QR codes in the image read from the page and shows the text.
+ *
+ * @function
+ * @param {Object|null} image as read by the context menu of the background
+ * script, null if it could not be read
+ * @returns {Promise.<boolean>} whether the text of a QR code is shown
+ */
+export async function decodePageImage(image) {
+    let elImage;
+    try {
+        elImage = await loadPageImage(image);
+    } catch (error) {
+        Logger.logError("could not load image from page:", error);
+        CommonMessages.showError("decodeImageLoadError", true);
+        return false;
+    }
+
+    return showResults(QrDecoder.decodeImage(elImage));
+}
+
+/**
+ * Decodes the QR codes in the image file and shows the text.
+ *
+ * @function
+ * @param {File|Blob} file
+ * @returns {Promise}
+ */
+export async function decodeFile(file) {
+    let image;
+    try {
+        image = await createImageBitmap(file);
+    } catch (error) {
+        Logger.logError("could not load image file", file.name, error);
+        CommonMessages.showError("decodeImageLoadError", true);
+        return;
+    }
+
+    await showResults(QrDecoder.decodeImage(image));
+}
+
+/**
+ * Accepts images pasted into the text field or dropped onto the QR code.
+ *
+ * @function
+ * @returns {void}
+ */
+export function init() {
+    elQrCodeText.addEventListener("paste", (event) => {
+        const file = ImageDecoding.getImageFile(event.clipboardData);
+        // pasting text works as usual
+        if (file === null) {
+            return;
+        }
+
+        event.preventDefault();
+        decodeFile(file);
+    });
+    elQrCodeText.addEventListener("input", hideChooser);
+
+    elQrCodeContainer.addEventListener("dragover", (event) => {
+        if (!event.dataTransfer.types.includes("Files")) {
+            return;
+        }
+
+        event.preventDefault();
+        elQrCodeContainer.classList.add("drag-over");
+    });
+    elQrCodeContainer.addEventListener("dragleave", () => elQrCodeContainer.classList.remove("drag-over"));
+    elQrCodeContainer.addEventListener("drop", (event) => {
+        event.preventDefault();
+        elQrCodeContainer.classList.remove("drag-over");
+
+        const file = ImageDecoding.getImageFile(event.dataTransfer);
+        if (file === null) {
+            CommonMessages.showError("decodeNoImage", true);
+            return;
+        }
+
+        decodeFile(file);
+    });
+}
@@ -8,6 +8,15 @@
  * @requires ./QrCreator
  * @requires ./BrowserCommunication
  * @requires ./UserInterface
+ * @requires ./PayloadEditor
+ * @requires ./PayloadTemplates
+ * @requires ./EncodingInfo
+ * @requires ./CapacityMeter
+ * @requires ./SymbolSet
+ * @requires ./FileCarousel
+ * @requires ./ImageDecoder
+ * @requires ./PageScan
+ * @requires ./Verification
  */
 import * as Logger from "/common/modules/Logger.js";
 import * as AddonSettings from "/common/modules/AddonSettings.js";
@@ -16,6 +25,15 @@ import * as CommonMessages from "/common/modules/MessageHandler/CommonMessages.j
 import * as QrCreator from "./QrCreator.js";
 import * as ReceiveBackgroundMessages from "./ReceiveBackgroundMessages.js";
 import * as UserInterface from "./UserInterface.js";
+import * as PayloadEditor from "./PayloadEditor.js";
+import * as PayloadTemplates from "./PayloadTemplates.js";
+import * as EncodingInfo from "./EncodingInfo.js";
+import * as CapacityMeter from "./CapacityMeter.js";
+import * as SymbolSet from "./SymbolSet.js";
+import * as FileCarousel from "./FileCarousel.js";
+import * as ImageDecoder from "./ImageDecoder.js";
+import * as PageScan from "./PageScan.js";
+import * as Verification from "./Verification.js";
 
 /* globals */
 export let initCompleted = false;
@@ -29,6 +47,19 @@ const qrCreatorInit = QrCreator.init().then(() => {
 const userInterfaceInit = UserInterface.init().then(() => {
     Logger.logInfo("UserInterface module loaded.");
 });
+PayloadEditor.init();
+EncodingInfo.init();
+CapacityMeter.init();
+SymbolSet.init();
+FileCarousel.init();
+ImageDecoder.init();
+Verification.init();
+PayloadTemplates.init().catch((error) => {
+    Logger.logError("could not load payload templates:", error);
+});
+PageScan.init().catch((error) => {
+    Logger.logError("could not scan the selected area of the page:", error);
+});
 
 // check for selected text
 // current tab is used by default
@@ -37,29 +68,62 @@ const gettingSelection = AddonSettings.get("autoGetSelectedText").then((autoGetS
         return Promise.reject(new Error("using selection is disabled"));
     }
 
-    return browser.tabs.executeScript({
-        code: "window.getSelection().toString();",
-        allFrames: true // TODO: does not work currently, https://discourse.mozilla.org/t/activetab-permission-does-not-include-iframes-in-current-tab/29084
-    }).then((injectResults) => {
-        let selection;
-        // iterate through results and find selection (if there are multiple ones)
-        do {
-            selection = injectResults.pop();
-        } while (selection === "");
-
-        // throw error if there is still nothing selected (or everything was popped, so it is undefined)
-        if (!selection) {
-            throw new Error("nothing selected");
-        }
+    return PayloadTemplates.getSelectedText();
+});
+
+/**
+ * Generates the QR code from the selected text or falls back to the URL of
+ * the current tab.
+ *
+ * @function
+ * @private
+ * @returns {Promise}
+ */
+function generateFromSelectionOrTab() {
+    // get text from selected text, if possible
+    return gettingSelection.then((selection) => {
+        QrCreator.setText(selection);
+        QrCreator.generate();
+    }).catch(() => {
+        // …or fallback to tab URL
+        return queryBrowserTabs.then(QrCreator.generateFromTabs).catch((error) => {
+            Logger.logError(error);
+            CommonMessages.showError("couldNotReceiveActiveTab", false);
 
-        return selection;
+            // re-throw error
+            throw error;
+        });
     });
-});
+}
+
+/**
+ * Generates the QR code from the template filled with the data of the
+ * current tab.
+ *
+ * @function
+ * @private
+ * @param {Object} template
+ * @returns {Promise}
+ */
+function generateFromTemplate(template) {
+    Logger.logInfo("using default template", template.name);
+
+    return queryBrowserTabs.then((tabs) => PayloadTemplates.fillTemplate(template, tabs[0])).then((text) => {
+        QrCreator.setText(text, false);
+        QrCreator.generate();
+    }).catch((error) => {
+        Logger.logError("could not fill default template:", error);
+
+        return generateFromSelectionOrTab();
+    });
+}
 
 // generate QR code from tab or selected text or message, if everything is set up
 export const initiationProcess = Promise.all([qrCreatorInit, userInterfaceInit]).then(() => {
+    return ReceiveBackgroundMessages.isTextOverwritten();
+}).then((textOverwritten) => {
     // do not generate tabs if text is already overwritten
-    if (ReceiveBackgroundMessages.isTextOverwritten()) {
+    if (textOverwritten) {
         Logger.logInfo("Text is already overwritten by some message.");
         // generate QR code
         QrCreator.generate();
@@ -69,19 +133,20 @@ export const initiationProcess = Promise.all([qrCreatorInit, userInterfaceInit])
         return Promise.resolve();
     }
 
-    // get text from selected text, if possible
-    return gettingSelection.then((selection) => {
-        QrCreator.setText(selection);
-        QrCreator.generate();
-    }).catch(() => {
-        // …or fallback to tab URL
-        return queryBrowserTabs.then(QrCreator.generateFromTabs).catch((error) => {
-            Logger.logError(error);
-            CommonMessages.showError("couldNotReceiveActiveTab", false);
+    // the tab opened for transferring files has no tab or selection to show
+    if (FileCarousel.isTabMode()) {
+        Logger.logInfo("Opened for transferring files.");
 
-            // re-throw error
-            throw error;
-        });
+        return Promise.resolve();
+    }
+
+    // use the default template of the user, if there is one
+    return PayloadTemplates.getDefaultTemplate().then((template) => {
+        if (template === null) {
+            return generateFromSelectionOrTab();
+        }
+
+        return generateFromTemplate(template);
     });
 }).finally(() => {
     // post-initiation code should still run, even if errors happen
@@ -90,6 +155,11 @@ export const initiationProcess = Promise.all([qrCreatorInit, userInterfaceInit])
     // hide loading message shown by default
     CommonMessages.hideLoading();
 
+    // nothing is shown, until a file is chosen
+    if (FileCarousel.isTabMode()) {
+        UserInterface.setQrInputFieldValue("");
+    }
+
     // init is done, set variable to syncronously get values
     initCompleted = true;
 }).catch((error) => {
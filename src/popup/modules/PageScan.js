@@ -0,0 +1,241 @@
+/**
+ * Scans the visible part of the current tab for QR codes, e.g. QR codes drawn
+ * on a canvas or shown in a video, which cannot be accessed as images.
+ *
+ * @module modules/PageScan
+ * @requires /common/modules/Logger
+ * @requires /common/modules/MessageHandler/CommonMessages
+ * @requires /common/modules/QrDecoder
+ * @requires /common/modules/data/BrowserCommunicationTypes
+ * @requires ./QrCreator
+ * @requires ./FileCarousel
+ * @requires ./internal/PageScanning
+ */
+import * as Logger from "/common/modules/Logger.js";
+import * as CommonMessages from "/common/modules/MessageHandler/CommonMessages.js";
+import * as QrDecoder from "/common/modules/QrDecoder/QrDecoder.js";
+
+import { COMMUNICATION_MESSAGE_TYPE } from "/common/modules/data/BrowserCommunicationTypes.js";
+
+import * as QrCreator from "./QrCreator.js";
+import * as FileCarousel from "./FileCarousel.js";
+import * as PageScanning from "./internal/PageScanning.js";
+
+const AREA_SELECTION_SCRIPT = "/content/areaSelection.js";
+const AREA_SELECTION_STYLE = "/content/areaSelection.css";
+
+const elPageScan = document.getElementById("pageScan");
+const elScanVisibleButton = document.getElementById("pageScanVisible");
+const elSelectAreaButton = document.getElementById("pageScanSelectArea");
+const elResults = document.getElementById("pageScanResults");
+
+/**
+ * An area of the visible tab, in CSS pixels.
+ *
+ * @typedef {Object} ScanArea
+ * @property {number} x
+ * @property {number} y
+ * @property {number} width
+ * @property {number} height
+ * @property {number} viewportWidth the width of the viewport, to scale the area to the screenshot
+ */
+
+/**
+ * Takes a screenshot of the visible part of the current tab.
+ *
+ * @function
+ * @private
+ * @returns {Promise.<HTMLImageElement>}
+ */
+async function captureTab() {
+    // only data: URLs are allowed for images by the content security policy
+    const imageUrl = await browser.tabs.captureVisibleTab({format: "png"});
+
+    return new Promise((resolve, reject) => {
+        const elImage = new Image();
+        elImage.addEventListener("load", () => resolve(elImage));
+        elImage.addEventListener("error", () => reject(new Error("could not load screenshot")));
+        elImage.src = imageUrl;
+    });
+}
+
+/**
+ * Takes a screenshot of an area of the visible tab, e.g. of an image, which
+ * cannot be read from the page.
+ *
+ * @function
+ * @param {ScanArea} area
+ * @returns {Promise.<HTMLCanvasElement>}
+ */
+export async function captureArea(area) {
+    return PageScanning.cropImage(await captureTab(), area);
+}
+
+/**
+ * Creates a button of a decoded text.
+ *
+ * @function
+ * @private
+ * @param {string} messageName the label of the button
+ * @param {function} action
+ * @returns {HTMLButtonElement}
+ */
+function createButton(messageName, action) {
+    const elButton = document.createElement("button");
+    elButton.classList.add("micro-button", "info");
+    elButton.textContent = browser.i18n.getMessage(messageName);
+    elButton.addEventListener("click", action);
+
+    return elButton;
+}
+
+/**
+ * Creates the list entry of a decoded text with its actions.
+ *
+ * @function
+ * @private
+ * @param {string} text
+ * @returns {HTMLLIElement}
+ */
+function createResult(text) {
+    const elResult = document.createElement("li");
+
+    const elText = document.createElement("span");
+    elText.classList.add("page-scan-text");
+    elText.textContent = text;
+    elText.title = text;
+    elResult.appendChild(elText);
+
+    elResult.appendChild(createButton("pageScanCopy", () => {
+        navigator.clipboard.writeText(text).then(() => {
+            CommonMessages.showInfo("pageScanCopied", true);
+        }).catch((error) => {
+            Logger.logError("could not copy text:", error);
+        });
+    }));
+
+    const elOpenButton = createButton("pageScanOpen", () => {
+        browser.tabs.create({url: text});
+    });
+    elOpenButton.disabled = !PageScanning.isOpenable(text);
+    elResult.appendChild(elOpenButton);
+
+    elResult.appendChild(createButton("pageScanShowQrCode", () => {
+        // show exactly what the QR code contains, i.e. do not clean URLs
+        QrCreator.setText(text, false);
+        QrCreator.generate();
+    }));
+
+    return elResult;
+}
+
+/**
+ * Lists the texts of the decoded QR codes.
+ *
+ * @function
+ * @private
+ * @param {DecodeResult[]} results
+ * @returns {void}
+ */
+function showResults(results) {
+    while (elResults.firstChild) {
+        elResults.firstChild.remove();
+    }
+    elResults.classList.toggle("invisible", results.length === 0);
+    elPageScan.open = true;
+
+    if (results.length === 0) {
+        CommonMessages.showError("decodeNoQrCode", true);
+        return;
+    }
+
+    Logger.logInfo("found", results.length, "QR codes on the page");
+    results.forEach((result) => elResults.appendChild(createResult(result.text)));
+}
+
+/**
+ * Shows an overlay on the page, so the user can select the area to scan.
+ *
+ * The popup is closed, so the page can be used.
+ *
+ * @function
+ * @private
+ * @returns {Promise}
+ */
+async function selectArea() {
+    try {
+        await browser.tabs.insertCSS({file: AREA_SELECTION_STYLE});
+        await browser.tabs.executeScript({file: AREA_SELECTION_SCRIPT});
+    } catch (error) {
+        Logger.logError("could not show area selection:", error);
+        CommonMessages.showError("pageScanSelectAreaError", true);
+        return;
+    }
+
+    window.close();
+}
+
+/**
+ * Returns the area the user has selected on the page, if any.
+ *
+ * @function
+ * @private
+ * @returns {Promise.<ScanArea|null>}
+ */
+async function getSelectedArea() {
+    const [tab] = await browser.tabs.query({active: true, currentWindow: true});
+
+    try {
+        const area = await browser.tabs.sendMessage(tab.id, {
+            type: COMMUNICATION_MESSAGE_TYPE.GET_SCAN_AREA
+        });
+        return area || null;
+    } catch (error) {
+        // no area selection has been shown on the page
+        return null;
+    }
+}
+
+/**
+ * Scans the visible part of the current tab for QR codes.
+ *
+ * @function
+ * @param {ScanArea|null} [area=null] the part to scan, null for the whole tab
+ * @returns {Promise}
+ */
+export async function scan(area = null) {
+    let elImage;
+    try {
+        elImage = await captureTab();
+    } catch (error) {
+        Logger.logError("could not capture tab:", error);
+        CommonMessages.showError("pageScanCaptureError", true);
+        return;
+    }
+
+    const elScannedImage = area === null ? elImage : PageScanning.cropImage(elImage, area);
+    showResults(QrDecoder.decodeImage(elScannedImage));
+}
+
+/**
+ * Initialises the module and scans the area selected on the page.
+ *
+ * @function
+ * @returns {Promise}
+ */
+export async function init() {
+    // a tab opened for transferring files has no page to scan
+    if (FileCarousel.isTabMode()) {
+        elPageScan.classList.add("invisible");
+        return;
+    }
+
+    elScanVisibleButton.addEventListener("click", () => scan());
+    elSelectAreaButton.addEventListener("click", selectArea);
+
+    const area = await getSelectedArea();
+    if (area !== null) {
+        Logger.logInfo("scan area selected on page", area);
+        await scan(area);
+    }
+}
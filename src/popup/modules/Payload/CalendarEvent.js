@@ -0,0 +1,570 @@
+/**
+ * Builds and parses calendar events in the iCalendar VEVENT format.
+ *
+ * Scanners do usually ignore time zone definitions (TZID), so events in a
+ * specific time zone are converted to UTC, which every scanner understands.
+ *
+ * @module Payload/CalendarEvent
+ * @requires ./internal/ContentLine
+ * @see {@link https://tools.ietf.org/html/rfc5545#section-3.6.1}
+ */
+import * as ContentLine from "./internal/ContentLine.js";
+
+const VEVENT_BEGIN = "BEGIN:VEVENT";
+const VEVENT_END = "END:VEVENT";
+const VCALENDAR_BEGIN = "BEGIN:VCALENDAR";
+
+/**
+ * The time zone value for UTC.
+ *
+ * @type {string}
+ * @const
+ * @default
+ */
+export const UTC_TIME_ZONE = "UTC";
+
+const DATE_INPUT_REGEX = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME_INPUT_REGEX = /^(\d{2}):(\d{2})(?::(\d{2}))?$/;
+const ICAL_DATE_TIME_REGEX = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/;
+
+const MILLISECONDS_PER_DAY = 24 * 60 * 60 * 1000;
+const UID_LENGTH = 16; // bytes
+
+/**
+ * The data an event consists of.
+ *
+ * Dates and times use the format of the HTML date and time inputs.
+ *
+ * @typedef {Object} EventData
+ * @property {string} uid the unique identifier, a new one is generated if it
+ * is empty
+ * @property {string} summary
+ * @property {string} location
+ * @property {string} startDate "YYYY-MM-DD"
+ * @property {string} startTime "HH:MM"
+ * @property {string} endDate "YYYY-MM-DD", may be empty
+ * @property {string} endTime "HH:MM", may be empty
+ * @property {string} timeZone an IANA time zone, {@link UTC_TIME_ZONE} or
+ * an empty string for a "floating" time in the local time of the scanner
+ * @property {boolean} allDay
+ * @property {string} description
+ */
+
+/**
+ * A point in time as written by the user, without any time zone.
+ *
+ * @typedef {Object} WallTime
+ * @property {int} year
+ * @property {int} month 1 to 12
+ * @property {int} day
+ * @property {int} hour
+ * @property {int} minute
+ * @property {int} second
+ */
+
+/**
+ * Adds leading zeros to a number.
+ *
+ * @function
+ * @private
+ * @param {int} number
+ * @param {int} [length=2]
+ * @returns {string}
+ */
+function pad(number, length = 2) {
+    return String(number).padStart(length, "0");
+}
+
+/**
+ * Parses the values of the HTML date and time inputs.
+ *
+ * @function
+ * @private
+ * @param {string} date
+ * @param {string} [time]
+ * @returns {WallTime|null} null, if the date is invalid
+ */
+function parseInputDateTime(date, time) {
+    const dateMatch = DATE_INPUT_REGEX.exec(date || "");
+    if (!dateMatch) {
+        return null;
+    }
+
+    const timeMatch = TIME_INPUT_REGEX.exec(time || "") || [];
+
+    return {
+        year: Number(dateMatch[1]),
+        month: Number(dateMatch[2]),
+        day: Number(dateMatch[3]),
+        hour: Number(timeMatch[1] || 0),
+        minute: Number(timeMatch[2] || 0),
+        second: Number(timeMatch[3] || 0)
+    };
+}
+
+/**
+ * Returns the timestamp the wall time would have in UTC.
+ *
+ * @function
+ * @private
+ * @param {WallTime} wallTime
+ * @returns {int}
+ */
+function wallTimeToTimestamp(wallTime) {
+    return Date.UTC(wallTime.year, wallTime.month - 1, wallTime.day, wallTime.hour, wallTime.minute, wallTime.second);
+}
+
+/**
+ * Converts a timestamp to the wall time in UTC.
+ *
+ * @function
+ * @private
+ * @param {int} timestamp
+ * @returns {WallTime}
+ */
+function timestampToWallTime(timestamp) {
+    const date = new Date(timestamp);
+
+    return {
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth() + 1,
+        day: date.getUTCDate(),
+        hour: date.getUTCHours(),
+        minute: date.getUTCMinutes(),
+        second: date.getUTCSeconds()
+    };
+}
+
+/**
+ * Returns the offset of the time zone to UTC at the given time.
+ *
+ * @function
+ * @private
+ * @param {int} timestamp
+ * @param {string} timeZone
+ * @returns {int} offset in milliseconds
+ * @throws {RangeError} if the time zone is unknown
+ */
+function getTimeZoneOffset(timestamp, timeZone) {
+    const formatter = new Intl.DateTimeFormat("en-US", {
+        timeZone: timeZone,
+        hour12: false,
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric"
+    });
+
+    const parts = {};
+    for (const part of formatter.formatToParts(new Date(timestamp))) {
+        parts[part.type] = Number(part.value);
+    }
+
+    const wallTimestamp = wallTimeToTimestamp({
+        year: parts.year,
+        month: parts.month,
+        day: parts.day,
+        // some implementations return 24 for midnight
+        hour: parts.hour % 24,
+        minute: parts.minute,
+        second: parts.second
+    });
+
+    // ignore milliseconds, as they are not formatted
+    return wallTimestamp - (timestamp - timestamp % 1000);
+}
+
+/**
+ * Converts the wall time in the time zone to a UTC timestamp.
+ *
+ * @function
+ * @private
+ * @param {WallTime} wallTime
+ * @param {string} timeZone
+ * @returns {int}
+ */
+function zonedWallTimeToTimestamp(wallTime, timeZone) {
+    const wallTimestamp = wallTimeToTimestamp(wallTime);
+
+    // the offset may differ at the actual time (daylight saving time), so check twice
+    let timestamp = wallTimestamp - getTimeZoneOffset(wallTimestamp, timeZone);
+    timestamp = wallTimestamp - getTimeZoneOffset(timestamp, timeZone);
+
+    return timestamp;
+}
+
+/**
+ * Returns whether the time zone is known.
+ *
+ * @function
+ * @private
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat("en-US", {timeZone}); // eslint-disable-line no-new
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Formats a date for iCalendar.
+ *
+ * @function
+ * @private
+ * @param {WallTime} wallTime
+ * @returns {string}
+ */
+function formatICalDate(wallTime) {
+    return `${pad(wallTime.year, 4)}${pad(wallTime.month)}${pad(wallTime.day)}`;
+}
+
+/**
+ * Formats a date and time for iCalendar.
+ *
+ * @function
+ * @private
+ * @param {WallTime} wallTime
+ * @param {boolean} isUtc
+ * @returns {string}
+ */
+function formatICalDateTime(wallTime, isUtc) {
+    const time = `${pad(wallTime.hour)}${pad(wallTime.minute)}${pad(wallTime.second)}`;
+    return `${formatICalDate(wallTime)}T${time}${isUtc ? "Z" : ""}`;
+}
+
+/**
+ * Returns the start and end wall times of the event.
+ *
+ * For all-day events, the end is the (exclusive) day after the last day.
+ *
+ * @function
+ * @private
+ * @param {EventData} data
+ * @returns {Array.<WallTime|null>} start and end, each null if invalid
+ */
+function getStartAndEnd(data) {
+    const start = parseInputDateTime(data.startDate, data.allDay ? "" : data.startTime);
+    let end = null;
+
+    if (data.allDay) {
+        const lastDay = parseInputDateTime(data.endDate || data.startDate);
+        if (lastDay) {
+            end = timestampToWallTime(wallTimeToTimestamp(lastDay) + MILLISECONDS_PER_DAY);
+        }
+    } else if (data.endDate || data.endTime) {
+        end = parseInputDateTime(data.endDate || data.startDate, data.endTime);
+    }
+
+    return [start, end];
+}
+
+/**
+ * Formats a start or end property of the event.
+ *
+ * @function
+ * @private
+ * @param {string} property DTSTART or DTEND
+ * @param {WallTime} wallTime
+ * @param {EventData} data
+ * @returns {string}
+ */
+function formatDateProperty(property, wallTime, data) {
+    if (data.allDay) {
+        return `${property};VALUE=DATE:${formatICalDate(wallTime)}`;
+    }
+
+    if (!data.timeZone) {
+        return `${property}:${formatICalDateTime(wallTime, false)}`;
+    }
+
+    const timestamp = zonedWallTimeToTimestamp(wallTime, data.timeZone);
+    return `${property}:${formatICalDateTime(timestampToWallTime(timestamp), true)}`;
+}
+
+/**
+ * Parses a DTSTART or DTEND property.
+ *
+ * @function
+ * @private
+ * @param {ContentLineObject} contentLine
+ * @returns {Object|null} with the properties date, time, timeZone and allDay
+ */
+function parseDateProperty(contentLine) {
+    const match = ICAL_DATE_TIME_REGEX.exec(contentLine.value.trim());
+    if (!match) {
+        return null;
+    }
+
+    const date = `${match[1]}-${match[2]}-${match[3]}`;
+
+    // date only
+    if (match[4] === undefined) {
+        return {date: date, time: "", timeZone: "", allDay: true};
+    }
+
+    let timeZone = contentLine.params.TZID || "";
+    if (match[7] === "Z") {
+        timeZone = UTC_TIME_ZONE;
+    }
+
+    return {
+        date: date,
+        time: `${match[4]}:${match[5]}`,
+        timeZone: timeZone,
+        allDay: false
+    };
+}
+
+/**
+ * Formats the wall time in a human-readable way for the preview.
+ *
+ * @function
+ * @private
+ * @param {WallTime} wallTime
+ * @param {EventData} data
+ * @returns {string}
+ */
+function formatPreviewDate(wallTime, data) {
+    if (data.allDay) {
+        return new Date(wallTime.year, wallTime.month - 1, wallTime.day).toLocaleDateString();
+    }
+
+    if (!data.timeZone) {
+        return new Date(wallTime.year, wallTime.month - 1, wallTime.day, wallTime.hour, wallTime.minute).toLocaleString();
+    }
+
+    return new Date(zonedWallTimeToTimestamp(wallTime, data.timeZone)).toLocaleString();
+}
+
+/**
+ * Returns whether the text is an event.
+ *
+ * @function
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isPayload(text) {
+    const upperCaseText = text.trim().toUpperCase();
+    return upperCaseText.startsWith(VEVENT_BEGIN) ||
+        (upperCaseText.startsWith(VCALENDAR_BEGIN) && upperCaseText.includes(VEVENT_BEGIN));
+}
+
+/**
+ * Generates a random unique identifier for a new event.
+ *
+ * @function
+ * @returns {string} hex-encoded
+ */
+export function generateUid() {
+    const bytes = new Uint8Array(UID_LENGTH);
+    crypto.getRandomValues(bytes);
+
+    return Array.from(bytes, (byte) => pad(byte.toString(16))).join("");
+}
+
+/**
+ * Builds the VEVENT block.
+ *
+ * UID and DTSTAMP are required by RFC 5545. The UID identifies the event, so
+ * it is kept, while DTSTAMP is the time the event has been changed last.
+ *
+ * @function
+ * @param {EventData} data
+ * @returns {string}
+ */
+export function build(data) {
+    const lines = [VEVENT_BEGIN];
+
+    lines.push(`UID:${ContentLine.escapeText(data.uid || generateUid())}`);
+    lines.push(`DTSTAMP:${formatICalDateTime(timestampToWallTime(Date.now()), true)}`);
+    lines.push(`SUMMARY:${ContentLine.escapeText(data.summary)}`);
+
+    const [start, end] = getStartAndEnd(data);
+    // ignore invalid times, validate() reports them
+    try {
+        if (start) {
+            lines.push(formatDateProperty("DTSTART", start, data));
+        }
+        if (end) {
+            lines.push(formatDateProperty("DTEND", end, data));
+        }
+    } catch (error) {
+        if (!(error instanceof RangeError)) {
+            throw error;
+        }
+    }
+
+    if (data.location) {
+        lines.push(`LOCATION:${ContentLine.escapeText(data.location)}`);
+    }
+    if (data.description) {
+        lines.push(`DESCRIPTION:${ContentLine.escapeText(data.description)}`);
+    }
+
+    lines.push(VEVENT_END);
+
+    return ContentLine.joinLines(lines);
+}
+
+/**
+ * Parses the first VEVENT of the text.
+ *
+ * @function
+ * @param {string} text
+ * @returns {EventData|null} null, if the text is no event
+ */
+export function parse(text) {
+    if (!isPayload(text)) {
+        return null;
+    }
+
+    const data = {
+        uid: "",
+        summary: "",
+        location: "",
+        startDate: "",
+        startTime: "",
+        endDate: "",
+        endTime: "",
+        timeZone: "",
+        allDay: false,
+        description: ""
+    };
+
+    let isInEvent = false;
+    for (const contentLine of ContentLine.parseLines(text)) {
+        const value = contentLine.value;
+
+        if (contentLine.name === "BEGIN" && value.toUpperCase() === "VEVENT") {
+            isInEvent = true;
+            continue;
+        }
+        if (!isInEvent) {
+            continue;
+        }
+
+        switch (contentLine.name) {
+        case "END":
+            if (value.toUpperCase() === "VEVENT") {
+                isInEvent = false;
+            }
+            break;
+        case "UID":
+            data.uid = ContentLine.unescapeText(value);
+            break;
+        case "SUMMARY":
+            data.summary = ContentLine.unescapeText(value);
+            break;
+        case "LOCATION":
+            data.location = ContentLine.unescapeText(value);
+            break;
+        case "DESCRIPTION":
+            data.description = ContentLine.unescapeText(value);
+            break;
+        case "DTSTART": {
+            const start = parseDateProperty(contentLine);
+            if (start) {
+                data.startDate = start.date;
+                data.startTime = start.time;
+                data.timeZone = start.timeZone;
+                data.allDay = start.allDay;
+            }
+            break;
+        }
+        case "DTEND": {
+            const end = parseDateProperty(contentLine);
+            if (end) {
+                data.endDate = end.date;
+                data.endTime = end.time;
+            }
+            break;
+        }
+        }
+
+        // only parse the first event
+        if (!isInEvent) {
+            break;
+        }
+    }
+
+    // the end of all-day events is exclusive, but the user enters the last day
+    if (data.allDay && data.endDate) {
+        const end = parseInputDateTime(data.endDate);
+        const lastDay = timestampToWallTime(wallTimeToTimestamp(end) - MILLISECONDS_PER_DAY);
+        data.endDate = `${pad(lastDay.year, 4)}-${pad(lastDay.month)}-${pad(lastDay.day)}`;
+    }
+
+    return data;
+}
+
+/**
+ * Checks the event data for problems.
+ *
+ * @function
+ * @param {EventData} data
+ * @returns {string[]} the message IDs of all problems found
+ */
+export function validate(data) {
+    const problems = [];
+
+    if (!data.summary) {
+        problems.push("eventErrorSummaryMissing");
+    }
+
+    if (data.timeZone && !data.allDay && !isValidTimeZone(data.timeZone)) {
+        problems.push("eventErrorInvalidTimeZone");
+        return problems;
+    }
+
+    const [start, end] = getStartAndEnd(data);
+    if (!start) {
+        problems.push("eventErrorStartMissing");
+    } else if (end && wallTimeToTimestamp(end) < wallTimeToTimestamp(start)) {
+        problems.push("eventErrorEndBeforeStart");
+    }
+
+    return problems;
+}
+
+/**
+ * Returns how scanners will show the time of the event.
+ *
+ * @function
+ * @param {EventData} data
+ * @returns {Array.<string>|null} the message ID and its substitutions or
+ * null, if there is nothing to preview
+ */
+export function getPreview(data) {
+    const [start, end] = getStartAndEnd(data);
+
+    if (!start || (data.timeZone && !data.allDay && !isValidTimeZone(data.timeZone))) {
+        return null;
+    }
+
+    const startPreview = formatPreviewDate(start, data);
+
+    // events without an end end at their start
+    let endPreview = startPreview;
+    if (end) {
+        if (data.allDay) {
+            // show the last day instead of the exclusive end
+            endPreview = formatPreviewDate(timestampToWallTime(wallTimeToTimestamp(end) - MILLISECONDS_PER_DAY), data);
+        } else {
+            endPreview = formatPreviewDate(end, data);
+        }
+    }
+
+    if (data.allDay) {
+        return ["eventPreviewAllDay", startPreview, endPreview];
+    } else if (!data.timeZone) {
+        return ["eventPreviewFloating", startPreview, endPreview];
+    }
+
+    return ["eventPreviewZoned", startPreview, endPreview];
+}
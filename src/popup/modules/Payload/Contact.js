@@ -0,0 +1,424 @@
+/**
+ * Builds and parses contact cards in the vCard and MeCard formats.
+ *
+ * @module Payload/Contact
+ * @requires ./internal/Escaping
+ * @requires ./internal/ContentLine
+ * @see {@link https://tools.ietf.org/html/rfc2426} vCard 3.0
+ * @see {@link https://tools.ietf.org/html/rfc6350} vCard 4.0
+ * @see {@link https://www.nttdocomo.co.jp/english/service/developer/make/content/barcode/function/application/addressbook/index.html} MeCard
+ */
+import * as Escaping from "./internal/Escaping.js";
+import * as ContentLine from "./internal/ContentLine.js";
+
+/**
+ * The supported formats.
+ *
+ * @type {Object.<string, string>}
+ * @const
+ */
+export const FORMAT = Object.freeze({
+    VCARD3: "vcard3",
+    VCARD4: "vcard4",
+    MECARD: "mecard"
+});
+
+const VCARD_BEGIN = "BEGIN:VCARD";
+const VCARD_END = "END:VCARD";
+const MECARD_SCHEME = "MECARD:";
+
+const MECARD_SPECIAL_CHARS = ";,:\"";
+
+const NEWLINE_REGEX = /\r\n|\r|\n/g;
+const EMAIL_REGEX = /^[^@\s]+@[^@\s]+$/;
+
+/**
+ * The data a contact consists of.
+ *
+ * Phone numbers and e-mail addresses are given one per line.
+ *
+ * @typedef {Object} ContactData
+ * @property {string} format one of {@link FORMAT}
+ * @property {string} firstName
+ * @property {string} lastName
+ * @property {string} org
+ * @property {string} title
+ * @property {string} phones
+ * @property {string} emails
+ * @property {string} url
+ * @property {string} street
+ * @property {string} postalCode
+ * @property {string} city
+ * @property {string} country
+ * @property {string} note
+ */
+
+/**
+ * Returns an empty contact.
+ *
+ * @function
+ * @private
+ * @returns {ContactData}
+ */
+function getEmptyContact() {
+    return {
+        format: FORMAT.VCARD3,
+        firstName: "",
+        lastName: "",
+        org: "",
+        title: "",
+        phones: "",
+        emails: "",
+        url: "",
+        street: "",
+        postalCode: "",
+        city: "",
+        country: "",
+        note: ""
+    };
+}
+
+/**
+ * Splits a multi-line input into its non-empty lines.
+ *
+ * @function
+ * @private
+ * @param {string} value
+ * @returns {string[]}
+ */
+function splitLines(value) {
+    return (value || "").split(NEWLINE_REGEX).map((line) => line.trim()).filter((line) => line !== "");
+}
+
+/**
+ * Returns whether the contact has any address data.
+ *
+ * @function
+ * @private
+ * @param {ContactData} data
+ * @returns {boolean}
+ */
+function hasAddress(data) {
+    return Boolean(data.street || data.postalCode || data.city || data.country);
+}
+
+/**
+ * Returns the formatted full name of the contact.
+ *
+ * @function
+ * @private
+ * @param {ContactData} data
+ * @returns {string}
+ */
+function getFullName(data) {
+    return [data.firstName, data.lastName].filter((name) => name).join(" ") || data.org || "";
+}
+
+/**
+ * Builds a vCard in version 3.0 or 4.0.
+ *
+ * @function
+ * @private
+ * @param {ContactData} data
+ * @param {string} version "3.0" or "4.0"
+ * @returns {string}
+ */
+function buildVCard(data, version) {
+    const lines = [VCARD_BEGIN, `VERSION:${version}`];
+
+    lines.push(`N:${ContentLine.escapeText(data.lastName)};${ContentLine.escapeText(data.firstName)};;;`);
+    lines.push(`FN:${ContentLine.escapeText(getFullName(data))}`);
+
+    if (data.org) {
+        lines.push(`ORG:${ContentLine.escapeText(data.org)}`);
+    }
+    if (data.title) {
+        lines.push(`TITLE:${ContentLine.escapeText(data.title)}`);
+    }
+
+    for (const phone of splitLines(data.phones)) {
+        if (version === "4.0") {
+            // vCard 4 expects phone numbers as tel: URIs
+            lines.push(`TEL;VALUE=uri:tel:${phone.replace(/\s/g, "")}`);
+        } else {
+            lines.push(`TEL:${ContentLine.escapeText(phone)}`);
+        }
+    }
+    for (const email of splitLines(data.emails)) {
+        lines.push(`EMAIL:${ContentLine.escapeText(email)}`);
+    }
+
+    if (data.url) {
+        lines.push(`URL:${data.url}`);
+    }
+    if (hasAddress(data)) {
+        // format: PO box;extended address;street;city;region;postal code;country
+        const address = ["", "", data.street, data.city, "", data.postalCode, data.country];
+        lines.push(`ADR:${address.map(ContentLine.escapeText).join(";")}`);
+    }
+    if (data.note) {
+        lines.push(`NOTE:${ContentLine.escapeText(data.note)}`);
+    }
+
+    lines.push(VCARD_END);
+
+    return ContentLine.joinLines(lines);
+}
+
+/**
+ * Escapes a text value for MeCard.
+ *
+ * @function
+ * @private
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeMeCardValue(value) {
+    // MeCard has no way to encode line breaks
+    return Escaping.escapeChars((value || "").replace(NEWLINE_REGEX, " "), MECARD_SPECIAL_CHARS);
+}
+
+/**
+ * Builds a MeCard.
+ *
+ * @function
+ * @private
+ * @param {ContactData} data
+ * @returns {string}
+ */
+function buildMeCard(data) {
+    // format: last name,first name
+    let name = escapeMeCardValue(data.lastName);
+    if (data.firstName) {
+        name += `,${escapeMeCardValue(data.firstName)}`;
+    }
+
+    let payload = `${MECARD_SCHEME}N:${name};`;
+
+    if (data.org) {
+        payload += `ORG:${escapeMeCardValue(data.org)};`;
+    }
+    for (const phone of splitLines(data.phones)) {
+        payload += `TEL:${escapeMeCardValue(phone)};`;
+    }
+    for (const email of splitLines(data.emails)) {
+        payload += `EMAIL:${escapeMeCardValue(email)};`;
+    }
+    if (data.url) {
+        payload += `URL:${escapeMeCardValue(data.url)};`;
+    }
+    if (hasAddress(data)) {
+        // format: PO box,room number,street,city,region,postal code,country
+        const address = ["", "", data.street, data.city, "", data.postalCode, data.country];
+        payload += `ADR:${address.map(escapeMeCardValue).join(",")};`;
+    }
+    if (data.note) {
+        payload += `NOTE:${escapeMeCardValue(data.note)};`;
+    }
+
+    return `${payload};`;
+}
+
+/**
+ * Parses a vCard of any version.
+ *
+ * @function
+ * @private
+ * @param {string} text
+ * @returns {ContactData}
+ */
+function parseVCard(text) {
+    const data = getEmptyContact();
+    const phones = [];
+    const emails = [];
+    let fullName = "";
+
+    for (const contentLine of ContentLine.parseLines(text)) {
+        const rawValue = contentLine.value;
+
+        switch (contentLine.name) {
+        case "VERSION":
+            data.format = rawValue.trim() === "4.0" ? FORMAT.VCARD4 : FORMAT.VCARD3;
+            break;
+        case "N": {
+            const nameParts = Escaping.splitUnescaped(rawValue, ";").map(ContentLine.unescapeText);
+            data.lastName = nameParts[0] || "";
+            data.firstName = nameParts[1] || "";
+            break;
+        }
+        case "FN":
+            fullName = ContentLine.unescapeText(rawValue);
+            break;
+        case "ORG":
+            // only use the organization name, but not the units
+            data.org = ContentLine.unescapeText(Escaping.splitUnescaped(rawValue, ";")[0]);
+            break;
+        case "TITLE":
+            data.title = ContentLine.unescapeText(rawValue);
+            break;
+        case "TEL":
+            phones.push(ContentLine.unescapeText(rawValue).replace(/^tel:/i, ""));
+            break;
+        case "EMAIL":
+            emails.push(ContentLine.unescapeText(rawValue));
+            break;
+        case "URL":
+            data.url = rawValue;
+            break;
+        case "ADR": {
+            const addressParts = Escaping.splitUnescaped(rawValue, ";").map(ContentLine.unescapeText);
+            data.street = addressParts[2] || "";
+            data.city = addressParts[3] || "";
+            data.postalCode = addressParts[5] || "";
+            data.country = addressParts[6] || "";
+            break;
+        }
+        case "NOTE":
+            data.note = ContentLine.unescapeText(rawValue);
+            break;
+        }
+    }
+
+    // fall back to the formatted name, if no structured name is given
+    if (!data.firstName && !data.lastName && fullName && fullName !== data.org) {
+        data.firstName = fullName;
+    }
+
+    data.phones = phones.join("\n");
+    data.emails = emails.join("\n");
+
+    return data;
+}
+
+/**
+ * Parses a MeCard.
+ *
+ * @function
+ * @private
+ * @param {string} text
+ * @returns {ContactData}
+ */
+function parseMeCard(text) {
+    const data = getEmptyContact();
+    const phones = [];
+    const emails = [];
+
+    data.format = FORMAT.MECARD;
+
+    for (const [key, value] of Escaping.splitFieldList(text.substring(MECARD_SCHEME.length))) {
+        switch (key) {
+        case "N": {
+            const nameParts = Escaping.splitUnescaped(value, ",").map(Escaping.unescapeChars);
+            data.lastName = nameParts[0] || "";
+            data.firstName = nameParts[1] || "";
+            break;
+        }
+        case "ORG":
+            data.org = Escaping.unescapeChars(value);
+            break;
+        case "TEL":
+            phones.push(Escaping.unescapeChars(value));
+            break;
+        case "EMAIL":
+            emails.push(Escaping.unescapeChars(value));
+            break;
+        case "URL":
+            data.url = Escaping.unescapeChars(value);
+            break;
+        case "ADR": {
+            const addressParts = Escaping.splitUnescaped(value, ",").map(Escaping.unescapeChars);
+            data.street = addressParts[2] || "";
+            data.city = addressParts[3] || "";
+            data.postalCode = addressParts[5] || "";
+            data.country = addressParts[6] || "";
+            break;
+        }
+        case "NOTE":
+            data.note = Escaping.unescapeChars(value);
+            break;
+        }
+    }
+
+    data.phones = phones.join("\n");
+    data.emails = emails.join("\n");
+
+    return data;
+}
+
+/**
+ * Returns whether the text is a contact card.
+ *
+ * @function
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isPayload(text) {
+    const upperCaseText = text.trim().toUpperCase();
+    return upperCaseText.startsWith(VCARD_BEGIN) || upperCaseText.startsWith(MECARD_SCHEME);
+}
+
+/**
+ * Builds the contact card in the format selected in the data.
+ *
+ * @function
+ * @param {ContactData} data
+ * @returns {string}
+ * @throws {Error} if the format is unknown
+ */
+export function build(data) {
+    switch (data.format) {
+    case FORMAT.VCARD3:
+        return buildVCard(data, "3.0");
+    case FORMAT.VCARD4:
+        return buildVCard(data, "4.0");
+    case FORMAT.MECARD:
+        return buildMeCard(data);
+    default:
+        throw new Error(`unknown contact format: ${data.format}`);
+    }
+}
+
+/**
+ * Parses a vCard or MeCard.
+ *
+ * @function
+ * @param {string} text
+ * @returns {ContactData|null} null, if the text is no contact card
+ */
+export function parse(text) {
+    if (!isPayload(text)) {
+        return null;
+    }
+
+    text = text.trim();
+    if (text.toUpperCase().startsWith(MECARD_SCHEME)) {
+        return parseMeCard(text);
+    }
+
+    return parseVCard(text);
+}
+
+/**
+ * Checks the contact data for problems.
+ *
+ * @function
+ * @param {ContactData} data
+ * @returns {string[]} the message IDs of all problems found
+ */
+export function validate(data) {
+    const problems = [];
+
+    if (!data.firstName && !data.lastName && !data.org) {
+        problems.push("contactErrorNameMissing");
+    }
+
+    if (!splitLines(data.emails).every((email) => EMAIL_REGEX.test(email))) {
+        problems.push("contactErrorInvalidEmail");
+    }
+
+    if (data.format === FORMAT.MECARD && data.title) {
+        problems.push("contactInfoMeCardNoTitle");
+    }
+
+    return problems;
+}
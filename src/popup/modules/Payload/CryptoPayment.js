@@ -0,0 +1,356 @@
+/**
+ * Builds and parses payment URIs for cryptocurrencies, i.e. BIP21 "bitcoin:"
+ * and "litecoin:" URIs and EIP-681 "ethereum:" URIs.
+ *
+ * The addresses are validated offline by verifying their checksums.
+ *
+ * @module Payload/CryptoPayment
+ * @requires ./internal/QueryString
+ * @requires ./internal/Base58
+ * @requires ./internal/Bech32
+ * @requires ./internal/Hash
+ * @see {@link https://github.com/bitcoin/bips/blob/master/bip-0021.mediawiki}
+ * @see {@link https://eips.ethereum.org/EIPS/eip-681}
+ */
+import * as QueryString from "./internal/QueryString.js";
+import * as Base58 from "./internal/Base58.js";
+import * as Bech32 from "./internal/Bech32.js";
+import * as Hash from "./internal/Hash.js";
+
+/**
+ * The supported currencies, which are also used as the URI scheme.
+ *
+ * @type {Object.<string, string>}
+ * @const
+ */
+export const CURRENCY = Object.freeze({
+    BITCOIN: "bitcoin",
+    LITECOIN: "litecoin",
+    ETHEREUM: "ethereum"
+});
+
+/**
+ * The address formats of the Bitcoin-like currencies.
+ *
+ * format: currency => {base58Versions, bech32Prefixes, decimals}
+ *
+ * @private
+ * @type {Object.<string, Object>}
+ * @const
+ */
+const BITCOIN_NETWORKS = Object.freeze({
+    [CURRENCY.BITCOIN]: Object.freeze({
+        // P2PKH and P2SH on mainnet and testnet
+        base58Versions: Object.freeze([0x00, 0x05, 0x6f, 0xc4]),
+        bech32Prefixes: Object.freeze(["bc", "tb"]),
+        decimals: 8
+    }),
+    [CURRENCY.LITECOIN]: Object.freeze({
+        // including the deprecated P2SH versions shared with Bitcoin
+        base58Versions: Object.freeze([0x30, 0x32, 0x05, 0x6f, 0x3a, 0xc4]),
+        bech32Prefixes: Object.freeze(["ltc", "tltc"]),
+        decimals: 8
+    })
+});
+
+const ETHER_DECIMALS = 18;
+// length of a base58check payload: version byte and 160 bit hash
+const BASE58_PAYLOAD_LENGTH = 21;
+
+const URI_REGEX = /^(bitcoin|litecoin|ethereum):([^?]*)(?:\?(.*))?$/i;
+const ETHEREUM_ADDRESS_REGEX = /^0x[0-9a-fA-F]{40}$/;
+const AMOUNT_REGEX = /^(\d+)(?:\.(\d+))?$/;
+const WEI_REGEX = /^(\d+)(?:\.(\d+))?(?:e(\d+))?$/i;
+const LIGHTNING_PREFIX = "ln";
+
+/**
+ * The data a payment request consists of.
+ *
+ * @typedef {Object} CryptoPaymentData
+ * @property {string} currency one of {@link CURRENCY}
+ * @property {string} address
+ * @property {string} amount in the main unit (e.g. BTC), may be empty
+ * @property {string} label name of the recipient, not supported by Ethereum
+ * @property {string} message not supported by Ethereum
+ * @property {string} lightning BOLT11 invoice, only supported by Bitcoin
+ */
+
+/**
+ * Shifts the decimal point of a non-negative decimal number.
+ *
+ * This works on strings, as the amounts exceed the precision of numbers.
+ *
+ * @function
+ * @private
+ * @param {string} integerPart
+ * @param {string} fractionPart
+ * @param {number} digits to shift to the right, negative to shift to the left
+ * @returns {string}
+ */
+function shiftDecimalPoint(integerPart, fractionPart, digits) {
+    let integer = integerPart;
+    let fraction = fractionPart;
+
+    if (digits >= 0) {
+        fraction = fraction.padEnd(digits, "0");
+        integer += fraction.substring(0, digits);
+        fraction = fraction.substring(digits);
+    } else {
+        integer = integer.padStart(-digits, "0");
+        fraction = integer.substring(integer.length + digits) + fraction;
+        integer = integer.substring(0, integer.length + digits);
+    }
+
+    integer = integer.replace(/^0+/, "") || "0";
+    fraction = fraction.replace(/0+$/, "");
+
+    return fraction ? `${integer}.${fraction}` : integer;
+}
+
+/**
+ * Converts an amount of ether to wei.
+ *
+ * @function
+ * @private
+ * @param {string} amount
+ * @returns {string}
+ */
+function etherToWei(amount) {
+    const [, integerPart, fractionPart = ""] = AMOUNT_REGEX.exec(amount);
+    return shiftDecimalPoint(integerPart, fractionPart, ETHER_DECIMALS);
+}
+
+/**
+ * Converts an amount of wei to ether.
+ *
+ * EIP-681 allows the scientific notation, e.g. "2.014e18".
+ *
+ * @function
+ * @private
+ * @param {string} value
+ * @returns {string} the value as it is, if it is no valid number
+ */
+function weiToEther(value) {
+    const match = WEI_REGEX.exec(value);
+    if (!match) {
+        return value;
+    }
+
+    const [, integerPart, fractionPart = "", exponent = "0"] = match;
+    return shiftDecimalPoint(integerPart, fractionPart, Number(exponent) - ETHER_DECIMALS);
+}
+
+/**
+ * Returns the number of decimals the currency supports.
+ *
+ * @function
+ * @private
+ * @param {string} currency
+ * @returns {number}
+ */
+function getDecimals(currency) {
+    if (currency === CURRENCY.ETHEREUM) {
+        return ETHER_DECIMALS;
+    }
+
+    return BITCOIN_NETWORKS[currency].decimals;
+}
+
+/**
+ * Returns whether the text is a Lightning invoice with a valid checksum.
+ *
+ * @function
+ * @private
+ * @param {string} invoice
+ * @returns {boolean}
+ */
+function isValidLightningInvoice(invoice) {
+    const decoded = Bech32.decode(invoice, Infinity);
+    return decoded !== null && decoded.encoding === Bech32.ENCODING.BECH32 && decoded.prefix.startsWith(LIGHTNING_PREFIX);
+}
+
+/**
+ * Returns whether the Ethereum address is valid.
+ *
+ * Addresses in mixed case need to have a valid EIP-55 checksum, addresses
+ * in a single case have none.
+ *
+ * @function
+ * @param {string} address
+ * @returns {boolean}
+ * @see {@link https://eips.ethereum.org/EIPS/eip-55}
+ */
+export function isValidEthereumAddress(address) {
+    if (!ETHEREUM_ADDRESS_REGEX.test(address)) {
+        return false;
+    }
+
+    const hexAddress = address.substring(2);
+    if (hexAddress === hexAddress.toLowerCase() || hexAddress === hexAddress.toUpperCase()) {
+        return true;
+    }
+
+    const hash = Hash.keccak256(new TextEncoder().encode(hexAddress.toLowerCase()));
+
+    return Array.from(hexAddress).every((char, i) => {
+        // each letter is uppercase, if the corresponding nibble of the hash is >= 8
+        const nibble = (hash[i >> 1] >> (i % 2 === 0 ? 4 : 0)) & 0xf;
+        return char === (nibble >= 8 ? char.toUpperCase() : char.toLowerCase());
+    });
+}
+
+/**
+ * Returns whether the address is valid for the currency.
+ *
+ * @function
+ * @param {string} currency one of {@link CURRENCY}
+ * @param {string} address
+ * @returns {boolean}
+ */
+export function isValidAddress(currency, address) {
+    if (currency === CURRENCY.ETHEREUM) {
+        return isValidEthereumAddress(address);
+    }
+
+    const network = BITCOIN_NETWORKS[currency];
+    if (!network) {
+        return false;
+    }
+
+    if (Bech32.isSegwitAddress(address, network.bech32Prefixes)) {
+        return true;
+    }
+
+    const payload = Base58.decodeCheck(address);
+    return payload !== null && payload.length === BASE58_PAYLOAD_LENGTH && network.base58Versions.includes(payload[0]);
+}
+
+/**
+ * Returns whether the text is a payment URI.
+ *
+ * @function
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isPayload(text) {
+    return URI_REGEX.test(text.trim());
+}
+
+/**
+ * Builds the payment URI.
+ *
+ * @function
+ * @param {CryptoPaymentData} data
+ * @returns {string}
+ */
+export function build(data) {
+    const currency = data.currency || CURRENCY.BITCOIN;
+    const address = (data.address || "").trim();
+    const amount = (data.amount || "").trim();
+
+    if (currency === CURRENCY.ETHEREUM) {
+        const value = AMOUNT_REGEX.test(amount) ? etherToWei(amount) : amount;
+        return `${currency}:${address}${QueryString.build([["value", value]])}`;
+    }
+
+    const params = [
+        ["amount", amount],
+        ["label", (data.label || "").trim()],
+        ["message", (data.message || "").trim()]
+    ];
+    if (currency === CURRENCY.BITCOIN) {
+        params.push(["lightning", (data.lightning || "").trim()]);
+    }
+
+    return `${currency}:${address}${QueryString.build(params)}`;
+}
+
+/**
+ * Parses a payment URI.
+ *
+ * Ethereum URIs, which call a contract function or specify a chain, are
+ * not supported.
+ *
+ * @function
+ * @param {string} text
+ * @returns {CryptoPaymentData|null} null, if the text is no supported payment URI
+ */
+export function parse(text) {
+    const match = URI_REGEX.exec(text.trim());
+    if (!match) {
+        return null;
+    }
+
+    const currency = match[1].toLowerCase();
+    const params = QueryString.parse(match[3] || "");
+
+    if (currency === CURRENCY.ETHEREUM) {
+        const target = match[2].replace(/^pay-/i, "");
+        if (/[@/]/.test(target)) {
+            return null;
+        }
+
+        return {
+            currency: currency,
+            address: target,
+            amount: params.value ? weiToEther(params.value) : "",
+            label: "",
+            message: "",
+            lightning: ""
+        };
+    }
+
+    return {
+        currency: currency,
+        address: QueryString.decode(match[2]),
+        amount: params.amount || "",
+        label: params.label || "",
+        message: params.message || "",
+        lightning: params.lightning || ""
+    };
+}
+
+/**
+ * Checks the payment data for problems.
+ *
+ * @function
+ * @param {CryptoPaymentData} data
+ * @returns {string[]} the message IDs of all problems found
+ */
+export function validate(data) {
+    const problems = [];
+    const currency = data.currency || CURRENCY.BITCOIN;
+    const address = (data.address || "").trim();
+    const amount = (data.amount || "").trim();
+    const lightning = (data.lightning || "").trim();
+
+    // BIP21 allows omitting the address, if a Lightning invoice is given
+    if (!address) {
+        if (!lightning) {
+            problems.push("cryptoErrorAddressMissing");
+        }
+    } else if (!isValidAddress(currency, address)) {
+        problems.push("cryptoErrorInvalidAddress");
+    }
+
+    if (amount) {
+        const amountMatch = AMOUNT_REGEX.exec(amount);
+        if (!amountMatch || (amountMatch[2] || "").length > getDecimals(currency)) {
+            problems.push("cryptoErrorInvalidAmount");
+        }
+    }
+
+    if (lightning) {
+        if (currency !== CURRENCY.BITCOIN) {
+            problems.push("cryptoErrorLightningBitcoinOnly");
+        } else if (!isValidLightningInvoice(lightning)) {
+            problems.push("cryptoErrorInvalidLightning");
+        }
+    }
+
+    if (currency === CURRENCY.ETHEREUM && ((data.label || "").trim() || (data.message || "").trim())) {
+        problems.push("cryptoErrorEthereumNoLabel");
+    }
+
+    return problems;
+}
@@ -0,0 +1,164 @@
+/**
+ * Builds and parses e-mails to send, either as "mailto:" URI or in the
+ * "MATMSG:" format of NTT docomo.
+ *
+ * @module Payload/Email
+ * @requires ./internal/Escaping
+ * @requires ./internal/QueryString
+ * @see {@link https://tools.ietf.org/html/rfc6068}
+ */
+import * as Escaping from "./internal/Escaping.js";
+import * as QueryString from "./internal/QueryString.js";
+
+/**
+ * The supported formats.
+ *
+ * @type {Object.<string, string>}
+ * @const
+ */
+export const FORMAT = Object.freeze({
+    MAILTO: "mailto",
+    MATMSG: "matmsg"
+});
+
+const MAILTO_SCHEME = "mailto:";
+const MATMSG_SCHEME = "MATMSG:";
+
+const MATMSG_SPECIAL_CHARS = ";:,\"";
+
+const MAILTO_REGEX = /^mailto:([^?]*)(?:\?([\s\S]*))?$/i;
+const EMAIL_REGEX = /^[^@\s]+@[^@\s]+$/;
+const RECIPIENT_SEPARATOR_REGEX = /[\s,;]+/;
+
+/**
+ * The data an e-mail consists of.
+ *
+ * @typedef {Object} EmailData
+ * @property {string} format one of {@link FORMAT}
+ * @property {string} to the recipients, separated by commas
+ * @property {string} subject may be empty
+ * @property {string} body may be empty
+ */
+
+/**
+ * Splits the recipients into the single addresses.
+ *
+ * @function
+ * @private
+ * @param {string} to
+ * @returns {string[]}
+ */
+function splitRecipients(to) {
+    return (to || "").split(RECIPIENT_SEPARATOR_REGEX).filter((address) => address !== "");
+}
+
+/**
+ * Returns whether the text is an e-mail to send.
+ *
+ * @function
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isPayload(text) {
+    const upperCaseText = text.trim().toUpperCase();
+    return upperCaseText.startsWith(MAILTO_SCHEME.toUpperCase()) || upperCaseText.startsWith(MATMSG_SCHEME);
+}
+
+/**
+ * Builds the e-mail in the format selected in the data.
+ *
+ * @function
+ * @param {EmailData} data
+ * @returns {string}
+ */
+export function build(data) {
+    const recipients = splitRecipients(data.to);
+
+    if (data.format === FORMAT.MATMSG) {
+        // MATMSG supports only one recipient, validate() reports this
+        const escape = (value) => Escaping.escapeChars(value || "", MATMSG_SPECIAL_CHARS);
+        return `${MATMSG_SCHEME}TO:${escape(recipients[0])};SUB:${escape(data.subject)};BODY:${escape(data.body)};;`;
+    }
+
+    const query = QueryString.build([
+        ["subject", data.subject || ""],
+        ["body", data.body || ""]
+    ]);
+
+    return `${MAILTO_SCHEME}${recipients.map(encodeURI).join(",")}${query}`;
+}
+
+/**
+ * Parses an e-mail in any of the formats.
+ *
+ * @function
+ * @param {string} text
+ * @returns {EmailData|null} null, if the text is no e-mail
+ */
+export function parse(text) {
+    text = text.trim();
+
+    if (text.toUpperCase().startsWith(MATMSG_SCHEME)) {
+        const data = {format: FORMAT.MATMSG, to: "", subject: "", body: ""};
+
+        for (const [key, value] of Escaping.splitFieldList(text.substring(MATMSG_SCHEME.length))) {
+            switch (key) {
+            case "TO":
+                data.to = Escaping.unescapeChars(value);
+                break;
+            case "SUB":
+                data.subject = Escaping.unescapeChars(value);
+                break;
+            case "BODY":
+                data.body = Escaping.unescapeChars(value);
+                break;
+            }
+        }
+
+        return data;
+    }
+
+    const match = MAILTO_REGEX.exec(text);
+    if (!match) {
+        return null;
+    }
+
+    const params = QueryString.parse(match[2] || "");
+
+    // recipients may also be given as a parameter
+    const recipients = splitRecipients(QueryString.decode(match[1]));
+    if (params.to) {
+        recipients.push(...splitRecipients(params.to));
+    }
+
+    return {
+        format: FORMAT.MAILTO,
+        to: recipients.join(", "),
+        subject: params.subject || "",
+        body: params.body || ""
+    };
+}
+
+/**
+ * Checks the e-mail data for problems.
+ *
+ * @function
+ * @param {EmailData} data
+ * @returns {string[]} the message IDs of all problems found
+ */
+export function validate(data) {
+    const problems = [];
+    const recipients = splitRecipients(data.to);
+
+    if (recipients.length === 0) {
+        problems.push("emailErrorRecipientMissing");
+    } else if (!recipients.every((address) => EMAIL_REGEX.test(address))) {
+        problems.push("emailErrorInvalidAddress");
+    }
+
+    if (data.format === FORMAT.MATMSG && recipients.length > 1) {
+        problems.push("emailErrorMatMsgSingleRecipient");
+    }
+
+    return problems;
+}
@@ -0,0 +1,228 @@
+/**
+ * Builds and parses SEPA credit transfers in the format of the European
+ * Payments Council, also known as "GiroCode".
+ *
+ * @module Payload/Epc
+ * @requires ./internal/Checksum
+ * @see {@link https://www.europeanpaymentscouncil.eu/document-library/guidance-documents/quick-response-code-guidelines-enable-data-capture-initiation} EPC069-12
+ */
+import * as Checksum from "./internal/Checksum.js";
+
+/**
+ * The error correction level the EPC guidelines require.
+ *
+ * @type {string}
+ * @const
+ * @default
+ */
+export const ERROR_CORRECTION = "M";
+
+const SERVICE_TAG = "BCD";
+const VERSION = "002";
+const CHARACTER_SET_UTF8 = "1";
+const IDENTIFICATION = "SCT";
+const CURRENCY = "EUR";
+
+const LINE_BREAK = "\n";
+const NEWLINE_REGEX = /\r\n|\r|\n/;
+
+// maximum payload size in bytes
+const MAX_PAYLOAD_LENGTH = 331;
+const MAX_NAME_LENGTH = 70;
+const MAX_REFERENCE_LENGTH = 35;
+const MAX_REMITTANCE_TEXT_LENGTH = 140;
+
+const MAX_AMOUNT = 999999999.99;
+
+const IBAN_REGEX = /^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/;
+const BIC_REGEX = /^[A-Z]{6}[A-Z0-9]{2}([A-Z0-9]{3})?$/;
+const AMOUNT_REGEX = /^\d{1,9}([.,]\d{1,2})?$/;
+const PURPOSE_REGEX = /^[A-Z]{4}$/;
+
+const textEncoder = new TextEncoder();
+
+/**
+ * The data a credit transfer consists of.
+ *
+ * @typedef {Object} EpcData
+ * @property {string} bic may be empty inside of the EEA
+ * @property {string} name of the beneficiary
+ * @property {string} iban
+ * @property {string} amount in Euro, may be empty
+ * @property {string} purpose four letter code, may be empty
+ * @property {string} reference structured creditor reference, may be empty
+ * @property {string} remittanceText unstructured text, may be empty
+ */
+
+/**
+ * Removes spaces and converts the value to upper case.
+ *
+ * This is used for IBANs and BICs, which are often written in groups.
+ *
+ * @function
+ * @private
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeCode(value) {
+    return (value || "").replace(/\s/g, "").toUpperCase();
+}
+
+/**
+ * Normalizes the amount to use a decimal point.
+ *
+ * @function
+ * @private
+ * @param {string} amount
+ * @returns {string}
+ */
+function normalizeAmount(amount) {
+    return (amount || "").trim().replace(",", ".");
+}
+
+/**
+ * Returns whether the IBAN has a valid format and check digits.
+ *
+ * @function
+ * @param {string} iban
+ * @returns {boolean}
+ * @see {@link https://en.wikipedia.org/wiki/International_Bank_Account_Number#Validating_the_IBAN}
+ */
+export function isValidIban(iban) {
+    iban = normalizeCode(iban);
+    if (!IBAN_REGEX.test(iban)) {
+        return false;
+    }
+
+    return Checksum.mod97(iban) === 1;
+}
+
+/**
+ * Returns whether the text is an EPC credit transfer.
+ *
+ * @function
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isPayload(text) {
+    const lines = text.trim().split(NEWLINE_REGEX);
+    return lines.length >= 4 && lines[0] === SERVICE_TAG && lines[3] === IDENTIFICATION;
+}
+
+/**
+ * Builds the EPC payload.
+ *
+ * @function
+ * @param {EpcData} data
+ * @returns {string}
+ */
+export function build(data) {
+    const amount = normalizeAmount(data.amount);
+
+    const lines = [
+        SERVICE_TAG,
+        VERSION,
+        CHARACTER_SET_UTF8,
+        IDENTIFICATION,
+        normalizeCode(data.bic),
+        (data.name || "").trim(),
+        normalizeCode(data.iban),
+        amount ? `${CURRENCY}${amount}` : "",
+        normalizeCode(data.purpose),
+        // only one of them is allowed, validate() reports this
+        (data.reference || "").replace(/\s/g, ""),
+        data.reference ? "" : (data.remittanceText || "").trim()
+    ];
+
+    // trailing empty lines may be omitted
+    while (lines[lines.length - 1] === "") {
+        lines.pop();
+    }
+
+    return lines.join(LINE_BREAK);
+}
+
+/**
+ * Parses an EPC payload.
+ *
+ * @function
+ * @param {string} text
+ * @returns {EpcData|null} null, if the text is no EPC credit transfer
+ */
+export function parse(text) {
+    if (!isPayload(text)) {
+        return null;
+    }
+
+    const lines = text.trim().split(NEWLINE_REGEX);
+    const getLine = (index) => (lines[index] || "").trim();
+
+    let amount = getLine(7);
+    if (amount.startsWith(CURRENCY)) {
+        amount = amount.substring(CURRENCY.length);
+    }
+
+    return {
+        bic: getLine(4),
+        name: getLine(5),
+        iban: getLine(6),
+        amount: amount,
+        purpose: getLine(8),
+        reference: getLine(9),
+        remittanceText: getLine(10)
+    };
+}
+
+/**
+ * Checks the credit transfer data for problems.
+ *
+ * @function
+ * @param {EpcData} data
+ * @returns {string[]} the message IDs of all problems found
+ */
+export function validate(data) {
+    const problems = [];
+
+    const name = (data.name || "").trim();
+    if (!name) {
+        problems.push("epcErrorNameMissing");
+    } else if (name.length > MAX_NAME_LENGTH) {
+        problems.push("epcErrorNameTooLong");
+    }
+
+    if (!isValidIban(data.iban)) {
+        problems.push("epcErrorInvalidIban");
+    }
+
+    const bic = normalizeCode(data.bic);
+    if (bic && !BIC_REGEX.test(bic)) {
+        problems.push("epcErrorInvalidBic");
+    }
+
+    const amount = normalizeAmount(data.amount);
+    if (amount) {
+        if (!AMOUNT_REGEX.test(amount)) {
+            problems.push("epcErrorInvalidAmount");
+        } else if (Number(amount) < 0.01 || Number(amount) > MAX_AMOUNT) {
+            problems.push("epcErrorAmountRange");
+        }
+    }
+
+    const purpose = normalizeCode(data.purpose);
+    if (purpose && !PURPOSE_REGEX.test(purpose)) {
+        problems.push("epcErrorInvalidPurpose");
+    }
+
+    if (data.reference && data.remittanceText) {
+        problems.push("epcErrorReferenceAndText");
+    } else if ((data.reference || "").replace(/\s/g, "").length > MAX_REFERENCE_LENGTH ||
+        (data.remittanceText || "").trim().length > MAX_REMITTANCE_TEXT_LENGTH) {
+        problems.push("epcErrorRemittanceTooLong");
+    }
+
+    if (textEncoder.encode(build(data)).length > MAX_PAYLOAD_LENGTH) {
+        problems.push("epcErrorPayloadTooLong");
+    }
+
+    return problems;
+}
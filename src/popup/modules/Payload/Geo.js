@@ -0,0 +1,113 @@
+/**
+ * Builds and parses geographic locations ("geo:" URIs).
+ *
+ * @module Payload/Geo
+ * @requires ./internal/QueryString
+ * @see {@link https://tools.ietf.org/html/rfc5870}
+ */
+import * as QueryString from "./internal/QueryString.js";
+
+const SCHEME = "geo:";
+
+const NUMBER_REGEX = /^[-+]?\d+(\.\d+)?$/;
+const URI_REGEX = /^geo:([^?;]*)(?:;[^?]*)?(?:\?(.*))?$/i;
+
+/**
+ * The data a location consists of.
+ *
+ * @typedef {Object} GeoData
+ * @property {string} latitude in decimal degrees
+ * @property {string} longitude in decimal degrees
+ * @property {string} altitude in metres, may be empty
+ * @property {string} query a label or search term, may be empty
+ */
+
+/**
+ * Returns whether the value is a number in the given range.
+ *
+ * @function
+ * @private
+ * @param {string} value
+ * @param {number} min
+ * @param {number} max
+ * @returns {boolean}
+ */
+function isNumberInRange(value, min, max) {
+    return NUMBER_REGEX.test(value) && Number(value) >= min && Number(value) <= max;
+}
+
+/**
+ * Returns whether the text is a location.
+ *
+ * @function
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isPayload(text) {
+    return text.trim().toLowerCase().startsWith(SCHEME);
+}
+
+/**
+ * Builds the geo: URI.
+ *
+ * @function
+ * @param {GeoData} data
+ * @returns {string}
+ */
+export function build(data) {
+    const coordinates = [data.latitude, data.longitude, data.altitude]
+        .map((value) => (value || "").trim())
+        .filter((value) => value !== "");
+
+    // the query is not part of RFC 5870, but understood by Android
+    return `${SCHEME}${coordinates.join(",")}${QueryString.build([["q", (data.query || "").trim()]])}`;
+}
+
+/**
+ * Parses a geo: URI.
+ *
+ * Parameters like the uncertainty (";u=") are ignored.
+ *
+ * @function
+ * @param {string} text
+ * @returns {GeoData|null} null, if the text is no location
+ */
+export function parse(text) {
+    const match = URI_REGEX.exec(text.trim());
+    if (!match) {
+        return null;
+    }
+
+    const [latitude = "", longitude = "", altitude = ""] = match[1].split(",");
+    const params = QueryString.parse(match[2] || "");
+
+    return {
+        latitude: latitude,
+        longitude: longitude,
+        altitude: altitude,
+        query: params.q || ""
+    };
+}
+
+/**
+ * Checks the location data for problems.
+ *
+ * @function
+ * @param {GeoData} data
+ * @returns {string[]} the message IDs of all problems found
+ */
+export function validate(data) {
+    const problems = [];
+
+    if (!isNumberInRange((data.latitude || "").trim(), -90, 90)) {
+        problems.push("geoErrorInvalidLatitude");
+    }
+    if (!isNumberInRange((data.longitude || "").trim(), -180, 180)) {
+        problems.push("geoErrorInvalidLongitude");
+    }
+    if ((data.altitude || "").trim() && !NUMBER_REGEX.test(data.altitude.trim())) {
+        problems.push("geoErrorInvalidAltitude");
+    }
+
+    return problems;
+}
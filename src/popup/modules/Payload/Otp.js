@@ -0,0 +1,277 @@
+/**
+ * Builds and parses "otpauth://" URIs for provisioning TOTP and HOTP tokens
+ * in authenticator apps.
+ *
+ * The payload contains the shared secret, so it is marked as sensitive and
+ * must never be logged or stored.
+ *
+ * @module Payload/Otp
+ * @see {@link https://github.com/google/google-authenticator/wiki/Key-Uri-Format}
+ */
+
+/**
+ * Marks the payload as a secret.
+ *
+ * @type {boolean}
+ * @const
+ * @default
+ */
+export const SENSITIVE = true;
+
+/**
+ * The types of one-time passwords.
+ *
+ * @type {Object.<string, string>}
+ * @const
+ */
+export const TYPE = Object.freeze({
+    TOTP: "totp",
+    HOTP: "hotp"
+});
+
+/**
+ * The supported hash algorithms.
+ *
+ * @type {Object.<string, string>}
+ * @const
+ */
+export const ALGORITHM = Object.freeze({
+    SHA1: "SHA1",
+    SHA256: "SHA256",
+    SHA512: "SHA512"
+});
+
+const SCHEME = "otpauth://";
+
+const DEFAULT_ALGORITHM = ALGORITHM.SHA1;
+const DEFAULT_DIGITS = "6";
+const DEFAULT_PERIOD = "30";
+
+// the length of generated secrets in bytes (160 bit, as recommended by RFC 4226)
+const GENERATED_SECRET_LENGTH = 20;
+// the minimum length of secrets in bytes (128 bit, as required by RFC 4226)
+const MIN_SECRET_LENGTH = 16;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const BASE32_REGEX = /^[A-Z2-7]+=*$/;
+
+const URI_REGEX = /^otpauth:\/\/(totp|hotp)\/([^?#]*)(?:\?([^#]*))?/i;
+const POSITIVE_INTEGER_REGEX = /^[1-9]\d*$/;
+const NON_NEGATIVE_INTEGER_REGEX = /^\d+$/;
+
+/**
+ * The data a token consists of.
+ *
+ * @typedef {Object} OtpData
+ * @property {string} type one of {@link TYPE}
+ * @property {string} issuer may be empty
+ * @property {string} account
+ * @property {string} secret base32-encoded
+ * @property {string} algorithm one of {@link ALGORITHM}
+ * @property {string} digits
+ * @property {string} period in seconds, only used for TOTP
+ * @property {string} counter only used for HOTP
+ */
+
+/**
+ * Normalizes the secret, as it is often written in groups or lower case.
+ *
+ * @function
+ * @private
+ * @param {string} secret
+ * @returns {string}
+ */
+function normalizeSecret(secret) {
+    return (secret || "").replace(/[\s-]/g, "").toUpperCase();
+}
+
+/**
+ * Encodes bytes with base32 without padding.
+ *
+ * @function
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ * @see {@link https://tools.ietf.org/html/rfc4648#section-6}
+ */
+export function encodeBase32(bytes) {
+    let encoded = "";
+    let buffer = 0;
+    let bufferLength = 0;
+
+    for (const byte of bytes) {
+        buffer = (buffer << 8) | byte;
+        bufferLength += 8;
+
+        while (bufferLength >= 5) {
+            bufferLength -= 5;
+            encoded += BASE32_ALPHABET[(buffer >> bufferLength) & 0x1f];
+        }
+    }
+
+    // pad the remaining bits with zeros
+    if (bufferLength > 0) {
+        encoded += BASE32_ALPHABET[(buffer << (5 - bufferLength)) & 0x1f];
+    }
+
+    return encoded;
+}
+
+/**
+ * Returns whether the secret is valid base32.
+ *
+ * @function
+ * @param {string} secret
+ * @returns {boolean}
+ */
+export function isValidBase32(secret) {
+    return BASE32_REGEX.test(normalizeSecret(secret));
+}
+
+/**
+ * Generates a random secret.
+ *
+ * @function
+ * @returns {string} base32-encoded
+ */
+export function generateSecret() {
+    const bytes = new Uint8Array(GENERATED_SECRET_LENGTH);
+    crypto.getRandomValues(bytes);
+
+    return encodeBase32(bytes);
+}
+
+/**
+ * Returns whether the text is an OTP URI.
+ *
+ * @function
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isPayload(text) {
+    return text.trim().toLowerCase().startsWith(SCHEME);
+}
+
+/**
+ * Builds the otpauth:// URI.
+ *
+ * Parameters with default values are omitted, as some apps do not support
+ * them at all.
+ *
+ * @function
+ * @param {OtpData} data
+ * @returns {string}
+ */
+export function build(data) {
+    const issuer = (data.issuer || "").trim();
+    const account = (data.account || "").trim();
+
+    let label = encodeURIComponent(account);
+    if (issuer) {
+        label = `${encodeURIComponent(issuer)}:${label}`;
+    }
+
+    const params = [`secret=${normalizeSecret(data.secret).replace(/=+$/, "")}`];
+    if (issuer) {
+        params.push(`issuer=${encodeURIComponent(issuer)}`);
+    }
+    if (data.algorithm && data.algorithm !== DEFAULT_ALGORITHM) {
+        params.push(`algorithm=${data.algorithm}`);
+    }
+    if (data.digits && data.digits !== DEFAULT_DIGITS) {
+        params.push(`digits=${data.digits}`);
+    }
+
+    if (data.type === TYPE.HOTP) {
+        params.push(`counter=${data.counter || "0"}`);
+    } else if (data.period && data.period !== DEFAULT_PERIOD) {
+        params.push(`period=${data.period}`);
+    }
+
+    return `${SCHEME}${data.type || TYPE.TOTP}/${label}?${params.join("&")}`;
+}
+
+/**
+ * Parses an otpauth:// URI.
+ *
+ * @function
+ * @param {string} text
+ * @returns {OtpData|null} null, if the text is no valid OTP URI
+ */
+export function parse(text) {
+    const match = URI_REGEX.exec(text.trim());
+    if (!match) {
+        return null;
+    }
+
+    let label;
+    try {
+        label = decodeURIComponent(match[2]);
+    } catch (error) {
+        return null;
+    }
+
+    const params = new URLSearchParams(match[3] || "");
+
+    // the label may be prefixed with the issuer
+    let issuer = "";
+    let account = label;
+    const separatorPosition = label.indexOf(":");
+    if (separatorPosition !== -1) {
+        issuer = label.substring(0, separatorPosition).trim();
+        account = label.substring(separatorPosition + 1).trim();
+    }
+
+    return {
+        type: match[1].toLowerCase(),
+        // the parameter takes precedence over the prefix
+        issuer: params.get("issuer") || issuer,
+        account: account,
+        secret: params.get("secret") || "",
+        algorithm: (params.get("algorithm") || DEFAULT_ALGORITHM).toUpperCase(),
+        digits: params.get("digits") || DEFAULT_DIGITS,
+        period: params.get("period") || DEFAULT_PERIOD,
+        counter: params.get("counter") || "0"
+    };
+}
+
+/**
+ * Checks the token data for problems.
+ *
+ * @function
+ * @param {OtpData} data
+ * @returns {string[]} the message IDs of all problems found
+ */
+export function validate(data) {
+    const problems = [];
+
+    if (!(data.account || "").trim()) {
+        problems.push("otpErrorAccountMissing");
+    }
+    // the colon separates the issuer from the account in the label
+    if ((data.issuer || "").includes(":")) {
+        problems.push("otpErrorIssuerColon");
+    }
+
+    const secret = normalizeSecret(data.secret);
+    if (!secret) {
+        problems.push("otpErrorSecretMissing");
+    } else if (!isValidBase32(secret)) {
+        problems.push("otpErrorSecretInvalid");
+    } else if (Math.floor(secret.replace(/=+$/, "").length * 5 / 8) < MIN_SECRET_LENGTH) {
+        problems.push("otpErrorSecretTooShort");
+    }
+
+    if (!Object.values(ALGORITHM).includes(data.algorithm)) {
+        problems.push("otpErrorInvalidAlgorithm");
+    }
+
+    if (data.type === TYPE.HOTP) {
+        if (!NON_NEGATIVE_INTEGER_REGEX.test(data.counter || "")) {
+            problems.push("otpErrorInvalidCounter");
+        }
+    } else if (!POSITIVE_INTEGER_REGEX.test(data.period || "")) {
+        problems.push("otpErrorInvalidPeriod");
+    }
+
+    return problems;
+}
@@ -0,0 +1,112 @@
+/**
+ * Builds and parses phone numbers to call ("tel:" URIs).
+ *
+ * @module Payload/Phone
+ * @requires ./internal/QueryString
+ * @see {@link https://tools.ietf.org/html/rfc3966}
+ */
+import * as QueryString from "./internal/QueryString.js";
+
+const SCHEME = "tel:";
+
+// digits and the visual separators allowed by RFC 3966
+const NUMBER_REGEX = /^\+?[0-9*#().-]+$/;
+const MIN_DIGITS = 3;
+
+/**
+ * The data a phone call consists of.
+ *
+ * @typedef {Object} PhoneData
+ * @property {string} number
+ */
+
+/**
+ * Removes the spaces, which are not allowed in URIs.
+ *
+ * @function
+ * @param {string} number
+ * @returns {string}
+ */
+export function normalizeNumber(number) {
+    return (number || "").replace(/\s/g, "");
+}
+
+/**
+ * Returns the phone number for use in a URI.
+ *
+ * "#" would start the fragment of the URI, so it is percent-encoded.
+ *
+ * @function
+ * @param {string} number
+ * @returns {string}
+ */
+export function encodeNumber(number) {
+    return normalizeNumber(number).replace(/#/g, "%23");
+}
+
+/**
+ * Returns whether the phone number is valid.
+ *
+ * @function
+ * @param {string} number
+ * @returns {boolean}
+ */
+export function isValidNumber(number) {
+    number = normalizeNumber(number);
+    return NUMBER_REGEX.test(number) && number.replace(/\D/g, "").length >= MIN_DIGITS;
+}
+
+/**
+ * Returns whether the text is a phone number to call.
+ *
+ * @function
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isPayload(text) {
+    return text.trim().toLowerCase().startsWith(SCHEME);
+}
+
+/**
+ * Builds the tel: URI.
+ *
+ * @function
+ * @param {PhoneData} data
+ * @returns {string}
+ */
+export function build(data) {
+    return `${SCHEME}${encodeNumber(data.number)}`;
+}
+
+/**
+ * Parses a tel: URI.
+ *
+ * @function
+ * @param {string} text
+ * @returns {PhoneData|null} null, if the text is no phone number to call
+ */
+export function parse(text) {
+    if (!isPayload(text)) {
+        return null;
+    }
+
+    // ignore parameters like ";ext=123"
+    return {
+        number: QueryString.decode(text.trim().substring(SCHEME.length).split(";")[0])
+    };
+}
+
+/**
+ * Checks the phone data for problems.
+ *
+ * @function
+ * @param {PhoneData} data
+ * @returns {string[]} the message IDs of all problems found
+ */
+export function validate(data) {
+    if (!isValidNumber(data.number)) {
+        return ["phoneErrorInvalidNumber"];
+    }
+
+    return [];
+}
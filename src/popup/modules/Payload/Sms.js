@@ -0,0 +1,115 @@
+/**
+ * Builds and parses text messages to send, either as "sms:" URI or in the
+ * older "SMSTO:" format.
+ *
+ * @module Payload/Sms
+ * @requires ./internal/QueryString
+ * @requires ./Phone
+ * @see {@link https://tools.ietf.org/html/rfc5724}
+ */
+import * as QueryString from "./internal/QueryString.js";
+import { normalizeNumber, encodeNumber, isValidNumber } from "./Phone.js";
+
+/**
+ * The supported formats.
+ *
+ * @type {Object.<string, string>}
+ * @const
+ */
+export const FORMAT = Object.freeze({
+    SMS: "sms",
+    SMSTO: "smsto"
+});
+
+const SMS_SCHEME = "sms:";
+const SMSTO_SCHEME = "SMSTO:";
+
+const SMS_REGEX = /^sms:([^?]*)(?:\?([\s\S]*))?$/i;
+const SMSTO_REGEX = /^smsto:([^:]*)(?::([\s\S]*))?$/i;
+
+/**
+ * The data a text message consists of.
+ *
+ * @typedef {Object} SmsData
+ * @property {string} format one of {@link FORMAT}
+ * @property {string} number
+ * @property {string} message may be empty
+ */
+
+/**
+ * Returns whether the text is a text message to send.
+ *
+ * @function
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isPayload(text) {
+    const lowerCaseText = text.trim().toLowerCase();
+    return lowerCaseText.startsWith(SMS_SCHEME) || lowerCaseText.startsWith(SMSTO_SCHEME.toLowerCase());
+}
+
+/**
+ * Builds the text message in the format selected in the data.
+ *
+ * @function
+ * @param {SmsData} data
+ * @returns {string}
+ */
+export function build(data) {
+    if (data.format === FORMAT.SMSTO) {
+        const number = normalizeNumber(data.number);
+        // the message is not encoded in this format
+        return data.message ? `${SMSTO_SCHEME}${number}:${data.message}` : `${SMSTO_SCHEME}${number}`;
+    }
+
+    return `${SMS_SCHEME}${encodeNumber(data.number)}${QueryString.build([["body", data.message || ""]])}`;
+}
+
+/**
+ * Parses a text message in any of the formats.
+ *
+ * @function
+ * @param {string} text
+ * @returns {SmsData|null} null, if the text is no text message
+ */
+export function parse(text) {
+    text = text.trim();
+
+    const smstoMatch = SMSTO_REGEX.exec(text);
+    if (smstoMatch) {
+        return {
+            format: FORMAT.SMSTO,
+            number: smstoMatch[1],
+            message: smstoMatch[2] || ""
+        };
+    }
+
+    const smsMatch = SMS_REGEX.exec(text);
+    if (smsMatch) {
+        return {
+            format: FORMAT.SMS,
+            // multiple recipients are separated by commas, use the first one
+            number: QueryString.decode(smsMatch[1].split(",")[0]),
+            message: QueryString.parse(smsMatch[2] || "").body || ""
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Checks the text message data for problems.
+ *
+ * @function
+ * @param {SmsData} data
+ * @returns {string[]} the message IDs of all problems found
+ */
+export function validate(data) {
+    const problems = [];
+
+    if (!isValidNumber(data.number)) {
+        problems.push("phoneErrorInvalidNumber");
+    }
+
+    return problems;
+}
@@ -0,0 +1,474 @@
+/**
+ * Builds and parses the payload of Swiss QR-bills ("Swiss QR Code").
+ *
+ * @module Payload/SwissQrBill
+ * @requires ./internal/Checksum
+ * @requires ./Epc
+ * @see {@link https://www.paymentstandards.ch/dam/downloads/ig-qr-bill-en.pdf} Swiss Implementation Guidelines QR-bill
+ */
+import * as Checksum from "./internal/Checksum.js";
+import { isValidIban } from "./Epc.js";
+
+/**
+ * The error correction level the QR-bill guidelines require.
+ *
+ * @type {string}
+ * @const
+ * @default
+ */
+export const ERROR_CORRECTION = "M";
+
+/**
+ * The overlay, which needs to be drawn at the centre of the QR code.
+ *
+ * @type {string}
+ * @const
+ * @default
+ */
+export const OVERLAY = "swissCross";
+
+/**
+ * The size of the printed QR code in millimetres, excluding the quiet zone.
+ *
+ * @type {int}
+ * @const
+ * @default
+ */
+export const PRINT_SIZE = 46;
+
+/**
+ * The supported currencies.
+ *
+ * @type {Object.<string, string>}
+ * @const
+ */
+export const CURRENCY = Object.freeze({
+    CHF: "CHF",
+    EUR: "EUR"
+});
+
+/**
+ * The types of references.
+ *
+ * @type {Object.<string, string>}
+ * @const
+ */
+export const REFERENCE_TYPE = Object.freeze({
+    QR_REFERENCE: "QRR",
+    CREDITOR_REFERENCE: "SCOR",
+    NONE: "NON"
+});
+
+const QR_TYPE = "SPC";
+const VERSION = "0200";
+const CODING_TYPE_UTF8 = "1";
+const TRAILER = "EPD";
+const ADDRESS_TYPE_STRUCTURED = "S";
+
+const LINE_BREAK = "\n";
+const NEWLINE_REGEX = /\r\n|\r|\n/;
+
+// number of lines of an address block, including the address type
+const ADDRESS_LINE_COUNT = 7;
+
+// maximum payload size in bytes, which fits into a QR code of version 25
+const MAX_PAYLOAD_LENGTH = 997;
+const MAX_MESSAGE_LENGTH = 140;
+const MAX_ADDRESS_FIELD_LENGTHS = Object.freeze({
+    name: 70,
+    street: 70,
+    houseNumber: 16,
+    postalCode: 16,
+    town: 35
+});
+
+const MAX_AMOUNT = 999999999.99;
+
+// QR-IBANs use a special range of institution IDs
+const QR_IID_MIN = 30000;
+const QR_IID_MAX = 31999;
+
+const SWISS_IBAN_REGEX = /^(CH|LI)\d{19}$/;
+const QR_REFERENCE_REGEX = /^\d{27}$/;
+const CREDITOR_REFERENCE_REGEX = /^RF\d{2}[A-Z0-9]{1,21}$/;
+const AMOUNT_REGEX = /^\d{1,9}([.,]\d{1,2})?$/;
+const COUNTRY_REGEX = /^[A-Z]{2}$/;
+
+const textEncoder = new TextEncoder();
+
+/**
+ * A structured address.
+ *
+ * @typedef {Object} SwissQrBillAddress
+ * @property {string} name
+ * @property {string} street
+ * @property {string} houseNumber
+ * @property {string} postalCode
+ * @property {string} town
+ * @property {string} country two letter ISO code
+ */
+
+/**
+ * The data a QR-bill consists of.
+ *
+ * The reference type is derived from the IBAN and reference.
+ *
+ * Addresses are given in flat properties prefixed with "creditor" and
+ * "debtor", e.g. creditorName or debtorTown.
+ *
+ * @typedef {Object} SwissQrBillData
+ * @property {string} iban IBAN or QR-IBAN
+ * @property {string} amount may be empty
+ * @property {string} currency one of {@link CURRENCY}
+ * @property {string} reference QR reference or creditor reference, may be empty
+ * @property {string} message unstructured message, may be empty
+ */
+
+/**
+ * Removes spaces and converts the value to upper case.
+ *
+ * @function
+ * @private
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeCode(value) {
+    return (value || "").replace(/\s/g, "").toUpperCase();
+}
+
+/**
+ * Normalizes the amount to use a decimal point.
+ *
+ * @function
+ * @private
+ * @param {string} amount
+ * @returns {string}
+ */
+function normalizeAmount(amount) {
+    return (amount || "").trim().replace(",", ".");
+}
+
+/**
+ * Formats the amount with the two decimal places the guidelines require.
+ *
+ * Invalid amounts are kept, so validate() can report them.
+ *
+ * @function
+ * @private
+ * @param {string} amount
+ * @returns {string}
+ */
+function formatAmount(amount) {
+    const normalizedAmount = normalizeAmount(amount);
+    if (!AMOUNT_REGEX.test(normalizedAmount)) {
+        return normalizedAmount;
+    }
+
+    return Number(normalizedAmount).toFixed(2);
+}
+
+/**
+ * Returns the address with the given prefix from the data.
+ *
+ * @function
+ * @private
+ * @param {SwissQrBillData} data
+ * @param {string} prefix "creditor" or "debtor"
+ * @returns {SwissQrBillAddress}
+ */
+function getAddress(data, prefix) {
+    return {
+        name: (data[`${prefix}Name`] || "").trim(),
+        street: (data[`${prefix}Street`] || "").trim(),
+        houseNumber: (data[`${prefix}HouseNumber`] || "").trim(),
+        postalCode: (data[`${prefix}PostalCode`] || "").trim(),
+        town: (data[`${prefix}Town`] || "").trim(),
+        country: normalizeCode(data[`${prefix}Country`])
+    };
+}
+
+/**
+ * Returns whether any field of the address is filled.
+ *
+ * @function
+ * @private
+ * @param {SwissQrBillAddress} address
+ * @returns {boolean}
+ */
+function isAddressGiven(address) {
+    return Object.values(address).some((value) => value !== "");
+}
+
+/**
+ * Returns the lines of an address block.
+ *
+ * @function
+ * @private
+ * @param {SwissQrBillAddress} address
+ * @returns {string[]}
+ */
+function getAddressLines(address) {
+    if (!isAddressGiven(address)) {
+        return new Array(ADDRESS_LINE_COUNT).fill("");
+    }
+
+    return [
+        ADDRESS_TYPE_STRUCTURED,
+        address.name,
+        address.street,
+        address.houseNumber,
+        address.postalCode,
+        address.town,
+        address.country
+    ];
+}
+
+/**
+ * Writes the address block starting at the line into the data.
+ *
+ * @function
+ * @private
+ * @param {SwissQrBillData} data
+ * @param {string} prefix "creditor" or "debtor"
+ * @param {function} getLine
+ * @param {int} startLine the line of the address type
+ * @returns {void}
+ */
+function setAddressFromLines(data, prefix, getLine, startLine) {
+    data[`${prefix}Name`] = getLine(startLine + 1);
+    data[`${prefix}Street`] = getLine(startLine + 2);
+    data[`${prefix}HouseNumber`] = getLine(startLine + 3);
+    data[`${prefix}PostalCode`] = getLine(startLine + 4);
+    data[`${prefix}Town`] = getLine(startLine + 5);
+    data[`${prefix}Country`] = getLine(startLine + 6);
+}
+
+/**
+ * Checks a structured address for problems.
+ *
+ * @function
+ * @private
+ * @param {SwissQrBillAddress} address
+ * @param {string} incompleteProblem the message ID to use for missing fields
+ * @returns {string[]} the message IDs of all problems found
+ */
+function validateAddress(address, incompleteProblem) {
+    const problems = [];
+
+    if (!address.name || !address.postalCode || !address.town || !address.country) {
+        problems.push(incompleteProblem);
+    } else if (!COUNTRY_REGEX.test(address.country)) {
+        problems.push("swissQrBillErrorInvalidCountry");
+    }
+
+    for (const [field, maxLength] of Object.entries(MAX_ADDRESS_FIELD_LENGTHS)) {
+        if (address[field].length > maxLength) {
+            problems.push("swissQrBillErrorFieldTooLong");
+            break;
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * Returns whether the IBAN is a QR-IBAN.
+ *
+ * QR-IBANs may only be used with QR references.
+ *
+ * @function
+ * @param {string} iban
+ * @returns {boolean}
+ */
+export function isQrIban(iban) {
+    iban = normalizeCode(iban);
+    if (!SWISS_IBAN_REGEX.test(iban)) {
+        return false;
+    }
+
+    const institutionId = Number(iban.substring(4, 9));
+    return institutionId >= QR_IID_MIN && institutionId <= QR_IID_MAX;
+}
+
+/**
+ * Returns whether the QR reference has a valid format and check digit.
+ *
+ * @function
+ * @param {string} reference
+ * @returns {boolean}
+ */
+export function isValidQrReference(reference) {
+    reference = normalizeCode(reference);
+    if (!QR_REFERENCE_REGEX.test(reference)) {
+        return false;
+    }
+
+    return Checksum.mod10Recursive(reference.substring(0, 26)) === Number(reference[26]);
+}
+
+/**
+ * Returns whether the ISO 11649 creditor reference has a valid format and
+ * check digits.
+ *
+ * @function
+ * @param {string} reference
+ * @returns {boolean}
+ */
+export function isValidCreditorReference(reference) {
+    reference = normalizeCode(reference);
+    if (!CREDITOR_REFERENCE_REGEX.test(reference)) {
+        return false;
+    }
+
+    return Checksum.mod97(reference) === 1;
+}
+
+/**
+ * Returns the type of the reference used by the data.
+ *
+ * @function
+ * @param {SwissQrBillData} data
+ * @returns {string} one of {@link REFERENCE_TYPE}
+ */
+export function getReferenceType(data) {
+    const reference = normalizeCode(data.reference);
+
+    if (!reference) {
+        return REFERENCE_TYPE.NONE;
+    } else if (reference.startsWith("RF")) {
+        return REFERENCE_TYPE.CREDITOR_REFERENCE;
+    }
+
+    return REFERENCE_TYPE.QR_REFERENCE;
+}
+
+/**
+ * Returns whether the text is a Swiss QR-bill.
+ *
+ * @function
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isPayload(text) {
+    const lines = text.trim().split(NEWLINE_REGEX);
+    return lines.length >= 3 && lines[0] === QR_TYPE && lines[1].startsWith("02");
+}
+
+/**
+ * Builds the QR-bill payload.
+ *
+ * @function
+ * @param {SwissQrBillData} data
+ * @returns {string}
+ */
+export function build(data) {
+    const lines = [
+        QR_TYPE,
+        VERSION,
+        CODING_TYPE_UTF8,
+        normalizeCode(data.iban),
+        ...getAddressLines(getAddress(data, "creditor")),
+        // the ultimate creditor is reserved for future use and must be empty
+        ...new Array(ADDRESS_LINE_COUNT).fill(""),
+        formatAmount(data.amount),
+        data.currency || CURRENCY.CHF,
+        ...getAddressLines(getAddress(data, "debtor")),
+        getReferenceType(data),
+        normalizeCode(data.reference),
+        // line breaks are not allowed in the message
+        (data.message || "").replace(/\s+/g, " ").trim(),
+        TRAILER
+    ];
+
+    return lines.join(LINE_BREAK);
+}
+
+/**
+ * Parses a QR-bill payload.
+ *
+ * @function
+ * @param {string} text
+ * @returns {SwissQrBillData|null} null, if the text is no QR-bill
+ */
+export function parse(text) {
+    if (!isPayload(text)) {
+        return null;
+    }
+
+    const lines = text.trim().split(NEWLINE_REGEX);
+    const getLine = (index) => (lines[index] || "").trim();
+
+    const data = {
+        iban: getLine(3)
+    };
+
+    setAddressFromLines(data, "creditor", getLine, 4);
+    // skip ultimate creditor in lines 11 to 17
+    data.amount = getLine(18);
+    data.currency = getLine(19) || CURRENCY.CHF;
+    setAddressFromLines(data, "debtor", getLine, 20);
+    // the reference type in line 27 is derived from the reference
+    data.reference = getLine(28);
+    data.message = getLine(29);
+
+    return data;
+}
+
+/**
+ * Checks the QR-bill data for problems.
+ *
+ * @function
+ * @param {SwissQrBillData} data
+ * @returns {string[]} the message IDs of all problems found
+ */
+export function validate(data) {
+    const problems = [];
+
+    const iban = normalizeCode(data.iban);
+    if (!SWISS_IBAN_REGEX.test(iban) || !isValidIban(iban)) {
+        problems.push("swissQrBillErrorInvalidIban");
+    } else {
+        const referenceType = getReferenceType(data);
+
+        if (isQrIban(iban) && referenceType !== REFERENCE_TYPE.QR_REFERENCE) {
+            problems.push("swissQrBillErrorQrIbanNeedsQrReference");
+        } else if (!isQrIban(iban) && referenceType === REFERENCE_TYPE.QR_REFERENCE) {
+            problems.push("swissQrBillErrorQrReferenceNeedsQrIban");
+        } else if (referenceType === REFERENCE_TYPE.QR_REFERENCE && !isValidQrReference(data.reference)) {
+            problems.push("swissQrBillErrorInvalidQrReference");
+        } else if (referenceType === REFERENCE_TYPE.CREDITOR_REFERENCE && !isValidCreditorReference(data.reference)) {
+            problems.push("swissQrBillErrorInvalidCreditorReference");
+        }
+    }
+
+    problems.push(...validateAddress(getAddress(data, "creditor"), "swissQrBillErrorCreditorIncomplete"));
+
+    const debtor = getAddress(data, "debtor");
+    if (isAddressGiven(debtor)) {
+        problems.push(...validateAddress(debtor, "swissQrBillErrorDebtorIncomplete"));
+    }
+
+    const amount = normalizeAmount(data.amount);
+    if (amount) {
+        if (!AMOUNT_REGEX.test(amount)) {
+            problems.push("swissQrBillErrorInvalidAmount");
+        } else if (Number(amount) < 0.01 || Number(amount) > MAX_AMOUNT) {
+            problems.push("swissQrBillErrorAmountRange");
+        }
+    }
+
+    if (!Object.values(CURRENCY).includes(data.currency)) {
+        problems.push("swissQrBillErrorInvalidCurrency");
+    }
+
+    if ((data.message || "").trim().length > MAX_MESSAGE_LENGTH) {
+        problems.push("swissQrBillErrorMessageTooLong");
+    }
+
+    if (textEncoder.encode(build(data)).length > MAX_PAYLOAD_LENGTH) {
+        problems.push("swissQrBillErrorPayloadTooLong");
+    }
+
+    // the same problem may be reported for both addresses
+    return Array.from(new Set(problems));
+}
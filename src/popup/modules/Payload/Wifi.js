@@ -0,0 +1,204 @@
+/**
+ * Builds and parses Wi-Fi network configuration payloads ("WIFI:" scheme).
+ *
+ * The format is the de-facto standard introduced by ZXing, which is
+ * understood by the camera apps of all major mobile operating systems.
+ *
+ * @module Payload/Wifi
+ * @requires ./internal/Escaping
+ * @see {@link https://github.com/zxing/zxing/wiki/Barcode-Contents#wi-fi-network-config-android-ios-11}
+ */
+import * as Escaping from "./internal/Escaping.js";
+
+/**
+ * The prefix every Wi-Fi payload starts with.
+ *
+ * @type {string}
+ * @const
+ * @default
+ */
+export const SCHEME = "WIFI:";
+
+/**
+ * The security types that can be selected.
+ *
+ * The values are the ones written into the "T:" field. WPA3 is written as
+ * "SAE" (Simultaneous Authentication of Equals) as Android expects it.
+ *
+ * @type {Object.<string, string>}
+ * @const
+ */
+export const SECURITY_TYPE = Object.freeze({
+    WPA: "WPA",
+    WPA3: "SAE",
+    WEP: "WEP",
+    NONE: "nopass"
+});
+
+// characters, which need to be escaped with a backslash in values
+const SPECIAL_CHARS = ";,:\"";
+const HEX_REGEX = /^[0-9a-f]+$/i;
+
+const WPA_PASSWORD_MIN_LENGTH = 8;
+const WPA_PASSWORD_MAX_LENGTH = 63;
+const WEP_PASSWORD_LENGTHS = Object.freeze([5, 10, 13, 26]);
+
+/**
+ * The data a Wi-Fi payload consists of.
+ *
+ * @typedef {Object} WifiData
+ * @property {string} ssid the network name
+ * @property {string} security one of {@link SECURITY_TYPE}
+ * @property {string} password the password, ignored for open networks
+ * @property {boolean} hidden whether the network does not broadcast its SSID
+ */
+
+/**
+ * Escapes a value for use in the payload.
+ *
+ * @function
+ * @private
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeValue(value) {
+    const escapedValue = Escaping.escapeChars(value, SPECIAL_CHARS);
+
+    // values that look like hex numbers would be interpreted as such, so
+    // they need to be quoted to be read as ASCII text
+    if (HEX_REGEX.test(value)) {
+        return `"${escapedValue}"`;
+    }
+
+    return escapedValue;
+}
+
+/**
+ * Reverts the escaping done by {@link escapeValue}.
+ *
+ * @function
+ * @private
+ * @param {string} value
+ * @returns {string}
+ */
+function unescapeValue(value) {
+    // remove quotes around values
+    if (value.length >= 2 && value.startsWith("\"") && value.endsWith("\"")) {
+        value = value.slice(1, -1);
+    }
+
+    return Escaping.unescapeChars(value);
+}
+
+/**
+ * Returns whether the text is a Wi-Fi payload.
+ *
+ * @function
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isPayload(text) {
+    return text.toUpperCase().startsWith(SCHEME);
+}
+
+/**
+ * Builds the payload for the given network.
+ *
+ * @function
+ * @param {WifiData} data
+ * @returns {string}
+ */
+export function build(data) {
+    const security = data.security || SECURITY_TYPE.WPA;
+    let payload = `${SCHEME}T:${security};S:${escapeValue(data.ssid || "")};`;
+
+    if (security !== SECURITY_TYPE.NONE) {
+        payload += `P:${escapeValue(data.password || "")};`;
+    }
+
+    if (data.hidden) {
+        payload += "H:true;";
+    }
+
+    return `${payload};`;
+}
+
+/**
+ * Parses a Wi-Fi payload.
+ *
+ * @function
+ * @param {string} text
+ * @returns {WifiData|null} null, if the text is no Wi-Fi payload
+ */
+export function parse(text) {
+    if (!isPayload(text)) {
+        return null;
+    }
+
+    const data = {
+        ssid: "",
+        security: SECURITY_TYPE.NONE,
+        password: "",
+        hidden: false
+    };
+
+    for (const [key, rawValue] of Escaping.splitFieldList(text.substring(SCHEME.length))) {
+        const value = unescapeValue(rawValue);
+
+        switch (key) {
+        case "T": {
+            // match security types case-insensitively, also accept "WPA3" for SAE
+            const security = value.toUpperCase() === "WPA3" ? SECURITY_TYPE.WPA3 : value;
+            data.security = Object.values(SECURITY_TYPE).find((type) => type.toUpperCase() === security.toUpperCase()) || SECURITY_TYPE.WPA;
+            break;
+        }
+        case "S":
+            data.ssid = value;
+            break;
+        case "P":
+            data.password = value;
+            break;
+        case "H":
+            data.hidden = value.toLowerCase() === "true";
+            break;
+        }
+    }
+
+    // WPA is the default, if a password is given
+    if (data.security === SECURITY_TYPE.NONE && data.password !== "") {
+        data.security = SECURITY_TYPE.WPA;
+    }
+
+    return data;
+}
+
+/**
+ * Checks the network data for problems.
+ *
+ * @function
+ * @param {WifiData} data
+ * @returns {string[]} the message IDs of all problems found
+ */
+export function validate(data) {
+    const problems = [];
+
+    if (!data.ssid) {
+        problems.push("wifiErrorSsidMissing");
+    }
+
+    switch (data.security) {
+    case SECURITY_TYPE.WPA:
+    case SECURITY_TYPE.WPA3:
+        if (data.password.length < WPA_PASSWORD_MIN_LENGTH || data.password.length > WPA_PASSWORD_MAX_LENGTH) {
+            problems.push("wifiErrorWpaPasswordLength");
+        }
+        break;
+    case SECURITY_TYPE.WEP:
+        if (!WEP_PASSWORD_LENGTHS.includes(data.password.length)) {
+            problems.push("wifiErrorWepPasswordLength");
+        }
+        break;
+    }
+
+    return problems;
+}
@@ -0,0 +1,76 @@
+/**
+ * Decodes base58 and base58check, as used by Bitcoin addresses.
+ *
+ * @module Payload/internal/Base58
+ * @requires ./Hash
+ * @see {@link https://en.bitcoin.it/wiki/Base58Check_encoding}
+ */
+import * as Hash from "./Hash.js";
+
+const ALPHABET = "123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz";
+const CHECKSUM_LENGTH = 4;
+
+/**
+ * Decodes a base58 string.
+ *
+ * @function
+ * @param {string} text
+ * @returns {Uint8Array|null} null, if the text contains invalid characters
+ */
+export function decode(text) {
+    // little-endian, as it is easier to extend
+    const bytes = [];
+
+    for (const char of text) {
+        let carry = ALPHABET.indexOf(char);
+        if (carry === -1) {
+            return null;
+        }
+
+        for (let i = 0; i < bytes.length; i++) {
+            carry += bytes[i] * 58;
+            bytes[i] = carry & 0xff;
+            carry >>= 8;
+        }
+        while (carry > 0) {
+            bytes.push(carry & 0xff);
+            carry >>= 8;
+        }
+    }
+
+    // leading "1"s encode leading zero bytes
+    for (const char of text) {
+        if (char !== ALPHABET[0]) {
+            break;
+        }
+        bytes.push(0);
+    }
+
+    return Uint8Array.from(bytes.reverse());
+}
+
+/**
+ * Decodes a base58check string and verifies its checksum.
+ *
+ * @function
+ * @param {string} text
+ * @returns {Uint8Array|null} the payload including the version byte or null,
+ * if the text is invalid
+ */
+export function decodeCheck(text) {
+    const bytes = decode(text);
+    if (bytes === null || bytes.length <= CHECKSUM_LENGTH) {
+        return null;
+    }
+
+    const payload = bytes.subarray(0, bytes.length - CHECKSUM_LENGTH);
+    const checksum = Hash.sha256(Hash.sha256(payload));
+
+    for (let i = 0; i < CHECKSUM_LENGTH; i++) {
+        if (checksum[i] !== bytes[payload.length + i]) {
+            return null;
+        }
+    }
+
+    return payload;
+}
@@ -0,0 +1,187 @@
+/**
+ * Decodes bech32 and bech32m strings, as used by SegWit addresses and
+ * Lightning invoices.
+ *
+ * @module Payload/internal/Bech32
+ * @see {@link https://github.com/bitcoin/bips/blob/master/bip-0173.mediawiki}
+ * @see {@link https://github.com/bitcoin/bips/blob/master/bip-0350.mediawiki}
+ */
+
+/**
+ * The checksum variants, identified by their checksum constant.
+ *
+ * @type {Object.<string, number>}
+ * @const
+ */
+export const ENCODING = Object.freeze({
+    BECH32: 1,
+    BECH32M: 0x2bc830a3
+});
+
+const CHARSET = "qpzry9x8gf2tvdw0s3jn54khce6mua7l";
+const GENERATOR = Object.freeze([0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3]);
+const CHECKSUM_LENGTH = 6;
+const MAX_LENGTH = 90;
+
+// witness programs of SegWit addresses
+const MIN_PROGRAM_LENGTH = 2;
+const MAX_PROGRAM_LENGTH = 40;
+const V0_PROGRAM_LENGTHS = Object.freeze([20, 32]);
+const MAX_WITNESS_VERSION = 16;
+
+/**
+ * The result of decoding a bech32 string.
+ *
+ * @typedef {Object} Bech32Data
+ * @property {string} prefix the human-readable part in lower case
+ * @property {number[]} words the 5 bit values of the data part without the checksum
+ * @property {number} encoding one of {@link ENCODING}
+ */
+
+/**
+ * Calculates the checksum over the values.
+ *
+ * @function
+ * @private
+ * @param {number[]} values
+ * @returns {number}
+ */
+function polymod(values) {
+    let checksum = 1;
+
+    for (const value of values) {
+        const top = checksum >>> 25;
+        checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+        for (let i = 0; i < GENERATOR.length; i++) {
+            if ((top >>> i) & 1) {
+                checksum ^= GENERATOR[i];
+            }
+        }
+    }
+
+    return checksum >>> 0;
+}
+
+/**
+ * Expands the human-readable part for the checksum calculation.
+ *
+ * @function
+ * @private
+ * @param {string} prefix
+ * @returns {number[]}
+ */
+function expandPrefix(prefix) {
+    const codes = Array.from(prefix, (char) => char.charCodeAt(0));
+    return [...codes.map((code) => code >>> 5), 0, ...codes.map((code) => code & 31)];
+}
+
+/**
+ * Converts a list of values from one bit width to another.
+ *
+ * @function
+ * @param {number[]} values
+ * @param {number} fromBits
+ * @param {number} toBits
+ * @param {boolean} pad whether incomplete groups are padded with zeros
+ * @returns {number[]|null} null, if the padding is invalid
+ */
+export function convertBits(values, fromBits, toBits, pad) {
+    const result = [];
+    const maxValue = (1 << toBits) - 1;
+    let buffer = 0;
+    let bufferLength = 0;
+
+    for (const value of values) {
+        buffer = (buffer << fromBits) | value;
+        bufferLength += fromBits;
+
+        while (bufferLength >= toBits) {
+            bufferLength -= toBits;
+            result.push((buffer >>> bufferLength) & maxValue);
+        }
+    }
+
+    if (pad) {
+        if (bufferLength > 0) {
+            result.push((buffer << (toBits - bufferLength)) & maxValue);
+        }
+    } else if (bufferLength >= fromBits || ((buffer << (toBits - bufferLength)) & maxValue)) {
+        return null;
+    }
+
+    return result;
+}
+
+/**
+ * Decodes a bech32 or bech32m string and verifies its checksum.
+ *
+ * @function
+ * @param {string} text
+ * @param {number} [maxLength=90] Lightning invoices exceed the usual limit
+ * @returns {Bech32Data|null} null, if the text is invalid
+ */
+export function decode(text, maxLength = MAX_LENGTH) {
+    // mixed case is not allowed
+    if (text.length > maxLength || (text !== text.toLowerCase() && text !== text.toUpperCase())) {
+        return null;
+    }
+
+    const lowerCaseText = text.toLowerCase();
+    const separatorPosition = lowerCaseText.lastIndexOf("1");
+    if (separatorPosition < 1 || separatorPosition + CHECKSUM_LENGTH >= lowerCaseText.length) {
+        return null;
+    }
+
+    const prefix = lowerCaseText.substring(0, separatorPosition);
+    if (!/^[\x21-\x7e]+$/.test(prefix)) {
+        return null;
+    }
+
+    const words = Array.from(lowerCaseText.substring(separatorPosition + 1), (char) => CHARSET.indexOf(char));
+    if (words.includes(-1)) {
+        return null;
+    }
+
+    const checksum = polymod([...expandPrefix(prefix), ...words]);
+    const encoding = Object.values(ENCODING).find((constant) => constant === checksum);
+    if (encoding === undefined) {
+        return null;
+    }
+
+    return {
+        prefix: prefix,
+        words: words.slice(0, -CHECKSUM_LENGTH),
+        encoding: encoding
+    };
+}
+
+/**
+ * Returns whether the text is a valid SegWit address with one of the given
+ * prefixes.
+ *
+ * Witness version 0 must use bech32, all later versions bech32m.
+ *
+ * @function
+ * @param {string} text
+ * @param {string[]} prefixes the allowed human-readable parts, e.g. "bc"
+ * @returns {boolean}
+ */
+export function isSegwitAddress(text, prefixes) {
+    const decoded = decode(text);
+    if (decoded === null || !prefixes.includes(decoded.prefix) || decoded.words.length === 0) {
+        return false;
+    }
+
+    const [version, ...programWords] = decoded.words;
+    const program = convertBits(programWords, 5, 8, false);
+    if (version > MAX_WITNESS_VERSION || program === null ||
+        program.length < MIN_PROGRAM_LENGTH || program.length > MAX_PROGRAM_LENGTH) {
+        return false;
+    }
+
+    if (version === 0) {
+        return decoded.encoding === ENCODING.BECH32 && V0_PROGRAM_LENGTHS.includes(program.length);
+    }
+
+    return decoded.encoding === ENCODING.BECH32M;
+}
@@ -0,0 +1,50 @@
+/**
+ * Check digit algorithms used by bank account numbers and payment references.
+ *
+ * @module Payload/internal/Checksum
+ */
+
+// table for the recursive modulo 10 algorithm
+const MOD10_TABLE = Object.freeze([0, 9, 4, 6, 8, 2, 7, 1, 3, 5]);
+
+/**
+ * Calculates the ISO 7064 MOD 97-10 remainder of an alphanumeric code, as
+ * used by IBANs and ISO 11649 creditor references.
+ *
+ * The first four characters (country or "RF" and the check digits) are
+ * moved to the end before calculating, so a valid code returns 1.
+ *
+ * @function
+ * @param {string} code only digits and upper case letters
+ * @returns {int}
+ */
+export function mod97(code) {
+    // convert letters to numbers (A = 10)
+    const rearrangedCode = code.substring(4) + code.substring(0, 4);
+    const digits = rearrangedCode.replace(/[A-Z]/g, (letter) => String(letter.charCodeAt(0) - 55));
+
+    // calculate the modulo piece by piece, as the number is too large for JavaScript
+    let remainder = 0;
+    for (const digit of digits) {
+        remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+
+    return remainder;
+}
+
+/**
+ * Calculates the check digit of the recursive modulo 10 algorithm, as used by
+ * Swiss QR references.
+ *
+ * @function
+ * @param {string} digits without the check digit
+ * @returns {int}
+ */
+export function mod10Recursive(digits) {
+    let carry = 0;
+    for (const digit of digits) {
+        carry = MOD10_TABLE[(carry + Number(digit)) % 10];
+    }
+
+    return (10 - carry) % 10;
+}
@@ -0,0 +1,138 @@
+/**
+ * Helpers for the "content lines" shared by vCard and iCalendar.
+ *
+ * @module Payload/internal/ContentLine
+ * @requires ./Escaping
+ * @see {@link https://tools.ietf.org/html/rfc6350#section-3.2}
+ * @see {@link https://tools.ietf.org/html/rfc5545#section-3.1}
+ */
+import * as Escaping from "./Escaping.js";
+
+/**
+ * The line break to use between content lines.
+ *
+ * @type {string}
+ * @const
+ * @default
+ */
+export const LINE_BREAK = "\r\n";
+
+// maximum line length in octets, excluding the line break
+const MAX_LINE_LENGTH = 75;
+
+const SPECIAL_CHARS = ",;";
+
+const NEWLINE_REGEX = /\r\n|\r|\n/g;
+const FOLDED_LINE_REGEX = /\r?\n[ \t]/g;
+const ESCAPED_CHARS_REGEX = /\\([nN])|\\(.)/g;
+
+const textEncoder = new TextEncoder();
+
+/**
+ * A parsed content line.
+ *
+ * @typedef {Object} ContentLineObject
+ * @property {string} name the property name in uppercase, without groups
+ * @property {Object.<string, string>} params the parameters, keys in uppercase
+ * @property {string} value the raw (still escaped) value
+ */
+
+/**
+ * Escapes a text value.
+ *
+ * @function
+ * @param {string} value
+ * @returns {string}
+ */
+export function escapeText(value) {
+    return Escaping.escapeChars(value || "", SPECIAL_CHARS).replace(NEWLINE_REGEX, "\\n");
+}
+
+/**
+ * Reverts the escaping done by {@link escapeText}.
+ *
+ * @function
+ * @param {string} value
+ * @returns {string}
+ */
+export function unescapeText(value) {
+    return value.replace(ESCAPED_CHARS_REGEX, (match, newline, char) => {
+        return newline ? "\n" : char;
+    });
+}
+
+/**
+ * Folds a content line, so no line is longer than 75 octets.
+ *
+ * Multi-byte UTF-8 characters are never split.
+ *
+ * @function
+ * @param {string} line
+ * @returns {string}
+ */
+export function foldLine(line) {
+    let foldedLine = "";
+    let lineLength = 0;
+
+    for (const char of line) {
+        const charLength = textEncoder.encode(char).length;
+
+        if (lineLength + charLength > MAX_LINE_LENGTH) {
+            foldedLine += `${LINE_BREAK} `;
+            // the space of the continuation line counts, too
+            lineLength = 1;
+        }
+
+        foldedLine += char;
+        lineLength += charLength;
+    }
+
+    return foldedLine;
+}
+
+/**
+ * Folds and joins all content lines.
+ *
+ * @function
+ * @param {string[]} lines
+ * @returns {string}
+ */
+export function joinLines(lines) {
+    return lines.map(foldLine).join(LINE_BREAK);
+}
+
+/**
+ * Unfolds the text and splits it into parsed content lines.
+ *
+ * Lines, which are no valid content lines, are skipped.
+ *
+ * @function
+ * @param {string} text
+ * @returns {ContentLineObject[]}
+ */
+export function parseLines(text) {
+    const contentLines = [];
+
+    for (const line of text.replace(FOLDED_LINE_REGEX, "").split(NEWLINE_REGEX)) {
+        const separatorPosition = line.indexOf(":");
+        if (separatorPosition === -1) {
+            continue;
+        }
+
+        const [name, ...rawParams] = line.substring(0, separatorPosition).split(";");
+        const params = {};
+        for (const rawParam of rawParams) {
+            const [paramName, paramValue = ""] = rawParam.split("=");
+            params[paramName.toUpperCase()] = paramValue.replace(/^"|"$/g, "");
+        }
+
+        contentLines.push({
+            // ignore groups, e.g. "item1.TEL"
+            name: name.split(".").pop().toUpperCase(),
+            params: params,
+            value: line.substring(separatorPosition + 1)
+        });
+    }
+
+    return contentLines;
+}
@@ -0,0 +1,101 @@
+/**
+ * Helpers for the backslash escaping used by most payload formats.
+ *
+ * @module Payload/internal/Escaping
+ */
+
+const ESCAPED_CHARS_REGEX = /\\(.)/g;
+
+/**
+ * Escapes all given characters (and the backslash itself) with a backslash.
+ *
+ * @function
+ * @param {string} value
+ * @param {string} chars the characters to escape, in addition to the backslash
+ * @returns {string}
+ */
+export function escapeChars(value, chars) {
+    let escapedValue = "";
+
+    for (const char of value) {
+        if (char === "\\" || chars.includes(char)) {
+            escapedValue += "\\";
+        }
+        escapedValue += char;
+    }
+
+    return escapedValue;
+}
+
+/**
+ * Removes the backslashes in front of escaped characters.
+ *
+ * @function
+ * @param {string} value
+ * @returns {string}
+ */
+export function unescapeChars(value) {
+    return value.replace(ESCAPED_CHARS_REGEX, "$1");
+}
+
+/**
+ * Splits the text at all separators, which are not escaped.
+ *
+ * The escape sequences are kept in the parts, so they can be unescaped later.
+ * Empty parts are kept, too.
+ *
+ * @function
+ * @param {string} text
+ * @param {string} separator a single character
+ * @returns {string[]}
+ */
+export function splitUnescaped(text, separator) {
+    const parts = [];
+    let currentPart = "";
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (char === "\\" && i + 1 < text.length) {
+            currentPart += char + text[i + 1];
+            i++;
+        } else if (char === separator) {
+            parts.push(currentPart);
+            currentPart = "";
+        } else {
+            currentPart += char;
+        }
+    }
+
+    parts.push(currentPart);
+
+    return parts;
+}
+
+/**
+ * Splits a field list like "K:value;K2:value2;;" into its key/value pairs.
+ *
+ * This format is used by the "docomo" formats like MECARD or WIFI. The keys
+ * are returned in uppercase, the values are still escaped.
+ *
+ * @function
+ * @param {string} text the field list without the scheme prefix
+ * @returns {Array.<string[]>} list of [key, value] pairs
+ */
+export function splitFieldList(text) {
+    const fields = [];
+
+    for (const field of splitUnescaped(text, ";")) {
+        const separatorPosition = field.indexOf(":");
+        if (separatorPosition === -1) {
+            continue;
+        }
+
+        fields.push([
+            field.substring(0, separatorPosition).toUpperCase(),
+            field.substring(separatorPosition + 1)
+        ]);
+    }
+
+    return fields;
+}
@@ -0,0 +1,231 @@
+/**
+ * Synchronous hash functions needed to verify the checksums of
+ * cryptocurrency addresses.
+ *
+ * The WebCrypto API cannot be used, as it is asynchronous and does not
+ * support Keccak at all.
+ *
+ * @module Payload/internal/Hash
+ */
+
+const SHA256_INITIAL_HASH = Object.freeze([
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+]);
+
+const SHA256_ROUND_CONSTANTS = Object.freeze([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+// the rate of Keccak-256 in bytes
+const KECCAK256_RATE = 136;
+
+// format: [high, low] 32 bit halves of the 64 bit constants
+const KECCAK_ROUND_CONSTANTS = Object.freeze([
+    0x00000000, 0x00000001, 0x00000000, 0x00008082, 0x80000000, 0x0000808a, 0x80000000, 0x80008000,
+    0x00000000, 0x0000808b, 0x00000000, 0x80000001, 0x80000000, 0x80008081, 0x80000000, 0x00008009,
+    0x00000000, 0x0000008a, 0x00000000, 0x00000088, 0x00000000, 0x80008009, 0x00000000, 0x8000000a,
+    0x00000000, 0x8000808b, 0x80000000, 0x0000008b, 0x80000000, 0x00008089, 0x80000000, 0x00008003,
+    0x80000000, 0x00008002, 0x80000000, 0x00000080, 0x00000000, 0x0000800a, 0x80000000, 0x8000000a,
+    0x80000000, 0x80008081, 0x80000000, 0x00008080, 0x00000000, 0x80000001, 0x80000000, 0x80008008
+]);
+
+// rotation offsets of the lanes, indexed by x + 5 * y
+const KECCAK_ROTATIONS = Object.freeze([
+    0, 1, 62, 28, 27,
+    36, 44, 6, 55, 20,
+    3, 10, 43, 25, 39,
+    41, 45, 15, 21, 8,
+    18, 2, 61, 56, 14
+]);
+
+/**
+ * Rotates a 32 bit integer to the right.
+ *
+ * @function
+ * @private
+ * @param {number} value
+ * @param {number} bits
+ * @returns {number}
+ */
+function rotateRight32(value, bits) {
+    return (value >>> bits) | (value << (32 - bits));
+}
+
+/**
+ * Calculates the SHA-256 hash.
+ *
+ * @function
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array} 32 bytes
+ * @see {@link https://csrc.nist.gov/publications/detail/fips/180/4/final}
+ */
+export function sha256(bytes) {
+    // pad with 0x80, zeros and the length in bits as a 64 bit integer
+    const paddedLength = Math.ceil((bytes.length + 9) / 64) * 64;
+    const padded = new Uint8Array(paddedLength);
+    padded.set(bytes);
+    padded[bytes.length] = 0x80;
+
+    const view = new DataView(padded.buffer);
+    view.setUint32(paddedLength - 8, Math.floor(bytes.length / 0x20000000));
+    view.setUint32(paddedLength - 4, bytes.length * 8);
+
+    const hash = SHA256_INITIAL_HASH.slice();
+    const words = new Array(64);
+
+    for (let offset = 0; offset < paddedLength; offset += 64) {
+        for (let i = 0; i < 16; i++) {
+            words[i] = view.getUint32(offset + i * 4);
+        }
+        for (let i = 16; i < 64; i++) {
+            const s0 = rotateRight32(words[i - 15], 7) ^ rotateRight32(words[i - 15], 18) ^ (words[i - 15] >>> 3);
+            const s1 = rotateRight32(words[i - 2], 17) ^ rotateRight32(words[i - 2], 19) ^ (words[i - 2] >>> 10);
+            words[i] = (words[i - 16] + s0 + words[i - 7] + s1) | 0;
+        }
+
+        let [a, b, c, d, e, f, g, h] = hash;
+        for (let i = 0; i < 64; i++) {
+            const s1 = rotateRight32(e, 6) ^ rotateRight32(e, 11) ^ rotateRight32(e, 25);
+            const choice = (e & f) ^ (~e & g);
+            const temp1 = (h + s1 + choice + SHA256_ROUND_CONSTANTS[i] + words[i]) | 0;
+            const s0 = rotateRight32(a, 2) ^ rotateRight32(a, 13) ^ rotateRight32(a, 22);
+            const majority = (a & b) ^ (a & c) ^ (b & c);
+            const temp2 = (s0 + majority) | 0;
+
+            h = g;
+            g = f;
+            f = e;
+            e = (d + temp1) | 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (temp1 + temp2) | 0;
+        }
+
+        [a, b, c, d, e, f, g, h].forEach((value, i) => {
+            hash[i] = (hash[i] + value) | 0;
+        });
+    }
+
+    const result = new Uint8Array(32);
+    const resultView = new DataView(result.buffer);
+    hash.forEach((value, i) => resultView.setUint32(i * 4, value >>> 0));
+
+    return result;
+}
+
+/**
+ * Applies the Keccak-f[1600] permutation to the state.
+ *
+ * Each 64 bit lane is stored as two 32 bit integers, the low half first.
+ *
+ * @function
+ * @private
+ * @param {Int32Array} state 50 integers
+ * @returns {void}
+ */
+function keccakPermute(state) {
+    const columns = new Int32Array(10);
+    const permuted = new Int32Array(50);
+
+    for (let round = 0; round < 24; round++) {
+        // theta
+        for (let x = 0; x < 5; x++) {
+            columns[x * 2] = state[x * 2] ^ state[x * 2 + 10] ^ state[x * 2 + 20] ^ state[x * 2 + 30] ^ state[x * 2 + 40];
+            columns[x * 2 + 1] = state[x * 2 + 1] ^ state[x * 2 + 11] ^ state[x * 2 + 21] ^ state[x * 2 + 31] ^ state[x * 2 + 41];
+        }
+        for (let x = 0; x < 5; x++) {
+            const previous = ((x + 4) % 5) * 2;
+            const next = ((x + 1) % 5) * 2;
+            const low = columns[previous] ^ ((columns[next] << 1) | (columns[next + 1] >>> 31));
+            const high = columns[previous + 1] ^ ((columns[next + 1] << 1) | (columns[next] >>> 31));
+
+            for (let y = 0; y < 25; y += 5) {
+                state[(x + y) * 2] ^= low;
+                state[(x + y) * 2 + 1] ^= high;
+            }
+        }
+
+        // rho and pi
+        for (let x = 0; x < 5; x++) {
+            for (let y = 0; y < 5; y++) {
+                const lane = x + 5 * y;
+                const target = (y + 5 * ((2 * x + 3 * y) % 5)) * 2;
+                let low = state[lane * 2];
+                let high = state[lane * 2 + 1];
+                let rotation = KECCAK_ROTATIONS[lane];
+
+                if (rotation >= 32) {
+                    [low, high] = [high, low];
+                    rotation -= 32;
+                }
+                if (rotation === 0) {
+                    permuted[target] = low;
+                    permuted[target + 1] = high;
+                } else {
+                    permuted[target] = (low << rotation) | (high >>> (32 - rotation));
+                    permuted[target + 1] = (high << rotation) | (low >>> (32 - rotation));
+                }
+            }
+        }
+
+        // chi
+        for (let y = 0; y < 25; y += 5) {
+            for (let x = 0; x < 5; x++) {
+                const lane = (x + y) * 2;
+                const next = (((x + 1) % 5) + y) * 2;
+                const afterNext = (((x + 2) % 5) + y) * 2;
+
+                state[lane] = permuted[lane] ^ (~permuted[next] & permuted[afterNext]);
+                state[lane + 1] = permuted[lane + 1] ^ (~permuted[next + 1] & permuted[afterNext + 1]);
+            }
+        }
+
+        // iota
+        state[0] ^= KECCAK_ROUND_CONSTANTS[round * 2 + 1];
+        state[1] ^= KECCAK_ROUND_CONSTANTS[round * 2];
+    }
+}
+
+/**
+ * Calculates the Keccak-256 hash, as used by Ethereum.
+ *
+ * Note that this uses the original Keccak padding, so the result differs
+ * from the standardized SHA3-256.
+ *
+ * @function
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array} 32 bytes
+ */
+export function keccak256(bytes) {
+    const paddedLength = (Math.floor(bytes.length / KECCAK256_RATE) + 1) * KECCAK256_RATE;
+    const padded = new Uint8Array(paddedLength);
+    padded.set(bytes);
+    padded[bytes.length] = 0x01;
+    padded[paddedLength - 1] |= 0x80;
+
+    const view = new DataView(padded.buffer);
+    const state = new Int32Array(50);
+
+    for (let offset = 0; offset < paddedLength; offset += KECCAK256_RATE) {
+        for (let i = 0; i < KECCAK256_RATE / 4; i++) {
+            state[i] ^= view.getInt32(offset + i * 4, true);
+        }
+        keccakPermute(state);
+    }
+
+    const result = new Uint8Array(32);
+    const resultView = new DataView(result.buffer);
+    for (let i = 0; i < 8; i++) {
+        resultView.setInt32(i * 4, state[i], true);
+    }
+
+    return result;
+}
@@ -0,0 +1,78 @@
+/**
+ * Helpers for the percent-encoded query strings of URIs like mailto: or sms:.
+ *
+ * In contrast to URLSearchParams, spaces are encoded as "%20" instead of "+",
+ * as RFC 6068 requires and phones expect it.
+ *
+ * @module Payload/internal/QueryString
+ */
+
+/**
+ * Decodes a percent-encoded value.
+ *
+ * Malformed values are returned as they are.
+ *
+ * @function
+ * @param {string} value
+ * @returns {string}
+ */
+export function decode(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+/**
+ * Builds a query string out of the parameters.
+ *
+ * Parameters with empty values are omitted.
+ *
+ * @function
+ * @param {Array.<string[]>} params list of [key, value] pairs
+ * @returns {string} the query string including "?" or an empty string
+ */
+export function build(params) {
+    const query = params.filter(([, value]) => value).map(([key, value]) => {
+        // line breaks are always encoded as CRLF
+        return `${key}=${encodeURIComponent(value.replace(/\r?\n/g, "\r\n"))}`;
+    }).join("&");
+
+    return query ? `?${query}` : "";
+}
+
+/**
+ * Parses a query string into its parameters.
+ *
+ * The keys are returned in lowercase, the values decoded. If a key occurs
+ * multiple times, the first value is used.
+ *
+ * @function
+ * @param {string} query without the "?"
+ * @returns {Object.<string, string>}
+ */
+export function parse(query) {
+    const params = {};
+
+    for (const param of query.split("&")) {
+        if (!param) {
+            continue;
+        }
+
+        let key = param;
+        let value = "";
+        const separatorPosition = param.indexOf("=");
+        if (separatorPosition !== -1) {
+            key = param.substring(0, separatorPosition);
+            value = param.substring(separatorPosition + 1);
+        }
+
+        const lowerCaseKey = decode(key).toLowerCase();
+        if (!params.hasOwnProperty(lowerCaseKey)) {
+            params[lowerCaseKey] = decode(value).replace(/\r\n/g, "\n");
+        }
+    }
+
+    return params;
+}
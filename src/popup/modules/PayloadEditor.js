@@ -0,0 +1,475 @@
+/**
+ * Manages the forms, which build special payloads (e.g. Wi-Fi credentials)
+ * for the QR code, instead of encoding the free text.
+ *
+ * Each payload type is implemented by a module in the "Payload" directory,
+ * which needs to export the functions isPayload(text), build(data),
+ * parse(text) and validate(data). The form for it is defined in the HTML
+ * file and is associated to it by its data-payload-type attribute.
+ * Optionally, it can export getPreview(data), which returns the message ID
+ * and substitutions of a text shown in the ".payload-preview" element of the
+ * form, and the constants ERROR_CORRECTION, OVERLAY and PRINT_SIZE, if the
+ * format mandates an error correction level, an overlay drawn on the QR code
+ * or a printed size. SENSITIVE marks payloads containing secrets.
+ *
+ * Buttons in the form with a data-payload-action attribute call the function
+ * of the module with that name and write the result into the input named by
+ * their data-payload-target attribute. Inputs with a data-payload-generate
+ * attribute are filled by the function of the module with that name, when they
+ * are empty, e.g. with a unique identifier that must not change while editing.
+ *
+ * @module modules/PayloadEditor
+ * @requires /common/modules/Logger
+ * @requires /common/modules/MessageHandler/CommonMessages
+ * @requires ./UserInterface
+ * @requires ./Payload/Wifi
+ * @requires ./Payload/Contact
+ * @requires ./Payload/CalendarEvent
+ * @requires ./Payload/Epc
+ * @requires ./Payload/SwissQrBill
+ * @requires ./Payload/Otp
+ * @requires ./Payload/CryptoPayment
+ * @requires ./Payload/Geo
+ * @requires ./Payload/Phone
+ * @requires ./Payload/Sms
+ * @requires ./Payload/Email
+ */
+import * as Logger from "/common/modules/Logger.js";
+import * as CommonMessages from "/common/modules/MessageHandler/CommonMessages.js";
+
+import * as UserInterface from "./UserInterface.js";
+import * as Wifi from "./Payload/Wifi.js";
+import * as Contact from "./Payload/Contact.js";
+import * as CalendarEvent from "./Payload/CalendarEvent.js";
+import * as Epc from "./Payload/Epc.js";
+import * as SwissQrBill from "./Payload/SwissQrBill.js";
+import * as Otp from "./Payload/Otp.js";
+import * as CryptoPayment from "./Payload/CryptoPayment.js";
+import * as Geo from "./Payload/Geo.js";
+import * as Phone from "./Payload/Phone.js";
+import * as Sms from "./Payload/Sms.js";
+import * as Email from "./Payload/Email.js";
+
+/**
+ * The type of the default free-text mode, which has no form.
+ *
+ * @type {string}
+ * @const
+ * @default
+ */
+export const TEXT_TYPE = "text";
+
+/**
+ * All available payload types.
+ *
+ * format: type => module
+ *
+ * @private
+ * @type {Object.<string, Object>}
+ * @const
+ */
+const PAYLOAD_TYPES = Object.freeze({
+    "wifi": Wifi,
+    "contact": Contact,
+    "event": CalendarEvent,
+    "epc": Epc,
+    "swissqrbill": SwissQrBill,
+    "otp": Otp,
+    "crypto": CryptoPayment,
+    // quick actions
+    "geo": Geo,
+    "tel": Phone,
+    "sms": Sms,
+    "email": Email
+});
+
+const elPayloadType = document.getElementById("payloadType");
+const elPayloadForms = document.querySelectorAll(".payload-form");
+const qrCodeText = document.getElementById("qrcodetext");
+
+let currentType = TEXT_TYPE;
+let shownProblem = null;
+
+/**
+ * Returns the form element for the payload type.
+ *
+ * @function
+ * @private
+ * @param {string} type
+ * @returns {HTMLFormElement|null}
+ */
+function getForm(type) {
+    return document.querySelector(`.payload-form[data-payload-type="${type}"]`);
+}
+
+/**
+ * Reads all values of the form into an object.
+ *
+ * The name attribute of the input elements is used as the key.
+ *
+ * @function
+ * @private
+ * @param {HTMLFormElement} elForm
+ * @returns {Object}
+ */
+function getFormData(elForm) {
+    const data = {};
+
+    for (const elInput of elForm.elements) {
+        if (!elInput.name) {
+            continue;
+        }
+
+        if (elInput.type === "checkbox") {
+            data[elInput.name] = elInput.checked;
+        } else {
+            data[elInput.name] = elInput.value;
+        }
+    }
+
+    return data;
+}
+
+/**
+ * Fills the form with the values of the object.
+ *
+ * @function
+ * @private
+ * @param {HTMLFormElement} elForm
+ * @param {Object} data
+ * @returns {void}
+ */
+function setFormData(elForm, data) {
+    for (const elInput of elForm.elements) {
+        if (!elInput.name || !data.hasOwnProperty(elInput.name)) {
+            continue;
+        }
+
+        if (elInput.type === "checkbox") {
+            elInput.checked = data[elInput.name] === true;
+        } else {
+            elInput.value = data[elInput.name];
+        }
+    }
+}
+
+/**
+ * Shows the first problem of the payload data or hides the last one, if
+ * there is none anymore.
+ *
+ * @function
+ * @private
+ * @param {string[]} problems message IDs
+ * @returns {void}
+ */
+function showProblems(problems) {
+    if (problems.length === 0) {
+        if (shownProblem !== null) {
+            CommonMessages.hideInfo();
+            shownProblem = null;
+        }
+        return;
+    }
+
+    // prevent flickering when the same problem is still there
+    if (shownProblem === problems[0]) {
+        return;
+    }
+
+    shownProblem = problems[0];
+    CommonMessages.showInfo(shownProblem, true);
+}
+
+/**
+ * Updates the preview of the form, if the payload type has one.
+ *
+ * @function
+ * @private
+ * @param {Object} payloadModule
+ * @param {HTMLFormElement} elForm
+ * @param {Object} data
+ * @returns {void}
+ */
+function showPreview(payloadModule, elForm, data) {
+    const elPreview = elForm.querySelector(".payload-preview");
+    if (!elPreview || !payloadModule.getPreview) {
+        return;
+    }
+
+    const preview = payloadModule.getPreview(data);
+    if (preview === null) {
+        elPreview.textContent = "";
+        return;
+    }
+
+    const [messageName, ...substitutions] = preview;
+    elPreview.textContent = browser.i18n.getMessage(messageName, substitutions);
+}
+
+/**
+ * Shows the form of the given payload type and hides all others.
+ *
+ * @function
+ * @private
+ * @param {string} type
+ * @returns {void}
+ */
+function showForm(type) {
+    for (const elForm of elPayloadForms) {
+        elForm.classList.toggle("invisible", elForm.dataset.payloadType !== type);
+    }
+
+    elPayloadType.value = type;
+    currentType = type;
+
+    // problems of the old form are not relevant anymore
+    showProblems([]);
+}
+
+/**
+ * Fills the empty inputs of the form, whose values are generated.
+ *
+ * @function
+ * @private
+ * @param {Object} payloadModule
+ * @param {HTMLFormElement} elForm
+ * @returns {void}
+ * @throws {Error} if the module has no such function
+ */
+function generateValues(payloadModule, elForm) {
+    for (const elInput of elForm.querySelectorAll("[data-payload-generate]")) {
+        if (elInput.value !== "") {
+            continue;
+        }
+
+        const generator = elInput.dataset.payloadGenerate;
+        if (typeof payloadModule[generator] !== "function") {
+            throw new Error(`unknown payload generator: ${generator}`);
+        }
+
+        elInput.value = payloadModule[generator]();
+    }
+}
+
+/**
+ * Builds the payload from the current form and displays it.
+ *
+ * @function
+ * @private
+ * @returns {void}
+ */
+function applyForm() {
+    const payloadModule = PAYLOAD_TYPES[currentType];
+    const elForm = getForm(currentType);
+    generateValues(payloadModule, elForm);
+    const data = getFormData(elForm);
+
+    showProblems(payloadModule.validate(data));
+    showPreview(payloadModule, elForm, data);
+
+    UserInterface.setQrInputFieldValue(payloadModule.build(data));
+}
+
+/**
+ * Triggers when a button with a payload action has been clicked.
+ *
+ * @function
+ * @private
+ * @param {Event} event
+ * @returns {void}
+ */
+function payloadActionClicked(event) {
+    const elButton = event.currentTarget;
+    const payloadModule = PAYLOAD_TYPES[currentType];
+    const action = elButton.dataset.payloadAction;
+
+    if (typeof payloadModule[action] !== "function") {
+        throw new Error(`unknown payload action: ${action}`);
+    }
+
+    elButton.form.elements.namedItem(elButton.dataset.payloadTarget).value = payloadModule[action]();
+    applyForm();
+}
+
+/**
+ * Triggers when another payload type has been selected.
+ *
+ * @function
+ * @private
+ * @returns {void}
+ */
+function payloadTypeChanged() {
+    const type = elPayloadType.value;
+    Logger.logInfo("payload type changed to", type);
+
+    showForm(type);
+
+    // the free text mode just keeps the current text
+    if (type === TEXT_TYPE) {
+        return;
+    }
+
+    applyForm();
+}
+
+/**
+ * Triggers when the text in the textarea has been changed by the user.
+ *
+ * @function
+ * @private
+ * @returns {void}
+ */
+function textChanged() {
+    selectFormForText(qrCodeText.value);
+}
+
+/**
+ * Shows the form matching the text and fills it with the data from the text.
+ *
+ * If the text is no known payload, the free text mode is selected.
+ *
+ * @function
+ * @param {string} text
+ * @returns {void}
+ */
+export function selectFormForText(text) {
+    for (const [type, payloadModule] of Object.entries(PAYLOAD_TYPES)) {
+        if (!payloadModule.isPayload(text)) {
+            continue;
+        }
+
+        const data = payloadModule.parse(text);
+        if (data === null) {
+            continue;
+        }
+
+        if (currentType !== type) {
+            showForm(type);
+        }
+        const elForm = getForm(type);
+        setFormData(elForm, data);
+        showPreview(payloadModule, elForm, data);
+
+        return;
+    }
+
+    if (currentType !== TEXT_TYPE) {
+        showForm(TEXT_TYPE);
+    }
+}
+
+/**
+ * Checks the payload of the text for problems and shows the first one.
+ *
+ * This warns about invalid data (e.g. a wrong checksum of an address) even
+ * when the text has not been entered into the form, but e.g. passed from
+ * the context menu.
+ *
+ * @function
+ * @param {string} text
+ * @returns {string[]} the message IDs of all problems found
+ */
+export function checkText(text) {
+    let problems = [];
+
+    for (const payloadModule of Object.values(PAYLOAD_TYPES)) {
+        if (!payloadModule.isPayload(text)) {
+            continue;
+        }
+
+        const data = payloadModule.parse(text);
+        if (data !== null) {
+            problems = payloadModule.validate(data);
+            break;
+        }
+    }
+
+    showProblems(problems);
+    return problems;
+}
+
+/**
+ * Returns a constant exported by the module of the payload of the text.
+ *
+ * @function
+ * @private
+ * @param {string} text
+ * @param {string} constantName
+ * @returns {*|null} the value or null, if the payload does not define it
+ */
+function getPayloadConstant(text, constantName) {
+    for (const payloadModule of Object.values(PAYLOAD_TYPES)) {
+        if (payloadModule[constantName] && payloadModule.isPayload(text)) {
+            return payloadModule[constantName];
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Returns the error correction level the payload format of the text mandates.
+ *
+ * @function
+ * @param {string} text
+ * @returns {string|null} the level or null, if the user setting can be used
+ */
+export function getRequiredErrorCorrection(text) {
+    return getPayloadConstant(text, "ERROR_CORRECTION");
+}
+
+/**
+ * Returns the overlay the payload format of the text mandates.
+ *
+ * @function
+ * @param {string} text
+ * @returns {string|null} the name of the overlay or null, if there is none
+ */
+export function getRequiredOverlay(text) {
+    return getPayloadConstant(text, "OVERLAY");
+}
+
+/**
+ * Returns the size the payload format of the text mandates for printing.
+ *
+ * @function
+ * @param {string} text
+ * @returns {number|null} the size in millimetres, excluding the quiet zone, or
+ * null, if there is no such requirement
+ */
+export function getPrintSize(text) {
+    return getPayloadConstant(text, "PRINT_SIZE");
+}
+
+/**
+ * Returns whether the text contains a secret, so it must not be logged or
+ * stored.
+ *
+ * @function
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isSensitive(text) {
+    return getPayloadConstant(text, "SENSITIVE") === true;
+}
+
+/**
+ * Initialises the module.
+ *
+ * @function
+ * @returns {void}
+ */
+export function init() {
+    elPayloadType.addEventListener("change", payloadTypeChanged);
+    qrCodeText.addEventListener("input", textChanged);
+
+    for (const elForm of elPayloadForms) {
+        elForm.addEventListener("input", applyForm);
+        // forms are never submitted
+        elForm.addEventListener("submit", (event) => event.preventDefault());
+    }
+
+    for (const elButton of document.querySelectorAll(".payload-form [data-payload-action]")) {
+        elButton.addEventListener("click", payloadActionClicked);
+    }
+}
@@ -0,0 +1,218 @@
+/**
+ * Lets the user insert the payload templates defined in the options and fills
+ * them with the data of the current tab.
+ *
+ * @module modules/PayloadTemplates
+ * @requires /common/modules/Logger
+ * @requires /common/modules/AddonSettings
+ * @requires /common/modules/Template
+ * @requires /common/modules/MessageHandler/CommonMessages
+ * @requires ./QrCreator
+ */
+import * as Logger from "/common/modules/Logger.js";
+import * as AddonSettings from "/common/modules/AddonSettings.js";
+import * as Template from "/common/modules/Template.js";
+import * as CommonMessages from "/common/modules/MessageHandler/CommonMessages.js";
+
+import * as QrCreator from "./QrCreator.js";
+
+const CLIPBOARD_PERMISSIONS = Object.freeze({
+    permissions: ["clipboardRead"]
+});
+
+const elPayloadTemplate = document.getElementById("payloadTemplate");
+
+let templates = [];
+
+/**
+ * A template defined by the user.
+ *
+ * @typedef {Object} PayloadTemplate
+ * @property {string} name
+ * @property {string} template the text with placeholders
+ * @property {boolean} isDefault whether it is used when the popup is opened
+ */
+
+/**
+ * Returns the text selected in the current tab.
+ *
+ * @function
+ * @returns {Promise} resolving to the selected text, rejects if nothing is selected
+ */
+export function getSelectedText() {
+    return browser.tabs.executeScript({
+        code: "window.getSelection().toString();",
+        allFrames: true // TODO: does not work currently, https://discourse.mozilla.org/t/activetab-permission-does-not-include-iframes-in-current-tab/29084
+    }).then((injectResults) => {
+        let selection;
+        // iterate through results and find selection (if there are multiple ones)
+        do {
+            selection = injectResults.pop();
+        } while (selection === "");
+
+        // throw error if there is still nothing selected (or everything was popped, so it is undefined)
+        if (!selection) {
+            throw new Error("nothing selected");
+        }
+
+        return selection;
+    });
+}
+
+/**
+ * Returns the current date in the format YYYY-MM-DD.
+ *
+ * @function
+ * @private
+ * @returns {string}
+ */
+function getDate() {
+    const now = new Date();
+    const pad = (number) => String(number).padStart(2, "0");
+
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+/**
+ * Returns the host of the URL.
+ *
+ * @function
+ * @private
+ * @param {string} url
+ * @returns {string} an empty string, if the URL is invalid
+ */
+function getHost(url) {
+    try {
+        return new URL(url).host;
+    } catch (error) {
+        return "";
+    }
+}
+
+/**
+ * Reads the text from the clipboard, if the permission has been granted.
+ *
+ * @function
+ * @private
+ * @returns {Promise} resolving to the text or an empty string
+ */
+async function getClipboardText() {
+    const isGranted = await browser.permissions.contains(CLIPBOARD_PERMISSIONS);
+    if (!isGranted) {
+        Logger.logWarning("permission to read the clipboard has not been granted");
+        return "";
+    }
+
+    return navigator.clipboard.readText().catch((error) => {
+        Logger.logError("could not read clipboard:", error);
+        return "";
+    });
+}
+
+/**
+ * Fills the template with the data of the tab.
+ *
+ * Only the values of placeholders used in the template are gathered.
+ *
+ * @function
+ * @param {PayloadTemplate} template
+ * @param {browser.tabs.Tab} tab
+ * @returns {Promise} resolving to the text
+ */
+export async function fillTemplate(template, tab) {
+    const placeholders = Template.getPlaceholders(template.template);
+    const values = {
+        [Template.PLACEHOLDER.URL]: tab.url || "",
+        [Template.PLACEHOLDER.TITLE]: tab.title || "",
+        [Template.PLACEHOLDER.HOST]: getHost(tab.url),
+        [Template.PLACEHOLDER.DATE]: getDate()
+    };
+
+    if (placeholders.includes(Template.PLACEHOLDER.SELECTION)) {
+        values[Template.PLACEHOLDER.SELECTION] = await getSelectedText().catch(() => "");
+    }
+    if (placeholders.includes(Template.PLACEHOLDER.CLIPBOARD)) {
+        values[Template.PLACEHOLDER.CLIPBOARD] = await getClipboardText();
+    }
+
+    return Template.fill(template.template, values);
+}
+
+/**
+ * Returns the template, which should be used when the popup is opened.
+ *
+ * @function
+ * @returns {Promise} resolving to the {@link PayloadTemplate} or null
+ */
+export function getDefaultTemplate() {
+    return AddonSettings.get("payloadTemplates").then((savedTemplates) => {
+        return savedTemplates.find((template) => template.isDefault) || null;
+    });
+}
+
+/**
+ * Triggers when a template has been selected.
+ *
+ * @function
+ * @private
+ * @returns {void}
+ */
+function templateSelected() {
+    const template = templates[elPayloadTemplate.value];
+    // the select only serves as a menu, so reset it
+    elPayloadTemplate.value = "";
+
+    if (!template) {
+        return;
+    }
+
+    // permissions can only be requested directly in the event handler
+    let requestingPermissions = Promise.resolve();
+    if (Template.getPlaceholders(template.template).includes(Template.PLACEHOLDER.CLIPBOARD)) {
+        requestingPermissions = browser.permissions.request(CLIPBOARD_PERMISSIONS).then((permissionGranted) => {
+            if (!permissionGranted) {
+                CommonMessages.showError("errorPermissionRequired", true);
+            }
+        });
+    }
+
+    Logger.logInfo("fill template", template.name);
+
+    Promise.all([
+        browser.tabs.query({active: true, currentWindow: true}),
+        requestingPermissions
+    ]).then(([tabs]) => fillTemplate(template, tabs[0])).then((text) => {
+        QrCreator.setText(text, false);
+        QrCreator.generate();
+    }).catch((error) => {
+        Logger.logError("could not fill template:", error);
+        CommonMessages.showError("errorFillingTemplate", true);
+    });
+}
+
+/**
+ * Initialises the module.
+ *
+ * The drop-down list is only shown, if the user has defined templates.
+ *
+ * @function
+ * @returns {Promise}
+ */
+export function init() {
+    return AddonSettings.get("payloadTemplates").then((savedTemplates) => {
+        templates = savedTemplates;
+        if (templates.length === 0) {
+            return;
+        }
+
+        templates.forEach((template, index) => {
+            const elOption = document.createElement("option");
+            elOption.value = index;
+            elOption.textContent = template.name;
+            elPayloadTemplate.appendChild(elOption);
+        });
+
+        elPayloadTemplate.classList.remove("invisible");
+        elPayloadTemplate.addEventListener("change", templateSelected);
+    });
+}
@@ -1,37 +1,214 @@
 /**
- * Creates QR codes with the choosen library.
+ * Creates QR codes with the options set in the popup and the settings.
  *
  * @module modules/QrCreator
  * @requires /common/modules/Logger
  * @requires /common/modules/AddonSettings
- * @requires ./QrLib/qrgen
- * @requires ./QrLib/kjua
+ * @requires /common/modules/MessageHandler/CommonMessages
+ * @requires /common/modules/ImageStorage
+ * @requires /common/modules/QrCodeStyle
+ * @requires ./QrLib/QrGenerator
+ * @requires ./QrLib/StructuredAppend
+ * @requires ./QrLib/Overlay
+ * @requires ./QrLib/OptionValidator
  * @requires ./UserInterface
+ * @requires ./PayloadEditor
+ * @requires ./UrlCleaner
+ * @requires ./EncodingInfo
+ * @requires ./CapacityMeter
+ * @requires ./SymbolSet
+ * @requires ./Verification
  */
 import * as Logger from "/common/modules/Logger.js";
 import * as AddonSettings from "/common/modules/AddonSettings.js";
+import * as CommonMessages from "/common/modules/MessageHandler/CommonMessages.js";
+import * as ImageStorage from "/common/modules/ImageStorage.js";
+import * as QrCodeStyle from "/common/modules/QrCodeStyle.js";
 
-import * as QrLibQrGen from "./QrLib/qrgen.js";
-import * as QrLibKjua from "./QrLib/kjua.js";
+import * as QrGenerator from "./QrLib/QrGenerator.js";
+import * as StructuredAppend from "./QrLib/StructuredAppend.js";
+import * as Overlay from "./QrLib/Overlay.js";
+import * as OptionValidator from "./QrLib/OptionValidator.js";
 import * as UserInterface from "./UserInterface.js";
+import * as PayloadEditor from "./PayloadEditor.js";
+import * as UrlCleaner from "./UrlCleaner.js";
+import * as EncodingInfo from "./EncodingInfo.js";
+import * as CapacityMeter from "./CapacityMeter.js";
+import * as SymbolSet from "./SymbolSet.js";
+import * as Verification from "./Verification.js";
+
+// the logo covers modules, so as many as possible should be recoverable
+const LOGO_ERROR_CORRECTION = "H";
 
-// abstracts away all specific handling of QR code library
 export let qrCreatorInit;
 let initFinished = false;
-let qrCodeLib = null;
+let userErrorCorrection = null;
+// whether the level has been chosen in the popup, e.g. to make a long text fit
+let errorCorrectionChosen = false;
+let currentErrorCorrection = null;
+let userBoostErrorCorrection = true;
+let currentBoostErrorCorrection = true;
+let showSymbolInfo = false;
+let minVersion = 1;
+let maxVersion = 40;
+// whether the current text fits into a QR code or a set of them
+let textFits = true;
+// whether texts, which are too long, are split into a set of QR codes
+let splitLongTexts = false;
+// the texts of the QR codes in the set, null, if there is only one QR code
+let currentParts = null;
+let currentOverlay = null;
+let userLogo = null;
+let currentLogo = null;
+// whether the logo covers more than the error correction can restore
+let logoCoverageExceeded = false;
+let currentPrintSize = null;
+let currentText = "";
+// null, if URLs should not be cleaned
+let urlCleaningOptions = null;
 
 // by default everything has "been changed" (i.e. nothing has been generated yet)
 const changedValues = new Set("text", "color", "size");
 
 /**
- * Provide connection to library and get QR code with current options.
+ * Renders each part of the set of the current text.
+ *
+ * @function
+ * @private
+ * @param {string[]} parts the texts of the QR codes
+ * @param {function} render returns the output of the QrGenerator for the part set
+ * @returns {Array}
+ */
+function renderParts(parts, render) {
+    const headers = StructuredAppend.getHeaders(currentText, parts.length);
+    const outputs = parts.map((part, index) => {
+        QrGenerator.set("text", part);
+        QrGenerator.set("structuredAppend", headers[index]);
+        return render();
+    });
+
+    QrGenerator.set("text", currentText);
+    QrGenerator.set("structuredAppend", null);
+
+    return outputs;
+}
+
+/**
+ * Returns the QR codes of the set of the current text.
  *
  * @function
  * @private
+ * @param {string[]} parts the texts of the QR codes
+ * @param {string} [qrCodeType] the QR code type to render, by default the one set
+ * @returns {HTMLElement[]}
+ */
+function getQrCodeSet(parts, qrCodeType) {
+    return renderParts(parts, () => QrGenerator.getQr(qrCodeType));
+}
+
+/**
+ * Returns the QR codes of the shown set as SVG, e.g. for saving them in one
+ * image.
+ *
+ * QR codes drawn on a canvas are rendered again as SVG.
+ *
+ * @function
+ * @returns {SVGSVGElement[]|null} null, if no set is shown
+ */
+export function getSvgQrCodeSet() {
+    if (currentParts === null) {
+        return null;
+    }
+
+    return getQrCodeSet(currentParts, QrGenerator.getOutputType() === "svg" ? undefined : "svg");
+}
+
+/**
+ * Returns the current QR code as a PNG image, with the size set in the
+ * options.
+ *
+ * @function
+ * @returns {Promise.<Blob>}
+ */
+export function getPngImage() {
+    return QrGenerator.getPng();
+}
+
+/**
+ * Returns whether the QR code can be saved as a PNG image.
+ *
+ * @function
+ * @returns {Promise.<boolean>}
+ */
+export async function isPngSupported() {
+    await qrCreatorInit; // module needs to be initiated
+
+    return QrGenerator.isPngSupported();
+}
+
+/**
+ * Returns the current QR code as text, e.g. for copying it.
+ *
+ * The QR codes of a set are separated by an empty line.
+ *
+ * @function
+ * @returns {string}
+ */
+export function getText() {
+    if (currentParts === null) {
+        return QrGenerator.getText();
+    }
+
+    return renderParts(currentParts, QrGenerator.getText).join("\n\n");
+}
+
+/**
+ * Returns a QR code of another text with the current settings, e.g. for the
+ * frames of a file transfer.
+ *
+ * The current text, the overlay of its payload and the logo are restored
+ * afterwards.
+ *
+ * @function
+ * @param {string} text
  * @returns {HTMLElement}
+ * @throws {Error} if the text does not fit into a QR code
  */
-function getQrCodeFromLib() {
-    return qrCodeLib.getQr();
+export function getQrCodeForText(text) {
+    QrGenerator.set("text", text);
+    QrGenerator.set("overlay", null);
+    QrGenerator.set("logo", null);
+
+    try {
+        return QrGenerator.getQr();
+    } finally {
+        QrGenerator.set("text", currentText);
+        QrGenerator.set("overlay", currentOverlay);
+        QrGenerator.set("logo", currentLogo);
+    }
+}
+
+/**
+ * Warns, if the logo covers more of the QR code than its error correction
+ * can restore.
+ *
+ * The warning is only shown once, until the logo fits again.
+ *
+ * @function
+ * @private
+ * @param {QrLib/Encoder~SymbolInfo} symbolInfo
+ * @returns {void}
+ */
+function checkLogoCoverage(symbolInfo) {
+    const coverage = currentLogo === null ? 0 : Overlay.getLogoCoverage(currentLogo);
+    const exceeded = coverage > Overlay.RECOVERABLE_SHARE[symbolInfo.errorCorrection];
+
+    if (exceeded && !logoCoverageExceeded) {
+        Logger.logWarning("logo covers", coverage, "of the QR code, error correction level", symbolInfo.errorCorrection, "may not restore it");
+        CommonMessages.showInfo("logoCoverageWarning", true, Math.round(coverage * 100), symbolInfo.errorCorrection);
+    }
+
+    logoCoverageExceeded = exceeded;
 }
 
 /**
@@ -47,14 +224,59 @@ export function generate() {
     }
 
     // special shortcuts for SVG output when text does not need to be regenerated
-    if (qrCodeLib.GENERATION_TYPE === "svg" && !changedValues.has("text")) {
+    if (QrGenerator.getOutputType() === "svg" && !changedValues.has("text")) {
         // color won't be changed
-        // size does not need adjustment for SVGs
+        // size does not need adjustment for SVGs, as they are scaled
 
         return;
     }
 
-    UserInterface.replaceQr(getQrCodeFromLib());
+    // warn about invalid payloads, but still render them
+    if (changedValues.has("text")) {
+        const problems = PayloadEditor.checkText(currentText);
+        if (problems.length > 0) {
+            Logger.logWarning("payload of QR code has problems:", problems);
+        }
+
+        const measureOptions = {minVersion, maxVersion};
+
+        currentParts = null;
+        if (splitLongTexts) {
+            const parts = StructuredAppend.split(currentText, currentErrorCorrection, measureOptions);
+            if (parts !== null && parts.length > 1) {
+                currentParts = parts;
+            }
+        }
+
+        textFits = CapacityMeter.update(currentText, currentErrorCorrection, measureOptions, currentParts);
+        EncodingInfo.updateSegmentation(currentText, currentErrorCorrection);
+    }
+
+    // the capacity meter already shows an error with ways to shorten the text
+    if (!textFits) {
+        // the QR code of the previous text must neither be shown nor saved
+        SymbolSet.hide();
+        UserInterface.showPlaceholder();
+        changedValues.clear();
+        return;
+    }
+
+    if (currentParts === null) {
+        SymbolSet.hide();
+        const elQrCode = QrGenerator.getQr();
+        UserInterface.replaceQr(elQrCode);
+        Verification.verify(elQrCode, currentText, QrGenerator.getSymbolInfo().version);
+    } else {
+        // scanners combine the set, so single QR codes do not contain the text
+        Verification.hide();
+        SymbolSet.show(getQrCodeSet(currentParts));
+    }
+
+    const symbolInfo = QrGenerator.getSymbolInfo();
+    checkLogoCoverage(symbolInfo);
+    if (showSymbolInfo) {
+        EncodingInfo.updateSymbolInfo(symbolInfo);
+    }
 
     changedValues.clear();
 }
@@ -72,24 +294,118 @@ export function setSize(size) {
         return;
     }
 
-    qrCodeLib.set("size", size);
+    QrGenerator.set("size", size);
+}
+
+/**
+ * Shows what has been removed from the URL and allows to restore it.
+ *
+ * @function
+ * @private
+ * @param {string} originalText
+ * @param {UrlCleaner.CleaningResult} cleaning
+ * @returns {void}
+ */
+function showCleaningResult(originalText, cleaning) {
+    const removedParts = [
+        ...cleaning.redirectors.map((redirector) => browser.i18n.getMessage("urlCleanedRedirector", redirector)),
+        ...cleaning.removedParameters
+    ];
+
+    CommonMessages.showInfo("urlCleaned", true, {
+        text: "urlCleanedRestoreButton",
+        action: () => {
+            Logger.logInfo("restore original URL");
+            CommonMessages.hideInfo();
+
+            setText(originalText, false);
+            generate();
+        }
+    }, removedParts.join(", "));
 }
 
 /**
- * Pre-processes the text before making the QR code. Changes about:reader URLs to regular URLs.
+ * Pre-processes the text before making the QR code. Changes about:reader URLs
+ * to regular URLs and removes tracking parameters and redirectors from URLs.
  *
  * @function
+ * @private
  * @param {string} text
+ * @param {boolean} cleanUrl whether tracking should be removed from URLs
  * @returns {string}
  */
-function preprocess(text) {
+function preprocess(text, cleanUrl) {
     // check for an about:reader URL
     const readerUrl = "about:reader?url=";
     if (text.startsWith(readerUrl)) {
-        return decodeURIComponent(text.substring(17));
+        text = decodeURIComponent(text.substring(17));
+    }
+
+    if (!cleanUrl || urlCleaningOptions === null) {
+        return text;
     }
 
-    return text;
+    const cleaning = UrlCleaner.clean(text, urlCleaningOptions);
+    if (cleaning.url !== text) {
+        Logger.logInfo("removed from URL:", cleaning.redirectors, cleaning.removedParameters);
+        showCleaningResult(text, cleaning);
+    }
+
+    return cleaning.url;
+}
+
+/**
+ * Applies the requirements the payload format of the text has on the QR code,
+ * e.g. the error correction level required for it.
+ *
+ * If the text has no such requirements, the user settings are used. A logo
+ * raises the error correction level, unless it has been chosen in the popup.
+ *
+ * @function
+ * @private
+ * @param {string} text
+ * @returns {void}
+ */
+function applyPayloadRequirements(text) {
+    const overlay = PayloadEditor.getRequiredOverlay(text);
+    // the logo must not hide the overlay the payload requires
+    const logo = overlay ? null : userLogo;
+
+    let errorCorrection = PayloadEditor.getRequiredErrorCorrection(text);
+    if (!errorCorrection) {
+        errorCorrection = logo !== null && !errorCorrectionChosen ? LOGO_ERROR_CORRECTION : userErrorCorrection;
+    }
+    if (errorCorrection !== currentErrorCorrection) {
+        if (errorCorrection !== userErrorCorrection) {
+            Logger.logInfo("payload requires error correction level", errorCorrection);
+        }
+
+        QrGenerator.set("qrErrorCorrection", errorCorrection);
+        currentErrorCorrection = errorCorrection;
+    }
+
+    // a level required by the payload must not be increased
+    const boostErrorCorrection = errorCorrection === userErrorCorrection && userBoostErrorCorrection;
+    if (boostErrorCorrection !== currentBoostErrorCorrection) {
+        QrGenerator.set("qrBoostErrorCorrection", boostErrorCorrection);
+        currentBoostErrorCorrection = boostErrorCorrection;
+    }
+
+    if (overlay !== currentOverlay) {
+        QrGenerator.set("overlay", overlay);
+        currentOverlay = overlay;
+    }
+
+    if (logo !== currentLogo) {
+        QrGenerator.set("logo", logo);
+        currentLogo = logo;
+    }
+
+    const printSize = PayloadEditor.getPrintSize(text);
+    if (printSize !== currentPrintSize) {
+        QrGenerator.set("pngPrintSize", printSize === null ? 0 : printSize);
+        currentPrintSize = printSize;
+    }
 }
 
 /**
@@ -102,12 +418,15 @@ function preprocess(text) {
  *
  * @function
  * @param  {string} text
+ * @param  {boolean} [cleanUrl=false] whether to remove tracking from the URL, only
+ * used for the URL of the current tab
  * @returns {void}
  */
-export function setText(text) {
-    text = preprocess(text);
+export function setText(text, cleanUrl = false) {
+    text = preprocess(text, cleanUrl);
     setTextInternal(text);
     UserInterface.setQrInputFieldText(text);
+    PayloadEditor.selectFormForText(text);
 }
 
 /**
@@ -121,7 +440,37 @@ export function setText(text) {
  */
 export function setTextInternal(text) {
     changedValues.add("text");
-    qrCodeLib.set("text", text);
+    currentText = text;
+    applyPayloadRequirements(text);
+    QrGenerator.set("text", text);
+}
+
+/**
+ * Changes the error correction level chosen by the user for the current
+ * popup, e.g. to make a long text fit.
+ *
+ * Payloads, which require a level, still use that one.
+ *
+ * @function
+ * @param  {string} errorCorrection the level, e.g. "L"
+ * @returns {void}
+ */
+export function setErrorCorrection(errorCorrection) {
+    userErrorCorrection = errorCorrection;
+    errorCorrectionChosen = true;
+    setTextInternal(currentText);
+}
+
+/**
+ * Splits texts, which are too long for a single QR code, into a set of QR
+ * codes for the current popup.
+ *
+ * @function
+ * @returns {void}
+ */
+export function enableSplitting() {
+    splitLongTexts = true;
+    changedValues.add("text");
 }
 
 /**
@@ -136,7 +485,8 @@ export function generateFromTab(tab) {
         throw new Error("URL not yet available.");
     }
 
-    setText(tab.url);
+    // only the tab URL is cleaned, other texts are meant to be encoded as they are
+    setText(tab.url, true);
     generate();
 }
 
@@ -154,15 +504,118 @@ export function generateFromTabs(tabs) {
 }
 
 /**
- * Returns the type of the generated QR code.
+ * Returns the size the current QR code needs to have when it is printed.
  *
  * @function
- * @returns {Promise}
+ * @returns {number|null} the size in millimetres, excluding the quiet zone, or
+ * null, if any size can be used
+ */
+export function getPrintSize() {
+    return currentPrintSize;
+}
+
+/**
+ * Returns the type of element the QR code is rendered as.
+ *
+ * @function
+ * @returns {Promise.<string>} "svg" or "canvas"
  */
 export async function getGenerationType() {
     await qrCreatorInit; // module needs to be initiated
 
-    return qrCodeLib.GENERATION_TYPE;
+    return QrGenerator.getOutputType();
+}
+
+/**
+ * Sets an advanced option of the QR code symbol.
+ *
+ * Invalid values, e.g. an empty version field in the options, are ignored, so
+ * a QR code can still be generated.
+ *
+ * @function
+ * @private
+ * @param {string} tag
+ * @param {Object} value
+ * @returns {boolean} whether the value is valid
+ */
+function setSymbolOption(tag, value) {
+    try {
+        QrGenerator.set(tag, value);
+        return true;
+    } catch (error) {
+        Logger.logError("ignoring invalid setting", tag, ":", error);
+        return false;
+    }
+}
+
+/**
+ * Loads an image saved in the options.
+ *
+ * An image, which cannot be loaded, is skipped, so a QR code can still be
+ * generated.
+ *
+ * @function
+ * @private
+ * @param {ImageStorage.IMAGE} image
+ * @returns {Promise.<{imageUrl: string, image: HTMLImageElement}|null>}
+ */
+async function loadImage(image) {
+    const imageUrl = await ImageStorage.get(image);
+    if (imageUrl === null) {
+        return null;
+    }
+
+    try {
+        const elImage = await new Promise((resolve, reject) => {
+            const elLoadedImage = new Image();
+            elLoadedImage.addEventListener("load", () => resolve(elLoadedImage));
+            elLoadedImage.addEventListener("error", () => reject(new Error(`could not load ${image}`)));
+            elLoadedImage.src = imageUrl;
+        });
+
+        return {
+            imageUrl: imageUrl,
+            image: elImage
+        };
+    } catch (error) {
+        Logger.logError("ignoring image:", error);
+        return null;
+    }
+}
+
+/**
+ * Loads the logo saved in the options.
+ *
+ * @function
+ * @private
+ * @param {Object} settings
+ * @returns {Promise.<QrLib/Overlay~Logo|null>}
+ */
+async function loadLogo(settings) {
+    const loadedImage = await loadImage(ImageStorage.IMAGE.LOGO);
+    if (loadedImage === null) {
+        return null;
+    }
+
+    const elImage = loadedImage.image;
+    const logo = {
+        imageUrl: loadedImage.imageUrl,
+        image: elImage,
+        aspectRatio: elImage.naturalWidth / elImage.naturalHeight,
+        size: settings.qrLogoSize,
+        positionX: settings.qrLogoPositionX,
+        positionY: settings.qrLogoPositionY,
+        clearModules: settings.qrLogoClearModules
+    };
+
+    try {
+        OptionValidator.validate("logo", logo);
+    } catch (error) {
+        Logger.logError("ignoring invalid logo setting:", error);
+        return null;
+    }
+
+    return logo;
 }
 
 /**
@@ -173,24 +626,48 @@ export async function getGenerationType() {
  */
 export function init() {
     // get all settings
-    qrCreatorInit = AddonSettings.get().then((settings) => {
-        switch (settings.qrCodeType) {
-        case "svg":
-            qrCodeLib = QrLibQrGen;
-            break;
-        case "canvas":
-            QrLibKjua.init();
-
-            qrCodeLib = QrLibKjua;
-            break;
-        default:
-            throw new Error("invalid QR code type setting");
+    qrCreatorInit = AddonSettings.get().then(async (settings) => {
+        QrGenerator.setType(settings.qrCodeType);
+        if (settings.qrCodeType === "halftone") {
+            QrGenerator.set("halftoneImage", await loadImage(ImageStorage.IMAGE.HALFTONE));
+        }
+
+        QrGenerator.set("qrQuietZone", settings.qrQuietZone);
+        QrGenerator.set("qrColor", settings.qrColor);
+        QrGenerator.set("qrBackgroundColor", settings.qrBackgroundColor);
+        // may be overwritten by payloads that mandate a level, see applyPayloadRequirements
+        userErrorCorrection = settings.qrErrorCorrection;
+        currentErrorCorrection = userErrorCorrection;
+        QrGenerator.set("qrErrorCorrection", userErrorCorrection);
+        userBoostErrorCorrection = settings.qrBoostErrorCorrection;
+        currentBoostErrorCorrection = userBoostErrorCorrection;
+        QrGenerator.set("qrBoostErrorCorrection", userBoostErrorCorrection);
+
+        if (setSymbolOption("qrMinVersion", settings.qrMinVersion)) {
+            minVersion = settings.qrMinVersion;
+        }
+        if (setSymbolOption("qrMaxVersion", settings.qrMaxVersion)) {
+            maxVersion = settings.qrMaxVersion;
+        }
+        setSymbolOption("qrMask", settings.qrMask);
+        setSymbolOption("style", QrCodeStyle.fromSettings(settings));
+        setSymbolOption("textFormat", settings.qrTextFormat);
+        setSymbolOption("textInvert", settings.qrTextInvert);
+        setSymbolOption("textQuietZone", settings.qrTextQuietZone);
+        setSymbolOption("pngSize", settings.qrPngSize);
+        setSymbolOption("pngScale", settings.qrPngSizeType === "scale" ? settings.qrPngModuleSize : 0);
+        setSymbolOption("pngDpi", settings.qrPngDpi);
+        setSymbolOption("pngTransparent", settings.qrPngTransparent);
+        showSymbolInfo = settings.qrShowSymbolInfo;
+
+        if (settings.urlCleaning) {
+            urlCleaningOptions = {
+                rules: UrlCleaner.splitLines(settings.urlCleaningRules),
+                allowlist: UrlCleaner.splitLines(settings.urlCleaningAllowlist)
+            };
         }
 
-        qrCodeLib.set("qrQuietZone", settings.qrQuietZone);
-        qrCodeLib.set("qrColor", settings.qrColor);
-        qrCodeLib.set("qrBackgroundColor", settings.qrBackgroundColor);
-        qrCodeLib.set("qrErrorCorrection", settings.qrErrorCorrection);
+        userLogo = await loadLogo(settings);
 
         initFinished = true;
     });
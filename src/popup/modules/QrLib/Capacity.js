@@ -0,0 +1,177 @@
+/**
+ * Measures how much of the capacity of a QR code a text uses.
+ *
+ * @module QrLib/Capacity
+ * @requires ./Segmenter
+ */
+/* globals qrcodegen */
+
+import * as Segmenter from "./Segmenter.js";
+
+const QrSegment = qrcodegen.QrSegment;
+
+const MIN_VERSION = 1;
+const MAX_VERSION = 40;
+
+// the versions, from which on the character count fields are longer
+const CHARACTER_COUNT_CHANGES = Object.freeze([10, 27]);
+
+// the header of Structured Append: mode indicator, symbol index, symbol count and parity
+const STRUCTURED_APPEND_BITS = 4 + 4 + 4 + 8;
+
+const textEncoder = new TextEncoder();
+
+// the number of data codewords (8 bit) per version for the levels L, M, Q and H
+const DATA_CODEWORDS = Object.freeze([
+    [19, 16, 13, 9], // 1
+    [34, 28, 22, 16], // 2
+    [55, 44, 34, 26], // 3
+    [80, 64, 48, 36], // 4
+    [108, 86, 62, 46], // 5
+    [136, 108, 76, 60], // 6
+    [156, 124, 88, 66], // 7
+    [194, 154, 110, 86], // 8
+    [232, 182, 132, 100], // 9
+    [274, 216, 154, 122], // 10
+    [324, 254, 180, 140], // 11
+    [370, 290, 206, 158], // 12
+    [428, 334, 244, 180], // 13
+    [461, 365, 261, 197], // 14
+    [523, 415, 295, 223], // 15
+    [589, 453, 325, 253], // 16
+    [647, 507, 367, 283], // 17
+    [721, 563, 397, 313], // 18
+    [795, 627, 445, 341], // 19
+    [861, 669, 485, 385], // 20
+    [932, 714, 512, 406], // 21
+    [1006, 782, 568, 442], // 22
+    [1094, 860, 614, 464], // 23
+    [1174, 914, 664, 514], // 24
+    [1276, 1000, 718, 538], // 25
+    [1370, 1062, 754, 596], // 26
+    [1468, 1128, 808, 628], // 27
+    [1531, 1193, 871, 661], // 28
+    [1631, 1267, 911, 701], // 29
+    [1735, 1373, 985, 745], // 30
+    [1843, 1455, 1033, 793], // 31
+    [1955, 1541, 1115, 845], // 32
+    [2071, 1631, 1171, 901], // 33
+    [2191, 1725, 1231, 961], // 34
+    [2306, 1812, 1286, 986], // 35
+    [2434, 1914, 1354, 1054], // 36
+    [2566, 1992, 1426, 1096], // 37
+    [2702, 2102, 1502, 1142], // 38
+    [2812, 2216, 1582, 1222], // 39
+    [2956, 2334, 1666, 1276] // 40
+]);
+
+const ERROR_CORRECTION_INDEX = Object.freeze({
+    "L": 0,
+    "M": 1,
+    "Q": 2,
+    "H": 3
+});
+
+/**
+ * The result of measuring a text.
+ *
+ * @typedef {Object} Measurement
+ * @property {boolean} fits whether the text fits into the range of versions
+ * @property {int} version the smallest version the text fits into, or the
+ * maximum version, if it does not fit
+ * @property {string[]} modes the encoding modes used, e.g. "BYTE"
+ * @property {int} usedBytes the bytes the text needs in this version
+ * @property {int} capacityBytes the bytes this version can hold
+ */
+
+/**
+ * Returns the number of bytes a QR code can hold.
+ *
+ * @function
+ * @param {int} version
+ * @param {string} errorCorrection the level, e.g. "Q"
+ * @returns {int}
+ * @throws {Error} if the version or the level is invalid
+ */
+export function getDataCapacity(version, errorCorrection) {
+    if (!Number.isInteger(version) || version < MIN_VERSION || version > MAX_VERSION ||
+        !ERROR_CORRECTION_INDEX.hasOwnProperty(errorCorrection)) {
+        throw new Error(`invalid version ${version} or error correction level ${errorCorrection}`);
+    }
+
+    return DATA_CODEWORDS[version - 1][ERROR_CORRECTION_INDEX[errorCorrection]];
+}
+
+/**
+ * Returns the name of the mode of the segment.
+ *
+ * @function
+ * @private
+ * @param {qrcodegen.QrSegment} segment
+ * @returns {string}
+ */
+function getModeName(segment) {
+    return Object.keys(QrSegment.Mode).find((mode) => QrSegment.Mode[mode] === segment.mode);
+}
+
+/**
+ * Returns the number of bits the segments need.
+ *
+ * In contrast to qrcodegen's getTotalBits, this does not check whether the
+ * character counts fit into their fields, as such long texts never fit into
+ * the data capacity of the version anyway.
+ *
+ * @function
+ * @private
+ * @param {qrcodegen.QrSegment[]} segments
+ * @param {int} version
+ * @returns {int}
+ */
+function getTotalBits(segments, version) {
+    return segments.reduce((bits, segment) => bits + 4 + segment.mode.numCharCountBits(version) + segment.getBits().length, 0);
+}
+
+/**
+ * Measures the text.
+ *
+ * @function
+ * @param {string} text
+ * @param {string} errorCorrection the level, e.g. "Q"
+ * @param {Object} [options]
+ * @param {int} [options.minVersion=1]
+ * @param {int} [options.maxVersion=40]
+ * @param {boolean} [options.optimalSegmentation=true] false, if the whole
+ * text is encoded in byte mode
+ * @param {boolean} [options.structuredAppend=false] whether the text is part
+ * of a Structured Append set, i.e. needs a header
+ * @returns {Measurement}
+ */
+export function measure(text, errorCorrection, {minVersion = MIN_VERSION, maxVersion = MAX_VERSION, optimalSegmentation = true, structuredAppend = false} = {}) {
+    const byteSegments = [QrSegment.makeBytes(Array.from(textEncoder.encode(text)))];
+
+    let segments = null;
+    let bits = 0;
+    let version;
+    for (version = minVersion; version <= maxVersion; version++) {
+        // the segmentation only changes with the length of the character count fields
+        if (segments === null || CHARACTER_COUNT_CHANGES.includes(version)) {
+            segments = optimalSegmentation ? Segmenter.makeSegments(text, version) : byteSegments;
+        }
+
+        bits = getTotalBits(segments, version) + (structuredAppend ? STRUCTURED_APPEND_BITS : 0);
+        if (bits <= getDataCapacity(version, errorCorrection) * 8) {
+            break;
+        }
+    }
+
+    const fits = version <= maxVersion;
+    version = Math.min(version, maxVersion);
+
+    return {
+        fits: fits,
+        version: version,
+        modes: Array.from(new Set(segments.map(getModeName))),
+        usedBytes: Math.ceil(bits / 8),
+        capacityBytes: getDataCapacity(version, errorCorrection)
+    };
+}
@@ -0,0 +1,129 @@
+/**
+ * Encodes texts into the module matrix of a QR code, which the renderers draw.
+ *
+ * All QR code types use this encoder, so options about encoding behave the
+ * same regardless of the output format.
+ *
+ * @module QrLib/Encoder
+ * @requires ./Segmenter
+ * @requires ./Penalty
+ * @requires ./StructuredAppend
+ * @requires ./OptionValidator
+ */
+import * as Segmenter from "./Segmenter.js";
+import * as Penalty from "./Penalty.js";
+import * as StructuredAppend from "./StructuredAppend.js";
+import * as OptionValidator from "./OptionValidator.js";
+
+/**
+ * The options, which change the encoded matrix.
+ *
+ * All other options only change how it is rendered.
+ *
+ * @type {string[]}
+ * @const
+ */
+export const OPTIONS = Object.freeze([
+    "text",
+    "qrErrorCorrection",
+    "qrMinVersion",
+    "qrMaxVersion",
+    "qrMask",
+    "qrBoostErrorCorrection",
+    "structuredAppend"
+]);
+
+let qrText = "";
+let qrErrorCorrection = Segmenter.ERROR_CORRECTION.M;
+let qrMinVersion = OptionValidator.MIN_VERSION;
+let qrMaxVersion = OptionValidator.MAX_VERSION;
+let qrMask = OptionValidator.AUTOMATIC_MASK;
+let qrBoostErrorCorrection = true;
+// the header, if the QR code is part of a set
+let qrStructuredAppend = null;
+
+// the last encoded QR code
+let lastQrCode = null;
+
+/**
+ * The parameters of a generated QR code.
+ *
+ * @typedef {Object} SymbolInfo
+ * @property {int} version
+ * @property {string} errorCorrection the level, e.g. "Q"
+ * @property {int} mask
+ * @property {int} penaltyScore the penalty of the mask
+ */
+
+/**
+ * Sets an option about encoding the text.
+ *
+ * The value needs to be validated before.
+ *
+ * @function
+ * @param {string} tag one of {@link OPTIONS}
+ * @param {Object} value the value to set for this tag
+ * @returns {void}
+ * @throws {Error} if the option does not change the encoding
+ */
+export function set(tag, value) {
+    switch (tag) {
+    case "text":
+        qrText = value;
+        break;
+    case "qrErrorCorrection":
+        qrErrorCorrection = Segmenter.ERROR_CORRECTION[value];
+        break;
+    case "qrMinVersion":
+        qrMinVersion = value;
+        break;
+    case "qrMaxVersion":
+        qrMaxVersion = value;
+        break;
+    case "qrMask":
+        qrMask = value;
+        break;
+    case "qrBoostErrorCorrection":
+        qrBoostErrorCorrection = value;
+        break;
+    case "structuredAppend":
+        qrStructuredAppend = value;
+        break;
+    default:
+        throw new Error(`${tag} is no option of the encoder`);
+    }
+}
+
+/**
+ * Encodes the text with the current options.
+ *
+ * @function
+ * @returns {qrcodegen.QrCode} the module matrix
+ * @throws {string} if the text is too long
+ */
+export function encode() {
+    const header = qrStructuredAppend === null ? null : StructuredAppend.makeHeaderSegment(qrStructuredAppend);
+    lastQrCode = Segmenter.encodeText(qrText, qrErrorCorrection, qrMinVersion, qrMaxVersion, qrMask, qrBoostErrorCorrection, header);
+
+    return lastQrCode;
+}
+
+/**
+ * Returns the parameters of the last encoded QR code.
+ *
+ * @function
+ * @returns {SymbolInfo|null} null, if no QR code has been encoded yet
+ */
+export function getSymbolInfo() {
+    if (lastQrCode === null) {
+        return null;
+    }
+
+    return {
+        version: lastQrCode.version,
+        // may be higher than the one set, if it is boosted
+        errorCorrection: Object.keys(Segmenter.ERROR_CORRECTION).find((level) => Segmenter.ERROR_CORRECTION[level] === lastQrCode.errorCorrectionLevel),
+        mask: lastQrCode.mask,
+        penaltyScore: Penalty.getPenaltyScore(lastQrCode)
+    };
+}
@@ -0,0 +1,164 @@
+/**
+ * Checks the options passed to the QR code libraries, so invalid values are
+ * rejected when they are set and not only when the QR code is generated.
+ *
+ * @module QrLib/OptionValidator
+ * @requires /common/modules/QrCodeStyle
+ * @requires ./Renderer/Text
+ */
+import * as QrCodeStyle from "/common/modules/QrCodeStyle.js";
+import * as TextRenderer from "./Renderer/Text.js";
+
+/**
+ * The range of QR code versions.
+ *
+ * @type {int}
+ * @const
+ */
+export const MIN_VERSION = 1;
+export const MAX_VERSION = 40;
+
+/**
+ * The mask value, which lets the library choose the mask with the lowest
+ * penalty score.
+ *
+ * @type {int}
+ * @const
+ */
+export const AUTOMATIC_MASK = -1;
+export const MAX_MASK = 7;
+
+const ERROR_CORRECTION_LEVELS = Object.freeze(["L", "M", "Q", "H"]);
+
+/**
+ * Returns whether the value is a valid QR code version.
+ *
+ * @function
+ * @private
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isVersion(value) {
+    return Number.isInteger(value) && value >= MIN_VERSION && value <= MAX_VERSION;
+}
+
+/**
+ * Returns whether the value is a non-empty string, as colors are passed on
+ * to SVG or canvas.
+ *
+ * @function
+ * @private
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isColor(value) {
+    return typeof value === "string" && value !== "";
+}
+
+/**
+ * Returns whether the value is null or a header of Structured Append.
+ *
+ * @function
+ * @private
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isStructuredAppendHeader(value) {
+    return value === null || (typeof value === "object" &&
+        ["index", "total", "parity"].every((property) => Number.isInteger(value[property])));
+}
+
+/**
+ * Returns whether the value is null or a logo.
+ *
+ * @function
+ * @private
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isLogo(value) {
+    if (value === null) {
+        return true;
+    }
+
+    return typeof value === "object" &&
+        typeof value.imageUrl === "string" &&
+        value.aspectRatio > 0 &&
+        value.size > 0 && value.size <= 100 &&
+        value.positionX >= 0 && value.positionX <= 100 &&
+        value.positionY >= 0 && value.positionY <= 100 &&
+        typeof value.clearModules === "boolean";
+}
+
+/**
+ * Returns whether the value is null or an image for halftone QR codes.
+ *
+ * @function
+ * @private
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isHalftoneImage(value) {
+    if (value === null) {
+        return true;
+    }
+
+    return typeof value === "object" &&
+        typeof value.imageUrl === "string" &&
+        typeof value.image === "object";
+}
+
+/**
+ * The checks for all options.
+ *
+ * format: tag => function returning whether the value is valid
+ *
+ * @private
+ * @type {Object.<string, function>}
+ * @const
+ */
+const VALIDATORS = Object.freeze({
+    size: (value) => typeof value === "number" && value > 0,
+    text: (value) => typeof value === "string",
+    qrQuietZone: (value) => Number.isInteger(value) && value >= 0,
+    qrColor: isColor,
+    qrBackgroundColor: isColor,
+    qrErrorCorrection: (value) => ERROR_CORRECTION_LEVELS.includes(value),
+    overlay: (value) => value === null || typeof value === "string",
+    qrMinVersion: isVersion,
+    qrMaxVersion: isVersion,
+    qrMask: (value) => Number.isInteger(value) && value >= AUTOMATIC_MASK && value <= MAX_MASK,
+    qrBoostErrorCorrection: (value) => typeof value === "boolean",
+    structuredAppend: isStructuredAppendHeader,
+    logo: isLogo,
+    halftoneImage: isHalftoneImage,
+    style: QrCodeStyle.isValid,
+    textFormat: (value) => Object.values(TextRenderer.FORMAT).includes(value),
+    textInvert: (value) => typeof value === "boolean",
+    textQuietZone: (value) => Number.isInteger(value) && value >= 0,
+    pngSize: (value) => Number.isInteger(value) && value >= 1,
+    pngScale: (value) => Number.isInteger(value) && value >= 0,
+    pngDpi: (value) => Number.isInteger(value) && value >= 0,
+    pngPrintSize: (value) => typeof value === "number" && value >= 0,
+    pngTransparent: (value) => typeof value === "boolean"
+});
+
+/**
+ * Checks the value of the option.
+ *
+ * @function
+ * @param {string} tag the common one you know from the outside, e.g. size
+ * @param {Object} value
+ * @returns {void}
+ * @throws {Error} if the tag is unknown or the value is invalid
+ */
+export function validate(tag, value) {
+    if (!VALIDATORS.hasOwnProperty(tag)) {
+        throw new Error(`unknown tag passed to set: ${tag}`);
+    }
+
+    if (!VALIDATORS[tag](value)) {
+        // the value is not included, as the text may contain secrets
+        throw new Error(`invalid value passed for ${tag}`);
+    }
+}
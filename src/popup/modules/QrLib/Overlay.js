@@ -0,0 +1,156 @@
+/**
+ * Describes the overlays, which some payload formats require to be drawn on
+ * top of the QR code, and the logo of the user, independent of the library
+ * rendering it.
+ *
+ * @module QrLib/Overlay
+ */
+
+/**
+ * A rectangle to fill, in the same unit as the symbol size.
+ *
+ * @typedef {Object} OverlayRectangle
+ * @property {number} x
+ * @property {number} y
+ * @property {number} width
+ * @property {number} height
+ * @property {string} color
+ */
+
+/**
+ * A logo drawn in the QR code.
+ *
+ * @typedef {Object} Logo
+ * @property {string} imageUrl the data URL of the image
+ * @property {HTMLImageElement} image the loaded image
+ * @property {number} aspectRatio the width of the image divided by its height
+ * @property {number} size the longer side of the logo in percent of the symbol size
+ * @property {number} positionX the horizontal position in percent, 50 centres it
+ * @property {number} positionY the vertical position in percent, 50 centres it
+ * @property {boolean} clearModules whether the modules behind the logo are hidden
+ */
+
+/**
+ * The share of the QR code each error correction level can restore.
+ *
+ * @type {Object.<string, number>}
+ * @const
+ */
+export const RECOVERABLE_SHARE = Object.freeze({
+    "L": 0.07,
+    "M": 0.15,
+    "Q": 0.25,
+    "H": 0.3
+});
+
+const BLACK = "#000000";
+const WHITE = "#ffffff";
+
+// the Swiss cross is 7 mm in a symbol of 46 mm
+const SWISS_CROSS_SIZE = 7 / 46;
+// size of the black square relative to the whole cross, the rest is a white border
+const SWISS_CROSS_SQUARE_SIZE = 6 / 7;
+// size of the cross arms relative to the black square (Swiss flag proportions)
+const SWISS_CROSS_ARM_LENGTH = 20 / 32;
+const SWISS_CROSS_ARM_WIDTH = 6 / 32;
+
+/**
+ * Returns a rectangle centred at the given point.
+ *
+ * @function
+ * @private
+ * @param {number} center
+ * @param {number} width
+ * @param {number} height
+ * @param {string} color
+ * @returns {OverlayRectangle}
+ */
+function getCenteredRectangle(center, width, height, color) {
+    return {
+        x: center - width / 2,
+        y: center - height / 2,
+        width: width,
+        height: height,
+        color: color
+    };
+}
+
+/**
+ * Returns the Swiss cross, which is mandatory for Swiss QR-bills.
+ *
+ * @function
+ * @private
+ * @param {number} symbolSize
+ * @returns {OverlayRectangle[]}
+ */
+function getSwissCross(symbolSize) {
+    const center = symbolSize / 2;
+    const crossSize = symbolSize * SWISS_CROSS_SIZE;
+    const squareSize = crossSize * SWISS_CROSS_SQUARE_SIZE;
+    const armLength = squareSize * SWISS_CROSS_ARM_LENGTH;
+    const armWidth = squareSize * SWISS_CROSS_ARM_WIDTH;
+
+    return [
+        getCenteredRectangle(center, crossSize, crossSize, WHITE),
+        getCenteredRectangle(center, squareSize, squareSize, BLACK),
+        getCenteredRectangle(center, armLength, armWidth, WHITE),
+        getCenteredRectangle(center, armWidth, armLength, WHITE)
+    ];
+}
+
+/**
+ * Returns the rectangles to draw for the overlay.
+ *
+ * The coordinates are relative to the top left corner of the QR code symbol,
+ * i.e. excluding the quiet zone.
+ *
+ * @function
+ * @param {string} overlay the name of the overlay, e.g. "swissCross"
+ * @param {number} symbolSize the size of the QR code symbol
+ * @returns {OverlayRectangle[]}
+ * @throws {Error} if the overlay is unknown
+ */
+export function getRectangles(overlay, symbolSize) {
+    switch (overlay) {
+    case "swissCross":
+        return getSwissCross(symbolSize);
+    default:
+        throw new Error(`unknown overlay: ${overlay}`);
+    }
+}
+
+/**
+ * Returns the area the logo covers.
+ *
+ * The coordinates are relative to the top left corner of the QR code symbol,
+ * i.e. excluding the quiet zone.
+ *
+ * @function
+ * @param {Logo} logo
+ * @param {number} symbolSize the size of the QR code symbol
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+export function getLogoArea(logo, symbolSize) {
+    const longerSide = symbolSize * logo.size / 100;
+    const width = logo.aspectRatio >= 1 ? longerSide : longerSide * logo.aspectRatio;
+    const height = logo.aspectRatio >= 1 ? longerSide / logo.aspectRatio : longerSide;
+
+    return {
+        x: (symbolSize - width) * logo.positionX / 100,
+        y: (symbolSize - height) * logo.positionY / 100,
+        width: width,
+        height: height
+    };
+}
+
+/**
+ * Returns the share of the QR code symbol the logo covers.
+ *
+ * @function
+ * @param {Logo} logo
+ * @returns {number} between 0 and 1
+ */
+export function getLogoCoverage(logo) {
+    const area = getLogoArea(logo, 1);
+    return area.width * area.height;
+}
@@ -0,0 +1,102 @@
+/**
+ * Calculates the penalty score of QR codes, which is used for choosing the
+ * mask pattern.
+ *
+ * qrcodegen only uses it internally, so it is calculated the same way here
+ * to show it to the user.
+ *
+ * @module QrLib/Penalty
+ * @see {@link https://www.thonky.com/qr-code-tutorial/data-masking}
+ */
+
+const PENALTY_RUN = 3;
+const PENALTY_BLOCK = 3;
+const PENALTY_FINDER_LIKE = 40;
+const PENALTY_BALANCE = 10;
+
+const MIN_RUN_LENGTH = 5;
+// dark-light-dark-dark-dark-light-dark with four light modules on one side
+const FINDER_LIKE_PATTERNS = Object.freeze([0x05D, 0x5D0]);
+const FINDER_LIKE_LENGTH = 11;
+
+/**
+ * Returns the penalty of runs of modules with the same color and of patterns
+ * looking like finders in one line.
+ *
+ * @function
+ * @private
+ * @param {boolean[]} line
+ * @returns {int}
+ */
+function getLinePenalty(line) {
+    let penalty = 0;
+    let runLength = 0;
+    let bits = 0;
+
+    line.forEach((isDark, index) => {
+        runLength = index > 0 && isDark === line[index - 1] ? runLength + 1 : 1;
+        if (runLength === MIN_RUN_LENGTH) {
+            penalty += PENALTY_RUN;
+        } else if (runLength > MIN_RUN_LENGTH) {
+            penalty++;
+        }
+
+        bits = ((bits << 1) & ((1 << FINDER_LIKE_LENGTH) - 1)) | (isDark ? 1 : 0);
+        if (index >= FINDER_LIKE_LENGTH - 1 && FINDER_LIKE_PATTERNS.includes(bits)) {
+            penalty += PENALTY_FINDER_LIKE;
+        }
+    });
+
+    return penalty;
+}
+
+/**
+ * Returns the penalty score of the QR code.
+ *
+ * The lower the score, the easier it is to scan the QR code.
+ *
+ * @function
+ * @param {qrcodegen.QrCode} qrCode
+ * @returns {int}
+ */
+export function getPenaltyScore(qrCode) {
+    const size = qrCode.size;
+    const rows = [];
+    const columns = [];
+    for (let i = 0; i < size; i++) {
+        rows.push([]);
+        columns.push([]);
+    }
+
+    let darkModules = 0;
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const isDark = qrCode.getModule(x, y);
+            rows[y].push(isDark);
+            columns[x].push(isDark);
+            if (isDark) {
+                darkModules++;
+            }
+        }
+    }
+
+    let penalty = [...rows, ...columns].reduce((sum, line) => sum + getLinePenalty(line), 0);
+
+    // 2×2 blocks of the same color
+    for (let y = 0; y < size - 1; y++) {
+        for (let x = 0; x < size - 1; x++) {
+            const isDark = rows[y][x];
+            if (rows[y][x + 1] === isDark && rows[y + 1][x] === isDark && rows[y + 1][x + 1] === isDark) {
+                penalty += PENALTY_BLOCK;
+            }
+        }
+    }
+
+    // each 5 % the ratio of dark modules differs from 50 % (with 5 % tolerance)
+    const total = size * size;
+    for (let k = 0; darkModules * 20 < (9 - k) * total || darkModules * 20 > (11 + k) * total; k++) {
+        penalty += PENALTY_BALANCE;
+    }
+
+    return penalty;
+}
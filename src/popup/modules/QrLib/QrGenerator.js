@@ -0,0 +1,189 @@
+/**
+ * Generates QR codes by encoding the text into a module matrix once and
+ * passing it to the renderer of the chosen QR code type.
+ *
+ * All renderers get the same options, so they only differ in their output
+ * format.
+ *
+ * @module QrLib/QrGenerator
+ * @requires /common/modules/Logger
+ * @requires /common/modules/QrCodeStyle
+ * @requires ./OptionValidator
+ * @requires ./Encoder
+ * @requires ./Renderer/Svg
+ * @requires ./Renderer/Canvas
+ * @requires ./Renderer/Halftone
+ * @requires ./Renderer/Png
+ * @requires ./Renderer/Text
+ */
+import * as Logger from "/common/modules/Logger.js";
+import * as QrCodeStyle from "/common/modules/QrCodeStyle.js";
+
+import * as OptionValidator from "./OptionValidator.js";
+import * as Encoder from "./Encoder.js";
+import * as SvgRenderer from "./Renderer/Svg.js";
+import * as CanvasRenderer from "./Renderer/Canvas.js";
+import * as HalftoneRenderer from "./Renderer/Halftone.js";
+import * as PngRenderer from "./Renderer/Png.js";
+import * as TextRenderer from "./Renderer/Text.js";
+
+/**
+ * The renderers for the QR code types, which can be chosen in the options.
+ *
+ * @private
+ */
+const RENDERERS = Object.freeze({
+    "svg": SvgRenderer,
+    "canvas": CanvasRenderer,
+    "halftone": HalftoneRenderer
+});
+
+/**
+ * The options all renderers use.
+ *
+ * @typedef {Object} RenderOptions
+ * @property {number} size the size in px
+ * @property {int} qrQuietZone the size of the quiet zone in modules
+ * @property {string} qrColor the color of dark modules
+ * @property {string} qrBackgroundColor the color of light modules
+ * @property {QrLib/Overlay~Overlay|null} overlay
+ * @property {QrLib/Overlay~Logo|null} logo
+ * @property {QrCodeStyle.Style} style
+ * @property {QrLib/Renderer/Halftone~HalftoneImage|null} halftoneImage only used by the halftone renderer
+ * @property {QrLib/Renderer/Text.FORMAT} textFormat only used by the text renderer
+ * @property {boolean} textInvert whether the text renderer draws the light modules
+ * @property {int} textQuietZone the size of the quiet zone of the text renderer in modules
+ * @property {int} pngSize the size of PNG images in px, if no scale is set
+ * @property {int} pngScale the pixels per module of PNG images, 0 to use the size
+ * @property {int} pngDpi the resolution saved in PNG images, 0 to save none
+ * @property {number} pngPrintSize the size PNG images must be printed in mm, excluding the quiet zone, 0 if any size can be used
+ * @property {boolean} pngTransparent whether PNG images have no background
+ */
+
+/**
+ * @type {RenderOptions}
+ * @private
+ */
+const renderOptions = {
+    size: 200,
+    qrQuietZone: 0,
+    qrColor: "#0c0c0d",
+    qrBackgroundColor: "#ffffff",
+    overlay: null,
+    logo: null,
+    style: QrCodeStyle.DEFAULT_STYLE,
+    halftoneImage: null,
+    textFormat: TextRenderer.FORMAT.UNICODE,
+    textInvert: false,
+    textQuietZone: 2,
+    pngSize: 1024,
+    pngScale: 0,
+    pngDpi: 0,
+    pngPrintSize: 0,
+    pngTransparent: false
+};
+
+// the halftone image cannot be drawn on a canvas
+const PNG_TYPES = Object.freeze(["svg", "canvas"]);
+
+let qrCodeType = "svg";
+
+/**
+ * Sets the QR code type, which decides the renderer used.
+ *
+ * @function
+ * @param {string} type the QR code type setting, e.g. "canvas"
+ * @returns {void}
+ * @throws {Error} if the type is unknown
+ */
+export function setType(type) {
+    if (!RENDERERS.hasOwnProperty(type)) {
+        throw new Error("invalid QR code type setting");
+    }
+
+    qrCodeType = type;
+}
+
+/**
+ * Returns the type of element, which the renderer of the QR code type returns.
+ *
+ * @function
+ * @returns {string} "svg" or "canvas"
+ */
+export function getOutputType() {
+    return RENDERERS[qrCodeType].OUTPUT_TYPE;
+}
+
+/**
+ * Set an option for the QR code.
+ *
+ * @function
+ * @param {string} tag the common one you know from the outside, e.g. size
+ * @param {Object} value the value to set for this tag
+ * @returns {void}
+ * @throws {Error} if the tag is unknown or the value is invalid
+ */
+export function set(tag, value) {
+    OptionValidator.validate(tag, value);
+
+    if (Encoder.OPTIONS.includes(tag)) {
+        Encoder.set(tag, value);
+        return;
+    }
+
+    renderOptions[tag] = value;
+}
+
+/**
+ * Return new QR code.
+ *
+ * @function
+ * @param {string} [type] the QR code type to render, by default the one set
+ * @returns {SVGSVGElement|HTMLCanvasElement}
+ * @throws {string} if the text is too long
+ */
+export function getQr(type = qrCodeType) {
+    Logger.logInfo("generated new", type, "qr code");
+
+    return RENDERERS[type].render(Encoder.encode(), renderOptions);
+}
+
+/**
+ * Returns whether the QR code type can be saved as a PNG image.
+ *
+ * @function
+ * @returns {boolean}
+ */
+export function isPngSupported() {
+    return PNG_TYPES.includes(qrCodeType);
+}
+
+/**
+ * Returns the QR code as a PNG image.
+ *
+ * @function
+ * @returns {Promise.<Blob>}
+ */
+export function getPng() {
+    return PngRenderer.render(Encoder.encode(), renderOptions);
+}
+
+/**
+ * Returns the QR code as text.
+ *
+ * @function
+ * @returns {string}
+ */
+export function getText() {
+    return TextRenderer.render(Encoder.encode(), renderOptions);
+}
+
+/**
+ * Returns the parameters of the last generated QR code.
+ *
+ * @function
+ * @returns {QrLib/Encoder~SymbolInfo|null} null, if no QR code has been generated yet
+ */
+export function getSymbolInfo() {
+    return Encoder.getSymbolInfo();
+}
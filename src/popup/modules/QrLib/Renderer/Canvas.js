@@ -0,0 +1,140 @@
+/**
+ * Renders QR codes on a canvas, i.e. as a pixel image.
+ *
+ * The same paths as for SVG are drawn, so all styles are supported. Each
+ * module covers a whole number of pixels, so the QR code stays sharp.
+ *
+ * @module QrLib/Renderer/Canvas
+ * @requires /common/modules/QrCodeStyle
+ * @requires ../Overlay
+ */
+import * as QrCodeStyle from "/common/modules/QrCodeStyle.js";
+import * as Overlay from "../Overlay.js";
+
+/**
+ * The type of element this renderer returns.
+ *
+ * @type {string}
+ * @const
+ * @default
+ */
+export const OUTPUT_TYPE = "canvas";
+
+/**
+ * Returns the fill style for the modules.
+ *
+ * @function
+ * @private
+ * @param {CanvasRenderingContext2D} context
+ * @param {QrCodeStyle.Gradient|null} gradient
+ * @param {string} color the color used, if there is no gradient
+ * @returns {string|CanvasGradient}
+ */
+function getFillStyle(context, gradient, color) {
+    if (gradient === null) {
+        return color;
+    }
+
+    const canvasGradient = gradient.type === QrCodeStyle.GRADIENT.RADIAL ?
+        context.createRadialGradient(gradient.cx, gradient.cy, 0, gradient.cx, gradient.cy, gradient.r) :
+        context.createLinearGradient(gradient.x1, gradient.y1, gradient.x2, gradient.y2);
+    canvasGradient.addColorStop(0, gradient.startColor);
+    canvasGradient.addColorStop(1, gradient.endColor);
+
+    return canvasGradient;
+}
+
+/**
+ * Draws the overlay on top of the QR code.
+ *
+ * @function
+ * @private
+ * @param {CanvasRenderingContext2D} context drawing in modules
+ * @param {QrLib/Overlay~Overlay} overlay
+ * @param {int} symbolSize the size of the QR code in modules
+ * @returns {void}
+ */
+function drawOverlay(context, overlay, symbolSize) {
+    for (const rectangle of Overlay.getRectangles(overlay, symbolSize)) {
+        context.fillStyle = rectangle.color;
+        context.fillRect(rectangle.x, rectangle.y, rectangle.width, rectangle.height);
+    }
+}
+
+/**
+ * Draws the logo on top of the QR code.
+ *
+ * @function
+ * @private
+ * @param {CanvasRenderingContext2D} context drawing in modules
+ * @param {QrLib/Overlay~Logo} logo
+ * @param {int} symbolSize the size of the QR code in modules
+ * @param {string} backgroundColor the color of the cleared modules
+ * @returns {void}
+ */
+function drawLogo(context, logo, symbolSize, backgroundColor) {
+    const area = Overlay.getLogoArea(logo, symbolSize);
+
+    if (logo.clearModules) {
+        // clearing first keeps transparent backgrounds transparent
+        context.clearRect(area.x, area.y, area.width, area.height);
+        context.fillStyle = backgroundColor;
+        context.fillRect(area.x, area.y, area.width, area.height);
+    }
+
+    context.drawImage(logo.image, area.x, area.y, area.width, area.height);
+}
+
+/**
+ * Returns the QR code drawn on a canvas.
+ *
+ * @function
+ * @param {qrcodegen.QrCode} qrCode the module matrix
+ * @param {QrLib/QrGenerator~RenderOptions} options
+ * @param {number} [ratio=window.devicePixelRatio] the number of pixels per CSS pixel
+ * @returns {HTMLCanvasElement}
+ */
+export function render(qrCode, options, ratio = window.devicePixelRatio) {
+    const quietZone = options.qrQuietZone;
+    const style = options.style;
+    const moduleCount = qrCode.size + 2 * quietZone;
+
+    // whole pixels per module, the remaining pixels are spread around it
+    const pixelSize = Math.round(options.size * ratio);
+    const moduleSize = Math.max(Math.floor(pixelSize / moduleCount), 1);
+    const canvasSize = Math.max(pixelSize, moduleSize * moduleCount);
+    const offset = Math.floor((canvasSize - moduleSize * moduleCount) / 2);
+
+    const elCanvas = document.createElement("canvas");
+    elCanvas.width = canvasSize;
+    elCanvas.height = canvasSize;
+    elCanvas.style.width = `${canvasSize / ratio}px`;
+    elCanvas.style.height = `${canvasSize / ratio}px`;
+
+    const context = elCanvas.getContext("2d");
+    context.fillStyle = options.qrBackgroundColor;
+    context.fillRect(0, 0, canvasSize, canvasSize);
+
+    // draw in modules, like in the view box of the SVG
+    context.setTransform(moduleSize, 0, 0, moduleSize, offset, offset);
+
+    const paths = QrCodeStyle.getPaths(qrCode, quietZone, style);
+    const fillStyle = getFillStyle(context, QrCodeStyle.getGradient(qrCode.size, options.qrColor, style, quietZone), options.qrColor);
+    context.fillStyle = fillStyle;
+    context.fill(new Path2D(paths.modules));
+    context.fillStyle = style.finderColor || fillStyle;
+    context.fill(new Path2D(paths.finderOuter), "evenodd");
+    context.fillStyle = style.finderInnerColor || fillStyle;
+    context.fill(new Path2D(paths.finderInner));
+
+    // overlays and logos are positioned relative to the symbol
+    context.translate(quietZone, quietZone);
+    if (options.overlay) {
+        drawOverlay(context, options.overlay, qrCode.size);
+    }
+    if (options.logo) {
+        drawLogo(context, options.logo, qrCode.size, options.qrBackgroundColor);
+    }
+
+    return elCanvas;
+}
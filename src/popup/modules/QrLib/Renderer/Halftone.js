@@ -0,0 +1,234 @@
+/**
+ * Creates QR codes blended into an image ("halftone"), e.g. for marketing
+ * material.
+ *
+ * The data modules are drawn as small dots colored by the image, while the
+ * finder, timing and alignment patterns are drawn completely, so scanners can
+ * still locate the QR code.
+ *
+ * @module QrLib/Renderer/Halftone
+ * @requires /common/modules/Colors
+ * @requires ../SvgDrawing
+ */
+import * as Colors from "/common/modules/Colors.js";
+import * as SvgDrawing from "../SvgDrawing.js";
+
+// scanners sample the center of modules, so the image can be shown around it
+const DOT_SIZE = 1 / 3; // modules
+// dark and light dots need to be clearly distinguishable for scanners
+const MIN_DOT_CONTRAST = Colors.CONTRAST_RATIO.SMALL_AAA;
+// the number of steps in which dots are moved towards the color of the module
+const COLOR_STEPS = 10;
+
+/**
+ * An image the QR code is blended into.
+ *
+ * @typedef {Object} HalftoneImage
+ * @property {string} imageUrl the data URL of the image
+ * @property {HTMLImageElement} image the loaded image
+ */
+
+/**
+ * The type of element this renderer returns.
+ *
+ * @type {string}
+ * @const
+ * @default
+ */
+export const OUTPUT_TYPE = "svg";
+
+/**
+ * Returns the color of the dot of a data module, which keeps the color of the
+ * image as far as the contrast allows.
+ *
+ * The dot is moved towards the color of the module until it has enough
+ * contrast to the color of the opposite modules.
+ *
+ * @function
+ * @param {Array} imageRgb the color of the image at the module
+ * @param {boolean} isDark whether the module is dark
+ * @param {Array} colorRgb the color of dark modules
+ * @param {Array} backgroundRgb the color of light modules
+ * @returns {Array}
+ */
+export function getDotColor(imageRgb, isDark, colorRgb, backgroundRgb) {
+    const [targetRgb, oppositeRgb] = isDark ? [colorRgb, backgroundRgb] : [backgroundRgb, colorRgb];
+
+    for (let step = 0; step < COLOR_STEPS; step++) {
+        const dotRgb = Colors.mixColors(imageRgb, targetRgb, step / COLOR_STEPS);
+        if (Colors.contrastRatio(dotRgb, oppositeRgb) >= MIN_DOT_CONTRAST) {
+            return dotRgb;
+        }
+    }
+
+    // the colors of the modules may not have enough contrast themselves
+    return targetRgb;
+}
+
+/**
+ * Returns the colors of the image at each module.
+ *
+ * The center of the image is scaled to cover the symbol, like the image
+ * shown in the SVG.
+ *
+ * @function
+ * @private
+ * @param {int} symbolSize the size of the QR code in modules
+ * @param {QrLib/QrGenerator~RenderOptions} options
+ * @returns {Uint8ClampedArray} the RGBA values, row by row
+ */
+function sampleImage(symbolSize, options) {
+    const elCanvas = document.createElement("canvas");
+    elCanvas.width = symbolSize;
+    elCanvas.height = symbolSize;
+
+    const context = elCanvas.getContext("2d");
+    // transparent parts show the background
+    context.fillStyle = options.qrBackgroundColor;
+    context.fillRect(0, 0, symbolSize, symbolSize);
+
+    if (options.halftoneImage !== null) {
+        const elImage = options.halftoneImage.image;
+        const croppedSize = Math.min(elImage.naturalWidth, elImage.naturalHeight);
+        context.drawImage(elImage,
+            (elImage.naturalWidth - croppedSize) / 2, (elImage.naturalHeight - croppedSize) / 2, croppedSize, croppedSize,
+            0, 0, symbolSize, symbolSize);
+    }
+
+    return context.getImageData(0, 0, symbolSize, symbolSize).data;
+}
+
+/**
+ * Returns the SVG path of a module.
+ *
+ * @function
+ * @private
+ * @param {int} x
+ * @param {int} y
+ * @returns {string}
+ */
+function getModulePath(x, y) {
+    return `M${x},${y}h1v1h-1z`;
+}
+
+/**
+ * Returns the SVG path of the dot of a module.
+ *
+ * @function
+ * @private
+ * @param {int} x
+ * @param {int} y
+ * @returns {string}
+ */
+function getDotPath(x, y) {
+    const radius = DOT_SIZE / 2;
+    return `M${x + 0.5 - radius},${y + 0.5}a${radius},${radius} 0 1,0 ${DOT_SIZE},0a${radius},${radius} 0 1,0 ${-DOT_SIZE},0z`;
+}
+
+/**
+ * Returns the QR code as an SVG string, without the image.
+ *
+ * @function
+ * @private
+ * @param {qrcodegen.QrCode} qrCode
+ * @param {QrLib/QrGenerator~RenderOptions} options
+ * @returns {string}
+ */
+function getSvgString(qrCode, options) {
+    const quietZone = options.qrQuietZone;
+    const colorRgb = Colors.hexToRgb(options.qrColor);
+    const backgroundRgb = Colors.hexToRgb(options.qrBackgroundColor);
+    const imageColors = sampleImage(qrCode.size, options);
+
+    const darkModulePaths = [];
+    const lightModulePaths = [];
+    // dots of the same color are combined into one path
+    const dotPaths = new Map();
+
+    for (let y = 0; y < qrCode.size; y++) {
+        for (let x = 0; x < qrCode.size; x++) {
+            const isDark = qrCode.getModule(x, y);
+
+            // the patterns scanners use for locating the QR code are kept intact
+            if (qrCode.isFunctionModule(x, y)) {
+                (isDark ? darkModulePaths : lightModulePaths).push(getModulePath(x + quietZone, y + quietZone));
+                continue;
+            }
+
+            const index = (y * qrCode.size + x) * 4;
+            const imageRgb = Array.from(imageColors.slice(index, index + 3));
+            const dotColor = Colors.rgbToHex(getDotColor(imageRgb, isDark, colorRgb, backgroundRgb));
+
+            if (!dotPaths.has(dotColor)) {
+                dotPaths.set(dotColor, []);
+            }
+            dotPaths.get(dotColor).push(getDotPath(x + quietZone, y + quietZone));
+        }
+    }
+
+    const size = qrCode.size + 2 * quietZone;
+    const svgParts = [
+        `<svg xmlns="${SvgDrawing.SVG_NAMESPACE}" version="1.1" viewBox="0 0 ${size} ${size}" width="${options.size}" height="${options.size}" stroke="none">`,
+        // the first rectangle is the background
+        `<rect width="100%" height="100%" fill="${options.qrBackgroundColor}"/>`,
+        `<path d="${lightModulePaths.join("")}" fill="${options.qrBackgroundColor}"/>`,
+        `<path d="${darkModulePaths.join("")}" fill="${options.qrColor}"/>`
+    ];
+    for (const [dotColor, paths] of dotPaths) {
+        svgParts.push(`<path d="${paths.join("")}" fill="${dotColor}"/>`);
+    }
+    svgParts.push("</svg>");
+
+    return svgParts.join("");
+}
+
+/**
+ * Shows the image behind the modules.
+ *
+ * @function
+ * @private
+ * @param {SVGSVGElement} elSvg
+ * @param {HalftoneImage} halftoneImage
+ * @param {int} symbolSize the size of the QR code in modules
+ * @param {int} quietZone the size of the quiet zone in modules
+ * @returns {void}
+ */
+function addImage(elSvg, halftoneImage, symbolSize, quietZone) {
+    // only data: URLs are allowed for images by the content security policy
+    const elImage = elSvg.ownerDocument.createElementNS(SvgDrawing.SVG_NAMESPACE, "image");
+    elImage.setAttribute("href", halftoneImage.imageUrl);
+    elImage.setAttribute("x", quietZone);
+    elImage.setAttribute("y", quietZone);
+    elImage.setAttribute("width", symbolSize);
+    elImage.setAttribute("height", symbolSize);
+    // the same part of the image, which has been sampled
+    elImage.setAttribute("preserveAspectRatio", "xMidYMid slice");
+
+    // directly after the background
+    elSvg.insertBefore(elImage, elSvg.querySelector("rect").nextSibling);
+}
+
+/**
+ * Returns the QR code blended into the image as an SVG element.
+ *
+ * @function
+ * @param {qrcodegen.QrCode} qrCode the module matrix
+ * @param {QrLib/QrGenerator~RenderOptions} options
+ * @returns {SVGSVGElement}
+ */
+export function render(qrCode, options) {
+    const svg = (new DOMParser()).parseFromString(getSvgString(qrCode, options), "image/svg+xml"); // XMLDocument
+    const elSvg = svg.documentElement; // SVGSVGElement
+
+    if (options.halftoneImage) {
+        addImage(elSvg, options.halftoneImage, qrCode.size, options.qrQuietZone);
+    }
+    if (options.overlay) {
+        SvgDrawing.addOverlay(elSvg, options.overlay, qrCode.size, options.qrQuietZone);
+    }
+    if (options.logo) {
+        SvgDrawing.addLogo(elSvg, options.logo, qrCode.size, options.qrQuietZone, options.qrBackgroundColor);
+    }
+
+    return elSvg;
+}
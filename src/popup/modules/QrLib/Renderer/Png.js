@@ -0,0 +1,186 @@
+/**
+ * Renders QR codes as PNG images, e.g. for saving them.
+ *
+ * Each module covers a whole number of pixels, so the edges stay sharp when
+ * the image is shown at its size.
+ *
+ * @module QrLib/Renderer/Png
+ * @requires ./Canvas
+ */
+import * as CanvasRenderer from "./Canvas.js";
+
+// the IHDR chunk always comes first, directly after the 8 byte signature
+const HEADER_END = 8 + 4 + 4 + 13 + 4;
+// the type "pHYs", the pixels per unit in both directions and the unit
+const PHYS_TYPE = Object.freeze([0x70, 0x48, 0x59, 0x73]);
+const PHYS_DATA_LENGTH = 9;
+const UNIT_METER = 1;
+const METERS_PER_INCH = 0.0254;
+const MILLIMETERS_PER_INCH = 25.4;
+
+let crcTable = null;
+
+/**
+ * Returns the CRC-32 checksum, which each PNG chunk ends with.
+ *
+ * @function
+ * @private
+ * @param {Uint8Array} bytes
+ * @returns {int}
+ */
+function getCrc(bytes) {
+    if (crcTable === null) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (const byte of bytes) {
+        crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Returns the PNG image as a Blob.
+ *
+ * @function
+ * @private
+ * @param {HTMLCanvasElement} elCanvas
+ * @returns {Promise.<Blob>}
+ */
+function getBlob(elCanvas) {
+    return new Promise((resolve, reject) => {
+        elCanvas.toBlob((blob) => {
+            if (blob === null) {
+                reject(new Error("could not create PNG image"));
+                return;
+            }
+
+            resolve(blob);
+        }, "image/png");
+    });
+}
+
+/**
+ * Reads the content of a Blob.
+ *
+ * @function
+ * @private
+ * @param {Blob} blob
+ * @returns {Promise.<Uint8Array>}
+ */
+function readBlob(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.addEventListener("load", () => resolve(new Uint8Array(reader.result)));
+        reader.addEventListener("error", () => reject(reader.error));
+        reader.readAsArrayBuffer(blob);
+    });
+}
+
+/**
+ * Returns the width and height of the image in pixels.
+ *
+ * @function
+ * @param {int} moduleCount the number of modules in a row, including the quiet zone
+ * @param {QrLib/QrGenerator~RenderOptions} options
+ * @returns {int}
+ */
+export function getPixelSize(moduleCount, options) {
+    if (options.pngScale > 0) {
+        return moduleCount * options.pngScale;
+    }
+
+    return options.pngSize;
+}
+
+/**
+ * Returns the resolution to save in the image.
+ *
+ * A print size required by the payload overrides the resolution of the
+ * options, so the QR code is printed in the right size.
+ *
+ * @function
+ * @param {int} symbolSize the number of modules in a row, excluding the quiet zone
+ * @param {QrLib/QrGenerator~RenderOptions} options
+ * @returns {number} the pixels per inch, 0 to save none
+ */
+export function getDpi(symbolSize, options) {
+    if (options.pngPrintSize === 0) {
+        return options.pngDpi;
+    }
+
+    // the print size does not include the quiet zone
+    const moduleCount = symbolSize + 2 * options.qrQuietZone;
+    const printSize = options.pngPrintSize * moduleCount / symbolSize;
+
+    return getPixelSize(moduleCount, options) / (printSize / MILLIMETERS_PER_INCH);
+}
+
+/**
+ * Adds a pHYs chunk to the PNG image, so programs know the size it should be
+ * printed in.
+ *
+ * @function
+ * @param {Uint8Array} png a PNG image without a pHYs chunk
+ * @param {number} dpi the pixels per inch
+ * @returns {Uint8Array}
+ */
+export function addResolution(png, dpi) {
+    const pixelsPerMeter = Math.round(dpi / METERS_PER_INCH);
+
+    // length, type, data and CRC
+    const chunk = new Uint8Array(4 + 4 + PHYS_DATA_LENGTH + 4);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, PHYS_DATA_LENGTH);
+    chunk.set(PHYS_TYPE, 4);
+    view.setUint32(8, pixelsPerMeter);
+    view.setUint32(12, pixelsPerMeter);
+    chunk[16] = UNIT_METER;
+    // the CRC covers the type and the data
+    view.setUint32(17, getCrc(chunk.subarray(4, 17)));
+
+    // the chunk has to be before the image data, so it is added after the header
+    const result = new Uint8Array(png.length + chunk.length);
+    result.set(png.subarray(0, HEADER_END));
+    result.set(chunk, HEADER_END);
+    result.set(png.subarray(HEADER_END), HEADER_END + chunk.length);
+
+    return result;
+}
+
+/**
+ * Returns the QR code as a PNG image.
+ *
+ * The image has the PNG size of the options, regardless of the size shown in
+ * the popup and the pixel ratio of the display.
+ *
+ * @function
+ * @param {qrcodegen.QrCode} qrCode the module matrix
+ * @param {QrLib/QrGenerator~RenderOptions} options
+ * @returns {Promise.<Blob>}
+ */
+export async function render(qrCode, options) {
+    const moduleCount = qrCode.size + 2 * options.qrQuietZone;
+    const elCanvas = CanvasRenderer.render(qrCode, Object.assign({}, options, {
+        size: getPixelSize(moduleCount, options),
+        qrBackgroundColor: options.pngTransparent ? "transparent" : options.qrBackgroundColor
+    }), 1);
+
+    const blob = await getBlob(elCanvas);
+    const dpi = getDpi(qrCode.size, options);
+    if (dpi === 0) {
+        return blob;
+    }
+
+    const png = await readBlob(blob);
+    return new Blob([addResolution(png, dpi)], {type: "image/png"});
+}
@@ -0,0 +1,47 @@
+/**
+ * Renders QR codes as SVG, which can be resized without losing quality.
+ *
+ * @module QrLib/Renderer/Svg
+ * @requires /common/modules/QrCodeStyle
+ * @requires ../SvgDrawing
+ */
+import * as QrCodeStyle from "/common/modules/QrCodeStyle.js";
+import * as SvgDrawing from "../SvgDrawing.js";
+
+/**
+ * The type of element this renderer returns.
+ *
+ * @type {string}
+ * @const
+ * @default
+ */
+export const OUTPUT_TYPE = "svg";
+
+/**
+ * Returns the QR code as an SVG element.
+ *
+ * @function
+ * @param {qrcodegen.QrCode} qrCode the module matrix
+ * @param {QrLib/QrGenerator~RenderOptions} options
+ * @returns {SVGSVGElement}
+ */
+export function render(qrCode, options) {
+    const svgString = QrCodeStyle.getSvgString(qrCode, options.qrQuietZone, options.qrColor, options.style);
+    const svg = (new DOMParser()).parseFromString(svgString, "image/svg+xml"); // XMLDocument
+    const elSvg = svg.documentElement; // SVGSVGElement
+
+    // the first rectangle is the background
+    elSvg.querySelector("rect").setAttribute("fill", options.qrBackgroundColor);
+    // only the default size, the popup scales it to its container
+    elSvg.setAttribute("width", options.size);
+    elSvg.setAttribute("height", options.size);
+
+    if (options.overlay) {
+        SvgDrawing.addOverlay(elSvg, options.overlay, qrCode.size, options.qrQuietZone);
+    }
+    if (options.logo) {
+        SvgDrawing.addLogo(elSvg, options.logo, qrCode.size, options.qrQuietZone, options.qrBackgroundColor);
+    }
+
+    return elSvg;
+}
@@ -0,0 +1,134 @@
+/**
+ * Renders QR codes as text, e.g. for pasting them into terminals, code
+ * reviews or plain text e-mails.
+ *
+ * The Unicode formats show two modules above each other in each character, so
+ * the QR code keeps its square shape in most monospace fonts. The ASCII format
+ * uses two characters for each module instead.
+ *
+ * @module QrLib/Renderer/Text
+ * @requires /common/modules/Colors
+ */
+import * as Colors from "/common/modules/Colors.js";
+
+/**
+ * The text formats.
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const FORMAT = Object.freeze({
+    // half-block characters drawing the dark modules
+    UNICODE: "unicode",
+    // half-block characters colored with ANSI escape codes, which work on any background
+    ANSI: "ansi",
+    // "##" for dark modules
+    ASCII: "ascii"
+});
+
+// indexed by whether the upper module is drawn (2) and the lower one (1)
+const BLOCKS = Object.freeze([" ", "▄", "▀", "█"]);
+const ASCII_MODULES = Object.freeze(["  ", "##"]);
+const ANSI_RESET = "\u001b[0m";
+// used, if the colors are no hex colors
+const BLACK = Object.freeze([0, 0, 0]);
+const WHITE = Object.freeze([255, 255, 255]);
+
+/**
+ * Returns the ANSI escape code for a 24-bit color.
+ *
+ * @function
+ * @private
+ * @param {boolean} isForeground
+ * @param {Array} rgb
+ * @returns {string}
+ */
+function getAnsiColor(isForeground, rgb) {
+    return `\u001b[${isForeground ? 38 : 48};2;${rgb.join(";")}m`;
+}
+
+/**
+ * Returns a line of the ANSI format.
+ *
+ * The upper module is drawn with the foreground color of "▀" and the lower one
+ * with its background color.
+ *
+ * @function
+ * @private
+ * @param {function} isDark returns whether the module at x and y is dark
+ * @param {int} y the upper row of the line
+ * @param {int} size the number of modules in a row
+ * @param {Array} colorRgb the color of dark modules
+ * @param {Array} backgroundRgb the color of light modules
+ * @returns {string}
+ */
+function getAnsiLine(isDark, y, size, colorRgb, backgroundRgb) {
+    let line = "";
+    let lastColors = null;
+
+    for (let x = 0; x < size; x++) {
+        const colors = getAnsiColor(true, isDark(x, y) ? colorRgb : backgroundRgb) +
+            getAnsiColor(false, isDark(x, y + 1) ? colorRgb : backgroundRgb);
+
+        // the colors are only changed when needed, to keep the text short
+        if (colors !== lastColors) {
+            line += colors;
+            lastColors = colors;
+        }
+        line += BLOCKS[2];
+    }
+
+    return line + ANSI_RESET;
+}
+
+/**
+ * Returns the QR code as text.
+ *
+ * Inverting draws the light modules with characters, for light text on dark
+ * backgrounds. The ANSI format sets the colors itself, so it is never
+ * inverted.
+ *
+ * @function
+ * @param {qrcodegen.QrCode} qrCode the module matrix
+ * @param {QrLib/QrGenerator~RenderOptions} options
+ * @returns {string}
+ */
+export function render(qrCode, options) {
+    const quietZone = options.textQuietZone;
+    const size = qrCode.size + 2 * quietZone;
+    // modules outside of the symbol are light
+    const isDark = (x, y) => qrCode.getModule(x - quietZone, y - quietZone);
+    const isDrawn = (x, y) => isDark(x, y) !== options.textInvert;
+
+    const lines = [];
+    switch (options.textFormat) {
+    case FORMAT.ANSI: {
+        const colorRgb = Colors.hexToRgb(options.qrColor) || BLACK;
+        const backgroundRgb = Colors.hexToRgb(options.qrBackgroundColor) || WHITE;
+
+        for (let y = 0; y < size; y += 2) {
+            lines.push(getAnsiLine(isDark, y, size, colorRgb, backgroundRgb));
+        }
+        break;
+    }
+    case FORMAT.ASCII:
+        for (let y = 0; y < size; y++) {
+            let line = "";
+            for (let x = 0; x < size; x++) {
+                line += ASCII_MODULES[isDrawn(x, y) ? 1 : 0];
+            }
+            lines.push(line);
+        }
+        break;
+    default:
+        for (let y = 0; y < size; y += 2) {
+            let line = "";
+            for (let x = 0; x < size; x++) {
+                line += BLOCKS[(isDrawn(x, y) ? 2 : 0) + (isDrawn(x, y + 1) ? 1 : 0)];
+            }
+            lines.push(line);
+        }
+    }
+
+    return lines.join("\n");
+}
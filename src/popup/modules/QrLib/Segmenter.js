@@ -0,0 +1,420 @@
+/**
+ * Splits texts into the segments, which need the least bits in the QR code.
+ *
+ * qrcodegen encodes the whole text in a single mode, so a text, which is not
+ * completely numeric or alphanumeric, is always encoded in byte mode. Switching
+ * between the numeric, alphanumeric, byte and kanji modes can result in a
+ * smaller QR code, e.g. for long numbers in URLs.
+ *
+ * @module QrLib/Segmenter
+ * @see {@link https://www.nayuki.io/page/optimal-text-segmentation-for-qr-codes}
+ */
+/* globals qrcodegen */
+
+const QRC = qrcodegen.QrCode;
+const QrSegment = qrcodegen.QrSegment;
+
+/**
+ * How error correction levels map to the ones of qrcodegen.
+ *
+ * @type {Object.<string, qrcodegen.QrCode.Ecc>}
+ * @const
+ */
+export const ERROR_CORRECTION = Object.freeze({
+    "L": QRC.Ecc.LOW,
+    "M": QRC.Ecc.MEDIUM,
+    "Q": QRC.Ecc.QUARTILE,
+    "H": QRC.Ecc.HIGH
+});
+
+// the versions, in which the character count fields have the same length
+const VERSION_GROUPS = Object.freeze([[1, 9], [10, 26], [27, 40]]);
+const MIN_VERSION = 1;
+const MAX_VERSION = 40;
+
+// the mask is irrelevant for the version, so evaluating all masks is skipped
+const VERSION_CHECK_MASK = 0;
+
+const MODES = Object.freeze([
+    QrSegment.Mode.BYTE,
+    QrSegment.Mode.ALPHANUMERIC,
+    QrSegment.Mode.NUMERIC,
+    QrSegment.Mode.KANJI
+]);
+
+// costs are measured in sixths of a bit, so all of them are integers
+const BIT_COST = 6;
+const MODE_INDICATOR_BITS = 4;
+const NUMERIC_COST = 20; // 10 bits per 3 digits
+const ALPHANUMERIC_COST = 33; // 11 bits per 2 characters
+const KANJI_COST = 13 * BIT_COST;
+const BYTE_COST = 8 * BIT_COST;
+
+const KANJI_BITS = 13;
+// the double-byte Shift JIS codes, which can be encoded in kanji mode
+const KANJI_RANGES = Object.freeze([[0x8140, 0x9FFC], [0xE040, 0xEBBF]]);
+const KANJI_OFFSETS = Object.freeze([0x8140, 0xC140]);
+
+const ALPHANUMERIC_CHARSET = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:";
+
+// only the scheme and the host of these URLs are changed
+const URL_REGEX = /^(https?:\/\/)([^/?#]+)/i;
+
+const textEncoder = new TextEncoder();
+
+/**
+ * format: character => Shift JIS code
+ *
+ * @private
+ * @type {Map|null}
+ */
+let kanjiCodes = null;
+
+/**
+ * The result of comparing the encodings of a text.
+ *
+ * Versions are null, if the text does not fit into any QR code.
+ *
+ * @typedef {Object} EncodingComparison
+ * @property {int|null} version the version of the optimally segmented text
+ * @property {int|null} singleModeVersion the version, if only one mode is used
+ * @property {string|null} uppercasedText the text with the case-insensitive
+ * URL parts in uppercase, if this results in a smaller version
+ * @property {int|null} uppercasedVersion
+ */
+
+/**
+ * Returns the Shift JIS codes of all characters, which can be encoded in
+ * kanji mode.
+ *
+ * As browsers can only decode Shift JIS, the table is built on first use by
+ * decoding all codes.
+ *
+ * @function
+ * @private
+ * @returns {Map}
+ */
+function getKanjiCodes() {
+    if (kanjiCodes !== null) {
+        return kanjiCodes;
+    }
+
+    kanjiCodes = new Map();
+    const decoder = new TextDecoder("shift_jis");
+
+    for (const [first, last] of KANJI_RANGES) {
+        for (let code = first; code <= last; code++) {
+            const trailByte = code & 0xFF;
+            if (trailByte < 0x40 || trailByte === 0x7F || trailByte > 0xFC) {
+                continue;
+            }
+
+            const character = decoder.decode(new Uint8Array([code >> 8, trailByte]));
+            // some characters have several codes, the first one is the common one
+            if (character.length === 1 && character !== "\uFFFD" && !kanjiCodes.has(character)) {
+                kanjiCodes.set(character, code);
+            }
+        }
+    }
+
+    return kanjiCodes;
+}
+
+/**
+ * Returns the number of bytes of the code point in UTF-8.
+ *
+ * @function
+ * @private
+ * @param {int} codePoint
+ * @returns {int}
+ */
+function getUtf8Length(codePoint) {
+    if (codePoint < 0x80) {
+        return 1;
+    } else if (codePoint < 0x800) {
+        return 2;
+    } else if (codePoint < 0x10000) {
+        return 3;
+    }
+    return 4;
+}
+
+/**
+ * Returns the cost of encoding the character in the mode.
+ *
+ * @function
+ * @private
+ * @param {qrcodegen.QrSegment.Mode} mode
+ * @param {string} character a single code point
+ * @returns {int|null} null, if the mode cannot encode the character
+ */
+function getCharacterCost(mode, character) {
+    switch (mode) {
+    case QrSegment.Mode.BYTE:
+        return getUtf8Length(character.codePointAt(0)) * BYTE_COST;
+    case QrSegment.Mode.ALPHANUMERIC:
+        return ALPHANUMERIC_CHARSET.includes(character) ? ALPHANUMERIC_COST : null;
+    case QrSegment.Mode.NUMERIC:
+        return character >= "0" && character <= "9" ? NUMERIC_COST : null;
+    case QrSegment.Mode.KANJI:
+        // ASCII characters are never kanji, so the table is only built if needed
+        return character.charCodeAt(0) > 0x7F && getKanjiCodes().has(character) ? KANJI_COST : null;
+    }
+
+    throw new Error(`unknown mode: ${mode}`);
+}
+
+/**
+ * Computes the mode of each character, which results in the least bits.
+ *
+ * For each character and mode, this keeps the cost of the cheapest encoding
+ * of the text up to the character, which ends in that mode.
+ *
+ * @function
+ * @private
+ * @param {string[]} characters
+ * @param {int} version
+ * @returns {qrcodegen.QrSegment.Mode[]}
+ */
+function computeCharacterModes(characters, version) {
+    const headCosts = MODES.map((mode) => (MODE_INDICATOR_BITS + mode.numCharCountBits(version)) * BIT_COST);
+    // format: [character][mode index] => the mode of the character on the cheapest path
+    const characterModes = [];
+    let previousCosts = headCosts.slice();
+
+    for (const character of characters) {
+        const currentModes = MODES.map(() => null);
+        const currentCosts = MODES.map(() => Infinity);
+
+        for (let index = 0; index < MODES.length; index++) {
+            const cost = getCharacterCost(MODES[index], character);
+            if (cost !== null) {
+                currentCosts[index] = previousCosts[index] + cost;
+                currentModes[index] = MODES[index];
+            }
+        }
+
+        // start a new segment after the character, rounding up to whole bits
+        const endCosts = currentCosts.map((cost) => Math.ceil(cost / BIT_COST) * BIT_COST);
+        const endModes = currentModes.slice();
+        for (let toIndex = 0; toIndex < MODES.length; toIndex++) {
+            for (let fromIndex = 0; fromIndex < MODES.length; fromIndex++) {
+                const cost = endCosts[fromIndex] + headCosts[toIndex];
+                if (endModes[fromIndex] !== null && cost < currentCosts[toIndex]) {
+                    currentCosts[toIndex] = cost;
+                    currentModes[toIndex] = endModes[fromIndex];
+                }
+            }
+        }
+
+        characterModes.push(currentModes);
+        previousCosts = currentCosts;
+    }
+
+    // trace back the cheapest path
+    let modeIndex = previousCosts.indexOf(Math.min(...previousCosts));
+    const result = [];
+    for (let i = characters.length - 1; i >= 0; i--) {
+        const mode = characterModes[i][modeIndex];
+        result.unshift(mode);
+        modeIndex = MODES.indexOf(mode);
+    }
+
+    return result;
+}
+
+/**
+ * Returns a segment encoding the text in kanji mode.
+ *
+ * @function
+ * @private
+ * @param {string[]} characters
+ * @returns {qrcodegen.QrSegment}
+ */
+function makeKanji(characters) {
+    const bits = [];
+
+    for (const character of characters) {
+        const code = getKanjiCodes().get(character);
+        const offset = code - (code < KANJI_RANGES[1][0] ? KANJI_OFFSETS[0] : KANJI_OFFSETS[1]);
+        const value = (offset >> 8) * 0xC0 + (offset & 0xFF);
+
+        for (let bit = KANJI_BITS - 1; bit >= 0; bit--) {
+            bits.push((value >>> bit) & 1);
+        }
+    }
+
+    return new QrSegment(QrSegment.Mode.KANJI, characters.length, bits);
+}
+
+/**
+ * Returns a segment encoding the characters in the mode.
+ *
+ * @function
+ * @private
+ * @param {qrcodegen.QrSegment.Mode} mode
+ * @param {string[]} characters
+ * @returns {qrcodegen.QrSegment}
+ */
+function makeSegment(mode, characters) {
+    switch (mode) {
+    case QrSegment.Mode.BYTE:
+        return QrSegment.makeBytes(Array.from(textEncoder.encode(characters.join(""))));
+    case QrSegment.Mode.ALPHANUMERIC:
+        return QrSegment.makeAlphanumeric(characters.join(""));
+    case QrSegment.Mode.NUMERIC:
+        return QrSegment.makeNumeric(characters.join(""));
+    case QrSegment.Mode.KANJI:
+        return makeKanji(characters);
+    }
+
+    throw new Error(`unknown mode: ${mode}`);
+}
+
+/**
+ * Returns the segments, which encode the text with the least bits.
+ *
+ * The result only depends on the group of versions, in which the length of
+ * the character count fields is the same.
+ *
+ * @function
+ * @param {string} text
+ * @param {int} version
+ * @returns {qrcodegen.QrSegment[]}
+ */
+export function makeSegments(text, version) {
+    // split into code points, so surrogate pairs stay together
+    const characters = Array.from(text);
+    const modes = computeCharacterModes(characters, version);
+    const segments = [];
+
+    let start = 0;
+    for (let i = 1; i <= characters.length; i++) {
+        if (i === characters.length || modes[i] !== modes[start]) {
+            segments.push(makeSegment(modes[start], characters.slice(start, i)));
+            start = i;
+        }
+    }
+
+    return segments;
+}
+
+/**
+ * Returns a QR code of the optimally segmented text.
+ *
+ * The parameters are the same as the ones of qrcodegen's encodeSegments.
+ *
+ * @function
+ * @param {string} text
+ * @param {qrcodegen.QrCode.Ecc} errorCorrection
+ * @param {int} [minVersion=1]
+ * @param {int} [maxVersion=40]
+ * @param {int} [mask=-1] -1 chooses the best mask automatically
+ * @param {boolean} [boostEcl=true] whether to increase the error correction, if
+ * this does not increase the version
+ * @param {qrcodegen.QrSegment|null} [header=null] a segment to put in front of
+ * the text, e.g. the header of Structured Append
+ * @returns {qrcodegen.QrCode}
+ * @throws {string} if the text is too long
+ */
+export function encodeText(text, errorCorrection, minVersion = MIN_VERSION, maxVersion = MAX_VERSION, mask = -1, boostEcl = true, header = null) {
+    let lastError = "Data too long";
+
+    for (const [groupMinVersion, groupMaxVersion] of VERSION_GROUPS) {
+        if (groupMaxVersion < minVersion || groupMinVersion > maxVersion) {
+            continue;
+        }
+
+        const segments = makeSegments(text, groupMinVersion);
+        if (header !== null) {
+            segments.unshift(header);
+        }
+        try {
+            return QRC.encodeSegments(segments, errorCorrection,
+                Math.max(minVersion, groupMinVersion), Math.min(maxVersion, groupMaxVersion), mask, boostEcl);
+        } catch (error) {
+            // try the next group, as it has longer character count fields
+            lastError = error;
+        }
+    }
+
+    throw lastError;
+}
+
+/**
+ * Returns the text with the scheme and the host of URLs in uppercase, so they
+ * can be encoded in alphanumeric mode.
+ *
+ * Only ASCII hosts are changed, as uppercasing other characters may change
+ * their meaning.
+ *
+ * @function
+ * @param {string} text
+ * @returns {string|null} null, if there is nothing to change
+ */
+export function uppercaseUrl(text) {
+    const match = URL_REGEX.exec(text);
+    // user names and passwords are case-sensitive
+    if (match === null || match[2].includes("@") || !/^[\x20-\x7E]*$/.test(match[2])) {
+        return null;
+    }
+
+    const uppercasedText = match[0].toUpperCase() + text.substring(match[0].length);
+    return uppercasedText === text ? null : uppercasedText;
+}
+
+/**
+ * Returns the size of the QR code symbol in modules.
+ *
+ * @function
+ * @param {int} version
+ * @returns {int}
+ */
+export function getSymbolSize(version) {
+    return version * 4 + 17;
+}
+
+/**
+ * Returns the version of the QR code the segments need.
+ *
+ * @function
+ * @private
+ * @param {function} encode returns the QR code for the given mask
+ * @returns {int|null} null, if the text is too long
+ */
+function getVersion(encode) {
+    try {
+        return encode(VERSION_CHECK_MASK).version;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Compares the optimal segmentation with encoding the text in a single mode
+ * and with uppercasing the URL.
+ *
+ * @function
+ * @param {string} text
+ * @param {qrcodegen.QrCode.Ecc} errorCorrection
+ * @returns {EncodingComparison}
+ */
+export function compareEncodings(text, errorCorrection) {
+    const comparison = {
+        version: getVersion((mask) => encodeText(text, errorCorrection, MIN_VERSION, MAX_VERSION, mask, false)),
+        singleModeVersion: getVersion((mask) => QRC.encodeSegments(QrSegment.makeSegments(text), errorCorrection, MIN_VERSION, MAX_VERSION, mask, false)),
+        uppercasedText: null,
+        uppercasedVersion: null
+    };
+
+    const uppercasedText = uppercaseUrl(text);
+    if (uppercasedText !== null && comparison.version !== null) {
+        const uppercasedVersion = getVersion((mask) => encodeText(uppercasedText, errorCorrection, MIN_VERSION, MAX_VERSION, mask, false));
+        if (uppercasedVersion < comparison.version) {
+            comparison.uppercasedText = uppercasedText;
+            comparison.uppercasedVersion = uppercasedVersion;
+        }
+    }
+
+    return comparison;
+}
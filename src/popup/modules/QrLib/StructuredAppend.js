@@ -0,0 +1,153 @@
+/**
+ * Splits texts, which are too long for a single QR code, into a set of up to
+ * 16 linked QR codes (Structured Append). Scanners supporting it combine the
+ * data of the set again.
+ *
+ * @module QrLib/StructuredAppend
+ * @requires ./Capacity
+ */
+/* globals qrcodegen */
+
+import * as Capacity from "./Capacity.js";
+
+const QrSegment = qrcodegen.QrSegment;
+
+/**
+ * The maximum number of QR codes in a set.
+ *
+ * @type {int}
+ * @const
+ * @default
+ */
+export const MAX_SYMBOLS = 16;
+
+// qrcodegen has no mode for the header, so it is derived from the ECI mode,
+// which also has no character count field
+const STRUCTURED_APPEND_MODE = Object.create(Object.getPrototypeOf(QrSegment.Mode.ECI), {
+    modeBits: {value: 0x3},
+    numCharCountBits: {value: () => 0}
+});
+
+const textEncoder = new TextEncoder();
+
+/**
+ * The header of a QR code in a set.
+ *
+ * @typedef {Object} Header
+ * @property {int} index the position of the QR code, starting at 0
+ * @property {int} total the number of QR codes in the set
+ * @property {int} parity the parity of the whole text
+ */
+
+/**
+ * Returns the parity byte of the text, i.e. all bytes of it XORed.
+ *
+ * @function
+ * @param {string} text
+ * @returns {int}
+ */
+export function getParity(text) {
+    return textEncoder.encode(text).reduce((parity, byte) => parity ^ byte, 0);
+}
+
+/**
+ * Returns the headers of a set of QR codes.
+ *
+ * @function
+ * @param {string} text the whole text
+ * @param {int} total the number of QR codes
+ * @returns {Header[]}
+ */
+export function getHeaders(text, total) {
+    const parity = getParity(text);
+
+    return Array.from({length: total}, (value, index) => ({
+        index,
+        total,
+        parity
+    }));
+}
+
+/**
+ * Returns the segment, which needs to be put in front of the data of a QR
+ * code in a set.
+ *
+ * @function
+ * @param {Header} header
+ * @returns {qrcodegen.QrSegment}
+ * @throws {Error} if the header is invalid
+ */
+export function makeHeaderSegment(header) {
+    if (!Number.isInteger(header.total) || header.total < 2 || header.total > MAX_SYMBOLS ||
+        !Number.isInteger(header.index) || header.index < 0 || header.index >= header.total ||
+        !Number.isInteger(header.parity) || header.parity < 0 || header.parity > 0xFF) {
+        throw new Error("invalid Structured Append header");
+    }
+
+    const bits = [];
+    const appendBits = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) {
+            bits.push((value >>> i) & 1);
+        }
+    };
+    appendBits(header.index, 4);
+    // the count is stored as the index of the last QR code
+    appendBits(header.total - 1, 4);
+    appendBits(header.parity, 8);
+
+    return new QrSegment(STRUCTURED_APPEND_MODE, 0, bits);
+}
+
+/**
+ * Splits the characters into parts of nearly the same length.
+ *
+ * @function
+ * @private
+ * @param {string[]} characters
+ * @param {int} count
+ * @returns {string[]}
+ */
+function splitEvenly(characters, count) {
+    const parts = [];
+    for (let i = 0; i < count; i++) {
+        const start = Math.round(i * characters.length / count);
+        const end = Math.round((i + 1) * characters.length / count);
+        parts.push(characters.slice(start, end).join(""));
+    }
+
+    return parts;
+}
+
+/**
+ * Splits the text into the smallest number of QR codes, it fits into.
+ *
+ * The parts have about the same length, so all QR codes have a similar size.
+ *
+ * @function
+ * @param {string} text
+ * @param {string} errorCorrection the level, e.g. "Q"
+ * @param {Object} measureOptions the options passed to {@link Capacity.measure}
+ * @returns {string[]|null} only one part, if the text fits into a single QR
+ * code, or null, if it does not fit into a set
+ */
+export function split(text, errorCorrection, measureOptions) {
+    const measurement = Capacity.measure(text, errorCorrection, measureOptions);
+    if (measurement.fits) {
+        return [text];
+    }
+
+    // keep surrogate pairs together
+    const characters = Array.from(text);
+    const partOptions = Object.assign({}, measureOptions, {structuredAppend: true});
+    const maxCapacity = Capacity.getDataCapacity(measurement.version, errorCorrection);
+    const minCount = Math.max(2, Math.ceil(measurement.usedBytes / maxCapacity));
+
+    for (let count = minCount; count <= Math.min(MAX_SYMBOLS, characters.length); count++) {
+        const parts = splitEvenly(characters, count);
+        if (parts.every((part) => Capacity.measure(part, errorCorrection, partOptions).fits)) {
+            return parts;
+        }
+    }
+
+    return null;
+}
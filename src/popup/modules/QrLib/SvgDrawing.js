@@ -0,0 +1,106 @@
+/**
+ * Draws the overlays and the logo into QR codes rendered as SVG.
+ *
+ * @module QrLib/SvgDrawing
+ * @requires ./Overlay
+ */
+import * as Overlay from "./Overlay.js";
+
+/**
+ * The namespace of SVG elements.
+ *
+ * @type {string}
+ * @const
+ * @default
+ */
+export const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+
+/**
+ * Creates a group, whose coordinates start at the top left corner of the QR
+ * code symbol.
+ *
+ * @function
+ * @private
+ * @param {SVGSVGElement} elSvg
+ * @param {int} quietZone the size of the quiet zone in modules
+ * @returns {SVGGElement}
+ */
+function createSymbolGroup(elSvg, quietZone) {
+    const elGroup = elSvg.ownerDocument.createElementNS(SVG_NAMESPACE, "g");
+    // the SVG coordinates include the quiet zone
+    elGroup.setAttribute("transform", `translate(${quietZone},${quietZone})`);
+
+    return elGroup;
+}
+
+/**
+ * Creates a rectangle.
+ *
+ * @function
+ * @private
+ * @param {SVGSVGElement} elSvg
+ * @param {{x: number, y: number, width: number, height: number}} area
+ * @param {string} color
+ * @returns {SVGRectElement}
+ */
+function createRect(elSvg, area, color) {
+    const elRect = elSvg.ownerDocument.createElementNS(SVG_NAMESPACE, "rect");
+    elRect.setAttribute("x", area.x);
+    elRect.setAttribute("y", area.y);
+    elRect.setAttribute("width", area.width);
+    elRect.setAttribute("height", area.height);
+    elRect.setAttribute("fill", color);
+
+    return elRect;
+}
+
+/**
+ * Draws the overlay on top of the QR code.
+ *
+ * @function
+ * @param {SVGSVGElement} elSvg
+ * @param {QrLib/Overlay~Overlay} overlay
+ * @param {int} symbolSize the size of the QR code in modules
+ * @param {int} quietZone the size of the quiet zone in modules
+ * @returns {void}
+ */
+export function addOverlay(elSvg, overlay, symbolSize, quietZone) {
+    const elGroup = createSymbolGroup(elSvg, quietZone);
+
+    for (const rectangle of Overlay.getRectangles(overlay, symbolSize)) {
+        elGroup.appendChild(createRect(elSvg, rectangle, rectangle.color));
+    }
+
+    elSvg.appendChild(elGroup);
+}
+
+/**
+ * Draws the logo on top of the QR code.
+ *
+ * @function
+ * @param {SVGSVGElement} elSvg
+ * @param {QrLib/Overlay~Logo} logo
+ * @param {int} symbolSize the size of the QR code in modules
+ * @param {int} quietZone the size of the quiet zone in modules
+ * @param {string} backgroundColor the color of the cleared modules
+ * @returns {void}
+ */
+export function addLogo(elSvg, logo, symbolSize, quietZone, backgroundColor) {
+    const area = Overlay.getLogoArea(logo, symbolSize);
+    const elGroup = createSymbolGroup(elSvg, quietZone);
+
+    if (logo.clearModules) {
+        elGroup.appendChild(createRect(elSvg, area, backgroundColor));
+    }
+
+    // only data: URLs are allowed for images by the content security policy
+    const elImage = elSvg.ownerDocument.createElementNS(SVG_NAMESPACE, "image");
+    elImage.setAttribute("href", logo.imageUrl);
+    elImage.setAttribute("x", area.x);
+    elImage.setAttribute("y", area.y);
+    elImage.setAttribute("width", area.width);
+    elImage.setAttribute("height", area.height);
+    elGroup.appendChild(elImage);
+
+    elSvg.appendChild(elGroup);
+}
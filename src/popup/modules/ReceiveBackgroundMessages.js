@@ -1,13 +1,16 @@
 /**
  * Receives the messages sent by the background script.
  *
- * Currently it is just used to set the QR code to a custom string instead of the default URL.
+ * It is used to set the QR code to a custom string instead of the default URL,
+ * e.g. the text of a QR code decoded from an image.
  *
  * @module modules/ReceiveBackgroundMessages
  * @requires /common/modules/Logger
  * @requires /common/modules/BrowserCommunication
  * @requires /common/modules/data/BrowserCommunicationTypes
  * @requires ./QrCreator
+ * @requires ./ImageDecoder
+ * @requires ./PageScan
  * @requires ./InitQrCode
  */
 import * as Logger from "/common/modules/Logger.js";
@@ -16,9 +19,13 @@ import * as BrowserCommunication from "/common/modules/BrowserCommunication.js";
 import { COMMUNICATION_MESSAGE_TYPE } from "/common/modules/data/BrowserCommunicationTypes.js";
 
 import * as QrCreator from "./QrCreator.js";
+import * as ImageDecoder from "./ImageDecoder.js";
+import * as PageScan from "./PageScan.js";
 import { initCompleted } from "./InitQrCode.js";
 
 let overwroteQrCode = false;
+// resolves when the image sent from the context menu has been decoded
+let decodingImage = Promise.resolve();
 
 // add listener
 BrowserCommunication.addListener(COMMUNICATION_MESSAGE_TYPE.SET_QR_TEXT, (request, sender, sendResponse) => {
@@ -35,13 +42,39 @@ BrowserCommunication.addListener(COMMUNICATION_MESSAGE_TYPE.SET_QR_TEXT, (reques
     sendResponse();
 });
 
+BrowserCommunication.addListener(COMMUNICATION_MESSAGE_TYPE.DECODE_IMAGE, (request, sender, sendResponse) => {
+    Logger.logInfo("decode QR codes in image from page");
+
+    decodingImage = ImageDecoder.decodePageImage(request.image).then((textShown) => {
+        // otherwise the default URL is still shown
+        if (textShown) {
+            overwroteQrCode = true;
+        }
+    });
+
+    sendResponse();
+});
+
+BrowserCommunication.addListener(COMMUNICATION_MESSAGE_TYPE.SCAN_PAGE, (request, sender, sendResponse) => {
+    Logger.logInfo("scan QR codes on page");
+
+    // the QR code of the page is still shown, the found ones are listed
+    PageScan.scan();
+
+    sendResponse();
+});
+
 /**
  * Returns whether the text has been overwritten.
  *
+ * An image that is still decoded is waited for, as it only overwrites the
+ * text, if a QR code has been found.
+ *
  * @function
  * @private
- * @returns {boolean}
+ * @returns {Promise.<boolean>}
  */
-export function isTextOverwritten() {
+export async function isTextOverwritten() {
+    await decodingImage;
     return overwroteQrCode;
 }
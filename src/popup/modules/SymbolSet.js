@@ -0,0 +1,181 @@
+/**
+ * Shows a set of QR codes (Structured Append) one by one or all of them in a
+ * grid and combines them for saving.
+ *
+ * @module modules/SymbolSet
+ * @requires /common/modules/Logger
+ * @requires ./UserInterface
+ */
+import * as Logger from "/common/modules/Logger.js";
+
+import * as UserInterface from "./UserInterface.js";
+
+const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+
+const elSymbolSet = document.getElementById("symbolSet");
+const elPreviousButton = document.getElementById("symbolSetPrevious");
+const elNextButton = document.getElementById("symbolSetNext");
+const elPosition = document.getElementById("symbolSetPosition");
+const elLayoutButton = document.getElementById("symbolSetLayout");
+
+let elQrCodes = null;
+let currentIndex = 0;
+let showGrid = false;
+
+/**
+ * Returns the number of columns of the grid.
+ *
+ * @function
+ * @private
+ * @param {int} count the number of QR codes
+ * @returns {int}
+ */
+function getColumnCount(count) {
+    return Math.ceil(Math.sqrt(count));
+}
+
+/**
+ * Shows the current QR code or the grid.
+ *
+ * @function
+ * @private
+ * @returns {void}
+ */
+function render() {
+    if (showGrid) {
+        const elGrid = document.createElement("div");
+        elGrid.classList.add("qrcode-grid");
+        elGrid.style.gridTemplateColumns = `repeat(${getColumnCount(elQrCodes.length)}, 1fr)`;
+        elQrCodes.forEach((elQrCode) => elGrid.appendChild(elQrCode));
+
+        UserInterface.replaceQr(elGrid);
+    } else {
+        UserInterface.replaceQr(elQrCodes[currentIndex]);
+    }
+
+    elPosition.textContent = browser.i18n.getMessage("symbolSetPosition", [currentIndex + 1, elQrCodes.length]);
+    elPosition.classList.toggle("invisible", showGrid);
+    elPreviousButton.disabled = showGrid || currentIndex === 0;
+    elNextButton.disabled = showGrid || currentIndex === elQrCodes.length - 1;
+    elLayoutButton.textContent = browser.i18n.getMessage(showGrid ? "symbolSetShowOne" : "symbolSetShowAll");
+}
+
+/**
+ * Shows another QR code of the set.
+ *
+ * @function
+ * @private
+ * @param {int} offset
+ * @returns {void}
+ */
+function page(offset) {
+    const newIndex = currentIndex + offset;
+    if (elQrCodes === null || showGrid || newIndex < 0 || newIndex >= elQrCodes.length) {
+        return;
+    }
+
+    currentIndex = newIndex;
+    render();
+}
+
+/**
+ * Shows the set of QR codes.
+ *
+ * @function
+ * @param {HTMLElement[]} elNewQrCodes
+ * @returns {void}
+ */
+export function show(elNewQrCodes) {
+    Logger.logInfo("show set of", elNewQrCodes.length, "QR codes");
+
+    elQrCodes = elNewQrCodes;
+    currentIndex = Math.min(currentIndex, elQrCodes.length - 1);
+    render();
+
+    elSymbolSet.classList.remove("invisible");
+}
+
+/**
+ * Hides the controls of the set, as only one QR code is shown.
+ *
+ * @function
+ * @returns {void}
+ */
+export function hide() {
+    elQrCodes = null;
+    currentIndex = 0;
+    elSymbolSet.classList.add("invisible");
+}
+
+/**
+ * Returns whether a set of QR codes is shown.
+ *
+ * @function
+ * @returns {boolean}
+ */
+export function isShown() {
+    return elQrCodes !== null;
+}
+
+/**
+ * Returns one SVG containing all QR codes of the set in a grid.
+ *
+ * The first element of it is a rectangle covering the whole background, e.g.
+ * between QR codes of different sizes.
+ *
+ * @function
+ * @param {int} symbolSize the size of each QR code in px
+ * @param {SVGSVGElement[]} elSvgQrCodes the QR codes of the set rendered as SVG
+ * @returns {SVGSVGElement}
+ * @throws {Error} if no set of QR codes is shown
+ */
+export function getSheet(symbolSize, elSvgQrCodes) {
+    if (elQrCodes === null) {
+        throw new Error("no set of QR codes shown");
+    }
+
+    // all QR codes of the set use the same quiet zone, but may have different versions
+    const cellSize = Math.max(...elSvgQrCodes.map((elQrCode) => Number(elQrCode.getAttribute("viewBox").split(" ")[2])));
+    const columns = getColumnCount(elSvgQrCodes.length);
+    const rows = Math.ceil(elSvgQrCodes.length / columns);
+
+    const elSheet = document.createElementNS(SVG_NAMESPACE, "svg");
+    elSheet.setAttribute("viewBox", `0 0 ${columns * cellSize} ${rows * cellSize}`);
+    elSheet.setAttribute("width", columns * symbolSize);
+    elSheet.setAttribute("height", rows * symbolSize);
+
+    const elBackground = document.createElementNS(SVG_NAMESPACE, "rect");
+    elBackground.setAttribute("width", "100%");
+    elBackground.setAttribute("height", "100%");
+    elSheet.appendChild(elBackground);
+
+    elSvgQrCodes.forEach((elQrCode, index) => {
+        const elCell = elQrCode.cloneNode(true);
+        elCell.setAttribute("x", (index % columns) * cellSize);
+        elCell.setAttribute("y", Math.floor(index / columns) * cellSize);
+        elCell.setAttribute("width", cellSize);
+        elCell.setAttribute("height", cellSize);
+        elSheet.appendChild(elCell);
+    });
+
+    return elSheet;
+}
+
+/**
+ * Initialises the module.
+ *
+ * @function
+ * @returns {void}
+ */
+export function init() {
+    elPreviousButton.addEventListener("click", () => page(-1));
+    elNextButton.addEventListener("click", () => page(1));
+    elLayoutButton.addEventListener("click", () => {
+        if (elQrCodes === null) {
+            return;
+        }
+
+        showGrid = !showGrid;
+        render();
+    });
+}
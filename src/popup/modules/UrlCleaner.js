@@ -0,0 +1,249 @@
+/**
+ * Removes tracking parameters from URLs and unwraps URLs of known
+ * redirectors, so the QR code gets smaller and does not leak campaign data.
+ *
+ * A rule is the name of a query parameter, where "*" matches any characters,
+ * optionally restricted to a domain (and its subdomains) with "@domain",
+ * e.g. "utm_*" or "si@youtu.be".
+ *
+ * @module modules/UrlCleaner
+ */
+
+/**
+ * The rules, which are always applied.
+ *
+ * @type {string[]}
+ * @const
+ */
+export const BUILT_IN_RULES = Object.freeze([
+    // campaign parameters
+    "utm_*",
+    "mtm_*",
+    "pk_*",
+    // click IDs of ad networks and social networks
+    "fbclid",
+    "gclid",
+    "gclsrc",
+    "dclid",
+    "gbraid",
+    "wbraid",
+    "msclkid",
+    "yclid",
+    "twclid",
+    "ttclid",
+    "li_fat_id",
+    "igshid",
+    // analytics and marketing automation
+    "_ga",
+    "_gl",
+    "mc_cid",
+    "mc_eid",
+    "_hsenc",
+    "_hsmi",
+    "mkt_tok",
+    "oly_anon_id",
+    "oly_enc_id",
+    "vero_id",
+    "wickedid",
+    // share tracking of specific sites
+    "si@youtu.be",
+    "si@youtube.com",
+    "si@open.spotify.com",
+    "igsh@instagram.com",
+    "ref_src@twitter.com",
+    "ref_url@twitter.com"
+]);
+
+/**
+ * The redirectors, whose target URL is extracted.
+ *
+ * @private
+ * @type {Object[]}
+ * @const
+ */
+const REDIRECTORS = Object.freeze([
+    // https://www.google.com/url?q=…
+    {name: "Google", hostRegex: /^(www\.)?google\.[a-z.]+$/, path: "/url", params: ["q", "url"]},
+    // https://l.facebook.com/l.php?u=…
+    {name: "Facebook", hostRegex: /^(l|lm|m)\.facebook\.com$/, path: "/l.php", params: ["u"]},
+    // https://eur01.safelinks.protection.outlook.com/?url=…
+    {name: "Outlook", hostRegex: /\.safelinks\.protection\.outlook\.com$/, path: "/", params: ["url"]}
+]);
+
+// prevents endless loops of redirectors pointing to each other
+const MAX_REDIRECTS = 5;
+
+const RULE_DOMAIN_SEPARATOR = "@";
+
+/**
+ * The result of cleaning a URL.
+ *
+ * @typedef {Object} CleaningResult
+ * @property {string} url the cleaned URL
+ * @property {string[]} removedParameters the names of the removed parameters
+ * @property {string[]} redirectors the names of the unwrapped redirectors
+ */
+
+/**
+ * The options of the cleaning.
+ *
+ * @typedef {Object} CleaningOptions
+ * @property {string[]} rules additional rules of the user
+ * @property {string[]} allowlist domains, whose URLs are not modified
+ */
+
+/**
+ * Splits a multi-line setting into its non-empty lines.
+ *
+ * @function
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function splitLines(text) {
+    return (text || "").split(/\r?\n/).map((line) => line.trim()).filter((line) => line !== "");
+}
+
+/**
+ * Returns whether the host is the domain or one of its subdomains.
+ *
+ * @function
+ * @private
+ * @param {string} host
+ * @param {string} domain
+ * @returns {boolean}
+ */
+function isOnDomain(host, domain) {
+    const lowerCaseDomain = domain.toLowerCase();
+    return host === lowerCaseDomain || host.endsWith(`.${lowerCaseDomain}`);
+}
+
+/**
+ * Converts a rule into a function checking parameter names.
+ *
+ * @function
+ * @private
+ * @param {string} rule
+ * @returns {function} receives the host and the parameter name
+ */
+function compileRule(rule) {
+    let [pattern, domain = ""] = rule.split(RULE_DOMAIN_SEPARATOR);
+    pattern = pattern.trim();
+    domain = domain.trim();
+
+    const escapedPattern = pattern.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*");
+    const regex = new RegExp(`^${escapedPattern}$`, "i");
+
+    return (host, name) => regex.test(name) && (!domain || isOnDomain(host, domain));
+}
+
+/**
+ * Decodes the name of a query parameter.
+ *
+ * @function
+ * @private
+ * @param {string} name
+ * @returns {string} the name as it is, if it is malformed
+ */
+function decodeParameterName(name) {
+    try {
+        return decodeURIComponent(name.replace(/\+/g, " "));
+    } catch (error) {
+        return name;
+    }
+}
+
+/**
+ * Returns the target URL, if the URL is a known redirector.
+ *
+ * @function
+ * @private
+ * @param {URL} url
+ * @returns {Array.<string, URL>|null} the name of the redirector and the target
+ */
+function unwrapRedirector(url) {
+    for (const redirector of REDIRECTORS) {
+        if (!redirector.hostRegex.test(url.hostname) || url.pathname !== redirector.path) {
+            continue;
+        }
+
+        for (const param of redirector.params) {
+            try {
+                const target = new URL(url.searchParams.get(param));
+                if (target.protocol === "http:" || target.protocol === "https:") {
+                    return [redirector.name, target];
+                }
+            } catch (error) {
+                // try next parameter
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Cleans the URL.
+ *
+ * Texts, which are no HTTP(S) URLs, are returned unchanged.
+ *
+ * @function
+ * @param {string} text
+ * @param {CleaningOptions} options
+ * @returns {CleaningResult}
+ */
+export function clean(text, options) {
+    const result = {
+        url: text,
+        removedParameters: [],
+        redirectors: []
+    };
+
+    let url;
+    try {
+        url = new URL(text.trim());
+    } catch (error) {
+        return result;
+    }
+
+    if ((url.protocol !== "http:" && url.protocol !== "https:") || /\s/.test(text.trim())) {
+        return result;
+    }
+
+    const isAllowed = (host) => options.allowlist.some((domain) => isOnDomain(host, domain));
+    if (isAllowed(url.hostname)) {
+        return result;
+    }
+
+    for (let i = 0; i < MAX_REDIRECTS; i++) {
+        const redirect = unwrapRedirector(url);
+        if (redirect === null) {
+            break;
+        }
+
+        result.redirectors.push(redirect[0]);
+        url = redirect[1];
+    }
+
+    if (!isAllowed(url.hostname)) {
+        const rules = [...BUILT_IN_RULES, ...options.rules].map(compileRule);
+
+        // filter the raw parameters, as URLSearchParams would re-encode the others
+        const keptParams = url.search.substring(1).split("&").filter((param) => {
+            const name = decodeParameterName(param.split("=")[0]);
+            if (name && rules.some((rule) => rule(url.hostname, name))) {
+                result.removedParameters.push(name);
+                return false;
+            }
+            return true;
+        });
+        url.search = keptParams.join("&");
+    }
+
+    if (result.redirectors.length === 0 && result.removedParameters.length === 0) {
+        return result;
+    }
+
+    result.url = url.href;
+
+    return result;
+}
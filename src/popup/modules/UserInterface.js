@@ -9,6 +9,9 @@
  * @requires /common/modules/AddonSettings
  * @requires /common/modules/MessageHandler
  * @requires ./QrCreator
+ * @requires ./PayloadEditor
+ * @requires ./SymbolSet
+ * @requires ./Verification
  */
 // lodash
 import isObject from "/common/modules/lib/lodash/isObject.js";
@@ -22,6 +25,9 @@ import * as AddonSettings from "/common/modules/AddonSettings.js";
 import * as CommonMessages from "/common/modules/MessageHandler/CommonMessages.js";
 
 import * as QrCreator from "./QrCreator.js";
+import * as PayloadEditor from "./PayloadEditor.js";
+import * as SymbolSet from "./SymbolSet.js";
+import * as Verification from "./Verification.js";
 import {createMenu} from "/common/modules/ContextMenu.js";
 
 const TOP_SCROLL_TIMEOUT = 10; // ms
@@ -34,6 +40,8 @@ const WINDOW_MINIMUM_HEIGHT = 250; // px
 const THROTTLE_SIZE_SAVING_FOR_REMEMBER = 500; // ms
 
 const CONTEXT_MENU_SAVE_IMAGE = "save-image";
+const CONTEXT_MENU_SAVE_PNG = "save-png";
+const CONTEXT_MENU_COPY_TEXT = "copy-text";
 
 const qrCode = document.getElementById("qrcode");
 const qrCodePlaceholder = document.getElementById("qrcode-placeholder");
@@ -49,15 +57,16 @@ let placeholderShown = true;
 let qrLastSize = 200;
 let qrCodeSizeOption = {};
 let savingQrCodeSize = null; // promise
+// the type of element the QR code is rendered as, "svg" or "canvas"
+let qrOutputType = "svg";
 
 /**
  * Hide QR code and show placeholder instead.
  *
  * @function
- * @private
  * @returns {void}
  */
-function showPlaceholder() {
+export function showPlaceholder() {
     if (placeholderShown === true) {
         // nothing to do
         return;
@@ -65,6 +74,7 @@ function showPlaceholder() {
 
     qrCode.classList.add("invisible");
     qrCodePlaceholder.classList.remove("invisible");
+    Verification.hide();
     // break normally again, as "normal" text is shown
     qrCodeText.style.wordBreak = "unset";
     placeholderShown = true;
@@ -99,7 +109,12 @@ function hidePlaceholder() {
  */
 const refreshQrCode = throttle(() => {
     const text = qrCodeText.value;
-    Logger.logInfo("new value from textarea: ", text);
+    // never log secrets, e.g. OTP keys
+    if (PayloadEditor.isSensitive(text)) {
+        Logger.logInfo("new value from textarea, not logged as it contains a secret");
+    } else {
+        Logger.logInfo("new value from textarea: ", text);
+    }
 
     // show placeholder when no text is entered
     if (text === "") {
@@ -337,6 +352,22 @@ export function setQrInputFieldText(text) {
     qrCodeText.focus();
 }
 
+/**
+ * Replaces the text of the QR code's input field and regenerates the QR code.
+ *
+ * In contrast to {@link setQrInputFieldText()} this does not focus the input
+ * field, so it can be used for live updates, e.g. from the payload forms.
+ *
+ * @function
+ * @param  {string} text
+ * @returns {void}
+ */
+export function setQrInputFieldValue(text) {
+    qrCodeText.value = text;
+
+    refreshQrCode();
+}
+
 /**
  * Get the acual QR code element.
  *
@@ -361,27 +392,117 @@ export function replaceQr(elNewQr) {
     // and replace it
     Logger.logInfo("replace qr code from", elOldQrCode, "to", elNewQr);
     qrCode.replaceChild(elNewQr, elOldQrCode);
+
+    // e.g. the frames of a file transfer are shown without any text
+    hidePlaceholder();
 }
 
 /**
- * Triggers when a context menu item has been clicked.
+ * Returns the physical size of the SVG, so the QR code itself has the print
+ * size.
+ *
+ * @function
+ * @private
+ * @param {SVGSVGElement} svgElem
+ * @param {number} printSize in millimetres, excluding the quiet zone
+ * @param {int} quietZone in modules
+ * @returns {string} the size as a CSS length
+ */
+function getSvgPrintSize(svgElem, printSize, quietZone) {
+    // the view box includes the quiet zone on both sides
+    const viewBoxSize = Number(svgElem.getAttribute("viewBox").split(" ")[2]);
+    const symbolSize = viewBoxSize - 2 * quietZone;
+
+    return `${(printSize * viewBoxSize / symbolSize).toFixed(2)}mm`;
+}
+
+/**
+ * Returns the shown QR code or set of QR codes as an SVG file.
  *
- * It downloads the QR code image.
+ * @function
+ * @private
+ * @param {string} qrBackgroundColor
+ * @param {int} qrQuietZone
+ * @returns {File}
+ */
+function getSvgFile(qrBackgroundColor, qrQuietZone) {
+    let svgElem;
+    let filename = "qrcode.svg";
+
+    if (SymbolSet.isShown()) {
+        // save all QR codes of the set in one image
+        svgElem = SymbolSet.getSheet(qrLastSize, QrCreator.getSvgQrCodeSet());
+        svgElem.querySelector("rect").setAttribute("fill", qrBackgroundColor); // fill the gaps between the QR codes
+        filename = "qrcode-set.svg";
+    } else {
+        svgElem = document.getElementsByTagName("svg")[0].cloneNode(true);
+
+        // prettify SVG for saving
+        // some payloads (e.g. Swiss QR-bills) mandate a size for printing
+        const printSize = QrCreator.getPrintSize();
+        if (printSize === null) {
+            svgElem.setAttribute("height", qrLastSize);
+            svgElem.setAttribute("width", qrLastSize);
+        } else {
+            const svgSize = getSvgPrintSize(svgElem, printSize, qrQuietZone);
+            svgElem.setAttribute("height", svgSize);
+            svgElem.setAttribute("width", svgSize);
+        }
+    }
+
+    const svgString = (new XMLSerializer()).serializeToString(svgElem);
+
+    return new File([svgString], filename, {type: "image/svg+xml;charset=utf-8"});
+}
+
+/**
+ * Returns the shown QR code as a PNG file, with the size set in the options.
+ *
+ * @function
+ * @private
+ * @returns {Promise.<File>}
+ */
+async function getPngFile() {
+    const blob = await QrCreator.getPngImage();
+
+    return new File([blob], "qrcode.png", {type: "image/png"});
+}
+
+/**
+ * Copies the shown QR code as text.
  *
  * @function
  * @private
- * @param {event} event
  * @returns {void}
  */
-function menuClicked(event) {
+function copyQrCodeAsText() {
+    // do not trigger when placeholder is shown
+    if (placeholderShown === true) {
+        CommonMessages.showError("errorCopyingQrCodeNotShown", true);
+        return;
+    }
+
+    navigator.clipboard.writeText(QrCreator.getText()).then(() => {
+        CommonMessages.showInfo("qrCodeTextCopied", true);
+    }).catch((error) => {
+        Logger.logError("could not copy QR code as text:", error);
+        CommonMessages.showError("errorCopyingQrCodeText", true);
+    });
+}
+
+/**
+ * Downloads the QR code image.
+ *
+ * @function
+ * @private
+ * @param {boolean} asPng whether to save a PNG instead of an SVG image
+ * @returns {void}
+ */
+function saveQrCode(asPng) {
     const DOWNLOAD_PERMISSIONS = {
         permissions: ["downloads"]
     };
 
-    if (event.menuItemId !== CONTEXT_MENU_SAVE_IMAGE) {
-        return;
-    }
-
     const downloadPermissionGranted = browser.permissions.contains(DOWNLOAD_PERMISSIONS);
     const requestDownloadPermissions = browser.permissions.request(DOWNLOAD_PERMISSIONS);
 
@@ -391,19 +512,22 @@ function menuClicked(event) {
         return;
     }
 
-    AddonSettings.get("qrBackgroundColor").then((qrBackgroundColor) => {
-        // const svgString = qrCodeLib.getSvgString();
-        const svgElem = document.getElementsByTagName("svg")[0].cloneNode(true);
-
-        // prettify SVG for saving
-        svgElem.setAttribute("height", qrLastSize);
-        svgElem.setAttribute("width", qrLastSize);
-        svgElem.querySelector("rect").setAttribute("fill", qrBackgroundColor); // replace transparent background
-
-        const svgString = (new XMLSerializer()).serializeToString(svgElem);
+    // sets are always combined into one SVG
+    if (asPng && SymbolSet.isShown()) {
+        CommonMessages.showError("errorSavingSetAsPng", true);
+        return;
+    }
 
-        const file = new File([svgString], "qrcode.svg", {type: "image/svg+xml;charset=utf-8"});
+    Promise.all([
+        AddonSettings.get("qrBackgroundColor"),
+        AddonSettings.get("qrQuietZone")
+    ]).then(([qrBackgroundColor, qrQuietZone]) => {
+        if (asPng) {
+            return getPngFile();
+        }
 
+        return getSvgFile(qrBackgroundColor, qrQuietZone);
+    }).then((file) => {
         downloadPermissionGranted.then((isAlreadyGranted) => {
             let usePermissionWorkaround = false;
 
@@ -418,11 +542,11 @@ function menuClicked(event) {
                 type: COMMUNICATION_MESSAGE_TYPE.SAVE_FILE_AS,
                 usePermissionWorkaround: usePermissionWorkaround,
                 file: file,
-                filename: "qrcode.svg",
+                filename: file.name,
             }).then(() => {
-                Logger.logInfo("SVG image saved on disk", svgElem, svgString);
+                Logger.logInfo("QR code saved on disk", file.name);
             }).catch((error) => {
-                Logger.logError("Could not save SVG image saved on disk", error, svgElem, svgString);
+                Logger.logError("Could not save QR code on disk", error, file.name);
 
                 // in case of user error (i.e. user cancelled e.g.) do not show error message
                 if (error.message.includes("user")) {
@@ -459,9 +583,35 @@ function menuClicked(event) {
                 CommonMessages.showError("errorPermissionRequestFailed", true);
             });
         });
+    }).catch((error) => {
+        Logger.logError("Could not create QR code image", error);
+        CommonMessages.showError("errorDownloadingFile", true);
     });
 }
 
+/**
+ * Triggers when a context menu item has been clicked.
+ *
+ * @function
+ * @private
+ * @param {event} event
+ * @returns {void}
+ */
+function menuClicked(event) {
+    switch (event.menuItemId) {
+    case CONTEXT_MENU_SAVE_IMAGE:
+        // QR codes drawn on a canvas are saved as PNG, unless a set is shown
+        saveQrCode(qrOutputType === "canvas" && !SymbolSet.isShown());
+        break;
+    case CONTEXT_MENU_SAVE_PNG:
+        saveQrCode(true);
+        break;
+    case CONTEXT_MENU_COPY_TEXT:
+        copyQrCodeAsText();
+        break;
+    }
+}
+
 /**
  * Initiates after the QR code has been generated.
  *
@@ -550,22 +700,13 @@ export function init() {
     });
 
     // initiate settings dependent on the type of the QR code
-    const initQrTypespecificSettings = QrCreator.getGenerationType().then((genType) => {
-        if (genType !== "svg") {
-            // remove menu item if it has been added before
-            browser.menus.remove(CONTEXT_MENU_SAVE_IMAGE);
-
-            return Promise.resolve();
-        }
+    const initQrTypespecificSettings = Promise.all([
+        QrCreator.getGenerationType(),
+        QrCreator.isPngSupported()
+    ]).then(([genType, isPngSupported]) => {
+        qrOutputType = genType;
 
-        // create save menu if needed
-        return createMenu("contextMenuSaveImage", {
-            id: CONTEXT_MENU_SAVE_IMAGE,
-            contexts: ["page"],
-            documentUrlPatterns: [
-                document.URL // only apply to own URL = popup
-            ]
-        }, () => { // @TODO unify with background.js (module!)
+        const menuCreated = () => { // @TODO unify with background.js (module!)
             const lastError = browser.runtime.lastError;
 
             if (lastError) {
@@ -573,7 +714,38 @@ export function init() {
             } else {
                 Logger.logInfo("menu item created successfully");
             }
-        }).then(() => browser.menus.onClicked.addListener(menuClicked));
+        };
+
+        // create save and copy menus
+        const menus = [
+            createMenu("contextMenuSaveImage", {
+                id: CONTEXT_MENU_SAVE_IMAGE,
+                contexts: ["page"],
+                documentUrlPatterns: [
+                    document.URL // only apply to own URL = popup
+                ]
+            }, menuCreated),
+            createMenu("contextMenuCopyText", {
+                id: CONTEXT_MENU_COPY_TEXT,
+                contexts: ["page"],
+                documentUrlPatterns: [
+                    document.URL
+                ]
+            }, menuCreated)
+        ];
+
+        // QR codes drawn on a canvas are already saved as PNG
+        if (qrOutputType === "svg" && isPngSupported) {
+            menus.push(createMenu("contextMenuSavePng", {
+                id: CONTEXT_MENU_SAVE_PNG,
+                contexts: ["page"],
+                documentUrlPatterns: [
+                    document.URL
+                ]
+            }, menuCreated));
+        }
+
+        return Promise.all(menus).then(() => browser.menus.onClicked.addListener(menuClicked));
     });
 
     // return Promise chain
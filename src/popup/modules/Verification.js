@@ -0,0 +1,187 @@
+/**
+ * Checks whether the displayed QR code can be read again, as custom colors,
+ * small quiet zones or sizes can make it unreadable for scanners.
+ *
+ * @module modules/Verification
+ * @requires /common/modules/Logger
+ * @requires /common/modules/AddonSettings
+ * @requires /common/modules/QrDecoder
+ * @requires ./QrLib/Segmenter
+ * @requires ./internal/VerificationCauses
+ */
+import * as Logger from "/common/modules/Logger.js";
+import * as AddonSettings from "/common/modules/AddonSettings.js";
+import * as QrDecoder from "/common/modules/QrDecoder/QrDecoder.js";
+
+import * as Segmenter from "./QrLib/Segmenter.js";
+import * as VerificationCauses from "./internal/VerificationCauses.js";
+
+const elBadge = document.getElementById("verificationBadge");
+
+let verificationInit = null;
+let verificationEnabled = false;
+let qrColor = null;
+let qrBackgroundColor = null;
+let qrQuietZone = 0;
+// increased for every QR code, so results of replaced ones are discarded
+let currentVerification = 0;
+
+/**
+ * Loads an image from a data URL.
+ *
+ * @function
+ * @private
+ * @param {string} imageUrl
+ * @returns {Promise.<HTMLImageElement>}
+ */
+function loadImage(imageUrl) {
+    return new Promise((resolve, reject) => {
+        const elImage = new Image();
+        elImage.addEventListener("load", () => resolve(elImage));
+        elImage.addEventListener("error", () => reject(new Error("could not rasterize QR code")));
+        elImage.src = imageUrl;
+    });
+}
+
+/**
+ * Returns an image of the SVG with its background.
+ *
+ * @function
+ * @private
+ * @param {SVGSVGElement} elSvg
+ * @param {int} size in px
+ * @returns {Promise.<HTMLImageElement>}
+ */
+function rasterizeSvg(elSvg, size) {
+    const elSvgCopy = elSvg.cloneNode(true);
+    elSvgCopy.setAttribute("width", size);
+    elSvgCopy.setAttribute("height", size);
+
+    // only data: URLs are allowed for images by the content security policy
+    const svgString = (new XMLSerializer()).serializeToString(elSvgCopy);
+    return loadImage(`data:image/svg+xml;charset=utf-8,${encodeURIComponent(svgString)}`);
+}
+
+/**
+ * Returns the pixels of the QR code, as it is displayed.
+ *
+ * @function
+ * @private
+ * @param {SVGSVGElement|HTMLCanvasElement} elQrCode
+ * @param {int} size in px
+ * @returns {Promise.<ImageData>}
+ */
+async function getImageData(elQrCode, size) {
+    const elImage = elQrCode instanceof SVGSVGElement ? await rasterizeSvg(elQrCode, size) : elQrCode;
+
+    const elCanvas = document.createElement("canvas");
+    elCanvas.width = size;
+    elCanvas.height = size;
+
+    const context = elCanvas.getContext("2d");
+    context.fillStyle = qrBackgroundColor;
+    context.fillRect(0, 0, size, size);
+    context.drawImage(elImage, 0, 0, size, size);
+
+    return context.getImageData(0, 0, size, size);
+}
+
+/**
+ * Shows whether the QR code can be read.
+ *
+ * @function
+ * @private
+ * @param {VerificationCauses.CAUSE[]|null} causes null, if it has been verified
+ * @returns {void}
+ */
+function showBadge(causes) {
+    const verified = causes === null;
+
+    if (verified) {
+        elBadge.textContent = browser.i18n.getMessage("verificationPassed");
+    } else {
+        const causeTexts = causes.map((cause) => browser.i18n.getMessage(cause));
+        elBadge.textContent = browser.i18n.getMessage("verificationFailed", causeTexts.join(", "));
+    }
+
+    elBadge.classList.toggle("verified", verified);
+    elBadge.classList.toggle("warning", !verified);
+    elBadge.classList.remove("invisible");
+}
+
+/**
+ * Hides the result of the verification, e.g. as no single QR code is shown.
+ *
+ * @function
+ * @returns {void}
+ */
+export function hide() {
+    currentVerification++;
+    elBadge.classList.add("invisible");
+}
+
+/**
+ * Reads the displayed QR code again and shows whether it contains the text,
+ * if this is enabled in the options.
+ *
+ * @function
+ * @param {SVGSVGElement|HTMLCanvasElement} elQrCode the displayed QR code
+ * @param {string} text the text it should contain
+ * @param {int} version the version of the QR code
+ * @returns {Promise}
+ */
+export async function verify(elQrCode, text, version) {
+    const verification = ++currentVerification;
+    await verificationInit;
+
+    if (!verificationEnabled) {
+        return;
+    }
+
+    const size = Math.round(elQrCode.getBoundingClientRect().width);
+    if (size === 0) {
+        hide();
+        return;
+    }
+
+    let results;
+    try {
+        results = QrDecoder.decode(await getImageData(elQrCode, size));
+    } catch (error) {
+        Logger.logError("could not verify QR code:", error);
+        hide();
+        return;
+    }
+
+    // another QR code has been generated in the meantime
+    if (verification !== currentVerification) {
+        return;
+    }
+
+    if (results.some((result) => result.text === text)) {
+        Logger.logInfo("verified QR code at", size, "px");
+        showBadge(null);
+        return;
+    }
+
+    const causes = VerificationCauses.getCauses(Segmenter.getSymbolSize(version), size, {qrColor, qrBackgroundColor, qrQuietZone});
+    Logger.logWarning("QR code could not be read again, likely causes:", causes);
+    showBadge(causes);
+}
+
+/**
+ * Initialises the module.
+ *
+ * @function
+ * @returns {Promise}
+ */
+export function init() {
+    verificationInit = AddonSettings.get().then((settings) => {
+        verificationEnabled = settings.qrVerify;
+        qrColor = settings.qrColor;
+        qrBackgroundColor = settings.qrBackgroundColor;
+        qrQuietZone = settings.qrQuietZone;
+    });
+
+    return verificationInit;
+}
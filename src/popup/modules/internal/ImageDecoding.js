@@ -0,0 +1,59 @@
+/**
+ * Decides which image is decoded and how the decoded QR codes are shown.
+ *
+ * This does not access the popup, so it can be tested on its own.
+ *
+ * @module internal/ImageDecoding
+ */
+
+/**
+ * How the QR codes decoded in an image are shown.
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const RESULT_TYPE = Object.freeze({
+    NONE: "none",
+    TEXT: "text",
+    CHOICE: "choice"
+});
+
+/**
+ * Returns how the decoded QR codes are shown.
+ *
+ * The text of a single QR code is shown directly, while the user has to choose
+ * one of several QR codes.
+ *
+ * @function
+ * @param {DecodeResult[]} results
+ * @returns {RESULT_TYPE}
+ */
+export function getResultType(results) {
+    if (results.length === 0) {
+        return RESULT_TYPE.NONE;
+    }
+
+    if (results.length > 1) {
+        return RESULT_TYPE.CHOICE;
+    }
+
+    return RESULT_TYPE.TEXT;
+}
+
+/**
+ * Returns the first image file that is pasted or dropped.
+ *
+ * @function
+ * @param {DataTransfer} dataTransfer
+ * @returns {File|null}
+ */
+export function getImageFile(dataTransfer) {
+    const imageItem = Array.from(dataTransfer.items).find((item) => {
+        return item.kind === "file" && item.type.startsWith("image/");
+    });
+
+    if (!imageItem) {
+        return null;
+    }
+    return imageItem.getAsFile();
+}
@@ -0,0 +1,53 @@
+/**
+ * Crops the screenshots scanned for QR codes and checks the found texts.
+ *
+ * This does not access the popup, so it can be tested on its own.
+ *
+ * @module internal/PageScanning
+ */
+
+const OPENABLE_PROTOCOLS = Object.freeze(["http:", "https:"]);
+
+// the white border added around selected areas, as the quiet zone may be cut off
+export const AREA_PADDING = 16; // px
+
+/**
+ * Returns the area of the screenshot with a white border.
+ *
+ * @function
+ * @param {HTMLImageElement} elImage
+ * @param {modules/PageScan~ScanArea} area
+ * @returns {HTMLCanvasElement}
+ */
+export function cropImage(elImage, area) {
+    // the screenshot has device pixels
+    const scale = elImage.naturalWidth / area.viewportWidth;
+    const width = Math.round(area.width * scale);
+    const height = Math.round(area.height * scale);
+
+    const elCanvas = document.createElement("canvas");
+    elCanvas.width = width + 2 * AREA_PADDING;
+    elCanvas.height = height + 2 * AREA_PADDING;
+
+    const context = elCanvas.getContext("2d");
+    context.fillStyle = "#ffffff";
+    context.fillRect(0, 0, elCanvas.width, elCanvas.height);
+    context.drawImage(elImage, Math.round(area.x * scale), Math.round(area.y * scale), width, height, AREA_PADDING, AREA_PADDING, width, height);
+
+    return elCanvas;
+}
+
+/**
+ * Returns whether the text is a URL, which can be opened in a tab.
+ *
+ * @function
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isOpenable(text) {
+    try {
+        return OPENABLE_PROTOCOLS.includes(new URL(text).protocol);
+    } catch (error) {
+        return false;
+    }
+}
@@ -0,0 +1,74 @@
+/**
+ * Finds the likely reasons, why a QR code cannot be read again.
+ *
+ * This does not access the popup, so it can be tested on its own.
+ *
+ * @module internal/VerificationCauses
+ * @requires /common/modules/Colors
+ */
+import * as Colors from "/common/modules/Colors.js";
+
+// the quiet zone the QR code standard requires
+export const RECOMMENDED_QUIET_ZONE = 4; // modules
+// smaller modules are blurred by many cameras
+export const MIN_MODULE_SIZE = 2; // px
+
+/**
+ * The likely reasons, why a QR code cannot be read.
+ *
+ * The values are the names of the messages describing them.
+ *
+ * @readonly
+ * @enum {string}
+ */
+export const CAUSE = Object.freeze({
+    CONTRAST: "verificationCauseContrast",
+    INVERTED: "verificationCauseInverted",
+    QUIET_ZONE: "verificationCauseQuietZone",
+    MODULE_SIZE: "verificationCauseModuleSize",
+    UNKNOWN: "verificationCauseUnknown"
+});
+
+/**
+ * Returns the likely reasons, why the QR code cannot be read.
+ *
+ * @function
+ * @param {int} symbolSize the size of the QR code in modules
+ * @param {int} size the displayed size in px
+ * @param {Object} settings
+ * @param {string} settings.qrColor
+ * @param {string} settings.qrBackgroundColor
+ * @param {int} settings.qrQuietZone
+ * @returns {CAUSE[]}
+ */
+export function getCauses(symbolSize, size, settings) {
+    const causes = [];
+
+    const rgbColor = Colors.hexToRgb(settings.qrColor);
+    const rgbBackgroundColor = Colors.hexToRgb(settings.qrBackgroundColor);
+    if (rgbColor !== null && rgbBackgroundColor !== null) {
+        if (Colors.contrastRatio(rgbColor, rgbBackgroundColor) <= Colors.CONTRAST_RATIO.LARGE_AA) {
+            causes.push(CAUSE.CONTRAST);
+        }
+
+        // the lighter color has the higher contrast to black
+        const black = [0, 0, 0];
+        if (Colors.contrastRatio(rgbColor, black) > Colors.contrastRatio(rgbBackgroundColor, black)) {
+            causes.push(CAUSE.INVERTED);
+        }
+    }
+
+    if (settings.qrQuietZone < RECOMMENDED_QUIET_ZONE) {
+        causes.push(CAUSE.QUIET_ZONE);
+    }
+
+    if (size / (symbolSize + 2 * settings.qrQuietZone) < MIN_MODULE_SIZE) {
+        causes.push(CAUSE.MODULE_SIZE);
+    }
+
+    if (causes.length === 0) {
+        causes.push(CAUSE.UNKNOWN);
+    }
+
+    return causes;
+}
@@ -0,0 +1,77 @@
+import "https://unpkg.com/mocha@5.2.0/mocha.js"; /* globals mocha */
+import "https://unpkg.com/chai@4.1.2/chai.js"; /* globals chai */
+/* globals qrcodegen */
+
+import * as Capacity from "/popup/modules/QrLib/Capacity.js";
+import * as Segmenter from "/popup/modules/QrLib/Segmenter.js";
+
+describe("popup module: Capacity", function () {
+    describe("getDataCapacity()", function () {
+        it("returns the data codewords of the version", function () {
+            chai.assert.strictEqual(Capacity.getDataCapacity(1, "L"), 19);
+            chai.assert.strictEqual(Capacity.getDataCapacity(1, "H"), 9);
+            chai.assert.strictEqual(Capacity.getDataCapacity(40, "M"), 2334);
+        });
+
+        it("throws for invalid parameters", function () {
+            chai.assert.throws(() => Capacity.getDataCapacity(0, "L"));
+            chai.assert.throws(() => Capacity.getDataCapacity(41, "L"));
+            chai.assert.throws(() => Capacity.getDataCapacity(1, "X"));
+        });
+    });
+
+    describe("measure()", function () {
+        it("measures short texts", function () {
+            chai.assert.deepEqual(Capacity.measure("hello", "L"), {
+                fits: true,
+                version: 1,
+                modes: ["BYTE"],
+                usedBytes: 7,
+                capacityBytes: 19
+            });
+        });
+
+        it("reports all modes of the optimal segmentation", function () {
+            const measurement = Capacity.measure("https://example.com/product/1234567890123456?ref=abc", "M");
+
+            chai.assert.deepEqual(measurement.modes, ["BYTE", "NUMERIC"]);
+        });
+
+        it("uses byte mode only without optimal segmentation", function () {
+            const measurement = Capacity.measure("0123456789", "M", {optimalSegmentation: false});
+
+            chai.assert.deepEqual(measurement.modes, ["BYTE"]);
+            chai.assert.strictEqual(measurement.usedBytes, 12);
+        });
+
+        it("finds the limit of the largest version", function () {
+            chai.assert.isTrue(Capacity.measure("a".repeat(2953), "L").fits);
+            chai.assert.isTrue(Capacity.measure("a".repeat(1273), "H").fits);
+            chai.assert.isTrue(Capacity.measure("1".repeat(7089), "L").fits);
+
+            const measurement = Capacity.measure("a".repeat(2954), "L");
+            chai.assert.isFalse(measurement.fits);
+            chai.assert.strictEqual(measurement.version, 40);
+            chai.assert.isAbove(measurement.usedBytes, measurement.capacityBytes);
+        });
+
+        it("respects the range of versions", function () {
+            chai.assert.strictEqual(Capacity.measure("hello", "L", {minVersion: 5}).version, 5);
+
+            const measurement = Capacity.measure("a".repeat(100), "L", {maxVersion: 3});
+            chai.assert.isFalse(measurement.fits);
+            chai.assert.strictEqual(measurement.version, 3);
+            chai.assert.strictEqual(measurement.capacityBytes, 55);
+        });
+
+        it("returns the same version as the generated QR code", function () {
+            const texts = ["hello", "https://example.com/?id=123456789012", "a".repeat(400), "日本語のテキスト".repeat(20)];
+
+            for (const text of texts) {
+                const qrCode = Segmenter.encodeText(text, qrcodegen.QrCode.Ecc.QUARTILE, 1, 40, 0, false);
+
+                chai.assert.strictEqual(Capacity.measure(text, "Q").version, qrCode.version, text);
+            }
+        });
+    });
+});
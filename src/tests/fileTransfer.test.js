@@ -0,0 +1,247 @@
+import "https://unpkg.com/mocha@5.2.0/mocha.js"; /* globals mocha */
+import "https://unpkg.com/chai@4.1.2/chai.js"; /* globals chai */
+/* globals qrcodegen */
+
+import * as FileTransfer from "/common/modules/FileTransfer/FileTransfer.js";
+import * as Base45 from "/common/modules/FileTransfer/internal/Base45.js";
+import * as QrDecoder from "/common/modules/QrDecoder/QrDecoder.js";
+
+/**
+ * Returns a file with pseudo random content.
+ *
+ * @function
+ * @private
+ * @param {int} size
+ * @returns {TransferFile}
+ */
+function createFile(size) {
+    const bytes = new Uint8Array(size);
+    for (let i = 0; i < size; i++) {
+        bytes[i] = (i * 31 + (i >> 8)) & 0xFF;
+    }
+
+    return {
+        name: "test file.bin",
+        type: "application/octet-stream",
+        bytes: bytes
+    };
+}
+
+/**
+ * Adds the frames to the receiver.
+ *
+ * @function
+ * @private
+ * @param {Receiver} receiver
+ * @param {Transfer} transfer
+ * @param {int[]} frameNumbers
+ * @returns {void}
+ */
+function receive(receiver, transfer, frameNumbers) {
+    for (const frameNumber of frameNumbers) {
+        FileTransfer.addFrame(receiver, FileTransfer.getFrame(transfer, frameNumber));
+    }
+}
+
+/**
+ * Returns the numbers from start to end (excluding).
+ *
+ * @function
+ * @private
+ * @param {int} start
+ * @param {int} end
+ * @returns {int[]}
+ */
+function range(start, end) {
+    return Array.from({length: end - start}, (value, index) => start + index);
+}
+
+describe("common module: FileTransfer", function () {
+    describe("Base45", function () {
+        it("encodes and decodes the examples of RFC 9285", function () {
+            const examples = [
+                ["AB", "BB8"],
+                ["Hello!!", "%69 VD92EX0"],
+                ["base-45", "UJCLQE7W581"],
+                ["ietf!", "QED8WEX0"]
+            ];
+
+            for (const [text, encoded] of examples) {
+                const bytes = new TextEncoder().encode(text);
+
+                chai.assert.strictEqual(Base45.encode(bytes), encoded);
+                chai.assert.deepEqual(Base45.decode(encoded), bytes);
+            }
+        });
+
+        it("throws for invalid texts", function () {
+            chai.assert.throws(() => Base45.decode("GGW"), Error);
+            chai.assert.throws(() => Base45.decode("ab"), Error);
+            chai.assert.throws(() => Base45.decode("ABCD"), Error);
+        });
+    });
+
+    describe("createTransfer()", function () {
+        it("rejects invalid chunk sizes", async function () {
+            for (const chunkSize of [0, FileTransfer.CHUNK_SIZE_LIMITS.max + 1, 20.5]) {
+                let error = null;
+                try {
+                    await FileTransfer.createTransfer(createFile(10), {chunkSize: chunkSize, fountain: false});
+                } catch (e) {
+                    error = e;
+                }
+                chai.assert.instanceOf(error, Error);
+            }
+        });
+
+        it("rejects too large files", async function () {
+            let error = null;
+            try {
+                await FileTransfer.createTransfer(createFile(FileTransfer.MAX_FILE_SIZE + 1), {chunkSize: 100, fountain: false});
+            } catch (e) {
+                error = e;
+            }
+            chai.assert.instanceOf(error, Error);
+        });
+
+        it("creates frames with the prefix in the alphanumeric mode", async function () {
+            const transfer = await FileTransfer.createTransfer(createFile(1000), {chunkSize: 100, fountain: false});
+            const frame = FileTransfer.getFrame(transfer, 1);
+
+            chai.assert.isTrue(FileTransfer.isFrame(frame));
+            chai.assert.isTrue(qrcodegen.QrSegment.ALPHANUMERIC_REGEX.test(frame));
+            // 10 chunks and 2 metadata frames
+            chai.assert.strictEqual(FileTransfer.getFrameCount(transfer), 12);
+        });
+    });
+
+    describe("addFrame()", function () {
+        it("receives a file from all frames", async function () {
+            const file = createFile(1000);
+            const transfer = await FileTransfer.createTransfer(file, {chunkSize: 64, fountain: false});
+            const receiver = FileTransfer.createReceiver();
+            receive(receiver, transfer, range(0, FileTransfer.getFrameCount(transfer)));
+
+            chai.assert.deepInclude(FileTransfer.getProgress(receiver), {
+                name: file.name,
+                size: 1000,
+                decodedChunks: 16,
+                totalChunks: 16,
+                complete: true
+            });
+            chai.assert.deepEqual(await FileTransfer.getFile(receiver), file);
+        });
+
+        it("receives frames starting anywhere in the loop", async function () {
+            const file = createFile(500);
+            const transfer = await FileTransfer.createTransfer(file, {chunkSize: 50, fountain: false});
+            const receiver = FileTransfer.createReceiver();
+            const frameCount = FileTransfer.getFrameCount(transfer);
+            receive(receiver, transfer, range(5, 5 + frameCount));
+
+            chai.assert.deepEqual(await FileTransfer.getFile(receiver), file);
+        });
+
+        it("receives fountain-coded files, although frames are missed", async function () {
+            const file = createFile(3000);
+            const transfer = await FileTransfer.createTransfer(file, {chunkSize: 100, fountain: true});
+            const receiver = FileTransfer.createReceiver();
+
+            // miss every third frame
+            let frameNumber = 0;
+            while (!FileTransfer.getProgress(receiver).complete && frameNumber < 1000) {
+                if (frameNumber % 3 !== 2) {
+                    receive(receiver, transfer, [frameNumber]);
+                }
+                frameNumber++;
+            }
+
+            chai.assert.isTrue(FileTransfer.getProgress(receiver).complete);
+            chai.assert.deepEqual(await FileTransfer.getFile(receiver), file);
+        });
+
+        it("receives empty files", async function () {
+            const file = createFile(0);
+            const transfer = await FileTransfer.createTransfer(file, {chunkSize: 100, fountain: false});
+            const receiver = FileTransfer.createReceiver();
+            receive(receiver, transfer, range(0, FileTransfer.getFrameCount(transfer)));
+
+            chai.assert.deepEqual(await FileTransfer.getFile(receiver), file);
+        });
+
+        it("ignores texts and frames of other transfers", async function () {
+            const first = await FileTransfer.createTransfer(createFile(100), {chunkSize: 50, fountain: false});
+            const second = await FileTransfer.createTransfer(createFile(200), {chunkSize: 50, fountain: false});
+            const receiver = FileTransfer.createReceiver();
+
+            chai.assert.isFalse(FileTransfer.addFrame(receiver, "https://example.org"));
+            chai.assert.isTrue(FileTransfer.addFrame(receiver, FileTransfer.getFrame(first, 0)));
+            chai.assert.isFalse(FileTransfer.addFrame(receiver, FileTransfer.getFrame(second, 0)));
+            chai.assert.strictEqual(FileTransfer.getProgress(receiver).size, 100);
+        });
+
+        it("throws for invalid frames", function () {
+            const receiver = FileTransfer.createReceiver();
+
+            chai.assert.throws(() => FileTransfer.addFrame(receiver, `${FileTransfer.FRAME_PREFIX}abc`), Error);
+            chai.assert.throws(() => FileTransfer.addFrame(receiver, `${FileTransfer.FRAME_PREFIX}${Base45.encode(Uint8Array.from([1, 1]))}`), Error);
+        });
+    });
+
+    describe("getFile()", function () {
+        it("throws for incomplete files", async function () {
+            const transfer = await FileTransfer.createTransfer(createFile(1000), {chunkSize: 100, fountain: false});
+            const receiver = FileTransfer.createReceiver();
+            receive(receiver, transfer, range(0, 5));
+
+            chai.assert.isFalse(FileTransfer.getProgress(receiver).complete);
+            let error = null;
+            try {
+                await FileTransfer.getFile(receiver);
+            } catch (e) {
+                error = e;
+            }
+            chai.assert.instanceOf(error, Error);
+        });
+
+        it("throws for corrupted files", async function () {
+            const file = createFile(100);
+            const transfer = await FileTransfer.createTransfer(file, {chunkSize: 100, fountain: false});
+            file.bytes[0] ^= 0xFF;
+            const receiver = FileTransfer.createReceiver();
+            receive(receiver, transfer, [0, 1]);
+
+            let error = null;
+            try {
+                await FileTransfer.getFile(receiver);
+            } catch (e) {
+                error = e;
+            }
+            chai.assert.instanceOf(error, Error);
+        });
+    });
+
+    it("transfers frames through QR codes", async function () {
+        const file = createFile(150);
+        const transfer = await FileTransfer.createTransfer(file, {chunkSize: 100, fountain: false});
+        const receiver = FileTransfer.createReceiver();
+
+        for (const frameNumber of range(0, FileTransfer.getFrameCount(transfer))) {
+            const qrCode = qrcodegen.QrCode.encodeText(FileTransfer.getFrame(transfer, frameNumber), qrcodegen.QrCode.Ecc.LOW);
+            const size = (qrCode.size + 8) * 2;
+            const data = new Uint8ClampedArray(size * size * 4).fill(255);
+            for (let y = 0; y < size; y++) {
+                for (let x = 0; x < size; x++) {
+                    if (qrCode.getModule(Math.floor(x / 2) - 4, Math.floor(y / 2) - 4)) {
+                        data.fill(0, (y * size + x) * 4, (y * size + x) * 4 + 3);
+                    }
+                }
+            }
+
+            const [result] = QrDecoder.decode({width: size, height: size, data: data});
+            chai.assert.isTrue(FileTransfer.addFrame(receiver, result.text));
+        }
+
+        chai.assert.deepEqual(await FileTransfer.getFile(receiver), file);
+    });
+});
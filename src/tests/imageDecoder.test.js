@@ -0,0 +1,71 @@
+import "https://unpkg.com/mocha@5.2.0/mocha.js"; /* globals mocha */
+import "https://unpkg.com/chai@4.1.2/chai.js"; /* globals chai */
+
+import * as ImageDecoding from "/popup/modules/internal/ImageDecoding.js";
+
+/**
+ * Returns an item of a DataTransfer, which returns the file.
+ *
+ * @function
+ * @param {string} kind "file" or "string"
+ * @param {string} type the MIME type
+ * @param {Object} file
+ * @returns {Object}
+ */
+function getItem(kind, type, file) {
+    return {
+        kind: kind,
+        type: type,
+        getAsFile: () => file
+    };
+}
+
+describe("popup module: ImageDecoder", function () {
+    describe("getImageFile()", function () {
+        it("returns the first image file", function () {
+            const file = {name: "code.png"};
+            const dataTransfer = {
+                items: [
+                    getItem("string", "text/plain", null),
+                    getItem("file", "application/pdf", {name: "document.pdf"}),
+                    getItem("file", "image/png", file),
+                    getItem("file", "image/jpeg", {name: "photo.jpg"})
+                ]
+            };
+
+            chai.assert.strictEqual(ImageDecoding.getImageFile(dataTransfer), file);
+        });
+
+        it("returns null, if no image file is transferred", function () {
+            const dataTransfer = {
+                items: [
+                    getItem("string", "text/plain", null),
+                    // e.g. the URL of a dragged image
+                    getItem("string", "image/png", null)
+                ]
+            };
+
+            chai.assert.isNull(ImageDecoding.getImageFile(dataTransfer));
+            chai.assert.isNull(ImageDecoding.getImageFile({items: []}));
+        });
+    });
+
+    describe("getResultType()", function () {
+        it("shows an error, if no QR code has been found", function () {
+            chai.assert.strictEqual(ImageDecoding.getResultType([]), ImageDecoding.RESULT_TYPE.NONE);
+        });
+
+        it("shows the text of a single QR code", function () {
+            chai.assert.strictEqual(ImageDecoding.getResultType([
+                {text: "https://example.org"}
+            ]), ImageDecoding.RESULT_TYPE.TEXT);
+        });
+
+        it("lets the user choose one of several QR codes", function () {
+            chai.assert.strictEqual(ImageDecoding.getResultType([
+                {text: "https://example.org"},
+                {text: "https://example.com"}
+            ]), ImageDecoding.RESULT_TYPE.CHOICE);
+        });
+    });
+});
@@ -0,0 +1,71 @@
+import "https://unpkg.com/mocha@5.2.0/mocha.js"; /* globals mocha */
+import "https://unpkg.com/chai@4.1.2/chai.js"; /* globals chai */
+import "https://unpkg.com/sinon@6.1.5/pkg/sinon.js"; /* globals sinon */
+
+import * as PageScanning from "/popup/modules/internal/PageScanning.js";
+
+describe("popup module: PageScan", function () {
+    describe("cropImage()", function () {
+        let context;
+
+        beforeEach(function() {
+            context = {
+                fillStyle: null,
+                fillRect: sinon.spy(),
+                drawImage: sinon.spy()
+            };
+            sinon.stub(HTMLCanvasElement.prototype, "getContext").returns(context);
+        });
+        afterEach(function() {
+            sinon.restore();
+        });
+
+        it("scales the area to the device pixels of the screenshot", function () {
+            // a display with two device pixels per CSS pixel
+            const elImage = {naturalWidth: 2000};
+            const area = {x: 10.2, y: 20, width: 100, height: 50.4, viewportWidth: 1000};
+
+            PageScanning.cropImage(elImage, area);
+
+            chai.assert.isTrue(context.drawImage.calledOnce);
+            chai.assert.deepEqual(context.drawImage.firstCall.args, [
+                elImage,
+                20, 40, 200, 101,
+                PageScanning.AREA_PADDING, PageScanning.AREA_PADDING, 200, 101
+            ]);
+        });
+
+        it("adds a white border around the area", function () {
+            const elImage = {naturalWidth: 1000};
+            const area = {x: 0, y: 0, width: 100, height: 50, viewportWidth: 1000};
+
+            const elCanvas = PageScanning.cropImage(elImage, area);
+
+            chai.assert.strictEqual(elCanvas.width, 100 + 2 * PageScanning.AREA_PADDING);
+            chai.assert.strictEqual(elCanvas.height, 50 + 2 * PageScanning.AREA_PADDING);
+            chai.assert.strictEqual(context.fillStyle, "#ffffff");
+            chai.assert.deepEqual(context.fillRect.firstCall.args, [0, 0, elCanvas.width, elCanvas.height]);
+            chai.assert.isTrue(context.fillRect.calledBefore(context.drawImage));
+        });
+    });
+
+    describe("isOpenable()", function () {
+        it("opens http and https URLs", function () {
+            chai.assert.isTrue(PageScanning.isOpenable("https://example.org/page?id=1"));
+            chai.assert.isTrue(PageScanning.isOpenable("http://example.org"));
+        });
+
+        it("does not open other URLs", function () {
+            chai.assert.isFalse(PageScanning.isOpenable("ftp://example.org/file.txt"));
+            chai.assert.isFalse(PageScanning.isOpenable("data:text/html,<h1>QR</h1>"));
+            chai.assert.isFalse(PageScanning.isOpenable("file:///etc/passwd"));
+            chai.assert.isFalse(PageScanning.isOpenable("mailto:someone@example.org"));
+        });
+
+        it("does not open texts, which are no URLs", function () {
+            chai.assert.isFalse(PageScanning.isOpenable("example.org"));
+            chai.assert.isFalse(PageScanning.isOpenable("WIFI:S:network;T:WPA;P:secret;;"));
+            chai.assert.isFalse(PageScanning.isOpenable(""));
+        });
+    });
+});
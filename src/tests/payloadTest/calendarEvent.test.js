@@ -0,0 +1,153 @@
+import "https://unpkg.com/mocha@5.2.0/mocha.js"; /* globals mocha */
+import "https://unpkg.com/chai@4.1.2/chai.js"; /* globals chai */
+
+import * as CalendarEvent from "/popup/modules/Payload/CalendarEvent.js";
+
+const EVENT = Object.freeze({
+    uid: "20180716T143000-team-meeting@example.org",
+    summary: "Team meeting, Q3",
+    location: "Room 1; 2nd floor",
+    startDate: "2018-07-16",
+    startTime: "14:30",
+    endDate: "2018-07-16",
+    endTime: "16:00",
+    timeZone: "",
+    allDay: false,
+    description: "Agenda:\nbudget"
+});
+
+describe("popup payload: CalendarEvent", function () {
+    describe("build()", function () {
+        it("builds escaped VEVENT with floating times", function () {
+            const lines = CalendarEvent.build(EVENT).split("\r\n");
+
+            chai.assert.match(lines[2], /^DTSTAMP:\d{8}T\d{6}Z$/);
+            lines.splice(2, 1);
+            chai.assert.strictEqual(
+                lines.join("\r\n"),
+                "BEGIN:VEVENT\r\n" +
+                "UID:20180716T143000-team-meeting@example.org\r\n" +
+                "SUMMARY:Team meeting\\, Q3\r\n" +
+                "DTSTART:20180716T143000\r\n" +
+                "DTEND:20180716T160000\r\n" +
+                "LOCATION:Room 1\\; 2nd floor\r\n" +
+                "DESCRIPTION:Agenda:\\nbudget\r\n" +
+                "END:VEVENT"
+            );
+        });
+
+        it("generates a UID for new events", function () {
+            const vEvent = CalendarEvent.build(Object.assign({}, EVENT, {uid: ""}));
+
+            chai.assert.match(vEvent, /\r\nUID:[0-9a-f]{32}\r\n/);
+            chai.assert.notStrictEqual(CalendarEvent.generateUid(), CalendarEvent.generateUid());
+        });
+
+        it("converts times in a time zone to UTC", function () {
+            const vEvent = CalendarEvent.build(Object.assign({}, EVENT, {timeZone: "Europe/Berlin"}));
+
+            // summer time: UTC+2
+            chai.assert.include(vEvent, "\r\nDTSTART:20180716T123000Z\r\n");
+            chai.assert.include(vEvent, "\r\nDTEND:20180716T140000Z\r\n");
+        });
+
+        it("respects daylight saving time", function () {
+            const vEvent = CalendarEvent.build(Object.assign({}, EVENT, {
+                timeZone: "America/New_York",
+                startDate: "2018-01-16",
+                endDate: ""
+            }));
+
+            // winter time: UTC-5
+            chai.assert.include(vEvent, "\r\nDTSTART:20180116T193000Z\r\n");
+            chai.assert.include(vEvent, "\r\nDTEND:20180116T210000Z\r\n");
+        });
+
+        it("uses dates and an exclusive end for all-day events", function () {
+            const vEvent = CalendarEvent.build(Object.assign({}, EVENT, {allDay: true, endDate: "2018-07-31"}));
+
+            chai.assert.include(vEvent, "\r\nDTSTART;VALUE=DATE:20180716\r\n");
+            chai.assert.include(vEvent, "\r\nDTEND;VALUE=DATE:20180801\r\n");
+        });
+
+        it("folds long lines", function () {
+            const vEvent = CalendarEvent.build(Object.assign({}, EVENT, {description: "x".repeat(200)}));
+
+            for (const line of vEvent.split("\r\n")) {
+                chai.assert.isAtMost(line.length, 75, `line "${line}" is too long`);
+            }
+        });
+    });
+
+    describe("parse()", function () {
+        it("returns null for other text", function () {
+            chai.assert.isNull(CalendarEvent.parse("BEGIN:VCARD\r\nEND:VCARD"));
+        });
+
+        it("round-trips floating and all-day events", function () {
+            const allDayEvent = Object.assign({}, EVENT, {allDay: true, startTime: "", endDate: "2018-07-17", endTime: ""});
+
+            chai.assert.deepEqual(CalendarEvent.parse(CalendarEvent.build(EVENT)), EVENT);
+            chai.assert.deepEqual(CalendarEvent.parse(CalendarEvent.build(allDayEvent)), allDayEvent);
+        });
+
+        it("parses UTC times and the first event of a calendar", function () {
+            const data = CalendarEvent.parse(
+                "BEGIN:VCALENDAR\nVERSION:2.0\nBEGIN:VEVENT\nSUMMARY:First\nDTSTART:20180716T123000Z\nEND:VEVENT\n" +
+                "BEGIN:VEVENT\nSUMMARY:Second\nEND:VEVENT\nEND:VCALENDAR"
+            );
+
+            chai.assert.strictEqual(data.summary, "First");
+            chai.assert.strictEqual(data.startDate, "2018-07-16");
+            chai.assert.strictEqual(data.startTime, "12:30");
+            chai.assert.strictEqual(data.timeZone, CalendarEvent.UTC_TIME_ZONE);
+        });
+
+        it("keeps the UID, so the event can be edited", function () {
+            const data = CalendarEvent.parse("BEGIN:VEVENT\nUID:abc\\,123@example.org\nSUMMARY:Event\nEND:VEVENT");
+
+            chai.assert.strictEqual(data.uid, "abc,123@example.org");
+            chai.assert.include(CalendarEvent.build(data), "\r\nUID:abc\\,123@example.org\r\n");
+        });
+
+        it("keeps the TZID parameter", function () {
+            const data = CalendarEvent.parse("BEGIN:VEVENT\nDTSTART;TZID=Europe/Berlin:20180716T143000\nEND:VEVENT");
+
+            chai.assert.strictEqual(data.timeZone, "Europe/Berlin");
+            chai.assert.strictEqual(data.startTime, "14:30");
+        });
+    });
+
+    describe("validate()", function () {
+        it("accepts valid data", function () {
+            chai.assert.isEmpty(CalendarEvent.validate(EVENT));
+        });
+
+        it("detects missing summary and start", function () {
+            const problems = CalendarEvent.validate(Object.assign({}, EVENT, {summary: "", startDate: ""}));
+
+            chai.assert.include(problems, "eventErrorSummaryMissing");
+            chai.assert.include(problems, "eventErrorStartMissing");
+        });
+
+        it("detects an end before the start", function () {
+            chai.assert.include(CalendarEvent.validate(Object.assign({}, EVENT, {endTime: "12:00"})), "eventErrorEndBeforeStart");
+        });
+
+        it("detects unknown time zones", function () {
+            chai.assert.include(CalendarEvent.validate(Object.assign({}, EVENT, {timeZone: "Mars/Olympus"})), "eventErrorInvalidTimeZone");
+        });
+    });
+
+    describe("getPreview()", function () {
+        it("returns the message for the kind of time", function () {
+            chai.assert.strictEqual(CalendarEvent.getPreview(EVENT)[0], "eventPreviewFloating");
+            chai.assert.strictEqual(CalendarEvent.getPreview(Object.assign({}, EVENT, {timeZone: "UTC"}))[0], "eventPreviewZoned");
+            chai.assert.strictEqual(CalendarEvent.getPreview(Object.assign({}, EVENT, {allDay: true}))[0], "eventPreviewAllDay");
+        });
+
+        it("returns null without a start", function () {
+            chai.assert.isNull(CalendarEvent.getPreview(Object.assign({}, EVENT, {startDate: ""})));
+        });
+    });
+});
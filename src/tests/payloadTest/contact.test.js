@@ -0,0 +1,114 @@
+import "https://unpkg.com/mocha@5.2.0/mocha.js"; /* globals mocha */
+import "https://unpkg.com/chai@4.1.2/chai.js"; /* globals chai */
+
+import * as Contact from "/popup/modules/Payload/Contact.js";
+
+const CONTACT = Object.freeze({
+    format: "vcard3",
+    firstName: "Erika",
+    lastName: "Mustermann",
+    org: "Example, Inc.",
+    title: "Engineer",
+    phones: "+49 30 1234567\n+49 170 7654321",
+    emails: "erika@example.com",
+    url: "https://example.com/",
+    street: "Heidestraße 17",
+    postalCode: "51147",
+    city: "Köln",
+    country: "Germany",
+    note: "Met at the conference;\nlikes QR codes"
+});
+
+describe("popup payload: Contact", function () {
+    describe("FORMAT", function () {
+        it("is frozen", function () {
+            chai.assert.isFrozen(Contact.FORMAT);
+        });
+    });
+
+    describe("build()", function () {
+        it("builds vCard 3.0 with escaped values", function () {
+            const vCard = Contact.build(CONTACT);
+
+            chai.assert.isTrue(vCard.startsWith("BEGIN:VCARD\r\nVERSION:3.0\r\n"), "vCard header is wrong");
+            chai.assert.isTrue(vCard.endsWith("\r\nEND:VCARD"), "vCard footer is wrong");
+            chai.assert.include(vCard, "\r\nN:Mustermann;Erika;;;\r\n");
+            chai.assert.include(vCard, "\r\nORG:Example\\, Inc.\r\n");
+            chai.assert.include(vCard, "\r\nTEL:+49 30 1234567\r\nTEL:+49 170 7654321\r\n");
+            chai.assert.include(vCard, "\r\nADR:;;Heidestraße 17;Köln;;51147;Germany\r\n");
+            chai.assert.include(vCard, "\r\nNOTE:Met at the conference\\;\\nlikes QR codes\r\n");
+        });
+
+        it("builds vCard 4.0 with tel URIs", function () {
+            const vCard = Contact.build(Object.assign({}, CONTACT, {format: "vcard4"}));
+
+            chai.assert.include(vCard, "\r\nVERSION:4.0\r\n");
+            chai.assert.include(vCard, "\r\nTEL;VALUE=uri:tel:+49301234567\r\n");
+        });
+
+        it("folds long lines without splitting UTF-8 characters", function () {
+            const vCard = Contact.build(Object.assign({}, CONTACT, {note: "ä".repeat(100)}));
+            const encoder = new TextEncoder();
+
+            for (const line of vCard.split("\r\n")) {
+                chai.assert.isAtMost(encoder.encode(line).length, 75, `line "${line}" is too long`);
+            }
+            chai.assert.include(vCard, "\r\n ä");
+        });
+
+        it("builds MeCard", function () {
+            chai.assert.strictEqual(
+                Contact.build(Object.assign({}, CONTACT, {format: "mecard", note: ""})),
+                "MECARD:N:Mustermann,Erika;ORG:Example\\, Inc.;TEL:+49 30 1234567;TEL:+49 170 7654321;" +
+                "EMAIL:erika@example.com;URL:https\\://example.com/;ADR:,,Heidestraße 17,Köln,,51147,Germany;;"
+            );
+        });
+    });
+
+    describe("parse()", function () {
+        it("returns null for other text", function () {
+            chai.assert.isNull(Contact.parse("Hello world"));
+        });
+
+        it("round-trips all formats", function () {
+            for (const format of Object.values(Contact.FORMAT)) {
+                const contact = Object.assign({}, CONTACT, {format});
+                const expectedContact = Object.assign({}, contact);
+
+                if (format === "vcard4") {
+                    expectedContact.phones = "+49301234567\n+491707654321";
+                } else if (format === "mecard") {
+                    expectedContact.title = "";
+                    expectedContact.note = "Met at the conference; likes QR codes";
+                }
+
+                chai.assert.deepEqual(Contact.parse(Contact.build(contact)), expectedContact, `failed to round-trip ${format}`);
+            }
+        });
+
+        it("unfolds lines and ignores parameters", function () {
+            const contact = Contact.parse("BEGIN:VCARD\nVERSION:3.0\nFN:Max\n  Mustermann\nitem1.EMAIL;TYPE=INTERNET:max@example.com\nEND:VCARD");
+
+            chai.assert.strictEqual(contact.firstName, "Max Mustermann");
+            chai.assert.strictEqual(contact.emails, "max@example.com");
+        });
+    });
+
+    describe("validate()", function () {
+        it("accepts valid data", function () {
+            chai.assert.isEmpty(Contact.validate(CONTACT));
+        });
+
+        it("detects missing name", function () {
+            chai.assert.include(Contact.validate(Object.assign({}, CONTACT, {firstName: "", lastName: "", org: ""})), "contactErrorNameMissing");
+        });
+
+        it("detects invalid e-mail addresses", function () {
+            chai.assert.include(Contact.validate(Object.assign({}, CONTACT, {emails: "a@b.c\nnot-an-address"})), "contactErrorInvalidEmail");
+        });
+
+        it("informs that MeCard cannot contain titles", function () {
+            chai.assert.include(Contact.validate(Object.assign({}, CONTACT, {format: "mecard"})), "contactInfoMeCardNoTitle");
+        });
+    });
+});
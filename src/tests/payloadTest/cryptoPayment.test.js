@@ -0,0 +1,114 @@
+import "https://unpkg.com/mocha@5.2.0/mocha.js"; /* globals mocha */
+import "https://unpkg.com/chai@4.1.2/chai.js"; /* globals chai */
+
+import * as CryptoPayment from "/popup/modules/Payload/CryptoPayment.js";
+
+const BITCOIN_ADDRESS = "1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN2";
+const ETHEREUM_ADDRESS = "0xfB6916095ca1df60bB79Ce92cE3Ea74c37c5d359";
+// test vector of BOLT 11
+const LIGHTNING_INVOICE = "lnbc1pvjluezpp5qqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqqqsyqcyq5rqwzqfqypqdpl2pkx2ctnv5sxxmmwwd5kgetjypeh2ursdae8g6twvus8g6rfwvs8qun0dfjkxaq8rkx3yf5tcsyz3d73gafnh3cax9rn449d9p5uxz9ezhhypd0elx87sjle52x86fux2ypatgddc6k63n7erqz25le42c4u4ecky03ylcqca784w";
+
+const PAYMENT = Object.freeze({
+    currency: CryptoPayment.CURRENCY.BITCOIN,
+    address: BITCOIN_ADDRESS,
+    amount: "0.005",
+    label: "Offline QR Code",
+    message: "Thank you & keep going",
+    lightning: ""
+});
+
+describe("popup payload: CryptoPayment", function () {
+    describe("isValidAddress()", function () {
+        it("verifies base58check addresses", function () {
+            chai.assert.isTrue(CryptoPayment.isValidAddress("bitcoin", BITCOIN_ADDRESS));
+            chai.assert.isTrue(CryptoPayment.isValidAddress("bitcoin", "3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy"));
+            chai.assert.isFalse(CryptoPayment.isValidAddress("bitcoin", "1BvBMSEYstWetqTFn5Au4m4GFg7xJaNVN3"));
+            chai.assert.isTrue(CryptoPayment.isValidAddress("litecoin", "LVg2kJoFNg45Nbpy53h7Fe1wKyeXVRhMH9"));
+            chai.assert.isFalse(CryptoPayment.isValidAddress("litecoin", BITCOIN_ADDRESS));
+        });
+
+        it("verifies bech32 and bech32m addresses", function () {
+            chai.assert.isTrue(CryptoPayment.isValidAddress("bitcoin", "BC1QW508D6QEJXTDG4Y5R3ZARVARY0C5XW7KV8F3T4"));
+            chai.assert.isTrue(CryptoPayment.isValidAddress("bitcoin", "bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqzk5jj0"));
+            chai.assert.isTrue(CryptoPayment.isValidAddress("litecoin", "ltc1qg42tkwuuxefutzxezdkdel39gfstuap288mfea"));
+            // wrong checksum variant for the witness version
+            chai.assert.isFalse(CryptoPayment.isValidAddress("bitcoin", "bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqh2y7hd"));
+            chai.assert.isFalse(CryptoPayment.isValidAddress("bitcoin", "bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kemeawh"));
+            // mixed case
+            chai.assert.isFalse(CryptoPayment.isValidAddress("bitcoin", "bc1qW508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4"));
+        });
+
+        it("verifies EIP-55 checksums", function () {
+            chai.assert.isTrue(CryptoPayment.isValidEthereumAddress(ETHEREUM_ADDRESS));
+            chai.assert.isTrue(CryptoPayment.isValidEthereumAddress("0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed"));
+            chai.assert.isTrue(CryptoPayment.isValidEthereumAddress(ETHEREUM_ADDRESS.toLowerCase()));
+            chai.assert.isFalse(CryptoPayment.isValidEthereumAddress("0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAeD"));
+            chai.assert.isFalse(CryptoPayment.isValidEthereumAddress("0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeA"));
+        });
+    });
+
+    describe("build()", function () {
+        it("builds BIP21 URIs", function () {
+            chai.assert.strictEqual(
+                CryptoPayment.build(PAYMENT),
+                `bitcoin:${BITCOIN_ADDRESS}?amount=0.005&label=Offline%20QR%20Code&message=Thank%20you%20%26%20keep%20going`
+            );
+        });
+
+        it("converts the amount of EIP-681 URIs to wei", function () {
+            chai.assert.strictEqual(
+                CryptoPayment.build({currency: "ethereum", address: ETHEREUM_ADDRESS, amount: "2.014", label: "", message: "", lightning: ""}),
+                `ethereum:${ETHEREUM_ADDRESS}?value=2014000000000000000`
+            );
+        });
+    });
+
+    describe("parse()", function () {
+        it("returns null for other text", function () {
+            chai.assert.isNull(CryptoPayment.parse("https://bitcoin.org"));
+        });
+
+        it("round-trips payments", function () {
+            const lightningPayment = Object.assign({}, PAYMENT, {address: "", lightning: LIGHTNING_INVOICE});
+
+            chai.assert.deepEqual(CryptoPayment.parse(CryptoPayment.build(PAYMENT)), PAYMENT);
+            chai.assert.deepEqual(CryptoPayment.parse(CryptoPayment.build(lightningPayment)), lightningPayment);
+        });
+
+        it("parses EIP-681 values in scientific notation", function () {
+            const data = CryptoPayment.parse(`ethereum:pay-${ETHEREUM_ADDRESS}?value=2.014e18`);
+
+            chai.assert.strictEqual(data.address, ETHEREUM_ADDRESS);
+            chai.assert.strictEqual(data.amount, "2.014");
+        });
+
+        it("does not support contract calls", function () {
+            chai.assert.isNull(CryptoPayment.parse(`ethereum:${ETHEREUM_ADDRESS}/transfer?address=${ETHEREUM_ADDRESS}&uint256=1`));
+        });
+    });
+
+    describe("validate()", function () {
+        it("accepts valid data", function () {
+            chai.assert.isEmpty(CryptoPayment.validate(PAYMENT));
+            chai.assert.isEmpty(CryptoPayment.validate(Object.assign({}, PAYMENT, {lightning: LIGHTNING_INVOICE})));
+        });
+
+        it("detects invalid addresses", function () {
+            chai.assert.include(CryptoPayment.validate(Object.assign({}, PAYMENT, {address: ""})), "cryptoErrorAddressMissing");
+            chai.assert.include(CryptoPayment.validate(Object.assign({}, PAYMENT, {currency: "ethereum"})), "cryptoErrorInvalidAddress");
+        });
+
+        it("limits the decimals of the amount", function () {
+            chai.assert.include(CryptoPayment.validate(Object.assign({}, PAYMENT, {amount: "0.000000001"})), "cryptoErrorInvalidAmount");
+            chai.assert.include(CryptoPayment.validate(Object.assign({}, PAYMENT, {amount: "1,5"})), "cryptoErrorInvalidAmount");
+        });
+
+        it("checks the Lightning invoice", function () {
+            chai.assert.include(CryptoPayment.validate(Object.assign({}, PAYMENT, {lightning: `${LIGHTNING_INVOICE.slice(0, -1)}q`})), "cryptoErrorInvalidLightning");
+            chai.assert.include(
+                CryptoPayment.validate(Object.assign({}, PAYMENT, {currency: "litecoin", address: "LVg2kJoFNg45Nbpy53h7Fe1wKyeXVRhMH9", lightning: LIGHTNING_INVOICE})),
+                "cryptoErrorLightningBitcoinOnly"
+            );
+        });
+    });
+});
@@ -0,0 +1,93 @@
+import "https://unpkg.com/mocha@5.2.0/mocha.js"; /* globals mocha */
+import "https://unpkg.com/chai@4.1.2/chai.js"; /* globals chai */
+
+import * as Epc from "/popup/modules/Payload/Epc.js";
+
+const PAYMENT = Object.freeze({
+    bic: "COBADEFFXXX",
+    name: "Max Mustermann",
+    iban: "DE89370400440532013000",
+    amount: "12.30",
+    purpose: "CHAR",
+    reference: "",
+    remittanceText: "Invoice 2018-42"
+});
+
+describe("popup payload: Epc", function () {
+    describe("ERROR_CORRECTION", function () {
+        it("is level M", function () {
+            chai.assert.strictEqual(Epc.ERROR_CORRECTION, "M");
+        });
+    });
+
+    describe("isValidIban()", function () {
+        it("accepts valid IBANs with spaces", function () {
+            chai.assert.isTrue(Epc.isValidIban("DE89 3704 0044 0532 0130 00"));
+            chai.assert.isTrue(Epc.isValidIban("gb82west12345698765432"));
+        });
+
+        it("rejects wrong check digits and formats", function () {
+            chai.assert.isFalse(Epc.isValidIban("DE88370400440532013000"));
+            chai.assert.isFalse(Epc.isValidIban("DE89"));
+            chai.assert.isFalse(Epc.isValidIban(""));
+        });
+    });
+
+    describe("build()", function () {
+        it("builds the EPC payload", function () {
+            chai.assert.strictEqual(
+                Epc.build(PAYMENT),
+                "BCD\n002\n1\nSCT\nCOBADEFFXXX\nMax Mustermann\nDE89370400440532013000\nEUR12.30\nCHAR\n\nInvoice 2018-42"
+            );
+        });
+
+        it("normalizes codes and amount and omits trailing empty lines", function () {
+            chai.assert.strictEqual(
+                Epc.build(Object.assign({}, PAYMENT, {bic: "", iban: "de89 3704 0044 0532 0130 00", amount: "5,5", purpose: "", remittanceText: ""})),
+                "BCD\n002\n1\nSCT\n\nMax Mustermann\nDE89370400440532013000\nEUR5.5"
+            );
+        });
+    });
+
+    describe("parse()", function () {
+        it("returns null for other text", function () {
+            chai.assert.isNull(Epc.parse("BCD"));
+        });
+
+        it("round-trips the payment", function () {
+            chai.assert.deepEqual(Epc.parse(Epc.build(PAYMENT)), PAYMENT);
+        });
+
+        it("parses version 001 with CRLF", function () {
+            const data = Epc.parse("BCD\r\n001\r\n1\r\nSCT\r\nBFSWDE33BER\r\nWikimedia\r\nDE33100205000001194700\r\nEUR10\r\n\r\nRF18539007547034");
+
+            chai.assert.strictEqual(data.bic, "BFSWDE33BER");
+            chai.assert.strictEqual(data.amount, "10");
+            chai.assert.strictEqual(data.reference, "RF18539007547034");
+        });
+    });
+
+    describe("validate()", function () {
+        it("accepts valid data", function () {
+            chai.assert.isEmpty(Epc.validate(PAYMENT));
+        });
+
+        it("detects invalid IBAN, BIC and missing name", function () {
+            const problems = Epc.validate(Object.assign({}, PAYMENT, {name: "", iban: "DE00370400440532013000", bic: "COBA"}));
+
+            chai.assert.include(problems, "epcErrorNameMissing");
+            chai.assert.include(problems, "epcErrorInvalidIban");
+            chai.assert.include(problems, "epcErrorInvalidBic");
+        });
+
+        it("detects invalid amounts", function () {
+            chai.assert.include(Epc.validate(Object.assign({}, PAYMENT, {amount: "12.345"})), "epcErrorInvalidAmount");
+            chai.assert.include(Epc.validate(Object.assign({}, PAYMENT, {amount: "1e3"})), "epcErrorInvalidAmount");
+            chai.assert.include(Epc.validate(Object.assign({}, PAYMENT, {amount: "0"})), "epcErrorAmountRange");
+        });
+
+        it("rejects reference and remittance text together", function () {
+            chai.assert.include(Epc.validate(Object.assign({}, PAYMENT, {reference: "RF18539007547034"})), "epcErrorReferenceAndText");
+        });
+    });
+});
@@ -0,0 +1,104 @@
+import "https://unpkg.com/mocha@5.2.0/mocha.js"; /* globals mocha */
+import "https://unpkg.com/chai@4.1.2/chai.js"; /* globals chai */
+
+import * as Otp from "/popup/modules/Payload/Otp.js";
+
+const TOKEN = Object.freeze({
+    type: "totp",
+    issuer: "ACME Co",
+    account: "john.doe@example.com",
+    secret: "HXDMVJECJJWSRB3HWIZR4IFUGFTMXBOZ",
+    algorithm: "SHA1",
+    digits: "6",
+    period: "30",
+    counter: "0"
+});
+
+describe("popup payload: Otp", function () {
+    describe("SENSITIVE", function () {
+        it("marks the payload as secret", function () {
+            chai.assert.isTrue(Otp.SENSITIVE);
+        });
+    });
+
+    describe("encodeBase32", function () {
+        it("encodes the RFC 4648 test vectors without padding", function () {
+            const encoder = new TextEncoder();
+
+            chai.assert.strictEqual(Otp.encodeBase32(encoder.encode("f")), "MY");
+            chai.assert.strictEqual(Otp.encodeBase32(encoder.encode("fooba")), "MZXW6YTB");
+            chai.assert.strictEqual(Otp.encodeBase32(encoder.encode("foobar")), "MZXW6YTBOI");
+        });
+    });
+
+    describe("generateSecret()", function () {
+        it("generates different 160 bit secrets", function () {
+            const secret = Otp.generateSecret();
+
+            chai.assert.lengthOf(secret, 32);
+            chai.assert.isTrue(Otp.isValidBase32(secret));
+            chai.assert.notStrictEqual(secret, Otp.generateSecret());
+        });
+    });
+
+    describe("build()", function () {
+        it("builds TOTP URI without default parameters", function () {
+            chai.assert.strictEqual(
+                Otp.build(TOKEN),
+                "otpauth://totp/ACME%20Co:john.doe%40example.com?secret=HXDMVJECJJWSRB3HWIZR4IFUGFTMXBOZ&issuer=ACME%20Co"
+            );
+        });
+
+        it("builds HOTP URI with all parameters", function () {
+            chai.assert.strictEqual(
+                Otp.build(Object.assign({}, TOKEN, {type: "hotp", issuer: "", secret: "hxdm vjec", algorithm: "SHA256", digits: "8", counter: "5"})),
+                "otpauth://hotp/john.doe%40example.com?secret=HXDMVJEC&algorithm=SHA256&digits=8&counter=5"
+            );
+        });
+    });
+
+    describe("parse()", function () {
+        it("returns null for other text", function () {
+            chai.assert.isNull(Otp.parse("https://example.com"));
+        });
+
+        it("round-trips tokens", function () {
+            const hotpToken = Object.assign({}, TOKEN, {type: "hotp", algorithm: "SHA512", digits: "8", counter: "42"});
+
+            chai.assert.deepEqual(Otp.parse(Otp.build(TOKEN)), TOKEN);
+            chai.assert.deepEqual(Otp.parse(Otp.build(hotpToken)), hotpToken);
+        });
+
+        it("takes the issuer from the label", function () {
+            const data = Otp.parse("otpauth://totp/Example:alice@google.com?secret=JBSWY3DPEHPK3PXP&period=60");
+
+            chai.assert.strictEqual(data.issuer, "Example");
+            chai.assert.strictEqual(data.account, "alice@google.com");
+            chai.assert.strictEqual(data.period, "60");
+        });
+    });
+
+    describe("validate()", function () {
+        it("accepts valid data", function () {
+            chai.assert.isEmpty(Otp.validate(TOKEN));
+        });
+
+        it("detects invalid and short secrets", function () {
+            chai.assert.include(Otp.validate(Object.assign({}, TOKEN, {secret: "not base32!"})), "otpErrorSecretInvalid");
+            chai.assert.include(Otp.validate(Object.assign({}, TOKEN, {secret: "JBSWY3DPEHPK3PXP"})), "otpErrorSecretTooShort");
+            chai.assert.include(Otp.validate(Object.assign({}, TOKEN, {secret: ""})), "otpErrorSecretMissing");
+        });
+
+        it("detects colons in the issuer and missing accounts", function () {
+            const problems = Otp.validate(Object.assign({}, TOKEN, {issuer: "a:b", account: ""}));
+
+            chai.assert.include(problems, "otpErrorIssuerColon");
+            chai.assert.include(problems, "otpErrorAccountMissing");
+        });
+
+        it("checks period and counter depending on the type", function () {
+            chai.assert.include(Otp.validate(Object.assign({}, TOKEN, {period: "0"})), "otpErrorInvalidPeriod");
+            chai.assert.include(Otp.validate(Object.assign({}, TOKEN, {type: "hotp", counter: "-1"})), "otpErrorInvalidCounter");
+        });
+    });
+});
@@ -0,0 +1,141 @@
+import "https://unpkg.com/mocha@5.2.0/mocha.js"; /* globals mocha */
+import "https://unpkg.com/chai@4.1.2/chai.js"; /* globals chai */
+
+import * as Geo from "/popup/modules/Payload/Geo.js";
+import * as Phone from "/popup/modules/Payload/Phone.js";
+import * as Sms from "/popup/modules/Payload/Sms.js";
+import * as Email from "/popup/modules/Payload/Email.js";
+
+const MAIL = Object.freeze({
+    format: "mailto",
+    to: "jane@example.com, john@example.com",
+    subject: "Lunch?",
+    body: "Today at 12:00\nin the café"
+});
+
+describe("popup payload: quick actions", function () {
+    describe("Geo", function () {
+        describe("build()", function () {
+            it("builds the URI with optional altitude and label", function () {
+                chai.assert.strictEqual(Geo.build({latitude: "52.5163", longitude: "13.3777", altitude: "", query: ""}), "geo:52.5163,13.3777");
+                chai.assert.strictEqual(
+                    Geo.build({latitude: "52.5163", longitude: "13.3777", altitude: "34", query: "Brandenburg Gate & more"}),
+                    "geo:52.5163,13.3777,34?q=Brandenburg%20Gate%20%26%20more"
+                );
+            });
+        });
+
+        describe("parse()", function () {
+            it("returns null for other text", function () {
+                chai.assert.isNull(Geo.parse("https://example.com"));
+            });
+
+            it("round-trips locations and ignores parameters", function () {
+                const location = {latitude: "-33.8568", longitude: "151.2153", altitude: "", query: "Sydney Opera House"};
+
+                chai.assert.deepEqual(Geo.parse(Geo.build(location)), location);
+                chai.assert.deepEqual(Geo.parse("geo:48.2010,16.3695;u=35"), {latitude: "48.2010", longitude: "16.3695", altitude: "", query: ""});
+            });
+        });
+
+        describe("validate()", function () {
+            it("checks the coordinate ranges", function () {
+                chai.assert.isEmpty(Geo.validate({latitude: "90", longitude: "-180", altitude: "-10.5", query: ""}));
+                chai.assert.include(Geo.validate({latitude: "91", longitude: "0", altitude: "", query: ""}), "geoErrorInvalidLatitude");
+                chai.assert.include(Geo.validate({latitude: "0", longitude: "1,5", altitude: "", query: ""}), "geoErrorInvalidLongitude");
+                chai.assert.include(Geo.validate({latitude: "0", longitude: "0", altitude: "high", query: ""}), "geoErrorInvalidAltitude");
+            });
+        });
+    });
+
+    describe("Phone", function () {
+        it("builds, parses and validates phone numbers", function () {
+            chai.assert.strictEqual(Phone.build({number: "+49 30 1234567"}), "tel:+49301234567");
+            chai.assert.deepEqual(Phone.parse("TEL:+49301234567;ext=12"), {number: "+49301234567"});
+            chai.assert.isNull(Phone.parse("sms:+49301234567"));
+            chai.assert.isEmpty(Phone.validate({number: "(030) 123-4567"}));
+            chai.assert.include(Phone.validate({number: "call me"}), "phoneErrorInvalidNumber");
+        });
+
+        it("percent-encodes # in the URI", function () {
+            chai.assert.strictEqual(Phone.build({number: "*31#123"}), "tel:*31%23123");
+            chai.assert.deepEqual(Phone.parse(Phone.build({number: "*31#123"})), {number: "*31#123"});
+        });
+    });
+
+    describe("Sms", function () {
+        describe("build()", function () {
+            it("percent-encodes the body of sms: URIs", function () {
+                chai.assert.strictEqual(
+                    Sms.build({format: Sms.FORMAT.SMS, number: "+41 79 123 45 67", message: "Hi & bye\n100%"}),
+                    "sms:+41791234567?body=Hi%20%26%20bye%0D%0A100%25"
+                );
+            });
+
+            it("percent-encodes # in the number of sms: URIs", function () {
+                const sms = {format: Sms.FORMAT.SMS, number: "*31#123", message: ""};
+
+                chai.assert.strictEqual(Sms.build(sms), "sms:*31%23123");
+                chai.assert.deepEqual(Sms.parse(Sms.build(sms)), sms);
+            });
+
+            it("keeps the message of SMSTO: as it is", function () {
+                chai.assert.strictEqual(Sms.build({format: Sms.FORMAT.SMSTO, number: "12345", message: "a: b"}), "SMSTO:12345:a: b");
+            });
+        });
+
+        describe("parse()", function () {
+            it("round-trips both formats", function () {
+                const sms = {format: Sms.FORMAT.SMS, number: "+41791234567", message: "Hi & bye\n100%"};
+                const smsto = {format: Sms.FORMAT.SMSTO, number: "12345", message: "a: b"};
+
+                chai.assert.deepEqual(Sms.parse(Sms.build(sms)), sms);
+                chai.assert.deepEqual(Sms.parse(Sms.build(smsto)), smsto);
+            });
+
+            it("uses the first of multiple recipients", function () {
+                chai.assert.strictEqual(Sms.parse("sms:12345,67890?body=x").number, "12345");
+            });
+        });
+    });
+
+    describe("Email", function () {
+        describe("build()", function () {
+            it("builds mailto: URIs with encoded subject and body", function () {
+                chai.assert.strictEqual(
+                    Email.build(MAIL),
+                    "mailto:jane@example.com,john@example.com?subject=Lunch%3F&body=Today%20at%2012%3A00%0D%0Ain%20the%20caf%C3%A9"
+                );
+            });
+
+            it("escapes the fields of MATMSG", function () {
+                chai.assert.strictEqual(
+                    Email.build({format: Email.FORMAT.MATMSG, to: "jane@example.com", subject: "a;b", body: "c:d"}),
+                    "MATMSG:TO:jane@example.com;SUB:a\\;b;BODY:c\\:d;;"
+                );
+            });
+        });
+
+        describe("parse()", function () {
+            it("returns null for other text", function () {
+                chai.assert.isNull(Email.parse("jane@example.com"));
+            });
+
+            it("round-trips both formats", function () {
+                const matmsg = {format: Email.FORMAT.MATMSG, to: "jane@example.com", subject: "a;b", body: "c:d, \"e\""};
+
+                chai.assert.deepEqual(Email.parse(Email.build(MAIL)), MAIL);
+                chai.assert.deepEqual(Email.parse(Email.build(matmsg)), matmsg);
+            });
+        });
+
+        describe("validate()", function () {
+            it("checks the recipients", function () {
+                chai.assert.isEmpty(Email.validate(MAIL));
+                chai.assert.include(Email.validate(Object.assign({}, MAIL, {to: ""})), "emailErrorRecipientMissing");
+                chai.assert.include(Email.validate(Object.assign({}, MAIL, {to: "jane"})), "emailErrorInvalidAddress");
+                chai.assert.include(Email.validate(Object.assign({}, MAIL, {format: Email.FORMAT.MATMSG})), "emailErrorMatMsgSingleRecipient");
+            });
+        });
+    });
+});
@@ -0,0 +1,128 @@
+import "https://unpkg.com/mocha@5.2.0/mocha.js"; /* globals mocha */
+import "https://unpkg.com/chai@4.1.2/chai.js"; /* globals chai */
+
+import * as SwissQrBill from "/popup/modules/Payload/SwissQrBill.js";
+
+const QR_IBAN = "CH4431999123000889012";
+const IBAN = "CH9300762011623852957";
+const QR_REFERENCE = "210000000003139471430009017";
+const CREDITOR_REFERENCE = "RF18539007547034";
+
+const BILL = Object.freeze({
+    iban: QR_IBAN,
+    amount: "1949.75",
+    currency: "CHF",
+    reference: QR_REFERENCE,
+    message: "Order of 15 June 2020",
+    creditorName: "Robert Schneider AG",
+    creditorStreet: "Rue du Lac",
+    creditorHouseNumber: "1268",
+    creditorPostalCode: "2501",
+    creditorTown: "Biel",
+    creditorCountry: "CH",
+    debtorName: "",
+    debtorStreet: "",
+    debtorHouseNumber: "",
+    debtorPostalCode: "",
+    debtorTown: "",
+    debtorCountry: ""
+});
+
+describe("popup payload: SwissQrBill", function () {
+    describe("constants", function () {
+        it("require error correction level M, the Swiss cross and 46 mm", function () {
+            chai.assert.strictEqual(SwissQrBill.ERROR_CORRECTION, "M");
+            chai.assert.strictEqual(SwissQrBill.OVERLAY, "swissCross");
+            chai.assert.strictEqual(SwissQrBill.PRINT_SIZE, 46);
+        });
+    });
+
+    describe("reference checks", function () {
+        it("detects QR-IBANs", function () {
+            chai.assert.isTrue(SwissQrBill.isQrIban(QR_IBAN));
+            chai.assert.isFalse(SwissQrBill.isQrIban(IBAN));
+        });
+
+        it("validates QR references", function () {
+            chai.assert.isTrue(SwissQrBill.isValidQrReference("21 00000 00003 13947 14300 09017"));
+            chai.assert.isFalse(SwissQrBill.isValidQrReference("210000000003139471430009018"));
+        });
+
+        it("validates creditor references", function () {
+            chai.assert.isTrue(SwissQrBill.isValidCreditorReference(CREDITOR_REFERENCE));
+            chai.assert.isFalse(SwissQrBill.isValidCreditorReference("RF19539007547034"));
+        });
+    });
+
+    describe("build()", function () {
+        it("builds the 31 lines with empty ultimate creditor and debtor", function () {
+            const lines = SwissQrBill.build(BILL).split("\n");
+
+            chai.assert.lengthOf(lines, 31);
+            chai.assert.deepEqual(lines.slice(0, 11), ["SPC", "0200", "1", QR_IBAN, "S", "Robert Schneider AG", "Rue du Lac", "1268", "2501", "Biel", "CH"]);
+            chai.assert.deepEqual(lines.slice(11, 18), ["", "", "", "", "", "", ""]);
+            chai.assert.deepEqual(lines.slice(18, 20), ["1949.75", "CHF"]);
+            chai.assert.deepEqual(lines.slice(20, 27), ["", "", "", "", "", "", ""]);
+            chai.assert.deepEqual(lines.slice(27), ["QRR", QR_REFERENCE, "Order of 15 June 2020", "EPD"]);
+        });
+
+        it("formats the amount with two decimal places", function () {
+            const getAmount = (amount) => SwissQrBill.build(Object.assign({}, BILL, {amount})).split("\n")[18];
+
+            chai.assert.strictEqual(getAmount("100"), "100.00");
+            chai.assert.strictEqual(getAmount("12,5"), "12.50");
+            chai.assert.strictEqual(getAmount(""), "");
+        });
+
+        it("derives the reference type", function () {
+            chai.assert.include(SwissQrBill.build(Object.assign({}, BILL, {iban: IBAN, reference: CREDITOR_REFERENCE})), `\nSCOR\n${CREDITOR_REFERENCE}\n`);
+            chai.assert.include(SwissQrBill.build(Object.assign({}, BILL, {iban: IBAN, reference: ""})), "\nNON\n\n");
+        });
+    });
+
+    describe("parse()", function () {
+        it("returns null for other text", function () {
+            chai.assert.isNull(SwissQrBill.parse("BCD\n002\n1\nSCT"));
+        });
+
+        it("round-trips the bill with a debtor", function () {
+            const bill = Object.assign({}, BILL, {
+                debtorName: "Pia-Maria Rutschmann-Schnyder",
+                debtorStreet: "Grosse Marktgasse",
+                debtorHouseNumber: "28",
+                debtorPostalCode: "9400",
+                debtorTown: "Rorschach",
+                debtorCountry: "CH"
+            });
+
+            chai.assert.deepEqual(SwissQrBill.parse(SwissQrBill.build(bill)), bill);
+        });
+    });
+
+    describe("validate()", function () {
+        it("accepts valid data", function () {
+            chai.assert.isEmpty(SwissQrBill.validate(BILL));
+            chai.assert.isEmpty(SwissQrBill.validate(Object.assign({}, BILL, {iban: IBAN, reference: CREDITOR_REFERENCE})));
+        });
+
+        it("rejects foreign IBANs", function () {
+            chai.assert.include(SwissQrBill.validate(Object.assign({}, BILL, {iban: "DE89370400440532013000"})), "swissQrBillErrorInvalidIban");
+        });
+
+        it("matches the reference type to the IBAN type", function () {
+            chai.assert.include(SwissQrBill.validate(Object.assign({}, BILL, {reference: ""})), "swissQrBillErrorQrIbanNeedsQrReference");
+            chai.assert.include(SwissQrBill.validate(Object.assign({}, BILL, {iban: IBAN})), "swissQrBillErrorQrReferenceNeedsQrIban");
+        });
+
+        it("detects invalid references", function () {
+            chai.assert.include(SwissQrBill.validate(Object.assign({}, BILL, {reference: "210000000003139471430009018"})), "swissQrBillErrorInvalidQrReference");
+            chai.assert.include(SwissQrBill.validate(Object.assign({}, BILL, {iban: IBAN, reference: "RF00539007547034"})), "swissQrBillErrorInvalidCreditorReference");
+        });
+
+        it("requires complete addresses", function () {
+            chai.assert.include(SwissQrBill.validate(Object.assign({}, BILL, {creditorTown: ""})), "swissQrBillErrorCreditorIncomplete");
+            chai.assert.include(SwissQrBill.validate(Object.assign({}, BILL, {debtorName: "Someone"})), "swissQrBillErrorDebtorIncomplete");
+            chai.assert.include(SwissQrBill.validate(Object.assign({}, BILL, {creditorCountry: "C1"})), "swissQrBillErrorInvalidCountry");
+        });
+    });
+});
@@ -0,0 +1,91 @@
+import "https://unpkg.com/mocha@5.2.0/mocha.js"; /* globals mocha */
+import "https://unpkg.com/chai@4.1.2/chai.js"; /* globals chai */
+
+import * as Wifi from "/popup/modules/Payload/Wifi.js";
+
+describe("popup payload: Wifi", function () {
+    describe("SECURITY_TYPE", function () {
+        it("is frozen", function () {
+            chai.assert.isFrozen(Wifi.SECURITY_TYPE);
+        });
+    });
+
+    describe("build()", function () {
+        it("builds WPA payload", function () {
+            chai.assert.strictEqual(
+                Wifi.build({ssid: "Guests", security: "WPA", password: "secret123", hidden: false}),
+                "WIFI:T:WPA;S:Guests;P:secret123;;"
+            );
+        });
+
+        it("escapes special characters", function () {
+            chai.assert.strictEqual(
+                Wifi.build({ssid: "a;b,c:d", security: "WPA", password: "p\\a\"ss", hidden: false}),
+                "WIFI:T:WPA;S:a\\;b\\,c\\:d;P:p\\\\a\\\"ss;;"
+            );
+        });
+
+        it("quotes values that look like hex numbers", function () {
+            chai.assert.strictEqual(
+                Wifi.build({ssid: "cafe", security: "WPA", password: "12345678", hidden: false}),
+                "WIFI:T:WPA;S:\"cafe\";P:\"12345678\";;"
+            );
+        });
+
+        it("omits password for open networks", function () {
+            chai.assert.strictEqual(
+                Wifi.build({ssid: "Open", security: "nopass", password: "ignored", hidden: false}),
+                "WIFI:T:nopass;S:Open;;"
+            );
+        });
+
+        it("adds hidden flag", function () {
+            chai.assert.strictEqual(
+                Wifi.build({ssid: "Secret", security: "SAE", password: "password", hidden: true}),
+                "WIFI:T:SAE;S:Secret;P:password;H:true;;"
+            );
+        });
+    });
+
+    describe("parse()", function () {
+        it("returns null for other text", function () {
+            chai.assert.isNull(Wifi.parse("https://example.com"));
+        });
+
+        it("parses fields in any order", function () {
+            chai.assert.deepEqual(Wifi.parse("WIFI:S:Guests;H:true;P:secret123;T:WPA;;"), {
+                ssid: "Guests",
+                security: "WPA",
+                password: "secret123",
+                hidden: true
+            });
+        });
+
+        it("accepts WPA3 as an alias for SAE", function () {
+            chai.assert.strictEqual(Wifi.parse("WIFI:T:WPA3;S:x;P:password;;").security, "SAE");
+        });
+
+        it("round-trips escaped and quoted values", function () {
+            const data = {ssid: "a;b,c:d\\\"e", security: "WEP", password: "abcde", hidden: false};
+
+            chai.assert.deepEqual(Wifi.parse(Wifi.build(data)), data);
+            chai.assert.deepEqual(Wifi.parse(Wifi.build({ssid: "beef", security: "WPA", password: "0123456789", hidden: false})).ssid, "beef");
+        });
+    });
+
+    describe("validate()", function () {
+        it("accepts valid data", function () {
+            chai.assert.isEmpty(Wifi.validate({ssid: "Guests", security: "WPA", password: "secret123", hidden: false}));
+            chai.assert.isEmpty(Wifi.validate({ssid: "Open", security: "nopass", password: "", hidden: false}));
+        });
+
+        it("detects missing SSID", function () {
+            chai.assert.include(Wifi.validate({ssid: "", security: "nopass", password: "", hidden: false}), "wifiErrorSsidMissing");
+        });
+
+        it("detects invalid password lengths", function () {
+            chai.assert.include(Wifi.validate({ssid: "x", security: "WPA", password: "short", hidden: false}), "wifiErrorWpaPasswordLength");
+            chai.assert.include(Wifi.validate({ssid: "x", security: "WEP", password: "123456", hidden: false}), "wifiErrorWepPasswordLength");
+        });
+    });
+});
@@ -0,0 +1,130 @@
+import "https://unpkg.com/mocha@5.2.0/mocha.js"; /* globals mocha */
+import "https://unpkg.com/chai@4.1.2/chai.js"; /* globals chai */
+/* globals qrcodegen */
+
+import * as QrCodeStyle from "/common/modules/QrCodeStyle.js";
+
+const QRC = qrcodegen.QrCode;
+const COLOR = "#0c0c0d";
+
+/**
+ * Returns the fill and the path data of the paths in the SVG.
+ *
+ * @function
+ * @param {string} svgString
+ * @returns {Array.<{fill: string, d: string}>}
+ */
+function getPaths(svgString) {
+    return svgString.match(/<path d="[^"]*" fill="[^"]*"/g).map((path) => {
+        const [, d, fill] = /d="([^"]*)" fill="([^"]*)"/.exec(path);
+        return {fill, d};
+    });
+}
+
+describe("common module: QrCodeStyle", function () {
+    describe("getSvgString()", function () {
+        it("draws plain QR codes like qrcodegen", function () {
+            const qrCode = QRC.encodeText("https://example.com", QRC.Ecc.MEDIUM);
+            const paths = getPaths(QrCodeStyle.getSvgString(qrCode, 4, COLOR));
+
+            // the modules of the three finder patterns are drawn as rings and pupils
+            const finderModuleCount = 3 * (7 * 7 - 5 * 5 + 3 * 3);
+            const darkModuleCount = (qrCode.toSvgString(4).match(/h1v1h-1z/g) || []).length;
+            chai.assert.lengthOf(paths[0].d.match(/h1v1h-1z/g), darkModuleCount - finderModuleCount);
+            chai.assert.isTrue(paths.every((path) => path.fill === COLOR));
+        });
+
+        it("offsets all shapes by the quiet zone", function () {
+            const qrCode = QRC.encodeText("a", QRC.Ecc.LOW);
+            const paths = getPaths(QrCodeStyle.getSvgString(qrCode, 2, COLOR));
+
+            chai.assert.match(paths[1].d, /^M2,2h7v7h-7v-7z/);
+            chai.assert.match(paths[2].d, /^M4,4h3v3h-3v-3z/);
+        });
+
+        it("draws the finder patterns with their own shapes and colors", function () {
+            const qrCode = QRC.encodeText("a", QRC.Ecc.LOW);
+            const style = Object.assign({}, QrCodeStyle.DEFAULT_STYLE, {
+                finderShape: QrCodeStyle.FINDER_SHAPE.CIRCLE,
+                finderInnerShape: QrCodeStyle.FINDER_SHAPE.ROUNDED,
+                finderColor: "#ff0000",
+                finderInnerColor: "#00ff00"
+            });
+            const paths = getPaths(QrCodeStyle.getSvgString(qrCode, 0, COLOR, style));
+
+            chai.assert.strictEqual(paths[1].fill, "#ff0000");
+            chai.assert.strictEqual(paths[2].fill, "#00ff00");
+            chai.assert.match(paths[1].d, /^M3.5,0h0a3.5,3.5 0 0 1 3.5,3.5/);
+            chai.assert.match(paths[2].d, /^M3,2h1a1,1 0 0 1 1,1/);
+        });
+
+        it("only rounds the outer corners of liquid modules", function () {
+            const qrCode = {
+                size: 21,
+                getModule: (x, y) => y === 10 && (x === 10 || x === 11)
+            };
+            const style = Object.assign({}, QrCodeStyle.DEFAULT_STYLE, {moduleShape: QrCodeStyle.MODULE_SHAPE.LIQUID});
+            const paths = getPaths(QrCodeStyle.getSvgString(qrCode, 0, COLOR, style));
+
+            chai.assert.strictEqual(paths[0].d,
+                "M10.5,10h0.5v1h-0.5a0.5,0.5 0 0 1 -0.5,-0.5v0a0.5,0.5 0 0 1 0.5,-0.5z" +
+                "M11,10h0.5a0.5,0.5 0 0 1 0.5,0.5v0a0.5,0.5 0 0 1 -0.5,0.5h-0.5v-1z");
+        });
+
+        it("fills the modules with a gradient spanning the symbol", function () {
+            const qrCode = QRC.encodeText("a", QRC.Ecc.LOW);
+            const style = Object.assign({}, QrCodeStyle.DEFAULT_STYLE, {gradient: QrCodeStyle.GRADIENT.LINEAR});
+            const svgString = QrCodeStyle.getSvgString(qrCode, 1, COLOR, style);
+
+            chai.assert.include(svgString, `<linearGradient id="qrCodeGradient" gradientUnits="userSpaceOnUse" x1="1" y1="1" x2="22" y2="22"><stop offset="0" stop-color="${COLOR}"/>`);
+            chai.assert.isTrue(getPaths(svgString).every((path) => path.fill === "url(#qrCodeGradient)"));
+        });
+    });
+
+    describe("getPaths()", function () {
+        it("returns the same paths as the SVG", function () {
+            const qrCode = QRC.encodeText("https://example.com", QRC.Ecc.MEDIUM);
+            const style = Object.assign({}, QrCodeStyle.DEFAULT_STYLE, {moduleShape: QrCodeStyle.MODULE_SHAPE.DOT});
+            const paths = QrCodeStyle.getPaths(qrCode, 4, style);
+            const svgPaths = getPaths(QrCodeStyle.getSvgString(qrCode, 4, COLOR, style));
+
+            chai.assert.deepEqual([paths.modules, paths.finderOuter, paths.finderInner], svgPaths.map((path) => path.d));
+        });
+    });
+
+    describe("getGradient()", function () {
+        it("returns null without a gradient", function () {
+            chai.assert.isNull(QrCodeStyle.getGradient(21, COLOR, QrCodeStyle.DEFAULT_STYLE, 4));
+        });
+
+        it("centers radial gradients on the symbol", function () {
+            const style = Object.assign({}, QrCodeStyle.DEFAULT_STYLE, {gradient: QrCodeStyle.GRADIENT.RADIAL, gradientColor: "#0000ff"});
+            const gradient = QrCodeStyle.getGradient(20, COLOR, style, 2);
+
+            chai.assert.include(gradient, {type: "radial", startColor: COLOR, endColor: "#0000ff", cx: 12, cy: 12});
+            chai.assert.closeTo(gradient.r, 20 / Math.SQRT2, 1e-9);
+        });
+    });
+
+    describe("isValid()", function () {
+        it("accepts the styles of the settings", function () {
+            chai.assert.isTrue(QrCodeStyle.isValid(QrCodeStyle.DEFAULT_STYLE));
+            chai.assert.isTrue(QrCodeStyle.isValid(QrCodeStyle.fromSettings({
+                qrModuleStyle: "liquid",
+                qrFinderStyle: "circle",
+                qrFinderInnerStyle: "rounded",
+                qrFinderCustomColors: true,
+                qrFinderColor: "#ff0000",
+                qrFinderInnerColor: "#00ff00",
+                qrGradient: "radial",
+                qrGradientColor: "#0000ff"
+            })));
+        });
+
+        it("rejects unknown shapes", function () {
+            chai.assert.isFalse(QrCodeStyle.isValid(null));
+            chai.assert.isFalse(QrCodeStyle.isValid(Object.assign({}, QrCodeStyle.DEFAULT_STYLE, {moduleShape: "star"})));
+            chai.assert.isFalse(QrCodeStyle.isValid(Object.assign({}, QrCodeStyle.DEFAULT_STYLE, {gradient: "conic"})));
+        });
+    });
+});
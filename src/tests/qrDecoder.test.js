@@ -0,0 +1,232 @@
+import "https://unpkg.com/mocha@5.2.0/mocha.js"; /* globals mocha */
+import "https://unpkg.com/chai@4.1.2/chai.js"; /* globals chai */
+/* globals qrcodegen */
+
+import * as QrDecoder from "/common/modules/QrDecoder/QrDecoder.js";
+import * as ReedSolomon from "/common/modules/QrDecoder/internal/ReedSolomon.js";
+import * as StructuredAppend from "/popup/modules/QrLib/StructuredAppend.js";
+import * as Segmenter from "/popup/modules/QrLib/Segmenter.js";
+
+const DARK = 20;
+const LIGHT = 235;
+
+/**
+ * Returns an empty light image.
+ *
+ * @function
+ * @private
+ * @param {int} width
+ * @param {int} height
+ * @returns {ImageData}
+ */
+function createImage(width, height) {
+    return {
+        width: width,
+        height: height,
+        data: new Uint8ClampedArray(width * height * 4).fill(LIGHT)
+    };
+}
+
+/**
+ * Draws a QR code into the image, optionally rotated around its center.
+ *
+ * @function
+ * @private
+ * @param {ImageData} image
+ * @param {qrcodegen.QrCode} qrCode
+ * @param {Object} options
+ * @param {int} options.left
+ * @param {int} options.top
+ * @param {number} options.scale the size of a module in pixels
+ * @param {number} [options.angle=0] in radians
+ * @param {Set.<string>} [options.flipped] modules drawn in the wrong colour,
+ * as "x,y"
+ * @returns {void}
+ */
+function drawQrCode(image, qrCode, {left, top, scale, angle = 0, flipped = new Set()}) {
+    // including a quiet zone of 4 modules
+    const size = (qrCode.size + 8) * scale;
+    const center = size / 2;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+
+    // rotated QR codes exceed their unrotated bounds
+    for (let y = 0; y < image.height; y++) {
+        for (let x = 0; x < image.width; x++) {
+            const dx = x - left + 0.5 - center;
+            const dy = y - top + 0.5 - center;
+            const codeX = cos * dx + sin * dy + center;
+            const codeY = -sin * dx + cos * dy + center;
+            if (codeX < 0 || codeY < 0 || codeX >= size || codeY >= size) {
+                continue;
+            }
+
+            const moduleX = Math.floor(codeX / scale) - 4;
+            const moduleY = Math.floor(codeY / scale) - 4;
+            const dark = Boolean(qrCode.getModule(moduleX, moduleY)) !== flipped.has(`${moduleX},${moduleY}`);
+            const index = (y * image.width + x) * 4;
+            image.data.fill(dark ? DARK : LIGHT, index, index + 3);
+        }
+    }
+}
+
+/**
+ * Returns an image containing only the QR code.
+ *
+ * @function
+ * @private
+ * @param {qrcodegen.QrCode} qrCode
+ * @param {number} scale
+ * @param {Object} [options] passed to {@link drawQrCode}
+ * @returns {ImageData}
+ */
+function getImage(qrCode, scale, options = {}) {
+    // rotated QR codes need more space
+    const size = Math.ceil((qrCode.size + 8) * scale * Math.SQRT2);
+    const image = createImage(size, size);
+    const offset = Math.floor((size - (qrCode.size + 8) * scale) / 2);
+    drawQrCode(image, qrCode, Object.assign({left: offset, top: offset, scale: scale}, options));
+
+    return image;
+}
+
+describe("common module: QrDecoder", function () {
+    describe("ReedSolomon", function () {
+        // "hello" in a version 1-L QR code, the data and 7 error correction codewords
+        const getCodewords = () => Uint8Array.from([
+            0x40, 0x56, 0x86, 0x56, 0xC6, 0xC6, 0xF0, 0xEC, 0x11, 0xEC,
+            0x11, 0xEC, 0x11, 0xEC, 0x11, 0xEC, 0x11, 0xEC, 0x11,
+            0x25, 0x19, 0xD0, 0xD2, 0x68, 0x59, 0x39
+        ]);
+
+        it("does not change valid codewords", function () {
+            const codewords = getCodewords();
+
+            chai.assert.strictEqual(ReedSolomon.correct(codewords, 7), 0);
+            chai.assert.deepEqual(codewords, getCodewords());
+        });
+
+        it("corrects up to half as many errors as error correction codewords", function () {
+            const codewords = getCodewords();
+            codewords[0] ^= 0xFF;
+            codewords[10] ^= 0x01;
+            codewords[25] ^= 0x80;
+
+            chai.assert.strictEqual(ReedSolomon.correct(codewords, 7), 3);
+            chai.assert.deepEqual(codewords, getCodewords());
+        });
+
+        it("throws for too many errors", function () {
+            const codewords = getCodewords();
+            for (const index of [1, 3, 5, 7, 9]) {
+                codewords[index] ^= 0x55;
+            }
+
+            chai.assert.throws(() => ReedSolomon.correct(codewords, 7));
+        });
+    });
+
+    describe("decode()", function () {
+        it("decodes a small QR code", function () {
+            const qrCode = qrcodegen.QrCode.encodeText("hello", qrcodegen.QrCode.Ecc.MEDIUM);
+            const results = QrDecoder.decode(getImage(qrCode, 4));
+
+            chai.assert.lengthOf(results, 1);
+            chai.assert.strictEqual(results[0].text, "hello");
+            chai.assert.strictEqual(results[0].version, qrCode.version);
+            chai.assert.strictEqual(results[0].mask, qrCode.mask);
+            chai.assert.strictEqual(results[0].errorCorrection, "H");
+            chai.assert.deepEqual(results[0].segments, [{mode: "BYTE", text: "hello"}]);
+            chai.assert.isNull(results[0].structuredAppend);
+        });
+
+        it("decodes QR codes with one pixel per module", function () {
+            const text = "Grüße 😀";
+            const qrCode = qrcodegen.QrCode.encodeText(text, qrcodegen.QrCode.Ecc.LOW);
+
+            chai.assert.strictEqual(QrDecoder.decode(getImage(qrCode, 1))[0].text, text);
+        });
+
+        it("decodes all modes of segments", function () {
+            const text = "HTTPS://EXAMPLE.ORG/1234567890123/path";
+            const qrCode = Segmenter.encodeText(text, qrcodegen.QrCode.Ecc.QUARTILE, 1, 40, -1, false);
+            const result = QrDecoder.decode(getImage(qrCode, 3))[0];
+
+            chai.assert.strictEqual(result.text, text);
+            chai.assert.deepEqual(result.segments.map((segment) => segment.mode), ["ALPHANUMERIC", "NUMERIC", "BYTE"]);
+        });
+
+        it("decodes kanji", function () {
+            // encoded as Shift JIS: 0x935F 0xE4AA
+            const segment = new qrcodegen.QrSegment(qrcodegen.QrSegment.Mode.KANJI, 2, [
+                0, 1, 1, 0, 1, 1, 0, 0, 1, 1, 1, 1, 1,
+                1, 1, 0, 1, 0, 1, 0, 1, 0, 1, 0, 1, 0
+            ]);
+            const qrCode = qrcodegen.QrCode.encodeSegments([segment], qrcodegen.QrCode.Ecc.LOW);
+            const result = QrDecoder.decode(getImage(qrCode, 3))[0];
+
+            chai.assert.strictEqual(result.text, "点茗");
+            chai.assert.strictEqual(result.segments[0].mode, "KANJI");
+        });
+
+        it("decodes large rotated QR codes", function () {
+            const text = "x".repeat(1000);
+            const qrCode = qrcodegen.QrCode.encodeText(text, qrcodegen.QrCode.Ecc.MEDIUM);
+            const result = QrDecoder.decode(getImage(qrCode, 2, {angle: 0.4}))[0];
+
+            chai.assert.isAtLeast(qrCode.version, 7);
+            chai.assert.strictEqual(result.text, text);
+            chai.assert.strictEqual(result.version, qrCode.version);
+        });
+
+        it("corrects damaged modules", function () {
+            const qrCode = qrcodegen.QrCode.encodeText("damaged QR code", qrcodegen.QrCode.Ecc.HIGH);
+            const flipped = new Set(["10,10", "11,12", "12,14", "14,10", "16,16"]);
+            const result = QrDecoder.decode(getImage(qrCode, 3, {flipped}))[0];
+
+            chai.assert.strictEqual(result.text, "damaged QR code");
+            chai.assert.isAbove(result.correctedErrors, 0);
+        });
+
+        it("decodes Structured Append headers", function () {
+            const header = {index: 1, total: 3, parity: 0x5A};
+            const qrCode = Segmenter.encodeText("part", qrcodegen.QrCode.Ecc.LOW, 1, 40, -1, false, StructuredAppend.makeHeaderSegment(header));
+
+            chai.assert.deepEqual(QrDecoder.decode(getImage(qrCode, 3))[0].structuredAppend, header);
+        });
+
+        it("decodes several QR codes in one image", function () {
+            const first = qrcodegen.QrCode.encodeText("first", qrcodegen.QrCode.Ecc.LOW);
+            const second = qrcodegen.QrCode.encodeText("https://example.org/second", qrcodegen.QrCode.Ecc.LOW);
+            const image = createImage(300, 150);
+            drawQrCode(image, first, {left: 0, top: 0, scale: 4});
+            drawQrCode(image, second, {left: 150, top: 10, scale: 4});
+
+            const texts = QrDecoder.decode(image).map((result) => result.text);
+            chai.assert.sameMembers(texts, ["first", "https://example.org/second"]);
+        });
+
+        it("returns the location of the QR code", function () {
+            const qrCode = qrcodegen.QrCode.encodeText("hello", qrcodegen.QrCode.Ecc.LOW);
+            const image = createImage(200, 200);
+            drawQrCode(image, qrCode, {left: 20, top: 30, scale: 5});
+
+            const location = QrDecoder.decode(image)[0].location;
+            // the quiet zone is not part of the QR code
+            const expected = [[40, 50], [145, 50], [145, 155], [40, 155]];
+            location.forEach((point, index) => {
+                chai.assert.approximately(point.x, expected[index][0], 1);
+                chai.assert.approximately(point.y, expected[index][1], 1);
+            });
+        });
+
+        it("returns nothing for images without QR codes", function () {
+            const image = createImage(100, 100);
+            for (let i = 0; i < image.data.length; i += 4) {
+                image.data.fill((i * 7919) % 251, i, i + 3);
+            }
+
+            chai.assert.deepEqual(QrDecoder.decode(image), []);
+        });
+    });
+});
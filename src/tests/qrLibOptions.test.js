@@ -0,0 +1,120 @@
+import "https://unpkg.com/mocha@5.2.0/mocha.js"; /* globals mocha */
+import "https://unpkg.com/chai@4.1.2/chai.js"; /* globals chai */
+/* globals qrcodegen */
+
+import * as OptionValidator from "/popup/modules/QrLib/OptionValidator.js";
+import * as Penalty from "/popup/modules/QrLib/Penalty.js";
+import * as Overlay from "/popup/modules/QrLib/Overlay.js";
+import * as HalftoneRenderer from "/popup/modules/QrLib/Renderer/Halftone.js";
+import * as Colors from "/common/modules/Colors.js";
+
+const QRC = qrcodegen.QrCode;
+const TEXT = "https://example.com/abc?x=1";
+const LOGO = Object.freeze({
+    imageUrl: "data:image/png;base64,",
+    image: null,
+    aspectRatio: 2,
+    size: 20,
+    positionX: 50,
+    positionY: 50,
+    clearModules: true
+});
+const BLACK = [0, 0, 0];
+const WHITE = [255, 255, 255];
+
+describe("popup module: QrLib options", function () {
+    describe("validate()", function () {
+        it("accepts valid values", function () {
+            OptionValidator.validate("text", "");
+            OptionValidator.validate("qrErrorCorrection", "H");
+            OptionValidator.validate("qrQuietZone", 0);
+            OptionValidator.validate("overlay", null);
+            OptionValidator.validate("qrMinVersion", 1);
+            OptionValidator.validate("qrMaxVersion", 40);
+            OptionValidator.validate("qrMask", -1);
+            OptionValidator.validate("qrMask", 7);
+            OptionValidator.validate("qrBoostErrorCorrection", false);
+            OptionValidator.validate("logo", null);
+            OptionValidator.validate("logo", LOGO);
+            OptionValidator.validate("halftoneImage", null);
+            OptionValidator.validate("textFormat", "ascii");
+            OptionValidator.validate("textInvert", true);
+            OptionValidator.validate("textQuietZone", 0);
+            OptionValidator.validate("pngScale", 0);
+            OptionValidator.validate("pngDpi", 300);
+            OptionValidator.validate("pngTransparent", true);
+        });
+
+        it("rejects invalid values", function () {
+            chai.assert.throws(() => OptionValidator.validate("qrErrorCorrection", "X"), "qrErrorCorrection");
+            chai.assert.throws(() => OptionValidator.validate("qrQuietZone", -1));
+            chai.assert.throws(() => OptionValidator.validate("qrMinVersion", 0));
+            chai.assert.throws(() => OptionValidator.validate("qrMaxVersion", 41));
+            chai.assert.throws(() => OptionValidator.validate("qrMaxVersion", "40"));
+            chai.assert.throws(() => OptionValidator.validate("qrMask", 8));
+            chai.assert.throws(() => OptionValidator.validate("qrMask", 1.5));
+            chai.assert.throws(() => OptionValidator.validate("qrBoostErrorCorrection", "true"));
+            chai.assert.throws(() => OptionValidator.validate("text", null));
+            chai.assert.throws(() => OptionValidator.validate("logo", Object.assign({}, LOGO, {size: 0})));
+            chai.assert.throws(() => OptionValidator.validate("logo", Object.assign({}, LOGO, {positionX: 101})));
+            chai.assert.throws(() => OptionValidator.validate("halftoneImage", "data:image/png;base64,"));
+            chai.assert.throws(() => OptionValidator.validate("textFormat", "html"));
+            chai.assert.throws(() => OptionValidator.validate("textQuietZone", -1));
+            chai.assert.throws(() => OptionValidator.validate("pngSize", 0));
+            chai.assert.throws(() => OptionValidator.validate("pngDpi", 72.5));
+        });
+
+        it("rejects unknown tags", function () {
+            chai.assert.throws(() => OptionValidator.validate("ecLevel", "L"), "unknown tag");
+        });
+    });
+
+    describe("getLogoArea()", function () {
+        it("centers the logo with its aspect ratio", function () {
+            chai.assert.deepEqual(Overlay.getLogoArea(LOGO, 100), {x: 40, y: 45, width: 20, height: 10});
+        });
+
+        it("moves the logo to the edges", function () {
+            const logo = Object.assign({}, LOGO, {aspectRatio: 0.5, positionX: 0, positionY: 100});
+
+            chai.assert.deepEqual(Overlay.getLogoArea(logo, 100), {x: 0, y: 80, width: 10, height: 20});
+        });
+    });
+
+    describe("getLogoCoverage()", function () {
+        it("returns the covered share of the symbol", function () {
+            chai.assert.closeTo(Overlay.getLogoCoverage(LOGO), 0.02, 1e-9);
+            chai.assert.isAbove(Overlay.getLogoCoverage(Object.assign({}, LOGO, {size: 40, aspectRatio: 1})), Overlay.RECOVERABLE_SHARE.M);
+        });
+    });
+
+    describe("getDotColor()", function () {
+        it("keeps colors of the image with enough contrast", function () {
+            chai.assert.deepEqual(HalftoneRenderer.getDotColor([20, 0, 40], true, BLACK, WHITE), [20, 0, 40]);
+            chai.assert.deepEqual(HalftoneRenderer.getDotColor([250, 240, 200], false, BLACK, WHITE), [250, 240, 200]);
+        });
+
+        it("moves colors towards the module color until they have enough contrast", function () {
+            const darkDot = HalftoneRenderer.getDotColor([200, 60, 60], true, BLACK, WHITE);
+            const lightDot = HalftoneRenderer.getDotColor([200, 60, 60], false, BLACK, WHITE);
+
+            chai.assert.isAtLeast(Colors.contrastRatio(darkDot, WHITE), Colors.CONTRAST_RATIO.SMALL_AAA);
+            chai.assert.isAtLeast(Colors.contrastRatio(lightDot, BLACK), Colors.CONTRAST_RATIO.SMALL_AAA);
+            chai.assert.isAbove(darkDot[0], 0, "keeps the hue of the image");
+        });
+
+        it("uses the module color, if the module colors have too little contrast", function () {
+            chai.assert.deepEqual(HalftoneRenderer.getDotColor(WHITE, true, [128, 128, 128], WHITE), [128, 128, 128]);
+        });
+    });
+
+    describe("getPenaltyScore()", function () {
+        it("is lowest for the automatically chosen mask", function () {
+            const segments = qrcodegen.QrSegment.makeSegments(TEXT);
+            const scores = [0, 1, 2, 3, 4, 5, 6, 7].map((mask) => Penalty.getPenaltyScore(QRC.encodeSegments(segments, QRC.Ecc.MEDIUM, 1, 40, mask)));
+            const automatic = QRC.encodeSegments(segments, QRC.Ecc.MEDIUM);
+
+            chai.assert.strictEqual(scores.indexOf(Math.min(...scores)), automatic.mask);
+        });
+    });
+});
@@ -0,0 +1,156 @@
+import "https://unpkg.com/mocha@5.2.0/mocha.js"; /* globals mocha */
+import "https://unpkg.com/chai@4.1.2/chai.js"; /* globals chai */
+
+import * as Encoder from "/popup/modules/QrLib/Encoder.js";
+import * as TextRenderer from "/popup/modules/QrLib/Renderer/Text.js";
+import * as PngRenderer from "/popup/modules/QrLib/Renderer/Png.js";
+
+/**
+ * Returns a module matrix, which only has the given dark modules.
+ *
+ * @function
+ * @param {int} size
+ * @param {Array.<int[]>} darkModules the x and y coordinates
+ * @returns {Object}
+ */
+function getMatrix(size, darkModules) {
+    return {
+        size: size,
+        getModule: (x, y) => darkModules.some(([darkX, darkY]) => darkX === x && darkY === y)
+    };
+}
+
+describe("popup module: QrLib renderers", function () {
+    afterEach(function () {
+        Encoder.set("text", "");
+        Encoder.set("qrErrorCorrection", "M");
+    });
+
+    describe("Encoder", function () {
+        it("encodes the text with the error correction level set", function () {
+            Encoder.set("text", "https://example.com");
+            Encoder.set("qrErrorCorrection", "H");
+            const qrCode = Encoder.encode();
+
+            const symbolInfo = Encoder.getSymbolInfo();
+
+            chai.assert.strictEqual(symbolInfo.errorCorrection, "H");
+            chai.assert.strictEqual(qrCode.size, 4 * symbolInfo.version + 17);
+        });
+
+        it("rejects options, which only change the rendering", function () {
+            chai.assert.throws(() => Encoder.set("qrColor", "#000000"), Error);
+        });
+    });
+
+    describe("Text", function () {
+        /**
+         * Returns the options for the text renderer.
+         *
+         * @function
+         * @param {Object} options overwrites the defaults
+         * @returns {Object}
+         */
+        function getTextOptions(options) {
+            return Object.assign({
+                qrColor: "#000000",
+                qrBackgroundColor: "#ffffff",
+                textFormat: TextRenderer.FORMAT.UNICODE,
+                textInvert: false,
+                textQuietZone: 0
+            }, options);
+        }
+
+        it("draws two modules per character", function () {
+            const qrCode = getMatrix(2, [[0, 0], [0, 1], [1, 1]]);
+
+            chai.assert.strictEqual(TextRenderer.render(qrCode, getTextOptions()), "█▄");
+        });
+
+        it("adds the quiet zone", function () {
+            const qrCode = getMatrix(1, [[0, 0]]);
+
+            chai.assert.strictEqual(TextRenderer.render(qrCode, getTextOptions({textQuietZone: 1})), " ▄ \n   ");
+        });
+
+        it("has a line for every two rows of the QR code", function () {
+            Encoder.set("text", "a");
+            const lines = TextRenderer.render(Encoder.encode(), getTextOptions({textQuietZone: 4})).split("\n");
+
+            chai.assert.lengthOf(lines, Math.ceil((21 + 8) / 2));
+            chai.assert.isTrue(lines.every((line) => line.length === 21 + 8));
+        });
+
+        it("draws the light modules when inverted", function () {
+            const qrCode = getMatrix(2, [[0, 0], [0, 1], [1, 1]]);
+
+            chai.assert.strictEqual(TextRenderer.render(qrCode, getTextOptions({textInvert: true})), " ▀");
+        });
+
+        it("draws each module with two ASCII characters", function () {
+            const qrCode = getMatrix(2, [[0, 0], [1, 1]]);
+
+            chai.assert.strictEqual(TextRenderer.render(qrCode, getTextOptions({textFormat: TextRenderer.FORMAT.ASCII})), "##  \n  ##");
+        });
+
+        it("colors the modules with ANSI escape codes", function () {
+            const qrCode = getMatrix(1, [[0, 0]]);
+            const text = TextRenderer.render(qrCode, getTextOptions({
+                textFormat: TextRenderer.FORMAT.ANSI,
+                qrColor: "#ff0000"
+            }));
+
+            chai.assert.strictEqual(text, "\u001b[38;2;255;0;0m\u001b[48;2;255;255;255m▀\u001b[0m");
+        });
+
+        it("does not invert the ANSI format", function () {
+            const qrCode = getMatrix(3, [[0, 0], [2, 1]]);
+            const options = getTextOptions({textFormat: TextRenderer.FORMAT.ANSI});
+
+            chai.assert.strictEqual(
+                TextRenderer.render(qrCode, Object.assign({}, options, {textInvert: true})),
+                TextRenderer.render(qrCode, options)
+            );
+        });
+    });
+
+    describe("Png", function () {
+        it("uses the size, if no scale is set", function () {
+            chai.assert.strictEqual(PngRenderer.getPixelSize(29, {pngSize: 1024, pngScale: 0}), 1024);
+        });
+
+        it("uses whole pixels per module, if a scale is set", function () {
+            chai.assert.strictEqual(PngRenderer.getPixelSize(29, {pngSize: 1024, pngScale: 8}), 29 * 8);
+        });
+
+        it("uses the resolution of the options, if no print size is required", function () {
+            chai.assert.strictEqual(PngRenderer.getDpi(29, {pngSize: 1024, pngScale: 0, pngDpi: 300, pngPrintSize: 0, qrQuietZone: 4}), 300);
+        });
+
+        it("derives the resolution from the required print size, including the quiet zone", function () {
+            // 46 mm for 29 modules are 58.69 mm for 37 modules
+            const dpi = PngRenderer.getDpi(29, {pngSize: 1024, pngScale: 0, pngDpi: 300, pngPrintSize: 46, qrQuietZone: 4});
+            chai.assert.closeTo(dpi, 1024 / (46 * 37 / 29 / 25.4), 0.001);
+            chai.assert.closeTo(dpi, 443.17, 0.01);
+        });
+
+        it("adds the resolution after the header", function () {
+            // signature, IHDR chunk and IEND chunk
+            const png = new Uint8Array(8 + 25 + 12);
+            png.fill(1, 0, 33);
+            png.fill(2, 33);
+
+            const result = PngRenderer.addResolution(png, 72);
+
+            chai.assert.lengthOf(result, png.length + 21);
+            chai.assert.deepEqual(Array.from(result.subarray(0, 33)), Array.from(png.subarray(0, 33)));
+            // 72 DPI are 2835 pixels per meter, followed by the unit and the CRC
+            chai.assert.deepEqual(Array.from(result.subarray(33, 54)), [
+                0x00, 0x00, 0x00, 0x09, 0x70, 0x48, 0x59, 0x73,
+                0x00, 0x00, 0x0b, 0x13, 0x00, 0x00, 0x0b, 0x13, 0x01,
+                0x00, 0x9a, 0x9c, 0x18
+            ]);
+            chai.assert.deepEqual(Array.from(result.subarray(54)), Array.from(png.subarray(33)));
+        });
+    });
+});
@@ -5,7 +5,28 @@ import "./dataTest/globalConsts.test.js";
 import "./dataTest/messageLevel.test.js";
 import "./dataTest/tips.test.js";
 import "./dataTest/defaultSettings.test.js";
+import "./payloadTest/wifi.test.js";
+import "./payloadTest/contact.test.js";
+import "./payloadTest/calendarEvent.test.js";
+import "./payloadTest/epc.test.js";
+import "./payloadTest/swissQrBill.test.js";
+import "./payloadTest/otp.test.js";
+import "./payloadTest/cryptoPayment.test.js";
+import "./payloadTest/quickActions.test.js";
 import "./colors.test.js";
+import "./template.test.js";
+import "./urlCleaner.test.js";
+import "./segmenter.test.js";
+import "./capacity.test.js";
+import "./structuredAppend.test.js";
+import "./qrLibOptions.test.js";
+import "./qrCodeStyle.test.js";
+import "./qrRenderer.test.js";
+import "./qrDecoder.test.js";
+import "./fileTransfer.test.js";
+import "./imageDecoder.test.js";
+import "./pageScan.test.js";
+import "./verification.test.js";
 import "./iconHandler.test.js";
 import "./localiser.test.js";
 import "./addonSettings.test.js";
@@ -0,0 +1,81 @@
+import "https://unpkg.com/mocha@5.2.0/mocha.js"; /* globals mocha */
+import "https://unpkg.com/chai@4.1.2/chai.js"; /* globals chai */
+/* globals qrcodegen */
+
+import * as StructuredAppend from "/popup/modules/QrLib/StructuredAppend.js";
+import * as Segmenter from "/popup/modules/QrLib/Segmenter.js";
+
+describe("popup module: StructuredAppend", function () {
+    describe("getParity()", function () {
+        it("XORs all UTF-8 bytes", function () {
+            chai.assert.strictEqual(StructuredAppend.getParity(""), 0);
+            chai.assert.strictEqual(StructuredAppend.getParity("AB"), 0x41 ^ 0x42);
+            // "ä" is 0xC3 0xA4 in UTF-8
+            chai.assert.strictEqual(StructuredAppend.getParity("ä"), 0xC3 ^ 0xA4);
+        });
+    });
+
+    describe("getHeaders()", function () {
+        it("numbers the QR codes", function () {
+            chai.assert.deepEqual(StructuredAppend.getHeaders("AB", 2), [
+                {index: 0, total: 2, parity: 3},
+                {index: 1, total: 2, parity: 3}
+            ]);
+        });
+    });
+
+    describe("makeHeaderSegment()", function () {
+        it("encodes the index, the count and the parity", function () {
+            const segment = StructuredAppend.makeHeaderSegment({index: 1, total: 3, parity: 0xAB});
+
+            chai.assert.strictEqual(segment.mode.modeBits, 0x3);
+            chai.assert.strictEqual(segment.mode.numCharCountBits(1), 0);
+            chai.assert.deepEqual(segment.getBits(), [
+                0, 0, 0, 1,
+                0, 0, 1, 0,
+                1, 0, 1, 0, 1, 0, 1, 1
+            ]);
+        });
+
+        it("can be encoded by qrcodegen", function () {
+            const segment = StructuredAppend.makeHeaderSegment({index: 0, total: 2, parity: 0});
+            const qrCode = Segmenter.encodeText("hello", qrcodegen.QrCode.Ecc.LOW, 1, 40, -1, false, segment);
+
+            chai.assert.strictEqual(qrCode.version, 1);
+        });
+
+        it("rejects invalid headers", function () {
+            chai.assert.throws(() => StructuredAppend.makeHeaderSegment({index: 0, total: 1, parity: 0}));
+            chai.assert.throws(() => StructuredAppend.makeHeaderSegment({index: 0, total: 17, parity: 0}));
+            chai.assert.throws(() => StructuredAppend.makeHeaderSegment({index: 2, total: 2, parity: 0}));
+            chai.assert.throws(() => StructuredAppend.makeHeaderSegment({index: 0, total: 2, parity: 256}));
+        });
+    });
+
+    describe("split()", function () {
+        it("does not split texts, which fit into one QR code", function () {
+            chai.assert.deepEqual(StructuredAppend.split("hello", "L", {maxVersion: 1}), ["hello"]);
+        });
+
+        it("splits into the smallest number of parts", function () {
+            // version 1-L holds 15 bytes with the header
+            const parts = StructuredAppend.split("a".repeat(40), "L", {maxVersion: 1});
+
+            chai.assert.deepEqual(parts.map((part) => part.length), [13, 14, 13]);
+            chai.assert.strictEqual(parts.join(""), "a".repeat(40));
+        });
+
+        it("keeps surrogate pairs together", function () {
+            const text = "😀".repeat(8);
+            const parts = StructuredAppend.split(text, "L", {maxVersion: 1});
+
+            chai.assert.isAbove(parts.length, 1);
+            chai.assert.strictEqual(parts.join(""), text);
+            parts.forEach((part) => chai.assert.strictEqual(Array.from(part).length * 2, part.length));
+        });
+
+        it("returns null for texts, which do not fit into 16 QR codes", function () {
+            chai.assert.isNull(StructuredAppend.split("a".repeat(15 * 16 + 1), "L", {maxVersion: 1}));
+        });
+    });
+});
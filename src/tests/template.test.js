@@ -0,0 +1,49 @@
+import "https://unpkg.com/mocha@5.2.0/mocha.js"; /* globals mocha */
+import "https://unpkg.com/chai@4.1.2/chai.js"; /* globals chai */
+
+import * as Template from "/common/modules/Template.js";
+
+const VALUES = Object.freeze({
+    url: "https://example.com/a?b=c",
+    title: "Café & Bar",
+    host: "example.com"
+});
+
+describe("common module: Template", function () {
+    describe("getPlaceholders()", function () {
+        it("returns each placeholder once", function () {
+            chai.assert.sameMembers(Template.getPlaceholders("{url} {Title|urlencode} {url} {{date}}"), ["url", "title"]);
+        });
+    });
+
+    describe("fill()", function () {
+        it("replaces placeholders and applies filters", function () {
+            chai.assert.strictEqual(
+                Template.fill("https://tickets.example/new?title={title|urlencode}&link={url|urlencode}", VALUES),
+                "https://tickets.example/new?title=Caf%C3%A9%20%26%20Bar&link=https%3A%2F%2Fexample.com%2Fa%3Fb%3Dc"
+            );
+            chai.assert.strictEqual(Template.fill("{host}: {title | uriencode}", VALUES), "example.com: Caf%C3%A9%20&%20Bar");
+        });
+
+        it("uses empty strings for missing values", function () {
+            chai.assert.strictEqual(Template.fill("[{selection}]", VALUES), "[]");
+        });
+
+        it("unescapes double braces and keeps unknown placeholders", function () {
+            chai.assert.strictEqual(Template.fill("{{\"url\": \"{url}\"}} {foo} {url|bar}", VALUES), "{\"url\": \"https://example.com/a?b=c\"} {foo} {url|bar}");
+        });
+    });
+
+    describe("validate()", function () {
+        it("accepts valid templates", function () {
+            chai.assert.isEmpty(Template.validate("{url|urlencode|uriencode} {{literal}} {clipboard}"));
+        });
+
+        it("detects problems", function () {
+            chai.assert.include(Template.validate(" "), "templateErrorEmpty");
+            chai.assert.include(Template.validate("{foo}"), "templateErrorUnknownPlaceholder");
+            chai.assert.include(Template.validate("{url|base64}"), "templateErrorUnknownFilter");
+            chai.assert.include(Template.validate("{url"), "templateErrorUnmatchedBrace");
+        });
+    });
+});
@@ -0,0 +1,102 @@
+import "https://unpkg.com/mocha@5.2.0/mocha.js"; /* globals mocha */
+import "https://unpkg.com/chai@4.1.2/chai.js"; /* globals chai */
+
+import * as UrlCleaner from "/popup/modules/UrlCleaner.js";
+
+const NO_OPTIONS = Object.freeze({
+    rules: [],
+    allowlist: []
+});
+
+describe("popup module: UrlCleaner", function () {
+    describe("splitLines()", function () {
+        it("returns the trimmed non-empty lines", function () {
+            chai.assert.deepEqual(UrlCleaner.splitLines(" a \r\n\n b\n"), ["a", "b"]);
+            chai.assert.deepEqual(UrlCleaner.splitLines(undefined), []);
+        });
+    });
+
+    describe("clean()", function () {
+        it("removes tracking parameters", function () {
+            const result = UrlCleaner.clean("https://example.com/article?id=5&utm_source=news&utm_medium=mail&fbclid=abc#top", NO_OPTIONS);
+
+            chai.assert.strictEqual(result.url, "https://example.com/article?id=5#top");
+            chai.assert.deepEqual(result.removedParameters, ["utm_source", "utm_medium", "fbclid"]);
+            chai.assert.deepEqual(result.redirectors, []);
+        });
+
+        it("removes the question mark, if no parameter is left", function () {
+            chai.assert.strictEqual(UrlCleaner.clean("https://example.com/?gclid=1", NO_OPTIONS).url, "https://example.com/");
+        });
+
+        it("keeps the encoding of the other parameters", function () {
+            const result = UrlCleaner.clean("https://example.com/search?q=a+b%2Fc&x&utm_campaign=x", NO_OPTIONS);
+            chai.assert.strictEqual(result.url, "https://example.com/search?q=a+b%2Fc&x");
+        });
+
+        it("returns URLs without tracking unchanged", function () {
+            const url = "https://Example.com/a?b=c&b=d";
+            const result = UrlCleaner.clean(url, NO_OPTIONS);
+
+            chai.assert.strictEqual(result.url, url);
+            chai.assert.deepEqual(result.removedParameters, []);
+        });
+
+        it("unwraps redirectors", function () {
+            const result = UrlCleaner.clean("https://www.google.com/url?sa=t&q=https%3A%2F%2Fexample.com%2F%3Fid%3D1%26utm_source%3Dgoogle", NO_OPTIONS);
+
+            chai.assert.strictEqual(result.url, "https://example.com/?id=1");
+            chai.assert.deepEqual(result.redirectors, ["Google"]);
+            chai.assert.deepEqual(result.removedParameters, ["utm_source"]);
+        });
+
+        it("unwraps nested redirectors", function () {
+            const inner = `https://l.facebook.com/l.php?u=${encodeURIComponent("https://example.org/")}&h=x`;
+            const result = UrlCleaner.clean(`https://eur01.safelinks.protection.outlook.com/?url=${encodeURIComponent(inner)}&data=1`, NO_OPTIONS);
+
+            chai.assert.strictEqual(result.url, "https://example.org/");
+            chai.assert.deepEqual(result.redirectors, ["Outlook", "Facebook"]);
+        });
+
+        it("does not unwrap targets, which are no HTTP(S) URLs", function () {
+            const url = "https://www.google.com/url?q=javascript%3Aalert(1)";
+            chai.assert.strictEqual(UrlCleaner.clean(url, NO_OPTIONS).url, url);
+        });
+
+        it("applies rules of the user including wildcards and domains", function () {
+            const options = {
+                rules: ["session*", "ref@example.com"],
+                allowlist: []
+            };
+
+            chai.assert.strictEqual(UrlCleaner.clean("https://shop.example.com/?ref=a&sessionId=2&p=1", options).url, "https://shop.example.com/?p=1");
+            chai.assert.strictEqual(UrlCleaner.clean("https://example.net/?ref=a&sessionId=2", options).url, "https://example.net/?ref=a");
+        });
+
+        it("applies built-in rules restricted to domains", function () {
+            chai.assert.strictEqual(UrlCleaner.clean("https://youtu.be/abc?si=xyz&t=5", NO_OPTIONS).url, "https://youtu.be/abc?t=5");
+            chai.assert.strictEqual(UrlCleaner.clean("https://example.com/?si=xyz", NO_OPTIONS).url, "https://example.com/?si=xyz");
+        });
+
+        it("does not modify URLs of allowed domains", function () {
+            const options = {
+                rules: [],
+                allowlist: ["example.com"]
+            };
+
+            const url = "https://www.example.com/?utm_source=a";
+            chai.assert.strictEqual(UrlCleaner.clean(url, options).url, url);
+
+            // also not after unwrapping a redirector
+            const result = UrlCleaner.clean(`https://www.google.de/url?q=${encodeURIComponent(url)}`, options);
+            chai.assert.strictEqual(result.url, url);
+            chai.assert.deepEqual(result.removedParameters, []);
+        });
+
+        it("returns other texts unchanged", function () {
+            for (const text of ["hello utm_source=1", "mailto:a@example.com?utm_source=1", "ftp://example.com/?utm_source=1", "https://example.com/?utm_source=1 and more"]) {
+                chai.assert.strictEqual(UrlCleaner.clean(text, NO_OPTIONS).url, text);
+            }
+        });
+    });
+});
@@ -0,0 +1,74 @@
+import "https://unpkg.com/mocha@5.2.0/mocha.js"; /* globals mocha */
+import "https://unpkg.com/chai@4.1.2/chai.js"; /* globals chai */
+
+import * as VerificationCauses from "/popup/modules/internal/VerificationCauses.js";
+
+const CAUSE = VerificationCauses.CAUSE;
+
+// a version 1 QR code
+const SYMBOL_SIZE = 21;
+
+/**
+ * Returns the settings of a readable QR code, with the given changes.
+ *
+ * @function
+ * @param {Object} [changes]
+ * @returns {Object}
+ */
+function getSettings(changes = {}) {
+    return Object.assign({
+        qrColor: "#0c0c0d",
+        qrBackgroundColor: "#ffffff",
+        qrQuietZone: 4
+    }, changes);
+}
+
+describe("popup module: Verification", function () {
+    describe("getCauses()", function () {
+        it("returns an unknown cause for a QR code, which is expected to be readable", function () {
+            chai.assert.deepEqual(VerificationCauses.getCauses(SYMBOL_SIZE, 200, getSettings()), [CAUSE.UNKNOWN]);
+        });
+
+        it("detects a low contrast", function () {
+            // a contrast ratio of about 2.8
+            const settings = getSettings({qrColor: "#999999"});
+            chai.assert.deepEqual(VerificationCauses.getCauses(SYMBOL_SIZE, 200, settings), [CAUSE.CONTRAST]);
+        });
+
+        it("detects inverted colors", function () {
+            const settings = getSettings({qrColor: "#ffffff", qrBackgroundColor: "#0c0c0d"});
+            chai.assert.deepEqual(VerificationCauses.getCauses(SYMBOL_SIZE, 200, settings), [CAUSE.INVERTED]);
+        });
+
+        it("detects a low contrast of inverted colors", function () {
+            const settings = getSettings({qrColor: "#ffffff", qrBackgroundColor: "#999999"});
+            chai.assert.deepEqual(VerificationCauses.getCauses(SYMBOL_SIZE, 200, settings), [CAUSE.CONTRAST, CAUSE.INVERTED]);
+        });
+
+        it("skips the colors, if they cannot be compared", function () {
+            const settings = getSettings({qrColor: "transparent"});
+            chai.assert.deepEqual(VerificationCauses.getCauses(SYMBOL_SIZE, 200, settings), [CAUSE.UNKNOWN]);
+        });
+
+        it("detects a quiet zone below 4 modules", function () {
+            const settings = getSettings({qrQuietZone: VerificationCauses.RECOMMENDED_QUIET_ZONE - 1});
+            chai.assert.deepEqual(VerificationCauses.getCauses(SYMBOL_SIZE, 200, settings), [CAUSE.QUIET_ZONE]);
+        });
+
+        it("detects modules smaller than 2 px, including the quiet zone", function () {
+            // 29 modules including the quiet zone
+            chai.assert.deepEqual(VerificationCauses.getCauses(SYMBOL_SIZE, 57, getSettings()), [CAUSE.MODULE_SIZE]);
+            chai.assert.deepEqual(VerificationCauses.getCauses(SYMBOL_SIZE, 58, getSettings()), [CAUSE.UNKNOWN]);
+        });
+
+        it("returns all causes", function () {
+            const settings = getSettings({qrColor: "#ffffff", qrBackgroundColor: "#999999", qrQuietZone: 0});
+            chai.assert.deepEqual(VerificationCauses.getCauses(SYMBOL_SIZE, 20, settings), [
+                CAUSE.CONTRAST,
+                CAUSE.INVERTED,
+                CAUSE.QUIET_ZONE,
+                CAUSE.MODULE_SIZE
+            ]);
+        });
+    });
+});